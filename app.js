@@ -6,10 +6,14 @@ const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const swaggerJSDoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
-const { v4: uuidv4 } = require("uuid");
 
+const db = require("./db/connection");
 const logger = require("./utils/logger");
+const requestContext = require("./utils/requestContext");
+const ServerLifecycle = require("./utils/serverLifecycle");
+const SERVER_CONFIG = require("./config/server");
 const errorHandler = require("./middleware/errorHandler");
+const { ERROR_CODES } = require("./utils/errors");
 const patientRoutes = require("./routes/patient");
 const patientCreateRoutes = require("./routes/patientCreate");
 const slotRoutes = require("./routes/slot");
@@ -19,18 +23,16 @@ const redoxWebhookRoutes = require("./routes/redoxWebhook");
 const retellAgentRoutes = require("./routes/retellAgent");
 const documentReferenceRoutes = require("./routes/documentReference");
 const oauthRoutes = require("./routes/oauth");
-const callbackScheduler = require("./services/callbackScheduler");
+const agentRouteRoutes = require("./routes/agentRoutes");
+const oauthClientRoutes = require("./routes/oauthClients");
+const phiAuditRoutes = require("./routes/phiAudit");
 
-const app = express();
-const PORT = process.env.PORT || 3002;
-
-// Request logging middleware
-app.use((req, res, next) => {
+// Log each request and its completion
+function logRequest(req, res, next) {
   const startTime = Date.now();
   logger.info(`Incoming request: ${req.method} ${req.path}`, {
     ip: req.ip,
     userAgent: req.get("User-Agent"),
-    requestId: uuidv4(),
   });
 
   res.on("finish", () => {
@@ -42,21 +44,24 @@ app.use((req, res, next) => {
   });
 
   next();
-});
-
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true }));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: "Too many requests from this IP, please try again later.",
-});
-app.use(limiter);
+}
+
+// Check that the database answers within timeoutMs
+async function checkDatabase(timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Database check timed out")), timeoutMs);
+  });
+
+  try {
+    await Promise.race([db.query("SELECT 1"), timeout]);
+    return { status: "ok" };
+  } catch (error) {
+    return { status: "error", error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
 // Swagger configuration
 const swaggerOptions = {
@@ -79,115 +84,274 @@ const swaggerOptions = {
           scheme: "bearer",
           bearerFormat: "JWT",
         },
+        clientBasicAuth: {
+          type: "http",
+          scheme: "basic",
+          description: "OAuth client_id and client_secret (client_secret_basic)",
+        },
+        retellSignature: {
+          type: "apiKey",
+          in: "header",
+          name: "x-retell-signature",
+          description:
+            "Retell webhook signature: v=<timestamp ms>,d=<hex HMAC-SHA256 of the raw body followed by the timestamp, keyed with RETELL_API_KEY>",
+        },
+      },
+      schemas: {
+        ErrorResponse: {
+          type: "object",
+          properties: {
+            success: { type: "boolean", example: false },
+            error: { type: "string", description: "Human-readable message" },
+            code: {
+              type: "string",
+              enum: Object.values(ERROR_CODES),
+              description: "Stable error code",
+            },
+            issues: {
+              type: "array",
+              description: "FHIR OperationOutcome issues returned by Redox",
+              items: {
+                type: "object",
+                properties: {
+                  severity: { type: "string" },
+                  code: { type: "string" },
+                  diagnostics: { type: "string" },
+                  details: { type: "string" },
+                  expression: { type: "array", items: { type: "string" } },
+                },
+              },
+            },
+            requestId: { type: "string" },
+          },
+        },
       },
     },
   },
-  apis: ["./routes/*.js"], // Path to the API docs
+  apis: ["./app.js", "./routes/*.js"], // Path to the API docs
 };
 
 const swaggerSpec = swaggerJSDoc(swaggerOptions);
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 /**
- * @swagger
- * /health:
- *   get:
- *     summary: Health check endpoint
- *     tags: [Health]
- *     responses:
- *       200:
- *         description: Service is healthy
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: OK
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *                 uptime:
- *                   type: number
+ * Build the Express app. Nothing is started: server.js listens and runs the
+ * background jobs, and embedders or tests can mount or call the app directly.
+ * @param {object} config - Overrides of config/server: { rateLimit,
+ *   readinessDbTimeoutMs, lifecycle }. lifecycle is the ServerLifecycle the
+ *   readiness probe reports and in-flight Retell function calls are counted
+ *   on; one is created if omitted, and is available as app.locals.lifecycle.
+ * @returns {object} - Express app
  */
-app.get("/health", (req, res) => {
-  logger.info("Health check requested");
-  res.json({
-    status: "OK",
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    version: "1.0.0",
+function createApp(config = {}) {
+  const {
+    rateLimit: rateLimitConfig = SERVER_CONFIG.rateLimit,
+    readinessDbTimeoutMs = SERVER_CONFIG.readinessDbTimeoutMs,
+    lifecycle = new ServerLifecycle(),
+  } = config;
+
+  const app = express();
+  app.locals.lifecycle = lifecycle;
+
+  // Request logging middleware. Everything handling the request runs in its
+  // request context, so every log line, downstream Redox/Retell request and
+  // audit row carries the request ID. A well-formed X-Request-Id from the
+  // caller is kept; otherwise one is generated.
+  app.use((req, res, next) => {
+    const requestId = requestContext.resolveRequestId(req.get("X-Request-Id"));
+    req.requestId = requestId;
+    res.set("X-Request-Id", requestId);
+    requestContext.run({ requestId }, () => logRequest(req, res, next));
   });
-});
-
-// API Routes
-app.use("/api/v1/patient", patientRoutes);
-app.use("/api/v1/patient", patientCreateRoutes);
-app.use("/api/v1/slot", slotRoutes);
-app.use("/api/v1/appointment", appointmentRoutes);
-app.use("/api/v1/retell", retellWebhookRoutes);
-app.use("/api/v1/retell/agent", retellAgentRoutes);
-app.use("/api/v1/redox", redoxWebhookRoutes);
-app.use("/api/v1/document-reference", documentReferenceRoutes);
-
-// OAuth Routes (no prefix as per standard OAuth conventions)
-app.use("/oauth", oauthRoutes);
-
-// Error handling
-app.use(errorHandler);
-
-// 404 handler
-app.use("*", (req, res) => {
-  logger.warn("404 - Endpoint not found", {
-    path: req.originalUrl,
-    method: req.method,
+
+  // While draining, ask keep-alive clients to reconnect (to another instance)
+  app.use((req, res, next) => {
+    if (lifecycle.isShuttingDown()) {
+      res.set("Connection", "close");
+    }
+    next();
   });
-  res.status(404).json({
-    success: false,
-    error: "Endpoint not found",
-    availableEndpoints: [
-      "/health",
-      "/api-docs",
-      "/oauth/token",
-      "/oauth/health",
-      "/api/v1/patient/search",
-      "/api/v1/patient/create",
-      "/api/v1/patient/update",
-      "/api/v1/slot/search",
-      "/api/v1/appointment/create",
-      "/api/v1/appointment/update",
-      "/api/v1/appointment/search",
-      "/api/v1/retell/webhook",
-      "/api/v1/retell/function-call",
-      "/api/v1/redox/webhook/scheduling",
-      "/api/v1/redox/test/trigger-scheduling-call",
-    ],
+
+  // Middleware
+  app.use(helmet());
+  app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
+  app.use(
+    express.json({
+      limit: "10mb",
+      // Keep the raw body for webhook signature verification
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    }),
+  );
+  app.use(express.urlencoded({ extended: true }));
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: rateLimitConfig.windowMs,
+    max: rateLimitConfig.max, // limit each IP to max requests per windowMs
+    message: "Too many requests from this IP, please try again later.",
   });
-});
-
-// Start server
-app.listen(PORT, () => {
-  logger.info(`Flow AI API running on port ${PORT}`);
-  logger.info(`API Documentation: http://localhost:${PORT}/api-docs`);
-  logger.info(`Health Check: http://localhost:${PORT}/health`);
-  
-  // Start the callback scheduler
-  callbackScheduler.start();
-  logger.info("Callback scheduler started");
-});
-
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  logger.info("SIGTERM signal received: closing HTTP server");
-  callbackScheduler.stop();
-  process.exit(0);
-});
-
-process.on("SIGINT", () => {
-  logger.info("SIGINT signal received: closing HTTP server");
-  callbackScheduler.stop();
-  process.exit(0);
-});
-
-module.exports = app;
+  app.use(limiter);
+
+  app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+  /**
+   * @swagger
+   * /health:
+   *   get:
+   *     summary: Health check endpoint
+   *     tags: [Health]
+   *     responses:
+   *       200:
+   *         description: Service is healthy
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: OK
+   *                 timestamp:
+   *                   type: string
+   *                   format: date-time
+   *                 uptime:
+   *                   type: number
+   */
+  app.get("/health", (req, res) => {
+    logger.info("Health check requested");
+    res.json({
+      status: "OK",
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      version: "1.0.0",
+    });
+  });
+
+  /**
+   * @swagger
+   * /health/live:
+   *   get:
+   *     summary: Liveness probe
+   *     description: Answers as long as the process serves requests, including while it drains for shutdown.
+   *     tags: [Health]
+   *     responses:
+   *       200:
+   *         description: The process is alive
+   */
+  app.get("/health/live", (req, res) => {
+    res.json({
+      status: "alive",
+      uptime: process.uptime(),
+    });
+  });
+
+  /**
+   * @swagger
+   * /health/ready:
+   *   get:
+   *     summary: Readiness probe
+   *     description: 200 while the app accepts new work and its database answers; 503 once shutdown began (state draining) or when the database is unreachable.
+   *     tags: [Health]
+   *     responses:
+   *       200:
+   *         description: Ready to receive requests
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: ready
+   *                 state:
+   *                   type: string
+   *                   enum: [ready, draining, stopped]
+   *                 inFlight:
+   *                   type: object
+   *                   description: In-flight requests by kind, e.g. retellFunctionCall
+   *                 checks:
+   *                   type: object
+   *       503:
+   *         description: Draining or the database is unreachable
+   */
+  app.get("/health/ready", async (req, res) => {
+    const { state, inFlight } = lifecycle.getStatus();
+    const database = lifecycle.isReady()
+      ? await checkDatabase(readinessDbTimeoutMs)
+      : { status: "skipped" };
+    const ready = lifecycle.isReady() && database.status === "ok";
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "not_ready",
+      state,
+      inFlight,
+      checks: { database },
+    });
+  });
+
+  // Count in-flight Retell function calls, which shutdown waits for
+  app.use("/api/v1/retell/function-call", lifecycle.track("retellFunctionCall"));
+
+  // API Routes
+  app.use("/api/v1/patient", patientRoutes);
+  app.use("/api/v1/patient", patientCreateRoutes);
+  app.use("/api/v1/slot", slotRoutes);
+  app.use("/api/v1/appointment", appointmentRoutes);
+  app.use("/api/v1/retell", retellWebhookRoutes);
+  app.use("/api/v1/retell/agent", retellAgentRoutes);
+  app.use("/api/v1/redox", redoxWebhookRoutes);
+  app.use("/api/v1/document-reference", documentReferenceRoutes);
+  app.use("/api/v1/agent-routes", agentRouteRoutes);
+  app.use("/api/v1/oauth-clients", oauthClientRoutes);
+  app.use("/api/v1/audit/phi", phiAuditRoutes);
+
+  // OAuth Routes (no prefix as per standard OAuth conventions)
+  app.use("/oauth", oauthRoutes);
+
+  // Error handling
+  app.use(errorHandler);
+
+  // 404 handler
+  app.use("*", (req, res) => {
+    logger.warn("404 - Endpoint not found", {
+      path: req.originalUrl,
+      method: req.method,
+    });
+    res.status(404).json({
+      success: false,
+      error: "Endpoint not found",
+      code: ERROR_CODES.NOT_FOUND,
+      requestId: req.requestId,
+      availableEndpoints: [
+        "/health",
+        "/health/live",
+        "/health/ready",
+        "/api-docs",
+        "/oauth/token",
+        "/oauth/revoke",
+        "/oauth/introspect",
+        "/oauth/health",
+        "/oauth/.well-known/jwks.json",
+        "/api/v1/patient/search",
+        "/api/v1/patient/create",
+        "/api/v1/patient/update",
+        "/api/v1/slot/search",
+        "/api/v1/appointment/create",
+        "/api/v1/appointment/update",
+        "/api/v1/appointment/search",
+        "/api/v1/retell/webhook",
+        "/api/v1/retell/function-call",
+        "/api/v1/redox/webhook/scheduling",
+        "/api/v1/redox/test/trigger-scheduling-call",
+        "/api/v1/agent-routes",
+        "/api/v1/oauth-clients",
+        "/api/v1/audit/phi",
+      ],
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,55 @@
+require("dotenv").config();
+
+/**
+ * Read an integer setting, keeping configured zeros
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Used when the variable is unset or empty
+ * @param {object} range - { min, max } allowed values
+ * @returns {number}
+ * @throws {Error} If the value is not an integer in range, so a bad setting
+ *   (e.g. a zero lease, which would let workers double-dial) stops startup
+ */
+function intFromEnv(name, fallback, { min = -Infinity, max = Infinity } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+    throw new Error(`${name} must be an integer ${range}, got "${raw}"`);
+  }
+  return value;
+}
+
+const CALLBACK_CONFIG = {
+  // Total attempts (including the first) before a callback is dead-lettered
+  maxAttempts: intFromEnv("CALLBACK_MAX_ATTEMPTS", 5, { min: 1 }),
+  // Exponential backoff between attempts: base * 2^(attempt - 1), capped at max
+  backoffBaseMs: intFromEnv("CALLBACK_BACKOFF_BASE_MS", 60 * 1000, { min: 0 }),
+  backoffMaxMs: intFromEnv("CALLBACK_BACKOFF_MAX_MS", 60 * 60 * 1000, { min: 0 }),
+  // How long a worker owns a claimed callback before another replica may recover it
+  leaseSeconds: intFromEnv("CALLBACK_LEASE_SECONDS", 5 * 60, { min: 1 }),
+  // Upper bound on callbacks a single worker claims per scheduler run
+  maxClaimsPerRun: intFromEnv("CALLBACK_MAX_CLAIMS_PER_RUN", 50, { min: 1 }),
+  // Catch-up for callbacks whose time passed while the scheduler was down or busy.
+  // Callbacks later than the grace period are handled by latePolicy:
+  //   call_late  - place the call anyway
+  //   reschedule - place it now if inside the calling window, otherwise move it
+  //                to the start of the next calling window
+  //   expire     - mark it expired with a reason
+  lateGraceMinutes: intFromEnv("CALLBACK_LATE_GRACE_MINUTES", 15, { min: 0 }),
+  latePolicy: process.env.CALLBACK_LATE_POLICY || "reschedule",
+  callingWindow: {
+    startHour: intFromEnv("CALLBACK_CALLING_HOURS_START", 9, { min: 0, max: 23 }),
+    endHour: intFromEnv("CALLBACK_CALLING_HOURS_END", 18, { min: 1, max: 24 }),
+    timezone: process.env.CALLBACK_CALLING_TIMEZONE || "America/Los_Angeles",
+    // Days of week calls are allowed (0 = Sunday)
+    days: (process.env.CALLBACK_CALLING_DAYS || "1,2,3,4,5")
+      .split(",")
+      .map((day) => parseInt(day.trim()))
+      .filter((day) => day >= 0 && day <= 6),
+  },
+};
+
+module.exports = CALLBACK_CONFIG;
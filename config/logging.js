@@ -0,0 +1,102 @@
+require("dotenv").config();
+
+const LEVELS = ["error", "warn", "info", "debug"];
+
+// Keys are compared case-insensitively with "-" and "_" removed, so
+// "birth_date", "birthDate" and "BirthDate" all match "birthdate".
+const splitKeys = (value) =>
+  (value || "")
+    .split(",")
+    .map((key) => key.trim().toLowerCase().replace(/[-_]/g, ""))
+    .filter(Boolean);
+
+const LOGGING_CONFIG = {
+  // error | warn | info | debug
+  level: LEVELS.includes(process.env.LOG_LEVEL)
+    ? process.env.LOG_LEVEL
+    : process.env.NODE_ENV === "development"
+      ? "debug"
+      : "info",
+  // "json" writes one JSON object per line; "pretty" is for reading locally
+  format:
+    process.env.LOG_FORMAT === "json" || process.env.LOG_FORMAT === "pretty"
+      ? process.env.LOG_FORMAT
+      : process.env.NODE_ENV === "development"
+        ? "pretty"
+        : "json",
+  redaction: {
+    // Redaction can only be switched off in development
+    enabled: !(
+      process.env.LOG_REDACTION === "off" &&
+      process.env.NODE_ENV === "development"
+    ),
+    // Values under these keys are masked wherever they appear
+    keys: [
+      // Patient identity and demographics (FHIR and Retell variables)
+      "given",
+      "family",
+      "firstname",
+      "lastname",
+      "fullname",
+      "patientname",
+      "patientfirstname",
+      "patientlastname",
+      "birthdate",
+      "dob",
+      "dateofbirth",
+      "telecom",
+      "address",
+      "line",
+      "city",
+      "postalcode",
+      "zip",
+      "identifier",
+      "identifiers",
+      "ssn",
+      "mrn",
+      "insurance",
+      "memberid",
+      "subscriberid",
+      "fromnumber",
+      "tonumber",
+      "div",
+      // Call content
+      "transcript",
+      "transcriptobject",
+      "transcriptwithtoolcalls",
+      "recordingurl",
+      // Credentials
+      "authorization",
+      "cookie",
+      "setcookie",
+      "password",
+      "apikey",
+      "xapikey",
+      "clientassertion",
+      "privatekey",
+      "xretellsignature",
+      ...splitKeys(process.env.LOG_REDACT_KEYS),
+    ],
+    // Keys ending in one of these are masked too (e.g. patient_email,
+    // freshToken, clientSecret)
+    suffixes: ["email", "phone", "phonenumber", "birthdate", "token", "secret"],
+    // Keys masked only inside a given parent: "<parent>.<key>", where the
+    // parent is the FHIR resourceType of the object or else the key it is
+    // under. So patient names are masked while function, client and agent
+    // names stay readable.
+    paths: [
+      "patient.name",
+      "relatedperson.name",
+      "person.name",
+      "contact.name",
+      "guarantor.name",
+      "subscriber.name",
+    ],
+    // Keys never masked, e.g. to keep a non-PHI field readable
+    allowKeys: splitKeys(process.env.LOG_REDACT_ALLOW_KEYS),
+  },
+};
+
+LOGGING_CONFIG.LEVELS = LEVELS;
+
+module.exports = LOGGING_CONFIG;
@@ -0,0 +1,49 @@
+require("dotenv").config();
+
+const OAUTH_CONFIG = {
+  // Public base URL of this server, used as the issuer and to build the token
+  // endpoint URL that client assertions must name as their audience.
+  // Required for private_key_jwt: without it client assertions are rejected.
+  issuer: process.env.OAUTH_ISSUER || null,
+  // JWT client assertions (private_key_jwt, RFC 7523)
+  clientAssertion: {
+    // Maximum exp - iat accepted, so captured assertions are short-lived
+    maxLifetimeSeconds:
+      parseInt(process.env.OAUTH_CLIENT_ASSERTION_MAX_LIFETIME_SECONDS) || 300,
+    // Tolerated clock difference between the client and this server
+    clockSkewSeconds:
+      parseInt(process.env.OAUTH_CLIENT_ASSERTION_CLOCK_SKEW_SECONDS) || 60,
+  },
+  accessToken: {
+    // "opaque" issues UUID tokens looked up in oauth_tokens; "jwt" issues
+    // signed JWTs (RFC 9068) validated locally against the signing keys.
+    // Both kinds are accepted whichever format is configured.
+    format: process.env.OAUTH_ACCESS_TOKEN_FORMAT === "jwt" ? "jwt" : "opaque",
+    opaqueLifetimeSeconds: 24 * 60 * 60,
+    jwtLifetimeSeconds:
+      parseInt(process.env.OAUTH_JWT_ACCESS_TOKEN_LIFETIME_SECONDS) || 900,
+    // iss and aud of JWT access tokens
+    issuer: process.env.OAUTH_ISSUER || "flowai-backend",
+    audience: process.env.OAUTH_ACCESS_TOKEN_AUDIENCE || "flowai-backend-api",
+    clockSkewSeconds: 30,
+  },
+  signingKeys: {
+    algorithm: "ES256",
+    // A new signing key is created once the current one is this old
+    rotationDays: parseInt(process.env.OAUTH_SIGNING_KEY_ROTATION_DAYS) || 30,
+    // How often each instance reloads the keys, to pick up rotations done elsewhere
+    cacheSeconds: 300,
+    // Minimum time between reloads caused by a token with an unknown kid
+    unknownKidReloadSeconds: 30,
+  },
+  denyList: {
+    // How often each instance reloads revoked JWT access tokens. A token
+    // revoked on another instance is honored here within this interval.
+    refreshSeconds: parseInt(process.env.OAUTH_DENY_LIST_REFRESH_SECONDS) || 30,
+    // If the deny list cannot be reloaded for this long, JWT access tokens
+    // are rejected rather than validated against stale revocations
+    maxStaleSeconds: parseInt(process.env.OAUTH_DENY_LIST_MAX_STALE_SECONDS) || 300,
+  },
+};
+
+module.exports = OAUTH_CONFIG;
@@ -0,0 +1,28 @@
+/**
+ * Scopes that can be granted to OAuth clients. Each protected API route
+ * requires one of these through middleware/requireScope.
+ */
+const OAUTH_SCOPES = {
+  "patient:read": "Search patients",
+  "patient:write": "Create and update patients",
+  "slot:read": "Search available slots",
+  "appointment:read": "Search appointments",
+  "appointment:write": "Create and update appointments",
+  "document:read": "Search document references",
+  "document:write": "Create document references",
+  "calls:write": "Trigger outbound scheduling and intake calls, and create web calls",
+  "callbacks:read": "List scheduled callbacks",
+  "callbacks:write": "Requeue and cancel scheduled callbacks",
+  "agent_routes:read": "List agent routes",
+  "agent_routes:write": "Create, update and delete agent routes",
+  "agent_routes:admin": "Read and change the agent routes of every tenant",
+  "agents:read": "Read Retell agents, conversation flows and voices",
+  "agents:write": "Update Retell agents and conversation flows",
+  "ops:read": "Read operational statistics and metrics",
+  "audit:read": "Read and verify the PHI access audit log",
+  "webhook:scheduling": "Deliver Redox scheduling webhooks",
+  "oauth:introspect": "Introspect tokens issued to other clients",
+  "oauth:admin": "Manage OAuth clients",
+};
+
+module.exports = OAUTH_SCOPES;
@@ -1,7 +1,11 @@
 require("dotenv").config();
 const REDOX_CONFIG = {
-  baseURL: "https://api.redoxengine.com/fhir/R4/redox-fhir-sandbox/Development",
-  loginURL: "https://api.redoxengine.com/auth/authenticate",
+  // Override to use another Redox environment, e.g. the mock server of
+  // scripts/mockRedox.js
+  baseURL:
+    process.env.REDOX_BASE_URL ||
+    "https://api.redoxengine.com/fhir/R4/redox-fhir-sandbox/Development",
+  loginURL: process.env.REDOX_LOGIN_URL || "https://api.redoxengine.com/auth/authenticate",
   clientId: process.env.REDOX_CLIENT_ID,
   clientSecret: process.env.REDOX_CLIENT_SECRET,
   sourceApp: "Flow AI App",
@@ -0,0 +1,49 @@
+require("dotenv").config();
+
+// "path=ms,path=ms" -> { path: ms }
+function parseEndpointTimeouts(value) {
+  return (value || "")
+    .split(",")
+    .map((pair) => pair.split("="))
+    .filter(([path, ms]) => path && parseInt(ms) > 0)
+    .reduce((timeouts, [path, ms]) => ({ ...timeouts, [path.trim()]: parseInt(ms) }), {});
+}
+
+// Timeouts, retries and circuit breaker of the Redox FHIR API client
+// (services/redoxHttpClient), shared by all tenants
+const REDOX_CLIENT_CONFIG = {
+  timeouts: {
+    defaultMs: parseInt(process.env.REDOX_TIMEOUT_MS) || 10 * 1000,
+    // Per endpoint, keyed by path with resource IDs replaced by ":id"
+    // (e.g. "/Patient/:id"). REDOX_ENDPOINT_TIMEOUTS overrides them as
+    // "/Slot/_search=20000,/Patient/_search=5000".
+    endpoints: {
+      "/Slot/_search": 15 * 1000,
+      "/DocumentReference/$documentreference-create": 30 * 1000,
+      ...parseEndpointTimeouts(process.env.REDOX_ENDPOINT_TIMEOUTS),
+    },
+  },
+  // Retries of idempotent requests (GET and _search) only; creates and
+  // updates are never retried, as Redox may have applied them
+  retry: {
+    maxRetries:
+      process.env.REDOX_MAX_RETRIES !== undefined
+        ? parseInt(process.env.REDOX_MAX_RETRIES) || 0
+        : 2,
+    // Exponential backoff with jitter: random up to base * 2^(retry - 1), capped at max
+    backoffBaseMs: parseInt(process.env.REDOX_RETRY_BACKOFF_BASE_MS) || 250,
+    backoffMaxMs: parseInt(process.env.REDOX_RETRY_BACKOFF_MAX_MS) || 4 * 1000,
+    // A Retry-After longer than this is not waited for; the error is returned
+    maxRetryAfterMs: parseInt(process.env.REDOX_MAX_RETRY_AFTER_MS) || 10 * 1000,
+    statuses: [429, 500, 502, 503, 504],
+  },
+  // Per Redox environment (base URL). After failureThreshold consecutive
+  // failures (5xx, timeouts, network errors) requests fail immediately for
+  // openMs, then a single trial request decides whether to close it again.
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.REDOX_CIRCUIT_FAILURE_THRESHOLD) || 5,
+    openMs: parseInt(process.env.REDOX_CIRCUIT_OPEN_MS) || 30 * 1000,
+  },
+};
+
+module.exports = REDOX_CLIENT_CONFIG;
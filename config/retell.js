@@ -0,0 +1,20 @@
+require("dotenv").config();
+
+const RETELL_CONFIG = {
+  apiKey: process.env.RETELL_API_KEY,
+  // Override to use the mock server of scripts/mockRetell.js
+  baseURL: process.env.RETELL_BASE_URL || "https://api.retellai.com",
+  webhookSignature: {
+    // Maximum age (and clock difference) of a signed Retell request
+    toleranceSeconds:
+      parseInt(process.env.RETELL_WEBHOOK_TOLERANCE_SECONDS) || 5 * 60,
+    // Skip signature verification, e.g. when calling the webhooks locally by
+    // hand. Only honored when NODE_ENV is "development".
+    bypass:
+      process.env.RETELL_WEBHOOK_SIGNATURE_BYPASS === "true" &&
+      process.env.NODE_ENV === "development",
+    bypassRequested: process.env.RETELL_WEBHOOK_SIGNATURE_BYPASS === "true",
+  },
+};
+
+module.exports = RETELL_CONFIG;
@@ -0,0 +1,22 @@
+require("dotenv").config();
+
+const SERVER_CONFIG = {
+  port: parseInt(process.env.PORT) || 3002,
+  // Per client IP, per app instance
+  rateLimit: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100,
+  },
+  shutdown: {
+    // How long readiness reports "draining" before the listener closes, so
+    // load balancers stop routing new requests here first
+    readinessDelayMs: parseInt(process.env.SHUTDOWN_READINESS_DELAY_MS) || 0,
+    // Upper bound on waiting for in-flight requests, Retell function calls
+    // and the current scheduler job; open connections are then cut
+    timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25 * 1000,
+  },
+  // Database check of the readiness probe
+  readinessDbTimeoutMs: parseInt(process.env.READINESS_DB_TIMEOUT_MS) || 2 * 1000,
+};
+
+module.exports = SERVER_CONFIG;
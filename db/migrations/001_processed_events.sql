@@ -0,0 +1,18 @@
+-- Durable idempotency records for inbound webhook events (e.g. Retell call_analyzed).
+-- One row per (event_type, event_id); rows are ignored once expires_at has passed
+-- and are purged periodically by the application.
+CREATE TABLE IF NOT EXISTS processed_events (
+  event_type VARCHAR(100) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing',
+  result JSONB,
+  replay_count INTEGER NOT NULL DEFAULT 0,
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (event_type, event_id),
+  CONSTRAINT processed_events_status_check CHECK (status IN ('processing', 'completed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_events_expires_at
+  ON processed_events (expires_at);
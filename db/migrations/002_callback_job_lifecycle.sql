@@ -0,0 +1,11 @@
+-- Job lifecycle for scheduled callbacks: attempt tracking, backoff and dead-lettering.
+-- Statuses: pending -> completed | dead_letter | cancelled ('failed' is kept for legacy rows).
+ALTER TABLE scheduled_callbacks
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS dial_started_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS retell_call_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_callbacks_status_next_attempt
+  ON scheduled_callbacks (status, next_attempt_at);
@@ -0,0 +1,10 @@
+-- Lease-based claiming of scheduled callbacks so multiple app replicas never
+-- process the same row. A claimed row moves to status 'processing' and is owned
+-- by locked_by until lease_expires_at; expired leases are recovered by any worker.
+ALTER TABLE scheduled_callbacks
+  ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_callbacks_lease
+  ON scheduled_callbacks (lease_expires_at)
+  WHERE status = 'processing';
@@ -0,0 +1,27 @@
+-- Routing table mapping inbound agent phone numbers and Retell agent IDs to a
+-- call purpose and the Retell configuration used for outbound callbacks.
+CREATE TABLE IF NOT EXISTS agent_routes (
+  id SERIAL PRIMARY KEY,
+  phone_number VARCHAR(20) UNIQUE,
+  agent_id VARCHAR(255) UNIQUE,
+  call_purpose VARCHAR(50) NOT NULL,
+  retell_agent_id VARCHAR(255),
+  retell_from_number VARCHAR(20),
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT agent_routes_purpose_check CHECK (call_purpose IN ('scheduling', 'intake')),
+  CONSTRAINT agent_routes_match_check CHECK (phone_number IS NOT NULL OR agent_id IS NOT NULL)
+);
+
+-- Seed the numbers that were previously hardcoded. Retell agent/from number
+-- fall back to the RETELL_* environment configuration for the purpose.
+INSERT INTO agent_routes (phone_number, call_purpose, description)
+VALUES
+  ('+16018846979', 'scheduling', 'Scheduling agent'),
+  ('+14088728200', 'intake', 'Intake agent')
+ON CONFLICT (phone_number) DO NOTHING;
+
+ALTER TABLE scheduled_callbacks
+  ADD COLUMN IF NOT EXISTS agent_route_id INTEGER REFERENCES agent_routes(id) ON DELETE SET NULL;
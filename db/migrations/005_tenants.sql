@@ -0,0 +1,31 @@
+-- Tenants (practices) with their own Redox credentials/endpoints and Retell agents.
+-- Rows without a tenant_id belong to the default tenant configured through the
+-- REDOX_* and RETELL_* environment variables.
+-- Note: Redox client secrets are stored here; restrict access to this table.
+CREATE TABLE IF NOT EXISTS tenants (
+  id SERIAL PRIMARY KEY,
+  slug VARCHAR(100) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  redox_base_url TEXT NOT NULL,
+  redox_login_url TEXT NOT NULL,
+  redox_client_id VARCHAR(255) NOT NULL,
+  redox_client_secret TEXT NOT NULL,
+  redox_source_app VARCHAR(255),
+  redox_source_endpoint VARCHAR(255),
+  retell_scheduling_agent_id VARCHAR(255),
+  retell_scheduling_from_number VARCHAR(20),
+  retell_intake_agent_id VARCHAR(255),
+  retell_intake_from_number VARCHAR(20),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE oauth_clients
+  ADD COLUMN IF NOT EXISTS tenant_id INTEGER REFERENCES tenants(id);
+
+ALTER TABLE agent_routes
+  ADD COLUMN IF NOT EXISTS tenant_id INTEGER REFERENCES tenants(id);
+
+ALTER TABLE scheduled_callbacks
+  ADD COLUMN IF NOT EXISTS tenant_id INTEGER REFERENCES tenants(id);
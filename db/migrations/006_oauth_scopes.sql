@@ -0,0 +1,8 @@
+-- Scopes granted to API clients and carried by the tokens issued to them.
+-- Protected API routes require a scope (see config/oauthScopes.js); existing
+-- clients start with none and must be granted scopes explicitly.
+ALTER TABLE oauth_clients
+  ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE oauth_tokens
+  ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,15 @@
+-- The Redox scheduling webhook now requires the webhook:scheduling scope.
+-- Grant it to the existing Redox webhook client and to its unexpired tokens so
+-- deliveries keep working without a new token.
+UPDATE oauth_clients
+SET scopes = array_append(scopes, 'webhook:scheduling')
+WHERE name = 'Redox Webhook Client'
+  AND NOT ('webhook:scheduling' = ANY(scopes));
+
+UPDATE oauth_tokens t
+SET scopes = array_append(t.scopes, 'webhook:scheduling')
+FROM oauth_clients c
+WHERE t.client_id = c.client_id
+  AND c.name = 'Redox Webhook Client'
+  AND t.expires_at > NOW()
+  AND NOT ('webhook:scheduling' = ANY(t.scopes));
@@ -0,0 +1,10 @@
+-- Revoked tokens are rejected immediately and purged by the maintenance job
+-- together with expired ones.
+ALTER TABLE oauth_tokens
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+
+ALTER TABLE oauth_tokens
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_oauth_tokens_expires_at
+  ON oauth_tokens (expires_at);
@@ -0,0 +1,23 @@
+-- Secret rotation with an overlap period: the replaced secret keeps working
+-- until previous_secret_expires_at.
+ALTER TABLE oauth_clients
+  ADD COLUMN IF NOT EXISTS previous_secret_hash VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS previous_secret_expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS secret_rotated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Append-only record of client lifecycle changes. No foreign key, so the
+-- trail survives deletion of the client.
+CREATE TABLE IF NOT EXISTS oauth_client_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  client_id VARCHAR(255) NOT NULL,
+  action VARCHAR(30) NOT NULL
+    CHECK (action IN ('created', 'updated', 'secret_rotated', 'deactivated', 'activated', 'deleted')),
+  actor VARCHAR(255) NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_client_audit_log_client
+  ON oauth_client_audit_log (client_id, created_at DESC);
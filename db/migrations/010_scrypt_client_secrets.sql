@@ -0,0 +1,7 @@
+-- Client secrets are now stored as versioned scrypt hashes
+-- (scrypt$v1$N=...,r=...,p=...$salt$key), which are longer than the legacy
+-- 64-character SHA-256 hex digests. Legacy hashes are upgraded on the next
+-- successful login.
+ALTER TABLE oauth_clients
+  ALTER COLUMN client_secret_hash TYPE TEXT,
+  ALTER COLUMN previous_secret_hash TYPE TEXT;
@@ -0,0 +1,23 @@
+-- JWT client assertions (private_key_jwt, RFC 7523).
+-- Clients using private_key_jwt authenticate with a JWT signed by a key in
+-- their registered JWKS and have no client secret.
+ALTER TABLE oauth_clients
+  ADD COLUMN IF NOT EXISTS token_endpoint_auth_method VARCHAR(30) NOT NULL DEFAULT 'client_secret_post'
+    CHECK (token_endpoint_auth_method IN ('client_secret_post', 'private_key_jwt')),
+  ADD COLUMN IF NOT EXISTS jwks JSONB;
+
+ALTER TABLE oauth_clients
+  ALTER COLUMN client_secret_hash DROP NOT NULL;
+
+-- Assertion IDs (jti) seen while the assertion was still valid; a second use
+-- of the same jti by the same client is rejected as a replay.
+CREATE TABLE IF NOT EXISTS oauth_client_assertion_jtis (
+  client_id VARCHAR(255) NOT NULL,
+  jti VARCHAR(255) NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (client_id, jti)
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_client_assertion_jtis_expires_at
+  ON oauth_client_assertion_jtis (expires_at);
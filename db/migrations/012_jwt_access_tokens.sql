@@ -0,0 +1,38 @@
+-- Signed JWT access tokens (OAUTH_ACCESS_TOKEN_FORMAT=jwt).
+-- Keys used to sign access tokens. The newest unretired key signs; retired
+-- keys stay published in the JWKS until tokens they signed have expired.
+-- private_key holds PKCS#8 PEM key material: access to this table must be
+-- restricted like access to client secrets.
+CREATE TABLE IF NOT EXISTS oauth_signing_keys (
+  kid VARCHAR(64) PRIMARY KEY,
+  algorithm VARCHAR(10) NOT NULL,
+  public_jwk JSONB NOT NULL,
+  private_key TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  retired_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_signing_keys_created_at
+  ON oauth_signing_keys (created_at DESC);
+
+-- Revoked JWT access tokens. JWTs are not stored, so revocation is recorded
+-- here and cached by every instance. An entry either names one token (jti)
+-- or denies all tokens issued to a client before issued_before (used when a
+-- client is deactivated or deleted). Entries are kept until every token they
+-- cover has expired.
+CREATE TABLE IF NOT EXISTS oauth_token_deny_list (
+  id SERIAL PRIMARY KEY,
+  client_id VARCHAR(255) NOT NULL,
+  jti VARCHAR(255),
+  issued_before TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (jti IS NOT NULL OR issued_before IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_oauth_token_deny_list_jti
+  ON oauth_token_deny_list (jti) WHERE jti IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_oauth_token_deny_list_expires_at
+  ON oauth_token_deny_list (expires_at);
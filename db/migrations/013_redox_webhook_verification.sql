@@ -0,0 +1,38 @@
+-- Redox webhook sources and their destination verification tokens.
+-- Redox sends the token configured on the destination in the
+-- verification-token header of every request, and in the body of the
+-- challenge handshake when the destination is set up. Only a SHA-256 hash of
+-- each (randomly generated) token is stored.
+-- Requests from a source are accepted only for the source's tenant. Sources
+-- that are not listed here fall back to REDOX_WEBHOOK_VERIFICATION_TOKEN for
+-- the default tenant.
+CREATE TABLE IF NOT EXISTS redox_webhook_sources (
+  id SERIAL PRIMARY KEY,
+  source_id VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  tenant_id INTEGER REFERENCES tenants(id),
+  verification_token_hash CHAR(64) NOT NULL UNIQUE,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Outcome of every Redox webhook verification, accepted or rejected
+CREATE TABLE IF NOT EXISTS redox_webhook_verification_log (
+  id BIGSERIAL PRIMARY KEY,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('handshake', 'event')),
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('verified', 'rejected')),
+  reason VARCHAR(255),
+  source_id VARCHAR(255),
+  oauth_client_id VARCHAR(255),
+  tenant_id INTEGER,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_redox_webhook_verification_log_created_at
+  ON redox_webhook_verification_log (created_at);
+
+CREATE INDEX IF NOT EXISTS idx_redox_webhook_verification_log_rejected
+  ON redox_webhook_verification_log (created_at)
+  WHERE outcome = 'rejected';
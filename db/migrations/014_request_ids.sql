@@ -0,0 +1,7 @@
+-- Request ID (X-Request-Id) of the API request that produced each audit row,
+-- to correlate audit entries with log lines and downstream calls
+ALTER TABLE oauth_client_audit_log
+  ADD COLUMN IF NOT EXISTS request_id VARCHAR(128);
+
+ALTER TABLE redox_webhook_verification_log
+  ADD COLUMN IF NOT EXISTS request_id VARCHAR(128);
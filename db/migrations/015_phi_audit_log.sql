@@ -0,0 +1,50 @@
+-- Append-only record of every access to patient data (PHI) in the EHR:
+-- who (actor), did what (action) to which FHIR resource, for which
+-- patients, and whether it succeeded.
+-- Rows form a hash chain: each row's hash covers its own fields and the
+-- previous row's hash, so changing, deleting or reordering rows is detected
+-- by services/phiAuditService verifyChain().
+CREATE TABLE IF NOT EXISTS phi_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  occurred_at TIMESTAMPTZ NOT NULL,
+  actor_type VARCHAR(20) NOT NULL
+    CHECK (actor_type IN ('oauth_client', 'retell_call', 'api_key', 'system')),
+  actor_id VARCHAR(255) NOT NULL,
+  actor_details JSONB NOT NULL DEFAULT '{}',
+  action VARCHAR(20) NOT NULL CHECK (action IN ('read', 'search', 'create', 'update')),
+  resource_type VARCHAR(64) NOT NULL,
+  resource_id VARCHAR(255),
+  patient_ids TEXT[] NOT NULL DEFAULT '{}',
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('success', 'failure')),
+  tenant_id INTEGER,
+  request_id VARCHAR(128),
+  details JSONB NOT NULL DEFAULT '{}',
+  prev_hash CHAR(64) NOT NULL,
+  hash CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_phi_audit_log_occurred_at
+  ON phi_audit_log (occurred_at);
+
+CREATE INDEX IF NOT EXISTS idx_phi_audit_log_patient_ids
+  ON phi_audit_log USING GIN (patient_ids);
+
+CREATE INDEX IF NOT EXISTS idx_phi_audit_log_actor
+  ON phi_audit_log (actor_type, actor_id, occurred_at);
+
+-- Reject any change to existing rows
+CREATE OR REPLACE FUNCTION phi_audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'phi_audit_log is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS phi_audit_log_no_update_delete ON phi_audit_log;
+CREATE TRIGGER phi_audit_log_no_update_delete
+  BEFORE UPDATE OR DELETE ON phi_audit_log
+  FOR EACH ROW EXECUTE PROCEDURE phi_audit_log_append_only();
+
+DROP TRIGGER IF EXISTS phi_audit_log_no_truncate ON phi_audit_log;
+CREATE TRIGGER phi_audit_log_no_truncate
+  BEFORE TRUNCATE ON phi_audit_log
+  FOR EACH STATEMENT EXECUTE PROCEDURE phi_audit_log_append_only();
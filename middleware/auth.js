@@ -1,42 +1,36 @@
 const AuthService = require('../services/authService');
+const tenantService = require('../services/tenantService');
+const oauthMiddleware = require('./oauthMiddleware');
 const logger = require('../utils/logger');
 
-const authService = new AuthService();
+/**
+ * API authentication for our own clients.
+ * Callers authenticate with an access token from /oauth/token; Redox
+ * credentials are never accepted from callers but resolved server-side from
+ * the client's tenant. Sets req.oauthClient, req.tenant and req.accessToken
+ * (the tenant's Redox token). Combine with requireScope for authorization.
+ */
+const authMiddleware = (req, res, next) => {
+  oauthMiddleware(req, res, async () => {
+    try {
+      const tenant = await tenantService.getById(req.oauthClient.tenantId ?? null);
 
-const authMiddleware = async (req, res, next) => {
-  try {
-    logger.debug('Processing authentication');
-    
-    const providedToken = req.body.access_token || req.headers.authorization?.replace('Bearer ', '');
-    
-    // Handle empty string token by generating a new one
-    const tokenToUse = (providedToken === '') ? null : providedToken;
-    
-    logger.debug('Token evaluation', {
-      hasProvidedToken: !!providedToken,
-      tokenLength: providedToken ? providedToken.length : 0,
-      willGenerateNew: tokenToUse === null
-    });
-    
-    const accessToken = await authService.getAccessToken(tokenToUse);
-    
-    req.accessToken = accessToken;
-    
-    // Remove access_token from body if it exists
-    if (req.body.access_token) {
-      delete req.body.access_token;
+      req.tenant = tenant;
+      req.accessToken = await AuthService.forTenant(tenant).getAccessToken();
+
+      next();
+    } catch (error) {
+      logger.error('Failed to resolve Redox credentials for client', {
+        error: error.message,
+        clientName: req.oauthClient.clientName,
+        tenantId: req.oauthClient.tenantId
+      });
+      res.status(502).json({
+        success: false,
+        error: 'Unable to authenticate with Redox'
+      });
     }
-    
-    logger.info('Authentication successful');
-    next();
-  } catch (error) {
-    logger.error('Authentication failed', { error: error.message });
-    res.status(401).json({
-      success: false,
-      error: 'Authentication failed',
-      message: error.message
-    });
-  }
+  });
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
@@ -1,17 +1,51 @@
 const logger = require("../utils/logger");
+const { ERROR_CODES, AppError, formatIssues } = require("../utils/errors");
 require("dotenv").config();
 
+// Error codes of errors that only carry an HTTP status (e.g. body-parser's)
+const STATUS_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+};
+
+/**
+ * Render errors passed to next() in one envelope:
+ * { success: false, error, code, issues?, requestId }.
+ * AppErrors (see utils/errors) bring their HTTP status and stable code;
+ * Redox errors also list the FHIR OperationOutcome issues. Other errors use
+ * their status, if any, or 500.
+ */
 const errorHandler = (error, req, res, next) => {
-  logger.error("Request error", {
+  const isAppError = error instanceof AppError;
+  const status = isAppError ? error.status : error.status || error.statusCode || 500;
+  const code = isAppError
+    ? error.code
+    : STATUS_CODES[status] || ERROR_CODES.INTERNAL_ERROR;
+  const issues = formatIssues(error);
+
+  (status >= 500 ? logger.error : logger.warn)("Request error", {
     path: req.path,
     method: req.method,
+    status,
+    code,
     error: error.message,
+    ...(isAppError && error.statusCode && { upstreamStatus: error.statusCode }),
     stack: error.stack,
   });
 
-  res.status(error.status || 500).json({
+  if (isAppError && error.retryable && error.retryAfterMs) {
+    res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+
+  res.status(status).json({
     success: false,
     error: error.message || "Internal Server Error",
+    code,
+    ...(issues.length && { issues }),
+    requestId: req.requestId,
     ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
   });
 };
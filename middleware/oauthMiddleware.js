@@ -1,8 +1,27 @@
 const OAuthService = require('../services/oauthService');
 const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
 
 const oauthService = new OAuthService();
 
+/**
+ * Send an RFC 6750 Bearer authentication error
+ * @param {object} res - Express response
+ * @param {string} error - Error code (omitted from the challenge when the request had no credentials)
+ * @param {string} description - Human-readable description
+ */
+function sendAuthError(res, error, description) {
+  const challenge = error === 'missing_token'
+    ? 'Bearer'
+    : `Bearer error="${error}", error_description="${description}"`;
+
+  res.set('WWW-Authenticate', challenge);
+  return res.status(401).json({
+    error,
+    error_description: description
+  });
+}
+
 /**
  * OAuth middleware for webhook authentication
  * Validates Bearer token in Authorization header
@@ -19,10 +38,7 @@ const oauthMiddleware = async (req, res, next) => {
         path: req.path,
         method: req.method
       });
-      return res.status(401).json({
-        error: 'missing_token',
-        error_description: 'Authorization header is required'
-      });
+      return sendAuthError(res, 'missing_token', 'Authorization header is required');
     }
     
     // Check for Bearer token format
@@ -32,10 +48,7 @@ const oauthMiddleware = async (req, res, next) => {
         method: req.method,
         headerPreview: authHeader.substring(0, 10) + '...'
       });
-      return res.status(401).json({
-        error: 'invalid_request',
-        error_description: 'Authorization header must use Bearer scheme'
-      });
+      return sendAuthError(res, 'invalid_request', 'Authorization header must use Bearer scheme');
     }
     
     // Extract token (remove 'Bearer ' prefix)
@@ -46,10 +59,7 @@ const oauthMiddleware = async (req, res, next) => {
         path: req.path,
         method: req.method
       });
-      return res.status(401).json({
-        error: 'invalid_token',
-        error_description: 'Token is required'
-      });
+      return sendAuthError(res, 'invalid_token', 'Token is required');
     }
     
     // Validate token
@@ -61,18 +71,25 @@ const oauthMiddleware = async (req, res, next) => {
         method: req.method,
         tokenPreview: token.substring(0, 8) + '...'
       });
-      return res.status(401).json({
-        error: 'invalid_token',
-        error_description: 'The access token is invalid or has expired'
-      });
+      return sendAuthError(res, 'invalid_token', 'The access token is invalid or has expired');
     }
     
     // Attach client info to request for logging/tracking
     req.oauthClient = {
       clientId: tokenInfo.client_id,
       clientName: tokenInfo.client_name,
+      tenantId: tokenInfo.tenant_id,
+      scopes: tokenInfo.scopes || [],
       tokenId: tokenInfo.id
     };
+
+    // The acting client of any PHI access made for this request
+    requestContext.set('actor', {
+      type: 'oauth_client',
+      id: tokenInfo.client_id,
+      details: { clientName: tokenInfo.client_name }
+    });
+    requestContext.set('tenantId', tokenInfo.tenant_id ?? null);
     
     logger.info('OAuth authentication successful', {
       path: req.path,
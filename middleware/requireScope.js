@@ -0,0 +1,38 @@
+const logger = require('../utils/logger');
+
+/**
+ * Require the authenticated OAuth client's token to carry at least one of the
+ * given scopes. Must run after authMiddleware or oauthMiddleware.
+ * Responds with an RFC 6750 insufficient_scope error otherwise.
+ * @param {...string} scopes - Accepted scopes (see config/oauthScopes)
+ * @returns {Function} Express middleware
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  const granted = req.oauthClient?.scopes || [];
+
+  if (scopes.some(scope => granted.includes(scope))) {
+    return next();
+  }
+
+  logger.warn('OAuth authorization failed: insufficient scope', {
+    path: req.path,
+    method: req.method,
+    clientName: req.oauthClient?.clientName,
+    requiredScopes: scopes,
+    grantedScopes: granted
+  });
+
+  const description = `This request requires scope: ${scopes.join(' or ')}`;
+
+  res.set(
+    'WWW-Authenticate',
+    `Bearer error="insufficient_scope", error_description="${description}", scope="${scopes.join(' ')}"`
+  );
+  res.status(403).json({
+    error: 'insufficient_scope',
+    error_description: description,
+    scope: scopes.join(' ')
+  });
+};
+
+module.exports = requireScope;
@@ -0,0 +1,115 @@
+const redoxVerification = require('../services/redoxWebhookVerificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Answer Redox's destination verification (challenge) request, sent when a
+ * destination is set up: a POST with `verification-token` and `challenge` in
+ * the body, or a GET with them as query parameters. The challenge is echoed
+ * back only if the token belongs to a registered source.
+ * Other requests are passed on.
+ */
+const handleVerificationRequest = async (req, res, next) => {
+  const params = req.method === 'GET' ? req.query : (req.body || {});
+
+  if (req.method !== 'GET' && (params.challenge === undefined || params.resourceType)) {
+    return next();
+  }
+
+  try {
+    const token = params['verification-token'] || req.get('verification-token');
+    const result = await redoxVerification.verifyHandshake(token);
+
+    redoxVerification.record({
+      kind: 'handshake',
+      verified: result.verified,
+      reason: result.reason,
+      sourceId: result.sourceId,
+      tenantId: result.tenantId,
+      ip: req.ip
+    });
+
+    if (!result.verified || typeof params.challenge !== 'string') {
+      logger.warn('Redox destination verification rejected', {
+        reason: result.reason || 'missing challenge',
+        ip: req.ip
+      });
+      return res.status(401).json({ error: 'Destination verification failed' });
+    }
+
+    logger.info('Redox destination verification succeeded', { sourceId: result.sourceId });
+    res.type('text/plain').send(params.challenge);
+  } catch (error) {
+    logger.error('Error verifying Redox destination', { error: error.message });
+    res.status(503).json({ error: 'Verification temporarily unavailable' });
+  }
+};
+
+/**
+ * Where a Redox event names its source: Meta.Source.ID, and for FHIR
+ * Bundles (where Meta is optional) the MessageHeader's source endpoint and
+ * name
+ * @param {object} body - Webhook payload
+ * @returns {string[]} - Candidate source IDs
+ */
+function getEventSourceIds(body) {
+  const messageHeader = (Array.isArray(body?.entry) ? body.entry : [])
+    .map(entry => entry?.resource)
+    .find(resource => resource?.resourceType === 'MessageHeader');
+
+  return [
+    body?.Meta?.Source?.ID,
+    messageHeader?.source?.endpoint,
+    messageHeader?.source?.name
+  ].filter(id => typeof id === 'string' && id !== '');
+}
+
+/**
+ * Check the verification-token header of a Redox webhook event against the
+ * token of its source (see getEventSourceIds), and that the source belongs
+ * to the authenticated OAuth client's tenant. Must run after oauthMiddleware.
+ */
+const verifyRedoxWebhook = async (req, res, next) => {
+  const sourceIds = getEventSourceIds(req.body);
+  let sourceId = sourceIds[0] || null;
+  const tenantId = req.oauthClient?.tenantId ?? null;
+
+  try {
+    const result = await redoxVerification.verifyEvent({
+      sourceIds,
+      token: req.get('verification-token'),
+      tenantId
+    });
+    sourceId = result.sourceId;
+
+    redoxVerification.record({
+      kind: 'event',
+      verified: result.verified,
+      reason: result.reason,
+      sourceId,
+      oauthClientId: req.oauthClient?.clientId,
+      tenantId,
+      ip: req.ip
+    });
+
+    if (!result.verified) {
+      logger.warn('Redox webhook rejected: verification failed', {
+        reason: result.reason,
+        sourceId,
+        clientId: req.oauthClient?.clientId ? req.oauthClient.clientId.substring(0, 8) + '...' : 'unknown',
+        path: req.path
+      });
+      return res.status(401).json({ error: 'Webhook verification failed' });
+    }
+
+    next();
+  } catch (error) {
+    // Fail closed
+    logger.error('Error verifying Redox webhook', { error: error.message, sourceId });
+    res.status(503).json({ error: 'Verification temporarily unavailable' });
+  }
+};
+
+module.exports = {
+  handleVerificationRequest,
+  verifyRedoxWebhook
+};
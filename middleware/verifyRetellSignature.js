@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const RETELL_CONFIG = require('../config/retell');
+const logger = require('../utils/logger');
+
+// x-retell-signature: "v=<timestamp ms>,d=<hex HMAC-SHA256(raw body + timestamp)>"
+const SIGNATURE_REGEX = /^v=(\d+),d=([0-9a-f]{64})$/i;
+
+if (RETELL_CONFIG.webhookSignature.bypass) {
+  logger.warn('!!! RETELL WEBHOOK SIGNATURE VERIFICATION IS DISABLED (RETELL_WEBHOOK_SIGNATURE_BYPASS) - anyone can call the Retell webhooks. Never run like this outside local development. !!!');
+} else if (RETELL_CONFIG.webhookSignature.bypassRequested) {
+  logger.error('RETELL_WEBHOOK_SIGNATURE_BYPASS is ignored because NODE_ENV is not "development"; Retell signatures are verified');
+}
+
+function rejectRequest(req, res, reason) {
+  logger.warn('Retell webhook rejected: invalid signature', {
+    reason,
+    path: req.path,
+    ip: req.ip
+  });
+  return res.status(401).json({
+    success: false,
+    error: 'Invalid or missing Retell signature'
+  });
+}
+
+/**
+ * Verify that a request was sent by Retell: the x-retell-signature header must
+ * be an HMAC of the raw request body and its timestamp, keyed with
+ * RETELL_API_KEY, and the timestamp must be recent.
+ * Requires req.rawBody, captured by the JSON body parser in app.js.
+ */
+const verifyRetellSignature = (req, res, next) => {
+  const { toleranceSeconds, bypass } = RETELL_CONFIG.webhookSignature;
+
+  if (bypass) {
+    logger.warn('!!! Retell signature NOT verified (RETELL_WEBHOOK_SIGNATURE_BYPASS) !!!', {
+      path: req.path,
+      ip: req.ip
+    });
+    return next();
+  }
+
+  if (!RETELL_CONFIG.apiKey) {
+    logger.error('Retell webhook rejected: RETELL_API_KEY is not configured', { path: req.path });
+    return res.status(500).json({
+      success: false,
+      error: 'Retell webhook verification is not configured'
+    });
+  }
+
+  const signature = req.get('x-retell-signature');
+  if (!signature) {
+    return rejectRequest(req, res, 'missing x-retell-signature header');
+  }
+
+  const match = SIGNATURE_REGEX.exec(signature);
+  if (!match) {
+    return rejectRequest(req, res, 'malformed x-retell-signature header');
+  }
+
+  const timestamp = match[1];
+  if (Math.abs(Date.now() - Number(timestamp)) > toleranceSeconds * 1000) {
+    return rejectRequest(req, res, 'timestamp outside tolerance');
+  }
+
+  const expected = crypto
+    .createHmac('sha256', RETELL_CONFIG.apiKey)
+    .update(req.rawBody || Buffer.alloc(0))
+    .update(timestamp)
+    .digest();
+
+  if (!crypto.timingSafeEqual(expected, Buffer.from(match[2], 'hex'))) {
+    return rejectRequest(req, res, 'signature mismatch');
+  }
+
+  next();
+};
+
+module.exports = verifyRetellSignature;
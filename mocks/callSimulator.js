@@ -0,0 +1,189 @@
+const axios = require("axios");
+const crypto = require("crypto");
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+/**
+ * Replays scripted Retell call lifecycles against our Retell webhooks
+ * (/webhook, /function-call and /call/update), signed with the Retell API
+ * key like Retell does, so inbound lookup, booking and post-call processing
+ * can be exercised end to end without Retell.
+ *
+ * A script is { name, call, steps }: call holds the initial Retell call
+ * fields (from_number, to_number, agent_id, ...) and each step is one of
+ *   { type: "inbound" }                      - call_inbound webhook; the
+ *       returned dynamic variables become the call's variables
+ *   { type: "say", role, content }           - transcript utterance
+ *   { type: "event", event }                 - call_started / call_ended update
+ *   { type: "function", name, args }         - function call; its result is
+ *       kept in context.results[name]
+ *   { type: "analyzed", analysis }           - call_analyzed update
+ * args and analysis may be functions of the context { call, variables,
+ * results }, to use what earlier steps returned. See
+ * mocks/fixtures/callScenarios for ready-made scripts.
+ */
+class CallSimulator {
+  /**
+   * @param {object} options - { targetURL, apiKey, retellServer }. targetURL
+   *   is where the Retell webhook routes are mounted, e.g.
+   *   http://127.0.0.1:3000/api/v1/retell. If retellServer (a
+   *   MockRetellServer) is given, simulated calls are saved to it.
+   */
+  constructor({ targetURL, apiKey = process.env.RETELL_API_KEY, retellServer = null }) {
+    this.targetURL = targetURL.replace(/\/$/, "");
+    this.apiKey = apiKey;
+    this.retellServer = retellServer;
+  }
+
+  /**
+   * Run a script
+   * @param {object} script - See above
+   * @param {object} options - { stopOnError }: stop at the first step
+   *   answered with an HTTP error (default true)
+   * @returns {Promise<object>} - { name, call, results, steps: [{ step, status, body }], ok }
+   */
+  async run(script, { stopOnError = true } = {}) {
+    const call = {
+      call_id: randomId("call"),
+      call_type: "phone_call",
+      direction: "inbound",
+      call_status: "registered",
+      retell_llm_dynamic_variables: {},
+      transcript: "",
+      transcript_object: [],
+      ...script.call,
+    };
+    const context = { call, variables: call.retell_llm_dynamic_variables, results: {} };
+    const steps = [];
+
+    this.saveCall(call);
+
+    for (const step of script.steps) {
+      const response = await this.runStep(step, context);
+      if (!response) {
+        continue;
+      }
+
+      steps.push({ step: step.type === "function" ? `function:${step.name}` : step.event || step.type, ...response });
+      if (response.status >= 400 && stopOnError) {
+        break;
+      }
+    }
+
+    return {
+      name: script.name,
+      call,
+      results: context.results,
+      steps,
+      ok: steps.every((step) => step.status < 400),
+    };
+  }
+
+  /**
+   * Run one step
+   * @private
+   * @returns {Promise<object|null>} - { status, body } of the webhook response,
+   *   or null for steps that send nothing
+   */
+  async runStep(step, context) {
+    const { call } = context;
+    const resolve = (value) => (typeof value === "function" ? value(context) : value);
+
+    switch (step.type) {
+      case "inbound": {
+        const response = await this.send("/webhook", {
+          event: "call_inbound",
+          call_inbound: {
+            agent_id: call.agent_id,
+            from_number: call.from_number,
+            to_number: call.to_number,
+          },
+        });
+        Object.assign(call.retell_llm_dynamic_variables, response.body?.call_inbound?.dynamic_variables);
+        return response;
+      }
+
+      case "say":
+        call.transcript += `${step.role === "agent" ? "Agent" : "User"}: ${step.content}\n`;
+        call.transcript_object.push({ role: step.role, content: step.content });
+        return null;
+
+      case "event":
+        if (step.event === "call_started") {
+          Object.assign(call, { call_status: "ongoing", start_timestamp: Date.now() });
+        } else if (step.event === "call_ended") {
+          Object.assign(call, {
+            call_status: "ended",
+            end_timestamp: Date.now(),
+            disconnection_reason: step.disconnectionReason || "user_hangup",
+          });
+        }
+        return this.send("/call/update", { event: step.event, call });
+
+      case "function": {
+        const response = await this.send("/function-call", { call, name: step.name, args: resolve(step.args) || {} });
+        context.results[step.name] = response.body?.result ?? response.body;
+        return response;
+      }
+
+      case "analyzed":
+        call.call_analysis = {
+          call_successful: true,
+          user_sentiment: "Positive",
+          in_voicemail: false,
+          ...resolve(step.analysis),
+        };
+        return this.send("/call/update", { event: "call_analyzed", call });
+
+      default:
+        throw new Error(`Unknown call simulator step: ${step.type}`);
+    }
+  }
+
+  /**
+   * POST a signed Retell request to one of our webhooks
+   * @param {string} path - Relative to targetURL, e.g. '/function-call'
+   * @param {object} payload
+   * @returns {Promise<object>} - { status, body }
+   */
+  async send(path, payload) {
+    const rawBody = JSON.stringify(payload);
+    const response = await axios.post(`${this.targetURL}${path}`, rawBody, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-retell-signature": this.sign(rawBody),
+      },
+      validateStatus: () => true,
+    });
+
+    this.saveCall(payload.call);
+    return { status: response.status, body: response.data };
+  }
+
+  /**
+   * x-retell-signature of a body (see middleware/verifyRetellSignature)
+   * @param {string} rawBody
+   * @param {number} timestamp - Milliseconds
+   * @returns {string}
+   */
+  sign(rawBody, timestamp = Date.now()) {
+    const digest = crypto
+      .createHmac("sha256", this.apiKey || "")
+      .update(rawBody)
+      .update(String(timestamp))
+      .digest("hex");
+    return `v=${timestamp},d=${digest}`;
+  }
+
+  /**
+   * Mirror the simulated call to the mock Retell server, if any
+   * @private
+   */
+  saveCall(call) {
+    if (call && this.retellServer) {
+      this.retellServer.saveCall(call);
+    }
+  }
+}
+
+module.exports = CallSimulator;
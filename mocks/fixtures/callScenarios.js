@@ -0,0 +1,126 @@
+// Call scripts for mocks/callSimulator, written against the mock Redox
+// fixtures (mocks/fixtures/redox): Jane Doe calls from +15555550101, and
+// +15555550199 is not a known patient.
+
+const { SCHEDULING_AGENT_ID } = require("./retell");
+
+const KNOWN_CALLER = "+15555550101";
+const UNKNOWN_CALLER = "+15555550199";
+
+/**
+ * Build the scenarios
+ * @param {object} options - { agentId, agentNumber, now }: the agent and
+ *   number being called, which must route to a tenant (see
+ *   agentRoutingService), and the reference time
+ * @returns {object} - Scripts by name
+ */
+function createCallScenarios({
+  agentId = SCHEDULING_AGENT_ID,
+  agentNumber = "+15555550100",
+  now = new Date(),
+} = {}) {
+  const call = (fromNumber) => ({ agent_id: agentId, from_number: fromNumber, to_number: agentNumber });
+  const tomorrowAt3pm = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1, 15),
+  ).toISOString();
+
+  return {
+    // Known patient: inbound lookup, availability check, booking of the
+    // first free slot and intake notes stored as a DocumentReference
+    "inbound-booking": {
+      name: "inbound-booking",
+      call: call(KNOWN_CALLER),
+      steps: [
+        { type: "inbound" },
+        { type: "event", event: "call_started" },
+        { type: "say", role: "agent", content: "Hi Jane, how can I help you today?" },
+        { type: "say", role: "user", content: "I'd like to book a consultation about my headaches." },
+        {
+          type: "function",
+          name: "check_availability",
+          args: { location: "Plantation", serviceType: "Consultation", startTime: now.toISOString() },
+        },
+        {
+          type: "function",
+          name: "book_appointment",
+          args: ({ variables, results }) => ({
+            patientId: variables.patient_id,
+            slotId: results.check_availability[0]?.slotId,
+            appointmentType: "Consultation",
+            startTime: results.check_availability[0]?.startTime,
+            endTime: results.check_availability[0]?.endTime,
+            status: "booked",
+          }),
+        },
+        { type: "event", event: "call_ended" },
+        {
+          type: "analyzed",
+          analysis: {
+            call_summary: "The patient booked a consultation about recurring headaches.",
+            custom_analysis_data: {
+              patient_intake_details: "Reason for visit: recurring headaches for two weeks.",
+            },
+          },
+        },
+      ],
+    },
+
+    // Unknown caller: registers as a new patient, who is then found by date
+    // of birth and name
+    "new-patient": {
+      name: "new-patient",
+      call: call(UNKNOWN_CALLER),
+      steps: [
+        { type: "inbound" },
+        { type: "event", event: "call_started" },
+        { type: "say", role: "user", content: "Hi, I'm a new patient." },
+        {
+          type: "function",
+          name: "create_patient",
+          args: {
+            first_name: "Alex",
+            last_name: "Rivera",
+            phone: UNKNOWN_CALLER,
+            dob: "1995-02-14",
+            address: "9 Pine Rd",
+            city: "Plantation",
+            state: "FL",
+            zip_code: "33324",
+          },
+        },
+        {
+          type: "function",
+          name: "find_patient",
+          args: { birth_date: "1995-02-14", given: "Alex", family: "Rivera" },
+        },
+        { type: "event", event: "call_ended" },
+        { type: "analyzed", analysis: { call_summary: "A new patient registered." } },
+      ],
+    },
+
+    // Known patient asks to be called back tomorrow at 15:00 UTC, which
+    // schedules a callback (see services/callbackScheduler)
+    "callback-request": {
+      name: "callback-request",
+      call: call(KNOWN_CALLER),
+      steps: [
+        { type: "inbound" },
+        { type: "event", event: "call_started" },
+        { type: "say", role: "user", content: "Can someone call me back tomorrow afternoon?" },
+        { type: "event", event: "call_ended" },
+        {
+          type: "analyzed",
+          analysis: {
+            call_summary: "The patient asked for a callback tomorrow afternoon.",
+            custom_analysis_data: {
+              is_transfer_attempted: false,
+              scheduled_callback_time: tomorrowAt3pm,
+            },
+          },
+        },
+      ],
+    },
+  };
+}
+
+module.exports = createCallScenarios;
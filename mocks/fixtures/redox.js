@@ -0,0 +1,213 @@
+// Seed data of the mock Redox server (mocks/redoxServer). Slot and
+// appointment times are relative to `now`, so searches for upcoming slots
+// always find some.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The next `count` weekdays after `now`, at midnight UTC
+function nextWeekdays(now, count) {
+  const days = [];
+  let day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  while (days.length < count) {
+    day = new Date(day.getTime() + DAY_MS);
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) {
+      days.push(day);
+    }
+  }
+  return days;
+}
+
+const at = (day, hour, minute = 0) =>
+  new Date(day.getTime() + (hour * 60 + minute) * 60 * 1000).toISOString();
+
+const insurance = (name, memberId) => ({
+  identifier: {
+    system: "urn:redox:flow-ai:insurance",
+    use: "secondary",
+    value: memberId,
+    type: {
+      coding: [
+        {
+          system: "http://terminology.hl7.org/CodeSystem/v2-0203",
+          code: "MB",
+          display: "Member Number",
+        },
+      ],
+    },
+  },
+  contact: {
+    name: { text: name },
+    relationship: [
+      {
+        coding: [
+          {
+            code: "I",
+            display: "Insurance Company",
+            system: "http://terminology.hl7.org/CodeSystem/v2-0131",
+          },
+        ],
+        text: "Insurance Provider",
+      },
+    ],
+  },
+});
+
+function patient({ id, mrn, given, family, birthDate, gender, phone, email, line, city, state, postalCode, coverage }) {
+  const cover = coverage && insurance(coverage.name, coverage.memberId);
+
+  return {
+    resourceType: "Patient",
+    id,
+    identifier: [
+      { system: "urn:redox:flow-ai:MR", use: "official", value: mrn },
+      ...(cover ? [cover.identifier] : []),
+    ],
+    name: [{ use: "official", family, given: [given] }],
+    gender,
+    birthDate,
+    telecom: [
+      { system: "phone", use: "home", value: phone },
+      ...(email ? [{ system: "email", value: email }] : []),
+    ],
+    address: [{ use: "home", line: [line], city, state, postalCode, country: "US" }],
+    ...(cover && { contact: [cover.contact] }),
+  };
+}
+
+/**
+ * Build the seed data
+ * @param {Date} now - Reference time for slots and appointments
+ * @returns {object} - { patients, slots, appointments, documentReferences }
+ */
+function createRedoxFixtures(now = new Date()) {
+  const days = nextWeekdays(now, 5);
+
+  const patients = [
+    patient({
+      id: "8f2a6c1e-3b4d-4e5f-9a01-1c2d3e4f5a6b",
+      mrn: "MR-100001",
+      given: "Jane",
+      family: "Doe",
+      birthDate: "1985-04-12",
+      gender: "female",
+      phone: "+15555550101",
+      email: "jane.doe@example.com",
+      line: "100 Main St",
+      city: "Plantation",
+      state: "FL",
+      postalCode: "33324",
+      coverage: { name: "Aetna", memberId: "AET-123456" },
+    }),
+    patient({
+      id: "1b7e9d3c-5a2f-4c6e-8b0d-2e3f4a5b6c7d",
+      mrn: "MR-100002",
+      given: "John",
+      family: "Smith",
+      birthDate: "1972-11-03",
+      gender: "male",
+      phone: "+15555550102",
+      line: "22 Oak Ave",
+      city: "Fort Lauderdale",
+      state: "FL",
+      postalCode: "33301",
+      coverage: { name: "Blue Cross", memberId: "BCB-987654" },
+    }),
+    patient({
+      id: "c4d5e6f7-0a1b-4c2d-9e3f-4a5b6c7d8e9f",
+      mrn: "MR-100003",
+      given: "Maria",
+      family: "Garcia",
+      birthDate: "1990-07-25",
+      gender: "female",
+      phone: "+15555550103",
+      email: "maria.garcia@example.com",
+      line: "7 Palm Ct",
+      city: "Plantation",
+      state: "FL",
+      postalCode: "33324",
+    }),
+  ];
+
+  const slots = days.flatMap((day, dayIndex) =>
+    [9, 10, 11, 14, 15].map((hour, hourIndex) => ({
+      resourceType: "Slot",
+      id: `slot-${dayIndex + 1}-${hour}`,
+      schedule: { reference: "Schedule/plantation-clinic", display: "Plantation Clinic" },
+      serviceType: [{ text: hourIndex % 2 === 0 ? "Consultation" : "Follow-up" }],
+      status: hourIndex === 1 && dayIndex === 0 ? "busy" : "free",
+      start: at(day, hour),
+      end: at(day, hour, 30),
+    })),
+  );
+
+  const appointments = [
+    {
+      resourceType: "Appointment",
+      id: "appt-0001",
+      status: "booked",
+      appointmentType: {
+        coding: [
+          {
+            system: "http://terminology.hl7.org/CodeSystem/v2-0276",
+            code: "FOLLOWUP",
+            display: "A follow up visit from a previous appointment",
+          },
+        ],
+      },
+      description: "Follow-up appointment to discuss MRI brain results",
+      start: at(days[0], 10),
+      end: at(days[0], 10, 30),
+      minutesDuration: 30,
+      participant: [
+        {
+          actor: { reference: `Patient/${patients[0].id}`, display: "Jane Doe" },
+          required: "required",
+          status: "accepted",
+        },
+      ],
+      meta: { lastUpdated: new Date(now.getTime() - 7 * DAY_MS).toISOString() },
+    },
+  ];
+
+  const documentReferences = [
+    {
+      resourceType: "DocumentReference",
+      id: "doc-0001",
+      status: "current",
+      type: {
+        coding: [{ system: "http://loinc.org", code: "34117-2", display: "History and physical note" }],
+        text: "History and Physical",
+      },
+      category: [
+        {
+          coding: [
+            {
+              system: "http://hl7.org/fhir/us/core/CodeSystem/us-core-documentreference-category",
+              code: "clinical-note",
+              display: "Clinical Note",
+            },
+          ],
+          text: "Clinical Note",
+        },
+      ],
+      subject: { reference: `Patient/${patients[0].id}`, display: "Jane Doe" },
+      date: new Date(now.getTime() - 30 * DAY_MS).toISOString(),
+      author: [{ display: "Flow AI System" }],
+      description: "Patient intake information collected during call",
+      content: [
+        {
+          attachment: {
+            contentType: "text/plain",
+            data: Buffer.from("Reason for visit: recurring headaches.").toString("base64"),
+            title: "Patient Intake Details",
+          },
+        },
+      ],
+    },
+  ];
+
+  return { patients, slots, appointments, documentReferences };
+}
+
+module.exports = createRedoxFixtures;
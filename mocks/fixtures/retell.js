@@ -0,0 +1,103 @@
+// Seed data of the mock Retell server (mocks/retellServer): a scheduling and
+// an intake agent, each answering with its own conversation flow, plus a
+// knowledge base and voices.
+
+const SCHEDULING_AGENT_ID = "agent_mock_scheduling";
+const INTAKE_AGENT_ID = "agent_mock_intake";
+
+const conversationFlow = (id, globalPrompt, knowledgeBaseIds) => ({
+  conversation_flow_id: id,
+  version: 0,
+  global_prompt: globalPrompt,
+  model_choice: { type: "cascading", model: "gpt-4o" },
+  knowledge_base_ids: knowledgeBaseIds,
+  start_speaker: "agent",
+  nodes: [
+    {
+      id: "start",
+      type: "conversation",
+      instruction: { type: "prompt", text: "Greet the caller and ask how you can help." },
+    },
+  ],
+});
+
+const agent = (id, name, conversationFlowId) => ({
+  agent_id: id,
+  agent_name: name,
+  version: 0,
+  is_published: true,
+  response_engine: { type: "conversation-flow", conversation_flow_id: conversationFlowId, version: 0 },
+  voice_id: "11labs-Adrian",
+  language: "en-US",
+  webhook_url: null,
+  last_modification_timestamp: Date.UTC(2025, 0, 1),
+});
+
+/**
+ * Build the seed data
+ * @returns {object} - { agents, conversationFlows, knowledgeBases, voices }
+ */
+function createRetellFixtures() {
+  const knowledgeBases = [
+    {
+      knowledge_base_id: "knowledge_base_mock_clinic",
+      knowledge_base_name: "Plantation Clinic FAQ",
+      status: "complete",
+      knowledge_base_sources: [
+        {
+          type: "text",
+          source_id: "source_mock_hours",
+          title: "Opening hours",
+          content_url: "https://example.com/kb/opening-hours.txt",
+        },
+      ],
+      enable_auto_refresh: false,
+      last_refreshed_timestamp: Date.UTC(2025, 0, 1),
+    },
+  ];
+
+  const conversationFlows = [
+    conversationFlow(
+      "conversation_flow_mock_scheduling",
+      "You schedule appointments for Plantation Clinic.",
+      [knowledgeBases[0].knowledge_base_id],
+    ),
+    conversationFlow(
+      "conversation_flow_mock_intake",
+      "You collect patient intake details for Plantation Clinic.",
+      [],
+    ),
+  ];
+
+  const agents = [
+    agent(SCHEDULING_AGENT_ID, "Mock Scheduling Agent", conversationFlows[0].conversation_flow_id),
+    agent(INTAKE_AGENT_ID, "Mock Intake Agent", conversationFlows[1].conversation_flow_id),
+  ];
+
+  const voices = [
+    {
+      voice_id: "11labs-Adrian",
+      voice_name: "Adrian",
+      provider: "elevenlabs",
+      gender: "male",
+      accent: "American",
+      age: "Young",
+      preview_audio_url: "https://example.com/voices/adrian.mp3",
+    },
+    {
+      voice_id: "openai-Alloy",
+      voice_name: "Alloy",
+      provider: "openai",
+      gender: "female",
+      accent: "American",
+      age: "Young",
+      preview_audio_url: "https://example.com/voices/alloy.mp3",
+    },
+  ];
+
+  return { agents, conversationFlows, knowledgeBases, voices };
+}
+
+module.exports = createRetellFixtures;
+module.exports.SCHEDULING_AGENT_ID = SCHEDULING_AGENT_ID;
+module.exports.INTAKE_AGENT_ID = INTAKE_AGENT_ID;
@@ -0,0 +1,459 @@
+const express = require("express");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const createRedoxFixtures = require("./fixtures/redox");
+
+const FHIR_PATH = "/fhir";
+const TOKEN_LIFETIME_SECONDS = 60 * 60;
+
+// Resource type -> collection of the store
+const COLLECTIONS = {
+  Patient: "patients",
+  Slot: "slots",
+  Appointment: "appointments",
+  DocumentReference: "documentReferences",
+};
+
+const operationOutcome = (code, diagnostics) => ({
+  resourceType: "OperationOutcome",
+  issue: [{ severity: "error", code, diagnostics }],
+});
+
+const lower = (value) => String(value ?? "").toLowerCase();
+const digits = (value) => String(value ?? "").replace(/\D/g, "").slice(-10);
+const patientIdOf = (reference) => String(reference ?? "").replace(/^Patient\//, "");
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// FHIR date search values: "2025-01-01", "ge2025-01-01", and the
+// "ge<date>&date=le<date>" form built by RedoxTransformer
+function parseDateParam(value) {
+  return [value]
+    .flat()
+    .flatMap((item) => String(item).split("&date="))
+    .filter(Boolean)
+    .map((item) => {
+      const match = item.match(/^(eq|ne|gt|lt|ge|le)?(.+)$/);
+      return { prefix: match[1] || "eq", time: new Date(match[2]).getTime() };
+    });
+}
+
+function matchesDate(value, param, defaultPrefix) {
+  const time = new Date(value).getTime();
+
+  return parseDateParam(param).every(({ prefix, time: bound }) => {
+    switch (prefix === "eq" && defaultPrefix ? defaultPrefix : prefix) {
+      case "gt": return time > bound;
+      case "lt": return time < bound;
+      case "ge": return time >= bound;
+      case "le": return time <= bound;
+      case "ne": return time !== bound;
+      default: return new Date(value).toISOString().slice(0, 10) === new Date(bound).toISOString().slice(0, 10);
+    }
+  });
+}
+
+// Search parameter filters per resource type; unknown parameters are ignored
+const SEARCH_FILTERS = {
+  Patient: {
+    _id: (patient, value) => patient.id === value,
+    identifier: (patient, value) =>
+      patient.identifier?.some((identifier) =>
+        [identifier.value, `${identifier.system}|${identifier.value}`].includes(value),
+      ),
+    phone: (patient, value) =>
+      patient.telecom?.some((contact) => contact.system === "phone" && digits(contact.value) === digits(value)),
+    birthdate: (patient, value) => patient.birthDate === value,
+    "address-postalcode": (patient, value) =>
+      patient.address?.some((address) => address.postalCode === value),
+    given: (patient, value) =>
+      patient.name?.some((name) => name.given?.some((given) => lower(given).startsWith(lower(value)))),
+    family: (patient, value) =>
+      patient.name?.some((name) => lower(name.family).startsWith(lower(value))),
+  },
+  Slot: {
+    start: (slot, value) => matchesDate(slot.start, value, "ge"),
+    "service-type": (slot, value) => {
+      let text = value;
+      try {
+        text = JSON.parse(value).text ?? value;
+      } catch (error) {
+        // Plain text
+      }
+      return slot.serviceType?.some((type) => lower(type.text) === lower(text));
+    },
+    "location.name": (slot, value) => lower(slot.schedule?.display).includes(lower(value)),
+    status: (slot, value) => slot.status === value,
+  },
+  Appointment: {
+    patient: (appointment, value) =>
+      appointment.participant?.some((p) => patientIdOf(p.actor?.reference) === patientIdOf(value)),
+    status: (appointment, value) => appointment.status === value,
+    date: (appointment, value) => matchesDate(appointment.start, value),
+  },
+  DocumentReference: {
+    patient: (document, value) => patientIdOf(document.subject?.reference) === patientIdOf(value),
+    category: (document, value) =>
+      document.category?.some(
+        (category) =>
+          lower(category.text) === lower(value) ||
+          category.coding?.some((coding) => lower(coding.code) === lower(value)),
+      ),
+    date: (document, value) => matchesDate(document.date, value),
+  },
+};
+
+/**
+ * In-process stand-in for the Redox FHIR API and its login endpoint, backed
+ * by seeded in-memory fixtures (mocks/fixtures/redox), for offline
+ * development and integration tests. Point REDOX_BASE_URL and
+ * REDOX_LOGIN_URL (or a tenant's Redox URLs) at it.
+ *
+ * Implements /auth/authenticate and, under /fhir: Patient search, read,
+ * $patient-create and $patient-update; Slot search; Appointment search,
+ * $appointment-create and $appointment-update; DocumentReference search and
+ * $documentreference-create. Writes change the in-memory data until reset().
+ */
+class MockRedoxServer {
+  /**
+   * @param {object} options - { clientId, clientSecret, fixtures }. Without
+   *   clientId any credentials are accepted; fixtures defaults to
+   *   createRedoxFixtures(new Date()).
+   */
+  constructor({ clientId = null, clientSecret = null, fixtures = null } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.fixtures = fixtures;
+    this.server = null;
+    this.app = this.createApp();
+    this.reset();
+  }
+
+  /**
+   * Restore the seed data and forget issued tokens, recorded requests and
+   * injected failures
+   */
+  reset() {
+    const fixtures = this.fixtures || createRedoxFixtures(new Date());
+    this.store = Object.fromEntries(
+      Object.values(COLLECTIONS).map((collection) => [collection, clone(fixtures[collection] || [])]),
+    );
+    this.tokens = new Map();
+    this.requests = [];
+    this.failures = [];
+  }
+
+  /**
+   * Answer the next matching request(s) with an error instead, e.g. to test
+   * retries, timeouts and the circuit breaker
+   * @param {object} failure - { method, path, status, body, headers, delayMs, times }.
+   *   path is relative to /fhir (e.g. '/Patient/_search'), or '/auth/authenticate'.
+   */
+  injectFailure({ method = "POST", path, status = 503, body, headers = {}, delayMs = 0, times = 1 }) {
+    this.failures.push({
+      method: method.toUpperCase(),
+      path,
+      status,
+      body: body || operationOutcome("transient", `Injected ${status} failure`),
+      headers,
+      delayMs,
+      remaining: times,
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - 0 for a random free port
+   * @param {string} host
+   * @returns {Promise<object>} - { baseURL, loginURL }
+   */
+  start(port = 0, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, () => {
+        const origin = `http://${host}:${this.server.address().port}`;
+        this.baseURL = `${origin}${FHIR_PATH}`;
+        this.loginURL = `${origin}/auth/authenticate`;
+        resolve({ baseURL: this.baseURL, loginURL: this.loginURL });
+      });
+      this.server.once("error", reject);
+    });
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+
+  /**
+   * Redox configuration for this server, in the shape of config/redox and
+   * tenant Redox settings
+   * @returns {object}
+   */
+  redoxConfig() {
+    return {
+      baseURL: this.baseURL,
+      loginURL: this.loginURL,
+      clientId: this.clientId || "mock-client",
+      clientSecret: this.clientSecret || "mock-secret",
+      sourceApp: "Flow AI App",
+      sourceEndpoint: "urn:uuid:84a33958-51a4-48fd-bd92-3b83ccad2972",
+    };
+  }
+
+  /**
+   * Build the Express app
+   * @private
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json({ type: ["application/json", "application/fhir+json"], limit: "10mb" }));
+    app.use(express.urlencoded({ extended: false }));
+
+    app.use((req, res, next) => {
+      this.requests.push({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body,
+        requestId: req.get("X-Request-Id") || null,
+      });
+      this.applyInjectedFailure(req, res, next);
+    });
+
+    app.post("/auth/authenticate", (req, res) => this.authenticate(req, res));
+
+    const fhir = express.Router();
+    fhir.use((req, res, next) => this.requireToken(req, res, next));
+    fhir.get("/:type", (req, res) => this.search(req, res, req.query));
+    fhir.post("/:type/_search", (req, res) => this.search(req, res, { ...req.query, ...req.body }));
+    fhir.get("/:type/:id", (req, res) => this.read(req, res));
+    fhir.post("/:type/:operation", (req, res) => this.operation(req, res));
+    app.use(FHIR_PATH, fhir);
+
+    app.use((req, res) => {
+      res.status(404).json(operationOutcome("not-supported", `${req.method} ${req.path} is not supported`));
+    });
+
+    return app;
+  }
+
+  /**
+   * Answer with an injected failure if one matches the request
+   * @private
+   */
+  applyInjectedFailure(req, res, next) {
+    const path = req.path.startsWith(FHIR_PATH) ? req.path.slice(FHIR_PATH.length) : req.path;
+    const failure = this.failures.find(
+      (candidate) => candidate.remaining > 0 && candidate.method === req.method && candidate.path === path,
+    );
+
+    if (!failure) {
+      return next();
+    }
+
+    failure.remaining--;
+    setTimeout(() => {
+      if (!res.headersSent) {
+        res.status(failure.status).set(failure.headers).json(failure.body);
+      }
+    }, failure.delayMs);
+  }
+
+  /**
+   * POST /auth/authenticate: { apiKey, secret } -> { accessToken, expires }
+   * @private
+   */
+  authenticate(req, res) {
+    const { apiKey, secret } = req.body || {};
+
+    if (!apiKey || !secret || (this.clientId && (apiKey !== this.clientId || secret !== this.clientSecret))) {
+      return res.status(401).json({ message: "Invalid API key or secret" });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString("hex");
+    const expires = new Date(Date.now() + TOKEN_LIFETIME_SECONDS * 1000);
+    this.tokens.set(accessToken, expires.getTime());
+
+    res.json({ accessToken, expires: expires.toISOString() });
+  }
+
+  /**
+   * Accept only unexpired tokens issued by authenticate
+   * @private
+   */
+  requireToken(req, res, next) {
+    const token = (req.get("Authorization") || "").replace(/^Bearer /, "");
+    const expiresAt = this.tokens.get(token);
+
+    if (!expiresAt || expiresAt <= Date.now()) {
+      return res.status(401).json(operationOutcome("login", "Invalid or expired access token"));
+    }
+    next();
+  }
+
+  /**
+   * Search a resource type; all given (known) parameters must match
+   * @private
+   */
+  search(req, res, params) {
+    const { type } = req.params;
+    const filters = SEARCH_FILTERS[type];
+
+    if (!filters) {
+      return res.status(404).json(operationOutcome("not-supported", `Search of ${type} is not supported`));
+    }
+
+    const resources = this.store[COLLECTIONS[type]].filter((resource) =>
+      Object.entries(params).every(([name, value]) => !filters[name] || filters[name](resource, value)),
+    );
+
+    res.json({
+      resourceType: "Bundle",
+      id: uuidv4(),
+      type: "searchset",
+      total: resources.length,
+      entry: resources.map((resource) => ({
+        fullUrl: `${this.baseURL}/${type}/${resource.id}`,
+        resource,
+        search: { mode: "match" },
+      })),
+    });
+  }
+
+  /**
+   * Read a resource by ID
+   * @private
+   */
+  read(req, res) {
+    const { type, id } = req.params;
+    const resource = this.find(type, id);
+
+    if (!resource) {
+      return res.status(404).json(operationOutcome("not-found", `${type}/${id} not found`));
+    }
+    res.json(resource);
+  }
+
+  /**
+   * $<type>-create and $<type>-update message operations
+   * @private
+   */
+  operation(req, res) {
+    const { type, operation } = req.params;
+    const [, action] = operation.match(/^\$[a-z]+-(create|update)$/) || [];
+
+    if (!COLLECTIONS[type] || type === "Slot" || !action || operation !== `$${type.toLowerCase()}-${action}`) {
+      return res.status(404).json(operationOutcome("not-supported", `${type}/${operation} is not supported`));
+    }
+
+    const bundle = req.body;
+    const hasHeader = bundle?.entry?.some((entry) => entry.resource?.resourceType === "MessageHeader");
+    const resource = bundle?.entry?.find((entry) => entry.resource?.resourceType === type)?.resource;
+
+    if (bundle?.resourceType !== "Bundle" || !hasHeader || !resource) {
+      return res
+        .status(400)
+        .json(operationOutcome("structure", `Expected a message Bundle with a MessageHeader and a ${type}`));
+    }
+
+    const problem = this.validate(type, resource);
+    if (problem) {
+      return res.status(422).json(operationOutcome("invalid", problem));
+    }
+
+    let stored;
+    if (action === "create") {
+      stored = { ...clone(resource), id: uuidv4(), meta: { lastUpdated: new Date().toISOString() } };
+      this.store[COLLECTIONS[type]].push(stored);
+    } else {
+      const existing = resource.id && this.find(type, resource.id);
+      if (!existing) {
+        return res.status(404).json(operationOutcome("not-found", `${type}/${resource.id} not found`));
+      }
+      stored = Object.assign(existing, clone(resource), { meta: { lastUpdated: new Date().toISOString() } });
+    }
+
+    if (type === "Appointment") {
+      this.bookSlot(stored);
+    }
+
+    res.status(action === "create" ? 201 : 200).json({
+      resourceType: "Bundle",
+      id: uuidv4(),
+      type: "message",
+      entry: [
+        {
+          response: {
+            status: action === "create" ? "201 Created" : "200 OK",
+            location: `${this.baseURL}/${type}/${stored.id}/_history/1`,
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Check references of a created or updated resource
+   * @private
+   * @returns {string|null} - Problem description, or null if valid
+   */
+  validate(type, resource) {
+    const patientReference =
+      type === "Appointment"
+        ? resource.participant?.find((p) => p.actor?.reference?.startsWith("Patient/"))?.actor.reference
+        : type === "DocumentReference"
+          ? resource.subject?.reference
+          : null;
+
+    if (type === "Appointment" || type === "DocumentReference") {
+      if (!patientReference) {
+        return `${type} must reference a Patient`;
+      }
+      if (!this.find("Patient", patientIdOf(patientReference))) {
+        return `${patientReference} not found`;
+      }
+    }
+    if (type === "DocumentReference" && !resource.content?.[0]?.attachment?.data) {
+      return "DocumentReference.content[0].attachment.data is required";
+    }
+    return null;
+  }
+
+  /**
+   * Mark the free slot starting at a booked appointment's start as busy
+   * @private
+   */
+  bookSlot(appointment) {
+    if (appointment.status !== "booked" || !appointment.start) {
+      return;
+    }
+    const start = new Date(appointment.start).getTime();
+    const slot = this.store.slots.find(
+      (candidate) => candidate.status === "free" && new Date(candidate.start).getTime() === start,
+    );
+    if (slot) {
+      slot.status = "busy";
+    }
+  }
+
+  /**
+   * Find a stored resource by type and ID
+   * @param {string} type - FHIR resource type
+   * @param {string} id
+   * @returns {object|undefined}
+   */
+  find(type, id) {
+    return this.store[COLLECTIONS[type]]?.find((resource) => resource.id === id);
+  }
+}
+
+module.exports = MockRedoxServer;
@@ -0,0 +1,335 @@
+const express = require("express");
+const crypto = require("crypto");
+const createRetellFixtures = require("./fixtures/retell");
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+/**
+ * In-process stand-in for the Retell API, backed by seeded in-memory
+ * fixtures (mocks/fixtures/retell), for offline development and tests of
+ * call flows. Point RETELL_BASE_URL at it; both RetellService and the
+ * retell-sdk client of RetellAgentService then use it.
+ *
+ * Implements the calls API (v2 create-phone-call, get-call, end-call,
+ * create-web-call) and the agent, conversation-flow, voice and
+ * knowledge-base endpoints. Created calls are kept in memory until reset(),
+ * so tests can assert on what was dialed.
+ */
+class MockRetellServer {
+  /**
+   * @param {object} options - { apiKey, fixtures }. Without apiKey any
+   *   bearer token is accepted; fixtures defaults to createRetellFixtures().
+   */
+  constructor({ apiKey = null, fixtures = null } = {}) {
+    this.apiKey = apiKey;
+    this.fixtures = fixtures;
+    this.server = null;
+    this.app = this.createApp();
+    this.reset();
+  }
+
+  /**
+   * Restore the seed data and forget calls, recorded requests and injected
+   * failures
+   */
+  reset() {
+    const fixtures = clone(this.fixtures || createRetellFixtures());
+    this.store = {
+      agents: fixtures.agents || [],
+      conversationFlows: fixtures.conversationFlows || [],
+      knowledgeBases: fixtures.knowledgeBases || [],
+      voices: fixtures.voices || [],
+      calls: new Map(),
+    };
+    this.requests = [];
+    this.failures = [];
+  }
+
+  /**
+   * Answer the next matching request(s) with an error instead
+   * @param {object} failure - { method, path, status, body, headers, delayMs, times };
+   *   path as sent by the client, e.g. '/v2/create-phone-call'
+   */
+  injectFailure({ method = "POST", path, status = 500, body, headers = {}, delayMs = 0, times = 1 }) {
+    this.failures.push({
+      method: method.toUpperCase(),
+      path,
+      status,
+      body: body || { message: `Injected ${status} failure` },
+      headers,
+      delayMs,
+      remaining: times,
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - 0 for a random free port
+   * @param {string} host
+   * @returns {Promise<object>} - { baseURL }
+   */
+  start(port = 0, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, () => {
+        this.baseURL = `http://${host}:${this.server.address().port}`;
+        resolve({ baseURL: this.baseURL });
+      });
+      this.server.once("error", reject);
+    });
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+
+  /**
+   * Calls created so far, oldest first
+   * @returns {object[]}
+   */
+  getCalls() {
+    return [...this.store.calls.values()];
+  }
+
+  /**
+   * Store a call, e.g. one simulated by mocks/callSimulator, so get-call and
+   * end-call know it
+   * @param {object} call - Retell call object with call_id
+   */
+  saveCall(call) {
+    this.store.calls.set(call.call_id, call);
+  }
+
+  /**
+   * Build the Express app
+   * @private
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+      this.requests.push({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body,
+        requestId: req.get("X-Request-Id") || null,
+      });
+      this.applyInjectedFailure(req, res, next);
+    });
+    app.use((req, res, next) => this.requireApiKey(req, res, next));
+
+    app.post("/v2/create-phone-call", (req, res) => this.createPhoneCall(req, res));
+    app.post("/v2/create-web-call", (req, res) => this.createWebCall(req, res));
+    app.get("/v2/get-call/:callId", (req, res) => this.sendCall(res, req.params.callId));
+    app.post("/v2/end-call/:callId", (req, res) => this.endCall(req, res));
+
+    app.get("/list-agents", (req, res) => res.json(this.store.agents));
+    app.get("/get-agent/:id", (req, res) => this.sendResource(res, "agents", "agent_id", req.params.id));
+    app.patch("/update-agent/:id", (req, res) => this.updateResource(req, res, "agents", "agent_id"));
+
+    app.get("/list-conversation-flows", (req, res) => res.json(this.store.conversationFlows));
+    app.get("/get-conversation-flow/:id", (req, res) =>
+      this.sendResource(res, "conversationFlows", "conversation_flow_id", req.params.id),
+    );
+    app.patch("/update-conversation-flow/:id", (req, res) =>
+      this.updateResource(req, res, "conversationFlows", "conversation_flow_id"),
+    );
+
+    app.get("/list-knowledge-bases", (req, res) => res.json(this.store.knowledgeBases));
+    app.get("/get-knowledge-base/:id", (req, res) =>
+      this.sendResource(res, "knowledgeBases", "knowledge_base_id", req.params.id),
+    );
+
+    app.get("/list-voices", (req, res) => res.json(this.store.voices));
+    app.get("/get-voice/:id", (req, res) => this.sendResource(res, "voices", "voice_id", req.params.id));
+
+    app.use((req, res) => {
+      res.status(404).json({ message: `${req.method} ${req.path} is not supported` });
+    });
+
+    return app;
+  }
+
+  /**
+   * Answer with an injected failure if one matches the request
+   * @private
+   */
+  applyInjectedFailure(req, res, next) {
+    const failure = this.failures.find(
+      (candidate) => candidate.remaining > 0 && candidate.method === req.method && candidate.path === req.path,
+    );
+
+    if (!failure) {
+      return next();
+    }
+
+    failure.remaining--;
+    setTimeout(() => {
+      if (!res.headersSent) {
+        res.status(failure.status).set(failure.headers).json(failure.body);
+      }
+    }, failure.delayMs);
+  }
+
+  /**
+   * Require "Authorization: Bearer <API key>"
+   * @private
+   */
+  requireApiKey(req, res, next) {
+    const token = (req.get("Authorization") || "").replace(/^Bearer /, "");
+
+    if (!token || (this.apiKey && token !== this.apiKey)) {
+      return res.status(401).json({ message: "Invalid API key" });
+    }
+    next();
+  }
+
+  /**
+   * POST /v2/create-phone-call
+   * @private
+   */
+  createPhoneCall(req, res) {
+    const { from_number, to_number, agent_id, override_agent_id, metadata, retell_llm_dynamic_variables } =
+      req.body || {};
+    const agentId = override_agent_id || agent_id;
+
+    if (!from_number || !to_number || !agentId) {
+      return res.status(400).json({ message: "from_number, to_number and agent_id are required" });
+    }
+
+    const agent = this.find("agents", "agent_id", agentId);
+    if (!agent) {
+      return res.status(404).json({ message: `Agent ${agentId} not found` });
+    }
+
+    const call = {
+      call_id: randomId("call"),
+      call_type: "phone_call",
+      agent_id: agentId,
+      agent_version: agent.version,
+      call_status: "registered",
+      direction: "outbound",
+      from_number,
+      to_number,
+      metadata: metadata || {},
+      retell_llm_dynamic_variables: retell_llm_dynamic_variables || {},
+      start_timestamp: Date.now(),
+    };
+    this.saveCall(call);
+
+    res.status(201).json(call);
+  }
+
+  /**
+   * POST /v2/create-web-call
+   * @private
+   */
+  createWebCall(req, res) {
+    const { agent_id, metadata, retell_llm_dynamic_variables } = req.body || {};
+    const agent = agent_id && this.find("agents", "agent_id", agent_id);
+
+    if (!agent) {
+      return res
+        .status(agent_id ? 404 : 400)
+        .json({ message: agent_id ? `Agent ${agent_id} not found` : "agent_id is required" });
+    }
+
+    const call = {
+      call_id: randomId("call"),
+      call_type: "web_call",
+      access_token: crypto.randomBytes(24).toString("hex"),
+      agent_id,
+      agent_version: agent.version,
+      call_status: "registered",
+      metadata: metadata || {},
+      retell_llm_dynamic_variables: retell_llm_dynamic_variables || {},
+    };
+    this.saveCall(call);
+
+    res.status(201).json(call);
+  }
+
+  /**
+   * POST /v2/end-call/:callId
+   * @private
+   */
+  endCall(req, res) {
+    const call = this.store.calls.get(req.params.callId);
+
+    if (call && call.call_status !== "ended") {
+      Object.assign(call, {
+        call_status: "ended",
+        end_timestamp: Date.now(),
+        disconnection_reason: "agent_hangup",
+      });
+    }
+    this.sendCall(res, req.params.callId);
+  }
+
+  /**
+   * Send a call, or 404
+   * @private
+   */
+  sendCall(res, callId) {
+    const call = this.store.calls.get(callId);
+
+    if (!call) {
+      return res.status(404).json({ message: `Call ${callId} not found` });
+    }
+    res.json(call);
+  }
+
+  /**
+   * Send a stored resource, or 404
+   * @private
+   */
+  sendResource(res, collection, idField, id) {
+    const resource = this.find(collection, idField, id);
+
+    if (!resource) {
+      return res.status(404).json({ message: `${idField} ${id} not found` });
+    }
+    res.json(resource);
+  }
+
+  /**
+   * Merge the request body into a stored resource and send it
+   * @private
+   */
+  updateResource(req, res, collection, idField) {
+    const resource = this.find(collection, idField, req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({ message: `${idField} ${req.params.id} not found` });
+    }
+
+    Object.assign(resource, clone(req.body || {}), { [idField]: resource[idField] });
+    if ("last_modification_timestamp" in resource) {
+      resource.last_modification_timestamp = Date.now();
+    }
+    res.json(resource);
+  }
+
+  /**
+   * Find a stored resource by its ID field
+   * @private
+   */
+  find(collection, idField, id) {
+    return this.store[collection].find((resource) => resource[idField] === id);
+  }
+}
+
+module.exports = MockRetellServer;
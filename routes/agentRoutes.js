@@ -0,0 +1,343 @@
+const express = require('express');
+const router = express.Router();
+const oauthMiddleware = require('../middleware/oauthMiddleware');
+const requireScope = require('../middleware/requireScope');
+const agentRouting = require('../services/agentRoutingService');
+const logger = require('../utils/logger');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Agent Routes
+ *   description: Routing of agent phone numbers and Retell agent IDs to call purposes. Clients see and change only their own tenant's routes unless they have the agent_routes:admin scope.
+ *
+ * components:
+ *   schemas:
+ *     AgentRoute:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         phoneNumber:
+ *           type: string
+ *           description: Inbound agent phone number (E.164)
+ *           example: "+16018846979"
+ *         agentId:
+ *           type: string
+ *           description: Retell agent ID answering calls for this route
+ *           example: "agent_3f9a1c2b7d"
+ *         callPurpose:
+ *           type: string
+ *           enum: [scheduling, intake]
+ *           example: "scheduling"
+ *         retellAgentId:
+ *           type: string
+ *           description: Retell agent used for outbound callbacks (defaults to the purpose's configured agent)
+ *           example: "agent_3f9a1c2b7d"
+ *         retellFromNumber:
+ *           type: string
+ *           description: Number outbound callbacks are placed from (defaults to the purpose's configured number)
+ *           example: "+16018846979"
+ *         description:
+ *           type: string
+ *           example: "Main clinic scheduling line"
+ *         isActive:
+ *           type: boolean
+ *           example: true
+ *         tenantId:
+ *           type: integer
+ *           nullable: true
+ *           description: Tenant (practice) owning this number/agent; null for the default tenant. Set from the client's tenant unless it has the agent_routes:admin scope.
+ *           example: 1
+ */
+
+// Map unique and check constraint violations to client errors
+function handleWriteError(error, res, next) {
+  if (error.code === '23505') {
+    return res.status(409).json({
+      success: false,
+      error: 'An agent route with this phoneNumber or agentId already exists'
+    });
+  }
+  if (error.code === '23514') {
+    return res.status(400).json({
+      success: false,
+      error: 'An agent route must keep at least one of phoneNumber or agentId'
+    });
+  }
+  next(error);
+}
+
+// Tenant whose routes the caller manages, or undefined for every tenant
+function tenantScope(req) {
+  if (req.oauthClient.scopes.includes('agent_routes:admin')) {
+    return undefined;
+  }
+  return req.oauthClient.tenantId ?? null;
+}
+
+// Reject non-numeric route IDs before they reach the database
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid agent route ID'
+    });
+  }
+  next();
+});
+
+/**
+ * @swagger
+ * /api/v1/agent-routes:
+ *   get:
+ *     summary: List agent routes
+ *     tags: [Agent Routes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *         description: Include deactivated routes
+ *     responses:
+ *       200:
+ *         description: List of agent routes
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.get('/', oauthMiddleware, requireScope('agent_routes:read'), async (req, res, next) => {
+  try {
+    const routes = await agentRouting.list(req.query.include_inactive === 'true', tenantScope(req));
+    res.json({
+      success: true,
+      data: routes
+    });
+  } catch (error) {
+    logger.error('Error listing agent routes', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/agent-routes/{id}:
+ *   get:
+ *     summary: Get an agent route
+ *     tags: [Agent Routes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The agent route
+ *       404:
+ *         description: Agent route not found
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.get('/:id', oauthMiddleware, requireScope('agent_routes:read'), async (req, res, next) => {
+  try {
+    const route = await agentRouting.get(parseInt(req.params.id), tenantScope(req));
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent route not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: route
+    });
+  } catch (error) {
+    logger.error('Error fetching agent route', { error: error.message, routeId: req.params.id });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/agent-routes:
+ *   post:
+ *     summary: Create an agent route
+ *     tags: [Agent Routes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgentRoute'
+ *     responses:
+ *       201:
+ *         description: Agent route created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: Phone number or agent ID already routed
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.post('/', oauthMiddleware, requireScope('agent_routes:write'), async (req, res, next) => {
+  try {
+    const tenantId = tenantScope(req);
+    const data = tenantId === undefined ? req.body : { ...req.body, tenantId };
+    const errors = agentRouting.validate(data);
+
+    if (errors.length > 0) {
+      logger.warn('Agent route creation failed validation', { errors });
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const route = await agentRouting.create(data);
+
+    res.status(201).json({
+      success: true,
+      data: route
+    });
+  } catch (error) {
+    logger.error('Error creating agent route', { error: error.message });
+    handleWriteError(error, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/agent-routes/{id}:
+ *   put:
+ *     summary: Update an agent route
+ *     description: Only the provided fields are changed. Send an empty string to clear an optional field.
+ *     tags: [Agent Routes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgentRoute'
+ *     responses:
+ *       200:
+ *         description: Agent route updated
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Agent route not found
+ *       409:
+ *         description: Phone number or agent ID already routed
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.put('/:id', oauthMiddleware, requireScope('agent_routes:write'), async (req, res, next) => {
+  try {
+    const tenantId = tenantScope(req);
+    // Only admins move a route to another tenant
+    const data = { ...req.body };
+    if (tenantId !== undefined) {
+      delete data.tenantId;
+    }
+    const errors = agentRouting.validate(data, true);
+
+    if (errors.length > 0) {
+      logger.warn('Agent route update failed validation', { errors });
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const route = await agentRouting.update(parseInt(req.params.id), data, tenantId);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent route not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: route
+    });
+  } catch (error) {
+    logger.error('Error updating agent route', { error: error.message, routeId: req.params.id });
+    handleWriteError(error, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/agent-routes/{id}:
+ *   delete:
+ *     summary: Delete an agent route
+ *     description: Pending callbacks created through this route fall back to matching by their agent number.
+ *     tags: [Agent Routes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Agent route deleted
+ *       404:
+ *         description: Agent route not found
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.delete('/:id', oauthMiddleware, requireScope('agent_routes:write'), async (req, res, next) => {
+  try {
+    const deleted = await agentRouting.delete(parseInt(req.params.id), tenantScope(req));
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent route not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Agent route deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting agent route', { error: error.message, routeId: req.params.id });
+    next(error);
+  }
+});
+
+module.exports = router;
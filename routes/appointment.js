@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const requireScope = require('../middleware/requireScope');
 const RedoxTransformer = require('../utils/redoxTransformer');
 const RedoxAPIService = require('../services/redoxApiService');
 const logger = require('../utils/logger');
@@ -45,17 +46,17 @@ const logger = require('../utils/logger');
  *                 description: Appointment status (optional, defaults to 'proposed')
  *                 enum: [proposed, pending, booked, arrived, fulfilled, cancelled, noshow, entered-in-error, checked-in, waitlist]
  *                 example: "proposed"
- *               access_token:
- *                 type: string
- *                 description: Optional access token
- *                 example: ""
  *     responses:
  *       201:
  *         description: Appointment created successfully
  *       400:
  *         description: Missing required field (patientId)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.post('/create', authMiddleware, async (req, res, next) => {
+router.post('/create', authMiddleware, requireScope('appointment:write'), async (req, res, next) => {
   try {
     const { patientId, appointmentType, startTime, endTime, status } = req.body;
     
@@ -84,7 +85,8 @@ router.post('/create', authMiddleware, async (req, res, next) => {
       '/Appointment/$appointment-create',
       appointmentBundle,
       null,
-      req.accessToken
+      req.accessToken,
+      req.tenant.redox
     );
 
     // Transform the response to return simplified status
@@ -153,17 +155,17 @@ router.post('/create', authMiddleware, async (req, res, next) => {
  *                 description: Appointment status
  *                 enum: [proposed, pending, booked, arrived, fulfilled, cancelled, noshow, entered-in-error, checked-in, waitlist]
  *                 example: "booked"
- *               access_token:
- *                 type: string
- *                 description: Optional access token
- *                 example: ""
  *     responses:
  *       200:
  *         description: Appointment updated successfully
  *       400:
  *         description: Missing required fields
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.post('/update', authMiddleware, async (req, res, next) => {
+router.post('/update', authMiddleware, requireScope('appointment:write'), async (req, res, next) => {
   try {
     const { appointmentId, patientId, appointmentType, startTime, endTime, status } = req.body;
     
@@ -193,7 +195,8 @@ router.post('/update', authMiddleware, async (req, res, next) => {
       '/Appointment/$appointment-update',
       appointmentBundle,
       null,
-      req.accessToken
+      req.accessToken,
+      req.tenant.redox
     );
 
     // Transform the response to return simplified status
@@ -235,10 +238,6 @@ router.post('/update', authMiddleware, async (req, res, next) => {
  *                 type: string
  *                 description: Patient ID to search appointments for
  *                 example: "65bee8d7-fee9-4e60-b9d6-1ae276b075b4"
- *               access_token:
- *                 type: string
- *                 description: Optional access token
- *                 example: ""
  *     responses:
  *       200:
  *         description: Latest appointment for the patient
@@ -246,8 +245,10 @@ router.post('/update', authMiddleware, async (req, res, next) => {
  *         description: Missing required fields
  *       401:
  *         description: Authentication failed
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.post('/search', authMiddleware, async (req, res, next) => {
+router.post('/search', authMiddleware, requireScope('appointment:read'), async (req, res, next) => {
   try {
     const { patientId } = req.body;
     logger.info('Appointment search request', { 
@@ -268,7 +269,8 @@ router.post('/search', authMiddleware, async (req, res, next) => {
       '/Appointment/_search',
       null,
       searchParams,
-      req.accessToken
+      req.accessToken,
+      req.tenant.redox
     );
 
     // Transform the response to return latest appointment
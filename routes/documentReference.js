@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const requireScope = require('../middleware/requireScope');
 const RedoxTransformer = require('../utils/redoxTransformer');
 const RedoxAPIService = require('../services/redoxApiService');
 const logger = require('../utils/logger');
@@ -67,8 +68,12 @@ const logger = require('../utils/logger');
  *         description: Bad request
  *       500:
  *         description: Internal server error
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.post('/search', authMiddleware, async (req, res, next) => {
+router.post('/search', authMiddleware, requireScope('document:read'), async (req, res, next) => {
   try {
     const { patientId } = req.body;
     
@@ -90,7 +95,8 @@ router.post('/search', authMiddleware, async (req, res, next) => {
       '/DocumentReference/_search',
       null,
       searchParams,
-      req.accessToken
+      req.accessToken,
+      req.tenant.redox
     );
 
     const documents = RedoxTransformer.transformDocumentReferenceSearchResponse(response);
@@ -146,10 +152,26 @@ router.post('/search', authMiddleware, async (req, res, next) => {
  *         description: DocumentReference created successfully
  *       400:
  *         description: Bad request
+ *       404:
+ *         description: Redox does not know the patient (REDOX_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Redox rejected the document (REDOX_VALIDATION_FAILED); issues says why
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.post('/create', authMiddleware, async (req, res, next) => {
+router.post('/create', authMiddleware, requireScope('document:write'), async (req, res, next) => {
   try {
     const { patientId, content, title } = req.body;
     
@@ -173,7 +195,7 @@ router.post('/create', authMiddleware, async (req, res, next) => {
       patient_id: patientId,
       content_type: typeof formattedContent,
       content_length: formattedContent.length,
-      content_preview: formattedContent.substring(0, 100),
+      content_length: formattedContent.length,
       has_access_token: !!req.accessToken,
       access_token_source: 'auth_middleware',
       metadata: {
@@ -205,7 +227,8 @@ router.post('/create', authMiddleware, async (req, res, next) => {
       '/DocumentReference/$documentreference-create',
       documentBundle,
       null,
-      req.accessToken
+      req.accessToken,
+      req.tenant.redox
     );
 
     const result = RedoxTransformer.transformAppointmentCreateResponse(response);
@@ -224,22 +247,11 @@ router.post('/create', authMiddleware, async (req, res, next) => {
       } : { error: result.error }
     });
   } catch (error) {
-    logger.error('DocumentReference create error', { 
+    logger.error('DocumentReference create error', {
       error: error.message,
-      patientId: patientId,
-      bundleStructure: JSON.stringify(documentBundle, null, 2),
-      bundleSize: JSON.stringify(documentBundle).length
+      patientId: req.body.patientId
     });
     
-    // Check if it's a Redox validation error
-    if (error.message.includes('400')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid request format. Please check patient ID and content.',
-        details: error.message
-      });
-    }
-    
     next(error);
   }
 });
@@ -1,15 +1,154 @@
 const express = require('express');
 const router = express.Router();
 const OAuthService = require('../services/oauthService');
+const signingKeys = require('../services/signingKeyService');
+const OAUTH_CONFIG = require('../config/oauth');
 const logger = require('../utils/logger');
 
 const oauthService = new OAuthService();
 
+// Parameters of a token request (RFC 6749 section 4.4, RFC 7523 section 2.2)
+const TOKEN_REQUEST_PARAMETERS = [
+  'grant_type', 'client_id', 'client_secret', 'client_assertion_type', 'client_assertion', 'scope'
+];
+
+// Parameters of a revocation or introspection request (RFC 7009 section 2.1, RFC 7662 section 2.1)
+const TOKEN_MANAGEMENT_PARAMETERS = [
+  'token', 'token_type_hint', 'client_id', 'client_secret', 'client_assertion_type', 'client_assertion'
+];
+
+/**
+ * Audiences a client assertion may name: this server's issuer, its token
+ * endpoint, and the endpoint being called
+ */
+function getAssertionAudiences(req) {
+  const { issuer } = OAUTH_CONFIG;
+  return [issuer, `${issuer}/oauth/token`, `${issuer}${req.baseUrl}${req.path}`];
+}
+
+/**
+ * Validate the request's JWT client assertion. Requires OAUTH_ISSUER: the
+ * audience is never derived from the request, whose Host header the caller
+ * controls, or assertions minted for other servers would be accepted here.
+ * @returns {Object|null} The client, or null if the assertion is not accepted
+ */
+async function validateClientAssertion(req) {
+  if (!OAUTH_CONFIG.issuer) {
+    logger.error('OAuth client assertion rejected: OAUTH_ISSUER is not configured');
+    return null;
+  }
+  return oauthService.validateClientAssertion(req.body.client_assertion, {
+    clientId: req.body.client_id,
+    audiences: getAssertionAudiences(req)
+  });
+}
+
+/**
+ * Find a request parameter that is not a single string, e.g. one sent more
+ * than once (RFC 6749 section 3.2) or as a JSON array or object
+ * @param {Object} body - Request body
+ * @param {string[]} names - Parameters to check
+ * @returns {string|undefined} The parameter's name
+ */
+function findMalformedParameter(body, names) {
+  return names.find(name => body[name] !== undefined && typeof body[name] !== 'string');
+}
+
+/**
+ * Check whether the request authenticates with a JWT client assertion
+ */
+function usesClientAssertion(req) {
+  return req.body.client_assertion_type !== undefined || req.body.client_assertion !== undefined;
+}
+
+/**
+ * Authenticate the calling client for /revoke and /introspect, using a JWT
+ * client assertion (private_key_jwt), HTTP Basic credentials
+ * (client_secret_basic) or client_id/client_secret in the body
+ * (client_secret_post)
+ * @returns {Object|null} The client, or null if authentication failed
+ */
+async function authenticateClient(req) {
+  if (usesClientAssertion(req)) {
+    if (req.body.client_assertion_type !== OAuthService.JWT_BEARER_ASSERTION_TYPE || !req.body.client_assertion) {
+      return null;
+    }
+    return validateClientAssertion(req);
+  }
+
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return null;
+    }
+    // Credentials are form-urlencoded before being Base64 encoded (RFC 6749 section 2.3.1)
+    try {
+      clientId = decodeURIComponent(decoded.substring(0, separator));
+      clientSecret = decodeURIComponent(decoded.substring(separator + 1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!clientId || !clientSecret) {
+    return null;
+  }
+
+  return oauthService.validateClient(clientId, clientSecret);
+}
+
+/**
+ * Respond with an invalid_client error, challenging for Basic credentials
+ * when the client tried to use them
+ */
+function sendInvalidClient(req, res) {
+  if (req.headers.authorization?.startsWith('Basic ')) {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+  }
+  return res.status(401).json({
+    error: 'invalid_client',
+    error_description: 'Client authentication failed'
+  });
+}
+
 /**
  * @swagger
  * tags:
  *   name: OAuth
  *   description: OAuth 2.0 authentication endpoints
+ *
+ * components:
+ *   schemas:
+ *     OAuthTokenRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: The access token
+ *           example: "550e8400-e29b-41d4-a716-446655440000"
+ *         token_type_hint:
+ *           type: string
+ *           description: Optional hint; only access tokens are issued
+ *           example: "access_token"
+ *         client_id:
+ *           type: string
+ *           description: Client ID, if not using HTTP Basic authentication
+ *         client_secret:
+ *           type: string
+ *           description: Client secret, if not using HTTP Basic authentication
+ *         client_assertion_type:
+ *           type: string
+ *           description: "urn:ietf:params:oauth:client-assertion-type:jwt-bearer, for private_key_jwt clients"
+ *         client_assertion:
+ *           type: string
+ *           description: Signed JWT client assertion, for private_key_jwt clients
  */
 
 /**
@@ -17,7 +156,12 @@ const oauthService = new OAuthService();
  * /oauth/token:
  *   post:
  *     summary: Generate OAuth access token
- *     description: Exchange client credentials for an access token using OAuth 2.0 client credentials flow
+ *     description: |
+ *       Exchange client credentials for an access token using OAuth 2.0 client credentials flow.
+ *       Clients authenticate with client_id and client_secret, or, for clients registered for
+ *       private_key_jwt, with a JWT client assertion (RFC 7523) signed by a key in their registered JWKS.
+ *       The assertion must have iss and sub set to the client ID, aud set to this token endpoint URL,
+ *       exp, iat and a unique jti.
  *     tags: [OAuth]
  *     requestBody:
  *       required: true
@@ -27,8 +171,6 @@ const oauthService = new OAuthService();
  *             type: object
  *             required:
  *               - grant_type
- *               - client_id
- *               - client_secret
  *             properties:
  *               grant_type:
  *                 type: string
@@ -43,6 +185,17 @@ const oauthService = new OAuthService();
  *                 type: string
  *                 description: OAuth client secret
  *                 example: "sk_live_4242424242424242..."
+ *               client_assertion_type:
+ *                 type: string
+ *                 enum: ["urn:ietf:params:oauth:client-assertion-type:jwt-bearer"]
+ *                 description: Set when authenticating with a JWT client assertion instead of a secret
+ *               client_assertion:
+ *                 type: string
+ *                 description: Signed JWT client assertion
+ *               scope:
+ *                 type: string
+ *                 description: Space-separated scopes to request. Narrowed to the scopes the client is allowed; defaults to all of them.
+ *                 example: "webhook:scheduling"
  *     responses:
  *       200:
  *         description: Access token generated successfully
@@ -53,8 +206,7 @@ const oauthService = new OAuthService();
  *               properties:
  *                 access_token:
  *                   type: string
- *                   format: uuid
- *                   description: Access token in UUID format
+ *                   description: Access token. A UUID by default; a signed JWT (verifiable with /oauth/.well-known/jwks.json) when the server issues JWT access tokens.
  *                   example: "550e8400-e29b-41d4-a716-446655440000"
  *                 token_type:
  *                   type: string
@@ -62,10 +214,14 @@ const oauthService = new OAuthService();
  *                   example: "Bearer"
  *                 expires_in:
  *                   type: integer
- *                   description: Token lifetime in seconds (86400 = 24 hours)
+ *                   description: Token lifetime in seconds (86400 = 24 hours for UUID tokens; JWT access tokens are short-lived, 900 by default)
  *                   example: 86400
+ *                 scope:
+ *                   type: string
+ *                   description: Space-separated scopes granted to the token (may be narrower than requested)
+ *                   example: "patient:read appointment:read"
  *       400:
- *         description: Invalid request parameters
+ *         description: Invalid request parameters, unsupported grant type, or no allowed scope requested (invalid_scope)
  *         content:
  *           application/json:
  *             schema:
@@ -95,12 +251,21 @@ const oauthService = new OAuthService();
  */
 router.post('/token', async (req, res) => {
   try {
+    const malformed = findMalformedParameter(req.body, TOKEN_REQUEST_PARAMETERS);
+    if (malformed) {
+      logger.warn('OAuth token request failed: malformed parameter', { parameter: malformed });
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: `Parameter ${malformed} must be a single string`
+      });
+    }
+
     logger.info('OAuth token request received', {
       grant_type: req.body.grant_type,
       client_id: req.body.client_id ? req.body.client_id.substring(0, 8) + '...' : 'none'
     });
     
-    const { grant_type, client_id, client_secret } = req.body;
+    const { grant_type, client_id, client_secret, client_assertion_type, client_assertion, scope } = req.body;
     
     // Validate grant type (OAuth 2.0 standard)
     if (!grant_type) {
@@ -119,24 +284,41 @@ router.post('/token', async (req, res) => {
       });
     }
     
-    // Validate client credentials presence
-    if (!client_id || !client_secret) {
-      logger.warn('OAuth token request failed: missing credentials', {
-        has_client_id: !!client_id,
-        has_client_secret: !!client_secret
-      });
-      return res.status(400).json({
-        error: 'invalid_request',
-        error_description: 'Missing required parameters: client_id and client_secret'
-      });
-    }
+    let client;
     
-    // Validate client credentials
-    const client = await oauthService.validateClient(client_id, client_secret);
+    if (usesClientAssertion(req)) {
+      // JWT client assertion (private_key_jwt); client_id is optional
+      if (client_assertion_type !== OAuthService.JWT_BEARER_ASSERTION_TYPE || !client_assertion) {
+        logger.warn('OAuth token request failed: invalid client assertion parameters', {
+          client_assertion_type
+        });
+        return res.status(400).json({
+          error: 'invalid_request',
+          error_description: `client_assertion_type must be '${OAuthService.JWT_BEARER_ASSERTION_TYPE}' and client_assertion is required`
+        });
+      }
+      
+      client = await validateClientAssertion(req);
+    } else {
+      // Validate client credentials presence
+      if (!client_id || !client_secret) {
+        logger.warn('OAuth token request failed: missing credentials', {
+          has_client_id: !!client_id,
+          has_client_secret: !!client_secret
+        });
+        return res.status(400).json({
+          error: 'invalid_request',
+          error_description: 'Missing required parameters: client_id and client_secret, or client_assertion_type and client_assertion'
+        });
+      }
+      
+      // Validate client credentials
+      client = await oauthService.validateClient(client_id, client_secret);
+    }
     
     if (!client) {
       logger.warn('OAuth token request failed: invalid client', {
-        client_id: client_id.substring(0, 8) + '...'
+        client_id: client_id ? client_id.substring(0, 8) + '...' : 'none'
       });
       return res.status(401).json({
         error: 'invalid_client',
@@ -144,11 +326,25 @@ router.post('/token', async (req, res) => {
       });
     }
     
+    // Narrow the requested scopes to those the client is allowed
+    const scopes = oauthService.resolveScopes(scope, client.scopes || []);
+
+    if (!scopes) {
+      logger.warn('OAuth token request failed: no allowed scope requested', {
+        client_id: client.client_id.substring(0, 8) + '...',
+        requested_scope: scope
+      });
+      return res.status(400).json({
+        error: 'invalid_scope',
+        error_description: 'None of the requested scopes are allowed for this client'
+      });
+    }
+
     // Generate new access token
-    const tokenInfo = await oauthService.generateToken(client_id);
+    const tokenInfo = await oauthService.generateToken(client.client_id, scopes, client.tenant_id);
     
     logger.info('OAuth token generated successfully', {
-      client_id: client_id.substring(0, 8) + '...',
+      client_id: client.client_id.substring(0, 8) + '...',
       client_name: client.name,
       token_preview: tokenInfo.access_token.substring(0, 8) + '...'
     });
@@ -157,7 +353,8 @@ router.post('/token', async (req, res) => {
     res.json({
       access_token: tokenInfo.access_token,
       token_type: 'Bearer',
-      expires_in: tokenInfo.expires_in
+      expires_in: tokenInfo.expires_in,
+      scope: tokenInfo.scopes.join(' ')
     });
     
   } catch (error) {
@@ -169,6 +366,202 @@ router.post('/token', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /oauth/revoke:
+ *   post:
+ *     summary: Revoke an access token
+ *     description: Revoke a token issued to the authenticated client (RFC 7009). Responds 200 whether or not the token was active, so token validity is not disclosed.
+ *     tags: [OAuth]
+ *     security:
+ *       - clientBasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/OAuthTokenRequest'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OAuthTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Token revoked, or was already invalid
+ *       400:
+ *         description: Missing token parameter, or a parameter that is not a single string
+ *       401:
+ *         description: Client authentication failed
+ */
+router.post('/revoke', async (req, res) => {
+  try {
+    const malformed = findMalformedParameter(req.body, TOKEN_MANAGEMENT_PARAMETERS);
+    if (malformed) {
+      logger.warn('OAuth revocation failed: malformed parameter', { parameter: malformed });
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: `Parameter ${malformed} must be a single string`
+      });
+    }
+
+    const client = await authenticateClient(req);
+
+    if (!client) {
+      logger.warn('OAuth revocation failed: invalid client');
+      return sendInvalidClient(req, res);
+    }
+
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Missing required parameter: token'
+      });
+    }
+
+    // Tokens belonging to other clients are left untouched without saying so
+    await oauthService.revokeToken(token, client.client_id);
+
+    res.status(200).end();
+  } catch (error) {
+    logger.error('OAuth token revocation error', { error: error.message });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'An unexpected error occurred'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /oauth/introspect:
+ *   post:
+ *     summary: Introspect an access token
+ *     description: Return the state of a token (RFC 7662). Clients may introspect their own tokens; clients with the oauth:introspect scope may introspect any token.
+ *     tags: [OAuth]
+ *     security:
+ *       - clientBasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/OAuthTokenRequest'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OAuthTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Token state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active:
+ *                   type: boolean
+ *                   example: true
+ *                 client_id:
+ *                   type: string
+ *                   example: "cli_a7f3d2b8c9e4f5a6b7c8d9e0"
+ *                 scope:
+ *                   type: string
+ *                   example: "webhook:scheduling"
+ *                 token_type:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 exp:
+ *                   type: integer
+ *                   description: Expiry as seconds since the epoch
+ *                 iat:
+ *                   type: integer
+ *                   description: Issue time as seconds since the epoch
+ *       400:
+ *         description: Missing token parameter, or a parameter that is not a single string
+ *       401:
+ *         description: Client authentication failed
+ */
+router.post('/introspect', async (req, res) => {
+  try {
+    const malformed = findMalformedParameter(req.body, TOKEN_MANAGEMENT_PARAMETERS);
+    if (malformed) {
+      logger.warn('OAuth introspection failed: malformed parameter', { parameter: malformed });
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: `Parameter ${malformed} must be a single string`
+      });
+    }
+
+    const client = await authenticateClient(req);
+
+    if (!client) {
+      logger.warn('OAuth introspection failed: invalid client');
+      return sendInvalidClient(req, res);
+    }
+
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Missing required parameter: token'
+      });
+    }
+
+    const tokenInfo = await oauthService.introspectToken(token);
+
+    const mayIntrospect = tokenInfo.client_id === client.client_id ||
+      (client.scopes || []).includes('oauth:introspect');
+
+    res.set('Cache-Control', 'no-store');
+    res.json(tokenInfo.active && mayIntrospect ? tokenInfo : { active: false });
+  } catch (error) {
+    logger.error('OAuth token introspection error', { error: error.message });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'An unexpected error occurred'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /oauth/.well-known/jwks.json:
+ *   get:
+ *     summary: Get the access token signing keys
+ *     description: Public keys (JWKS) that verify JWT access tokens issued by this server. Keys are rotated periodically; a token whose kid is not listed may be signed by a newer key, so refetch before rejecting it.
+ *     tags: [OAuth]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     example: { "kty": "EC", "crv": "P-256", "x": "...", "y": "...", "kid": "2024-01-20-5f2b9c1d7e3a", "alg": "ES256", "use": "sig" }
+ *       503:
+ *         description: Signing keys temporarily unavailable
+ */
+router.get('/.well-known/jwks.json', async (req, res) => {
+  try {
+    const jwks = await signingKeys.getJwks();
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    logger.error('Error loading OAuth signing keys', { error: error.message });
+    res.status(503).json({
+      error: 'temporarily_unavailable',
+      error_description: 'Signing keys temporarily unavailable'
+    });
+  }
+});
+
 /**
  * @swagger
  * /oauth/health:
@@ -0,0 +1,535 @@
+const express = require('express');
+const router = express.Router();
+const oauthMiddleware = require('../middleware/oauthMiddleware');
+const requireScope = require('../middleware/requireScope');
+const oauthClients = require('../services/oauthClientService');
+const logger = require('../utils/logger');
+
+/**
+ * @swagger
+ * tags:
+ *   name: OAuth Clients
+ *   description: Administration of OAuth clients (requires the oauth:admin scope)
+ *
+ * components:
+ *   schemas:
+ *     OAuthClient:
+ *       type: object
+ *       properties:
+ *         clientId:
+ *           type: string
+ *           readOnly: true
+ *           example: "cli_a7f3d2b8c9e4f5a6b7c8d9e0"
+ *         name:
+ *           type: string
+ *           example: "Redox Webhook Client"
+ *         description:
+ *           type: string
+ *           example: "OAuth client for Redox webhook authentication"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["webhook:scheduling"]
+ *         tenantId:
+ *           type: integer
+ *           nullable: true
+ *           description: Tenant the client acts for; null for the default tenant
+ *         tokenEndpointAuthMethod:
+ *           type: string
+ *           enum: [client_secret_post, private_key_jwt]
+ *           default: client_secret_post
+ *           description: How the client authenticates to /oauth/token. Fixed at creation; private_key_jwt clients have no secret.
+ *         jwks:
+ *           type: object
+ *           description: Public signing keys (JWKS) for private_key_jwt clients. Add a new key before removing the old one to rotate keys.
+ *           properties:
+ *             keys:
+ *               type: array
+ *               items:
+ *                 type: object
+ *         isActive:
+ *           type: boolean
+ *           readOnly: true
+ *         secretRotatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         previousSecretExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Until when the secret replaced by the last rotation is still accepted
+ *     OAuthClientWithSecret:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           $ref: '#/components/schemas/OAuthClient'
+ *         clientSecret:
+ *           type: string
+ *           nullable: true
+ *           description: The client secret. Shown only in this response and cannot be retrieved later; null for private_key_jwt clients.
+ *           example: "sk_live_4242424242424242..."
+ */
+
+// Every endpoint requires an OAuth token with the oauth:admin scope
+router.use(oauthMiddleware, requireScope('oauth:admin'));
+
+// Identify the acting client in the audit log
+function actorOf(req) {
+  return `client:${req.oauthClient.clientId}`;
+}
+
+/**
+ * @swagger
+ * /api/v1/oauth-clients:
+ *   get:
+ *     summary: List OAuth clients
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *         description: Include deactivated clients
+ *     responses:
+ *       200:
+ *         description: List of clients
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const clients = await oauthClients.list(req.query.include_inactive === 'true');
+    res.json({
+      success: true,
+      data: clients
+    });
+  } catch (error) {
+    logger.error('Error listing OAuth clients', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/oauth-clients/{clientId}:
+ *   get:
+ *     summary: Get an OAuth client
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The client
+ *       404:
+ *         description: Client not found
+ */
+router.get('/:clientId', async (req, res, next) => {
+  try {
+    const client = await oauthClients.get(req.params.clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: 'OAuth client not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: client
+    });
+  } catch (error) {
+    logger.error('Error fetching OAuth client', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/oauth-clients:
+ *   post:
+ *     summary: Create an OAuth client
+ *     description: The generated client secret is returned once in this response.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OAuthClient'
+ *     responses:
+ *       201:
+ *         description: Client created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthClientWithSecret'
+ *       400:
+ *         description: Validation failed
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const errors = oauthClients.validate(req.body);
+
+    if (errors.length > 0) {
+      logger.warn('OAuth client creation failed validation', { errors });
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const { client, clientSecret } = await oauthClients.create(req.body, actorOf(req));
+
+    res.set('Cache-Control', 'no-store');
+    res.status(201).json({
+      success: true,
+      data: client,
+      clientSecret
+    });
+  } catch (error) {
+    logger.error('Error creating OAuth client', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/oauth-clients/{clientId}:
+ *   put:
+ *     summary: Update an OAuth client
+ *     description: Only the provided fields (name, description, scopes, tenantId) are changed. Scope changes apply to tokens issued afterwards.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OAuthClient'
+ *     responses:
+ *       200:
+ *         description: Client updated
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Client not found
+ */
+router.put('/:clientId', async (req, res, next) => {
+  try {
+    const existing = await oauthClients.get(req.params.clientId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'OAuth client not found'
+      });
+    }
+
+    const errors = oauthClients.validate(req.body, existing);
+
+    if (errors.length > 0) {
+      logger.warn('OAuth client update failed validation', { errors });
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const client = await oauthClients.update(req.params.clientId, req.body, actorOf(req));
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: 'OAuth client not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: client
+    });
+  } catch (error) {
+    logger.error('Error updating OAuth client', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/oauth-clients/{clientId}/rotate-secret:
+ *   post:
+ *     summary: Rotate an OAuth client's secret
+ *     description: Issues a new secret, returned once in this response. The previous secret keeps working for the overlap period.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overlapMinutes:
+ *                 type: integer
+ *                 description: How long the previous secret stays valid (0 revokes it immediately). Defaults to OAUTH_SECRET_ROTATION_OVERLAP_MINUTES (24 hours).
+ *                 example: 60
+ *     responses:
+ *       200:
+ *         description: Secret rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthClientWithSecret'
+ *       400:
+ *         description: Invalid overlapMinutes, or the client uses private_key_jwt
+ *       404:
+ *         description: Client not found
+ */
+router.post('/:clientId/rotate-secret', async (req, res, next) => {
+  try {
+    const { overlapMinutes } = req.body || {};
+
+    if (overlapMinutes !== undefined && (!Number.isInteger(overlapMinutes) || overlapMinutes < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'overlapMinutes must be a non-negative integer'
+      });
+    }
+
+    const existing = await oauthClients.get(req.params.clientId);
+
+    if (existing?.tokenEndpointAuthMethod === 'private_key_jwt') {
+      return res.status(400).json({
+        success: false,
+        error: 'private_key_jwt clients have no secret; rotate keys by updating jwks'
+      });
+    }
+
+    const rotated = await oauthClients.rotateSecret(
+      req.params.clientId,
+      { overlapMinutes },
+      actorOf(req)
+    );
+
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'OAuth client not found'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: rotated.client,
+      clientSecret: rotated.clientSecret
+    });
+  } catch (error) {
+    logger.error('Error rotating OAuth client secret', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/oauth-clients/{clientId}/deactivate:
+ *   post:
+ *     summary: Deactivate an OAuth client
+ *     description: The client can no longer obtain tokens and its existing tokens stop working immediately.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client deactivated
+ *       404:
+ *         description: Client not found
+ */
+router.post('/:clientId/deactivate', async (req, res, next) => {
+  try {
+    const client = await oauthClients.setActive(req.params.clientId, false, actorOf(req));
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: 'OAuth client not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: client
+    });
+  } catch (error) {
+    logger.error('Error deactivating OAuth client', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/oauth-clients/{clientId}/activate:
+ *   post:
+ *     summary: Reactivate an OAuth client
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client activated
+ *       404:
+ *         description: Client not found
+ */
+router.post('/:clientId/activate', async (req, res, next) => {
+  try {
+    const client = await oauthClients.setActive(req.params.clientId, true, actorOf(req));
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: 'OAuth client not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: client
+    });
+  } catch (error) {
+    logger.error('Error activating OAuth client', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/oauth-clients/{clientId}:
+ *   delete:
+ *     summary: Delete an OAuth client
+ *     description: Deletes the client and its tokens. The audit log is kept.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client deleted
+ *       404:
+ *         description: Client not found
+ */
+router.delete('/:clientId', async (req, res, next) => {
+  try {
+    if (req.params.clientId === req.oauthClient.clientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'A client cannot delete itself'
+      });
+    }
+
+    const deleted = await oauthClients.delete(req.params.clientId, actorOf(req));
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'OAuth client not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'OAuth client deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting OAuth client', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/oauth-clients/{clientId}/audit:
+ *   get:
+ *     summary: Get the audit log of an OAuth client
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ */
+router.get('/:clientId/audit', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const entries = await oauthClients.getAuditLog(req.params.clientId, limit);
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Error fetching OAuth client audit log', { error: error.message });
+    next(error);
+  }
+});
+
+module.exports = router;
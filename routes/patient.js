@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const requireScope = require('../middleware/requireScope');
 const RedoxTransformer = require('../utils/redoxTransformer');
 const RedoxAPIService = require('../services/redoxApiService');
 const logger = require('../utils/logger');
@@ -26,19 +27,17 @@ const logger = require('../utils/logger');
  *                 type: string
  *                 description: Patient's phone number
  *                 example: "+18330165712"
- *               access_token:
- *                 type: string
- *                 description: Optional access token (can also be in Authorization header)
- *                 example: ""
  *     responses:
  *       200:
  *         description: Patient search results
  *       401:
  *         description: Authentication failed
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Server error
  */
-router.post('/search', authMiddleware, async (req, res, next) => {
+router.post('/search', authMiddleware, requireScope('patient:read'), async (req, res, next) => {
   try {
     const { phone } = req.body;
     logger.info('Patient search request', { phone: phone ? 'provided' : 'missing' });
@@ -57,22 +56,17 @@ router.post('/search', authMiddleware, async (req, res, next) => {
       '/Patient/_search',
       null,
       searchParams,
-      req.accessToken
+      req.accessToken,
+      req.tenant.redox
     );
 
     // Transform the response to return simplified patient objects
     const patients = RedoxTransformer.transformPatientSearchResponse(redoxResponse);
-    
-    // Add access token to each patient record
-    const patientsWithToken = patients.map(patient => ({
-      ...patient,
-      accessToken: req.accessToken
-    }));
 
     logger.info('Patient search completed successfully', { patientsFound: patients.length });
     res.json({
       success: true,
-      data: patientsWithToken
+      data: patients
     });
   } catch (error) {
     logger.error('Patient search error', { error: error.message });
@@ -107,10 +101,6 @@ router.post('/search', authMiddleware, async (req, res, next) => {
  *                 type: string
  *                 description: Patient's zip code
  *                 example: "33056"
- *               access_token:
- *                 type: string
- *                 description: Optional access token (can also be in Authorization header)
- *                 example: ""
  *     responses:
  *       200:
  *         description: Patient search results with simplified data (patient_id and patient_name only)
@@ -118,10 +108,12 @@ router.post('/search', authMiddleware, async (req, res, next) => {
  *         description: Missing required fields
  *       401:
  *         description: Authentication failed
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Server error
  */
-router.post('/search-by-dob-zip', authMiddleware, async (req, res, next) => {
+router.post('/search-by-dob-zip', authMiddleware, requireScope('patient:read'), async (req, res, next) => {
   try {
     const { birth_date, zip_code } = req.body;
     logger.info('Patient search by DOB and zip request', { 
@@ -141,8 +133,14 @@ router.post('/search-by-dob-zip', authMiddleware, async (req, res, next) => {
     const searchParams = RedoxTransformer.createPatientSearchByDobZipParams(birth_date, zip_code);
     
     // Execute patient search through Redox API
-    const redoxService = new RedoxAPIService(req.accessToken);
-    const searchResponse = await redoxService.searchPatient(searchParams);
+    const searchResponse = await RedoxAPIService.makeRequest(
+      'POST',
+      '/Patient/_search',
+      null,
+      searchParams,
+      req.accessToken,
+      req.tenant.redox
+    );
     
     // Transform response to get simplified patient list
     const patients = RedoxTransformer.transformPatientSearchByDobZipResponse(searchResponse);
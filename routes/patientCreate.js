@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const requireScope = require('../middleware/requireScope');
 const RedoxTransformer = require('../utils/redoxTransformer');
 const RedoxAPIService = require('../services/redoxApiService');
 const logger = require('../utils/logger');
@@ -84,10 +85,6 @@ const logger = require('../utils/logger');
  *                 type: string
  *                 description: Medical record number
  *                 example: "MR123456"
- *               access_token:
- *                 type: string
- *                 description: Optional access token
- *                 example: ""
  *     responses:
  *       200:
  *         description: Patient updated successfully
@@ -95,8 +92,12 @@ const logger = require('../utils/logger');
  *         description: Missing required fields
  *       404:
  *         description: Patient not found
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.post('/update', authMiddleware, async (req, res, next) => {
+router.post('/update', authMiddleware, requireScope('patient:write'), async (req, res, next) => {
   try {
     const { 
       patientId,
@@ -157,7 +158,8 @@ router.post('/update', authMiddleware, async (req, res, next) => {
       '/Patient/$patient-update',
       patientBundle,
       null,
-      req.accessToken
+      req.accessToken,
+      req.tenant.redox
     );
 
     // Transform the response to return simplified status
@@ -259,17 +261,17 @@ router.post('/update', authMiddleware, async (req, res, next) => {
  *                 type: string
  *                 description: Medical record number
  *                 example: "MR123456"
- *               access_token:
- *                 type: string
- *                 description: Optional access token
- *                 example: ""
  *     responses:
  *       201:
  *         description: Patient created successfully
  *       400:
  *         description: Missing required fields
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.post('/create', authMiddleware, async (req, res, next) => {
+router.post('/create', authMiddleware, requireScope('patient:write'), async (req, res, next) => {
   try {
     const { 
       firstName, 
@@ -329,7 +331,8 @@ router.post('/create', authMiddleware, async (req, res, next) => {
       '/Patient/$patient-create',
       patientBundle,
       null,
-      req.accessToken
+      req.accessToken,
+      req.tenant.redox
     );
 
     // Transform the response to return simplified status
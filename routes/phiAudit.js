@@ -0,0 +1,239 @@
+const express = require('express');
+const router = express.Router();
+const oauthMiddleware = require('../middleware/oauthMiddleware');
+const requireScope = require('../middleware/requireScope');
+const phiAudit = require('../services/phiAuditService');
+const logger = require('../utils/logger');
+
+/**
+ * @swagger
+ * tags:
+ *   name: PHI Audit
+ *   description: Append-only audit log of access to patient data (requires the audit:read scope)
+ *
+ * components:
+ *   schemas:
+ *     PhiAuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "1042"
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *         actorType:
+ *           type: string
+ *           enum: [oauth_client, retell_call, api_key, system]
+ *         actorId:
+ *           type: string
+ *           description: OAuth client ID, Retell call ID, API key owner or system job
+ *           example: "call_8a1f3c2b9d"
+ *         actorDetails:
+ *           type: object
+ *           description: Client name, Retell agent ID or callback ID
+ *         action:
+ *           type: string
+ *           enum: [read, search, create, update]
+ *         resourceType:
+ *           type: string
+ *           example: "Patient"
+ *         resourceId:
+ *           type: string
+ *           nullable: true
+ *         patientIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Patients whose data was accessed
+ *         outcome:
+ *           type: string
+ *           enum: [success, failure]
+ *         tenantId:
+ *           type: integer
+ *           nullable: true
+ *         requestId:
+ *           type: string
+ *           nullable: true
+ *           description: X-Request-Id of the request that made the access
+ *         details:
+ *           type: object
+ *           description: Redox method, endpoint and status code, and the Retell function name
+ *         hash:
+ *           type: string
+ *           description: Hash chaining this entry to the previous one
+ */
+
+// Every endpoint requires an OAuth token with the audit:read scope
+router.use(oauthMiddleware, requireScope('audit:read'));
+
+// Parse an optional ISO 8601 date query parameter; undefined if absent, null if invalid
+function parseDate(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @swagger
+ * /api/v1/audit/phi:
+ *   get:
+ *     summary: Search the PHI access audit log
+ *     description: Audit entries of the calling client's tenant matching all given filters, newest first
+ *     tags: [PHI Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *         description: Only accesses to this patient's data
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Accesses at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Accesses before this time
+ *       - in: query
+ *         name: actorType
+ *         schema:
+ *           type: string
+ *           enum: [oauth_client, retell_call, api_key, system]
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PhiAuditEntry'
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { patientId, actorType, actorId, outcome } = req.query;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be ISO 8601 dates'
+      });
+    }
+    if (outcome && !['success', 'failure'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: "outcome must be 'success' or 'failure'"
+      });
+    }
+
+    const entries = await phiAudit.query({
+      tenantId: req.oauthClient.tenantId ?? null,
+      patientId,
+      from,
+      to,
+      actorType,
+      actorId,
+      outcome,
+      limit: parseInt(req.query.limit) || 100,
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Error searching PHI audit log', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/audit/phi/verify:
+ *   get:
+ *     summary: Verify the PHI audit log hash chain
+ *     description: Recomputes the hash of every entry from the first one. valid is false if any entry was changed, removed or reordered, and brokenAtId is the first entry that does not match.
+ *     tags: [PHI Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                     checked:
+ *                       type: integer
+ *                     brokenAtId:
+ *                       type: string
+ *                       nullable: true
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.get('/verify', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await phiAudit.verifyChain()
+    });
+  } catch (error) {
+    logger.error('Error verifying PHI audit log', { error: error.message });
+    next(error);
+  }
+});
+
+module.exports = router;
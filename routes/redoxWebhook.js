@@ -5,10 +5,15 @@ const RedoxAPIService = require('../services/redoxApiService');
 const RedoxTransformer = require('../utils/redoxTransformer');
 const retellService = require('../services/retellService');
 const AuthService = require('../services/authService');
+const redoxTokenManager = require('../services/redoxTokenManager');
+const redoxHttpClient = require('../services/redoxHttpClient');
+const tenantService = require('../services/tenantService');
 const authenticate = require('../middleware/auth');
+const requireScope = require('../middleware/requireScope');
 const oauthMiddleware = require('../middleware/oauthMiddleware');
-
-const authService = new AuthService();
+const { handleVerificationRequest, verifyRedoxWebhook } = require('../middleware/verifyRedoxWebhook');
+const redoxVerification = require('../services/redoxWebhookVerificationService');
+const { AppError } = require('../utils/errors');
 
 /**
  * @swagger
@@ -45,15 +50,21 @@ const authService = new AuthService();
  *   description: Redox webhook endpoints and test utilities
  */
 
+/**
+ * Redox destination verification (challenge) handshake for the scheduling webhook
+ */
+router.get('/webhook/scheduling', handleVerificationRequest);
+
 /**
  * Webhook endpoint for Redox scheduling updates
  * Listens for service request events and triggers outbound calls via Retell
- * Requires OAuth authentication via Bearer token
+ * Requires OAuth authentication via Bearer token with the webhook:scheduling scope,
+ * and the verification-token header of the event's Redox source
  */
-router.post('/webhook/scheduling', oauthMiddleware, async (req, res) => {
+router.post('/webhook/scheduling', handleVerificationRequest, oauthMiddleware, requireScope('webhook:scheduling'), verifyRedoxWebhook, async (req, res) => {
   try {
-    // Log the full payload for debugging (remove this after testing)
-    logger.info('Full Redox webhook payload received', {
+    // Log the full payload for debugging (PHI is masked by the logger)
+    logger.debug('Full Redox webhook payload received', {
       payload: JSON.stringify(req.body)
     });
     
@@ -106,8 +117,11 @@ router.post('/webhook/scheduling', oauthMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Patient ID not found' });
     }
 
+    // Events are processed with the Redox configuration of the client's tenant
+    const tenant = await tenantService.getById(req.oauthClient.tenantId ?? null);
+
     // Process the scheduling event
-    await processSchedulingEvent(bundle, redoxPatientId, patientResource);
+    await processSchedulingEvent(bundle, redoxPatientId, patientResource, tenant);
     
     // Send acknowledgment to Redox
     res.status(200).json({ 
@@ -124,7 +138,7 @@ router.post('/webhook/scheduling', oauthMiddleware, async (req, res) => {
 /**
  * Process scheduling event and trigger outbound call
  */
-async function processSchedulingEvent(bundle, redoxPatientId, patientResource) {
+async function processSchedulingEvent(bundle, redoxPatientId, patientResource, tenant) {
   try {
     logger.info('=== PROCESS SCHEDULING EVENT START ===', {
       redoxPatientId,
@@ -148,8 +162,7 @@ async function processSchedulingEvent(bundle, redoxPatientId, patientResource) {
     
     // Get access token for subsequent API calls
     logger.info('Getting access token for appointment search');
-    const accessToken = await authService.getAccessToken();
-    patientData.accessToken = accessToken;
+    const accessToken = await AuthService.forTenant(tenant).getAccessToken();
     logger.info('Access token obtained for appointment search');
 
     // Get appointment details for the patient
@@ -164,7 +177,8 @@ async function processSchedulingEvent(bundle, redoxPatientId, patientResource) {
         '/Appointment/_search',
         null,
         searchParams,
-        accessToken
+        accessToken,
+        tenant.redox
       );
       
       logger.info('Appointment search response received', {
@@ -219,10 +233,7 @@ async function processSchedulingEvent(bundle, redoxPatientId, patientResource) {
       patient_appointment_type: appointment?.appointmentType || '',
       appointment_start: appointment?.startTime || '',
       patient_appointment_status: appointment?.status || '',
-      appointment_description: appointment?.description || '',
-      
-      // Access token for subsequent calls
-      access_token: patientData.accessToken || ''
+      appointment_description: appointment?.description || ''
     };
 
     // Validate phone number before triggering call
@@ -253,7 +264,7 @@ async function processSchedulingEvent(bundle, redoxPatientId, patientResource) {
     
     // TEMPORARILY DISABLED: Retell call triggering
     // Uncomment the line below to enable actual calls
-    // await retellService.createSchedulingCall(patientData.phone, dynamicVariables);
+    // await retellService.createSchedulingCall(patientData.phone, dynamicVariables, tenant);
     
     logger.info('Webhook processed successfully (Retell call disabled)', {
       patientId: redoxPatientId,
@@ -443,10 +454,12 @@ function findRelevantAppointment(appointments, bundle) {
  *         description: Bad request - missing patient ID
  *       401:
  *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/test/trigger-scheduling-call', authenticate, async (req, res) => {
+router.post('/test/trigger-scheduling-call', authenticate, requireScope('calls:write'), async (req, res, next) => {
   try {
     logger.info('=== TRIGGER SCHEDULING CALL START ===', {
       requestBody: req.body,
@@ -464,7 +477,7 @@ router.post('/test/trigger-scheduling-call', authenticate, async (req, res) => {
 
     // Get patient details from Redox
     logger.info('Getting access token for patient lookup');
-    const accessToken = await authService.getAccessToken();
+    const accessToken = await AuthService.forTenant(req.tenant).getAccessToken();
     logger.info('Access token obtained, making patient lookup request', { patientId });
     
     const patientResponse = await RedoxAPIService.makeRequest(
@@ -472,7 +485,8 @@ router.post('/test/trigger-scheduling-call', authenticate, async (req, res) => {
       `/Patient/${patientId}`,
       null,
       null,
-      accessToken
+      accessToken,
+      req.tenant.redox
     );
     
     logger.info('Patient lookup response received', {
@@ -558,7 +572,7 @@ router.post('/test/trigger-scheduling-call', authenticate, async (req, res) => {
       entryCount: mockBundle.entry.length
     });
     
-    await processSchedulingEvent(mockBundle, patientId, patientResponse);
+    await processSchedulingEvent(mockBundle, patientId, patientResponse, req.tenant);
     
     logger.info('Scheduling event processed successfully');
     
@@ -580,6 +594,12 @@ router.post('/test/trigger-scheduling-call', authenticate, async (req, res) => {
       patientId: req.body?.patientId,
       timestamp: new Date().toISOString()
     });
+
+    // Redox errors (unknown patient, outage, ...) get their precise response
+    if (error instanceof AppError) {
+      return next(error);
+    }
+
     res.status(500).json({ 
       error: 'Failed to trigger scheduling event',
       details: error.message
@@ -587,4 +607,188 @@ router.post('/test/trigger-scheduling-call', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/redox/auth/token-metrics:
+ *   get:
+ *     summary: Get Redox access token cache metrics
+ *     description: Refresh counts, failures and cache state per Redox credential set
+ *     tags: [Redox Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     renewBeforeSeconds:
+ *                       type: integer
+ *                     minValiditySeconds:
+ *                       type: integer
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         refreshes:
+ *                           type: integer
+ *                         refreshFailures:
+ *                           type: integer
+ *                         singleFlightJoins:
+ *                           type: integer
+ *                         proactiveRenewals:
+ *                           type: integer
+ *                         cacheHits:
+ *                           type: integer
+ *                         invalidations:
+ *                           type: integer
+ *                     credentials:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.get('/auth/token-metrics', oauthMiddleware, requireScope('ops:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: redoxTokenManager.getMetrics()
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/redox/client/circuit-breakers:
+ *   get:
+ *     summary: Get the state of the Redox API circuit breakers
+ *     description: One circuit breaker per Redox environment (base URL). While a breaker is open, Redox requests fail immediately instead of waiting for timeouts.
+ *     tags: [Redox Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Circuit breaker states
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       baseURL:
+ *                         type: string
+ *                       state:
+ *                         type: string
+ *                         enum: [closed, open, half_open]
+ *                       consecutiveFailures:
+ *                         type: integer
+ *                       openedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.get('/client/circuit-breakers', oauthMiddleware, requireScope('ops:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: redoxHttpClient.getCircuitStates()
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/redox/webhook/verification-log:
+ *   get:
+ *     summary: Get Redox webhook verification outcomes
+ *     description: Recent verification-token checks of Redox webhooks and destination handshakes, newest first
+ *     tags: [Redox Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [verified, rejected]
+ *       - in: query
+ *         name: sourceId
+ *         schema:
+ *           type: string
+ *         description: Redox source ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           minimum: 1
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Verification log entries
+ *       400:
+ *         description: Invalid outcome or limit
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.get('/webhook/verification-log', oauthMiddleware, requireScope('ops:read'), async (req, res) => {
+  try {
+    const { outcome, sourceId } = req.query;
+    const { maxLogLimit } = redoxVerification;
+
+    if (outcome && !['verified', 'rejected'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: "outcome must be 'verified' or 'rejected'"
+      });
+    }
+
+    let limit = 100;
+    if (req.query.limit !== undefined) {
+      limit = typeof req.query.limit === 'string' && /^\d+$/.test(req.query.limit) ? Number(req.query.limit) : NaN;
+
+      if (!(limit >= 1 && limit <= maxLogLimit)) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be an integer between 1 and ${maxLogLimit}`
+        });
+      }
+    }
+
+    const entries = await redoxVerification.getVerificationLog({
+      outcome,
+      sourceId,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Error fetching Redox webhook verification log', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch verification log'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const retellAgentService = require('../services/retellAgentService');
+const oauthMiddleware = require('../middleware/oauthMiddleware');
+const requireScope = require('../middleware/requireScope');
 
 /**
  * @swagger
@@ -57,6 +59,8 @@ const retellAgentService = require('../services/retellAgentService');
  *   post:
  *     summary: Get agent details by ID with enhanced data
  *     tags: [Retell Agent]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -107,10 +111,14 @@ const retellAgentService = require('../services/retellAgentService');
  *                         type: object
  *       400:
  *         description: Missing agent_id
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/get', async (req, res) => {
+router.post('/get', oauthMiddleware, requireScope('agents:read'), async (req, res) => {
   try {
     const { agent_id } = req.body;
 
@@ -144,6 +152,8 @@ router.post('/get', async (req, res) => {
  *   post:
  *     summary: Update agent details
  *     tags: [Retell Agent]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -218,10 +228,14 @@ router.post('/get', async (req, res) => {
  *                       description: ID of the updated conversation flow (if applicable)
  *       400:
  *         description: Missing agent_id
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/update', async (req, res) => {
+router.post('/update', oauthMiddleware, requireScope('agents:write'), async (req, res) => {
   try {
     const { agent_id, ...updateData } = req.body;
 
@@ -258,6 +272,8 @@ router.post('/update', async (req, res) => {
  *   post:
  *     summary: List all agents from database
  *     tags: [Retell Agent]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       description: No request body required
  *       content:
@@ -295,10 +311,14 @@ router.post('/update', async (req, res) => {
  *                           status:
  *                             type: string
  *                             example: "available"
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/list', async (req, res) => {
+router.post('/list', oauthMiddleware, requireScope('agents:read'), async (req, res) => {
   try {
     logger.info('List all agents request from database');
 
@@ -324,6 +344,8 @@ router.post('/list', async (req, res) => {
  *   post:
  *     summary: Update agent status and return all agents
  *     tags: [Retell Agent]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -376,10 +398,14 @@ router.post('/list', async (req, res) => {
  *         description: Missing required fields
  *       404:
  *         description: Agent not found
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/update-status', async (req, res) => {
+router.post('/update-status', oauthMiddleware, requireScope('agents:write'), async (req, res) => {
   try {
     const { agent_id, status } = req.body;
 
@@ -427,6 +453,8 @@ router.post('/update-status', async (req, res) => {
  *   post:
  *     summary: Get conversation flow details by ID
  *     tags: [Retell Agent]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -454,10 +482,14 @@ router.post('/update-status', async (req, res) => {
  *                   $ref: '#/components/schemas/ConversationFlow'
  *       400:
  *         description: Missing conversation_flow_id
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/conversation-flow/get', async (req, res) => {
+router.post('/conversation-flow/get', oauthMiddleware, requireScope('agents:read'), async (req, res) => {
   try {
     const { conversation_flow_id } = req.body;
 
@@ -491,6 +523,8 @@ router.post('/conversation-flow/get', async (req, res) => {
  *   post:
  *     summary: Update conversation flow
  *     tags: [Retell Agent]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -514,10 +548,14 @@ router.post('/conversation-flow/get', async (req, res) => {
  *         description: Conversation flow updated successfully
  *       400:
  *         description: Missing conversation_flow_id
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/conversation-flow/update', async (req, res) => {
+router.post('/conversation-flow/update', oauthMiddleware, requireScope('agents:write'), async (req, res) => {
   try {
     const { conversation_flow_id, ...updateData } = req.body;
 
@@ -557,6 +595,8 @@ router.post('/conversation-flow/update', async (req, res) => {
  *   post:
  *     summary: List all conversation flows
  *     tags: [Retell Agent]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       content:
  *         application/json:
@@ -576,10 +616,14 @@ router.post('/conversation-flow/update', async (req, res) => {
  *     responses:
  *       200:
  *         description: List of conversation flows retrieved successfully
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/conversation-flow/list', async (req, res) => {
+router.post('/conversation-flow/list', oauthMiddleware, requireScope('agents:read'), async (req, res) => {
   try {
     const { limit, starting_after, ending_before } = req.body;
 
@@ -611,6 +655,8 @@ router.post('/conversation-flow/list', async (req, res) => {
  *   post:
  *     summary: List all available voices
  *     tags: [Retell Agent]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of voices retrieved successfully
@@ -628,10 +674,14 @@ router.post('/conversation-flow/list', async (req, res) => {
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Voice'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/voice/list', async (req, res) => {
+router.post('/voice/list', oauthMiddleware, requireScope('agents:read'), async (req, res) => {
   try {
     logger.info('List voices request');
 
@@ -656,6 +706,8 @@ router.post('/voice/list', async (req, res) => {
  *   post:
  *     summary: Create a web call for an agent
  *     tags: [Retell Agent]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -720,10 +772,14 @@ router.post('/voice/list', async (req, res) => {
  *                       example: "registered"
  *       400:
  *         description: Missing agent_id
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  *       500:
  *         description: Internal server error
  */
-router.post('/create-web-call', async (req, res) => {
+router.post('/create-web-call', oauthMiddleware, requireScope('calls:write'), async (req, res) => {
   try {
     const { 
       agent_id, 
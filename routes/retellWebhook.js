@@ -1,17 +1,23 @@
 const express = require("express");
 const router = express.Router();
 const authMiddleware = require("../middleware/auth");
+const oauthMiddleware = require("../middleware/oauthMiddleware");
+const requireScope = require("../middleware/requireScope");
+const verifyRetellSignature = require("../middleware/verifyRetellSignature");
 const RedoxTransformer = require("../utils/redoxTransformer");
 const RedoxAPIService = require("../services/redoxApiService");
 const AuthService = require("../services/authService");
+const tenantService = require("../services/tenantService");
 const logger = require("../utils/logger");
+const requestContext = require("../utils/requestContext");
+const { ERROR_CODES, AppError, formatIssues } = require("../utils/errors");
 const db = require("../db/connection");
 const { Resend } = require("resend");
-const callIdStorage = require("../utils/callIdStorage");
+const eventDeduplication = require("../services/eventDeduplicationService");
+const agentRouting = require("../services/agentRoutingService");
+const phiAudit = require("../services/phiAuditService");
 const axios = require("axios");
 
-const authService = new AuthService();
-
 // Helper function to forward events to Cekura observability
 async function forwardToCekuraObservability(eventData) {
   try {
@@ -20,6 +26,7 @@ async function forwardToCekuraObservability(eventData) {
       eventData,
       {
         headers: {
+          ...requestContext.outboundHeaders(),
           "Content-Type": "application/json",
         },
         timeout: 5000, // 5 second timeout
@@ -39,15 +46,106 @@ async function forwardToCekuraObservability(eventData) {
   }
 }
 
+// Bind the Retell call (and agent) to the request context, so every log line
+// and downstream request of the flow can be traced back to the call
+function bindRetellCall(req, res, next) {
+  const call = req.body?.call || req.body?.call_inbound;
+
+  if (call?.call_id) {
+    requestContext.set("callId", call.call_id);
+  }
+  if (call?.agent_id) {
+    requestContext.set("agentId", call.agent_id);
+  }
+
+  // The actor of any PHI access made for this request: the call, or Retell
+  // itself (authenticated by its API key signature) for events without one
+  requestContext.set(
+    "actor",
+    call?.call_id
+      ? {
+          type: "retell_call",
+          id: call.call_id,
+          details: { agentId: call.agent_id || null },
+        }
+      : { type: "api_key", id: "retell" },
+  );
+
+  next();
+}
+
+// What the agent should make of a failed function call, per error code
+const AGENT_ERROR_MESSAGES = {
+  [ERROR_CODES.REDOX_NOT_FOUND]:
+    "No matching record was found in the clinic's system.",
+  [ERROR_CODES.REDOX_VALIDATION_FAILED]:
+    "The clinic's system rejected the request. Confirm the details with the caller and try again.",
+  [ERROR_CODES.UPSTREAM_UNAVAILABLE]:
+    "The clinic's system is temporarily unavailable. Apologize and offer to call back later.",
+  [ERROR_CODES.UPSTREAM_TIMEOUT]:
+    "The clinic's system is not responding. Apologize and offer to call back later.",
+};
+const DEFAULT_AGENT_ERROR_MESSAGE =
+  "The clinic's system could not complete the request. Apologize and offer to have the staff follow up.";
+
+// Function-call result for a typed error (see utils/errors)
+function functionCallError(name, error) {
+  const issues = formatIssues(error);
+
+  return {
+    success: false,
+    function: name,
+    error: {
+      code: error.code,
+      message: AGENT_ERROR_MESSAGES[error.code] || DEFAULT_AGENT_ERROR_MESSAGE,
+      retryable: error.retryable,
+      ...(issues.length && { issues }),
+    },
+  };
+}
+
 // Initialize Resend with API key
 const resend = new Resend("re_RqyutRoZ_FzgFQ1SVV8qd7RAUmjX4o79B");
 
+// Send the appointment confirmation email for an analyzed call (non-blocking)
+function sendConfirmationEmail(call) {
+  try {
+    const recepientEmail = call.retell_llm_dynamic_variables?.patient_email;
+
+    if (recepientEmail) {
+      const emailData = {
+        from: "myflow@no-reply.vexalink.com",
+        to: recepientEmail,
+        subject: `Appointment Confirmation`,
+        text: `Your appointment has been confirmed`,
+      };
+
+      // Send email using Resend (non-blocking)
+      resend.emails.send(emailData).catch(emailError => {
+        logger.error("Failed to send confirmation email", {
+          error: emailError.message,
+          recipient: recepientEmail,
+          call_id: call.call_id
+        });
+      });
+    }
+  } catch (emailError) {
+    // Log error but don't fail the request
+    logger.error("Error processing confirmation email", {
+      error: emailError.message,
+      call_id: call.call_id
+    });
+  }
+}
+
 /**
  * @swagger
  * /api/v1/retell/webhook:
  *   post:
  *     summary: Handle Retell webhook events (call inbound)
  *     tags: [Retell Webhook]
+ *     security:
+ *       - retellSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -65,8 +163,10 @@ const resend = new Resend("re_RqyutRoZ_FzgFQ1SVV8qd7RAUmjX4o79B");
  *     responses:
  *       200:
  *         description: Patient and appointment data for call
+ *       401:
+ *         description: Missing or invalid x-retell-signature
  */
-router.post("/webhook", async (req, res, next) => {
+router.post("/webhook", verifyRetellSignature, bindRetellCall, async (req, res, next) => {
   try {
     // Forward a copy of the event to Cekura observability (non-blocking)
     forwardToCekuraObservability(req.body);
@@ -74,7 +174,6 @@ router.post("/webhook", async (req, res, next) => {
     // Log complete webhook request body
     logger.info("=== RETELL WEBHOOK RECEIVED ===", {
       requestBody: JSON.stringify(req.body, null, 2),
-      headers: req.headers,
       timestamp: new Date().toISOString(),
     });
 
@@ -99,8 +198,12 @@ router.post("/webhook", async (req, res, next) => {
       call_inbound: call_inbound,
     });
 
+    // Resolve the tenant from the dialed agent number or agent ID
+    const tenant = await tenantService.resolveForCall(call_inbound);
+    requestContext.set("tenantId", tenant.id);
+
     // Get access token
-    const accessToken = await authService.getAccessToken();
+    const accessToken = await AuthService.forTenant(tenant).getAccessToken();
 
     // Search for patient by phone number
     const patientSearchParams =
@@ -111,6 +214,7 @@ router.post("/webhook", async (req, res, next) => {
       null,
       patientSearchParams,
       accessToken,
+      tenant.redox,
     );
 
     // Transform patient response
@@ -135,6 +239,7 @@ router.post("/webhook", async (req, res, next) => {
         null,
         appointmentSearchParams,
         accessToken,
+        tenant.redox,
       );
 
       // Transform appointment response
@@ -148,7 +253,6 @@ router.post("/webhook", async (req, res, next) => {
     const dynamicVariables = {
       caller_phone: from_number,
       patient_found: patients.length > 0 ? "true" : "false",
-      access_token: accessToken,
     };
 
     // Add individual patient details as separate dynamic variables (all as strings)
@@ -210,6 +314,8 @@ router.post("/webhook", async (req, res, next) => {
  *   post:
  *     summary: Handle Retell function calls
  *     tags: [Retell Function Calls]
+ *     security:
+ *       - retellSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -219,21 +325,14 @@ router.post("/webhook", async (req, res, next) => {
  *             properties:
  *               call:
  *                 type: object
- *                 properties:
- *                   access_token:
- *                     type: string
- *                     description: Access token from call context
  *               name:
  *                 type: string
  *                 enum: [check_availability, book_appointment, update_appointment, create_patient, find_patient]
  *                 description: Function name
  *               args:
  *                 type: object
- *                 description: Function arguments (may include access_token)
+ *                 description: Function arguments
  *                 properties:
- *                   access_token:
- *                     type: string
- *                     description: Access token (can be in args or call context)
  *                   birth_date:
  *                     type: string
  *                     description: Patient's date of birth (for find_patient)
@@ -245,9 +344,11 @@ router.post("/webhook", async (req, res, next) => {
  *                     description: Patient's last name (for find_patient)
  *     responses:
  *       200:
- *         description: Function call result
+ *         description: Function call result. If the EHR request failed, success is false and error holds a stable code (e.g. REDOX_NOT_FOUND, UPSTREAM_UNAVAILABLE), a message for the agent, whether retrying may help, and any FHIR issues.
+ *       401:
+ *         description: Missing or invalid x-retell-signature
  */
-router.post("/function-call", async (req, res, next) => {
+router.post("/function-call", verifyRetellSignature, bindRetellCall, async (req, res, next) => {
   try {
     // Forward a copy of the event to Cekura observability (non-blocking)
     forwardToCekuraObservability(req.body);
@@ -273,11 +374,11 @@ router.post("/function-call", async (req, res, next) => {
 
     logger.info("=== RETELL FUNCTION CALL RECEIVED ===", {
       requestBody: JSON.stringify(logBody, null, 2),
-      headers: req.headers,
       timestamp: new Date().toISOString(),
     });
 
     const { call, name, args } = req.body;
+    requestContext.set("functionName", name);
 
     logger.info("Retell function call processed", {
       functionName: name,
@@ -308,9 +409,12 @@ router.post("/function-call", async (req, res, next) => {
       });
     }
 
-    // Get access token from args only, otherwise generate new one
-    const accessToken =
-      args?.access_token || (await authService.getAccessToken());
+    // Resolve the tenant from the call's agent number or agent ID
+    const tenant = await tenantService.resolveForCall(call);
+    requestContext.set("tenantId", tenant.id);
+
+    // Always the tenant's own Redox token; tokens in the call are not trusted
+    const accessToken = await AuthService.forTenant(tenant).getAccessToken();
 
     let result;
 
@@ -326,13 +430,32 @@ router.post("/function-call", async (req, res, next) => {
           serviceType,
           startTime,
         );
-        const slotResponse = await RedoxAPIService.makeRequest(
-          "POST",
-          "/Slot/_search",
-          null,
-          slotSearchParams,
-          accessToken,
-        );
+        // Slots hold no patient data, so the lookup is audited here when it
+        // is made for an identified patient
+        const availabilityPatientId =
+          args.patientId || call?.retell_llm_dynamic_variables?.patient_id;
+        let slotResponse;
+        let slotLookupSucceeded = false;
+        try {
+          slotResponse = await RedoxAPIService.makeRequest(
+            "POST",
+            "/Slot/_search",
+            null,
+            slotSearchParams,
+            accessToken,
+            tenant.redox,
+          );
+          slotLookupSucceeded = true;
+        } finally {
+          if (availabilityPatientId) {
+            await phiAudit.recordPatientLookup({
+              method: "POST",
+              endpoint: "/Slot/_search",
+              patientId: availabilityPatientId,
+              success: slotLookupSucceeded,
+            });
+          }
+        }
 
         result = RedoxTransformer.transformSlotSearchResponse(slotResponse);
         break;
@@ -372,6 +495,7 @@ router.post("/function-call", async (req, res, next) => {
           appointmentBundle,
           null,
           accessToken,
+          tenant.redox,
         );
 
         result =
@@ -415,6 +539,7 @@ router.post("/function-call", async (req, res, next) => {
           updateBundle,
           null,
           accessToken,
+          tenant.redox,
         );
 
         result =
@@ -470,6 +595,7 @@ router.post("/function-call", async (req, res, next) => {
           patientBundle,
           null,
           accessToken,
+          tenant.redox,
         );
 
         // Transform the response to extract patient ID
@@ -519,7 +645,8 @@ router.post("/function-call", async (req, res, next) => {
           "/Patient/_search",
           null,
           searchParams,
-          accessToken
+          accessToken,
+          tenant.redox
         );
 
         // Check if patient found
@@ -555,7 +682,8 @@ router.post("/function-call", async (req, res, next) => {
               "/Appointment/_search",
               null,
               appointmentSearchParams,
-              accessToken
+              accessToken,
+              tenant.redox
             );
           } catch (appointmentError) {
             logger.warn("Failed to fetch appointments for patient", {
@@ -616,8 +744,15 @@ router.post("/function-call", async (req, res, next) => {
   } catch (error) {
     logger.error("Retell function call error", {
       error: error.message,
+      code: error.code,
       functionName: req.body?.name || "unknown",
     });
+
+    // Known failures are returned as the function's result, so the agent can
+    // tell the caller what happened instead of the tool call just failing
+    if (error instanceof AppError) {
+      return res.json(functionCallError(req.body.name, error));
+    }
     next(error);
   }
 });
@@ -630,6 +765,8 @@ router.post("/function-call", async (req, res, next) => {
  *   post:
  *     summary: Handle Retell call updates (stores data only for 'call_analyzed' events)
  *     tags: [Retell Call Updates]
+ *     security:
+ *       - retellSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -649,18 +786,21 @@ router.post("/function-call", async (req, res, next) => {
  *                 description: Retell call data object
  *     responses:
  *       200:
- *         description: Call update processed successfully
+ *         description: Call update processed successfully (replays of an already processed call return the original response with an Idempotent-Replayed header)
+ *       202:
+ *         description: The same call is currently being processed by another request
  *       400:
  *         description: Invalid request - missing required fields
+ *       401:
+ *         description: Missing or invalid x-retell-signature
  *       500:
  *         description: Internal server error
  */
-router.post("/call/update", async (req, res, next) => {
+router.post("/call/update", verifyRetellSignature, bindRetellCall, async (req, res, next) => {
   try {
     // Forward a copy of the event to Cekura observability (non-blocking)
     forwardToCekuraObservability(req.body);
     
-    console.log("hit");
     const { event, call } = req.body;
 
     // Only process if event is 'call_analyzed'
@@ -678,61 +818,43 @@ router.post("/call/update", async (req, res, next) => {
       });
     }
 
-    // Send confirmation email if patient email is available (non-blocking)
-    try {
-      const recepientEmail = call.retell_llm_dynamic_variables?.patient_email;
-      
-      if (recepientEmail) {
-        const emailData = {
-          from: "myflow@no-reply.vexalink.com",
-          to: recepientEmail,
-          subject: `Appointment Confirmation`,
-          text: `Your appointment has been confirmed`,
-        };
+    // Claim the event before doing any work so redeliveries (restarts, other
+    // replicas, Retell retries) never send duplicate emails or documents
+    const dedup = await eventDeduplication.claim(event, call.call_id);
 
-        // Send email using Resend (non-blocking)
-        resend.emails.send(emailData).catch(emailError => {
-          logger.error("Failed to send confirmation email", {
-            error: emailError.message,
-            recipient: recepientEmail,
-            call_id: call.call_id
-          });
+    if (!dedup.claimed) {
+      if (dedup.status === "completed" && dedup.result) {
+        logger.info("Call already processed - replaying original result", {
+          call_id: call.call_id,
         });
+        res.set("Idempotent-Replayed", "true");
+        return res.json(dedup.result);
       }
-    } catch (emailError) {
-      // Log error but don't fail the request
-      logger.error("Error processing confirmation email", {
-        error: emailError.message,
-        call_id: call.call_id
+
+      logger.info("Call is already being processed", { call_id: call.call_id });
+      return res.status(202).json({
+        success: true,
+        message: "Call is already being processed",
+        call_id: call.call_id,
       });
     }
 
     try {
+      // Resolve the tenant whose Redox configuration to use for documents
+      const tenant = await tenantService.resolveForCall(call);
+      requestContext.set("tenantId", tenant.id);
+
       // Start a transaction to ensure data consistency
       await db.query("BEGIN");
 
-      // 1. Check if this call_id already exists using in-memory storage (idempotency check)
-      if (callIdStorage.hasBeenProcessed(call.call_id)) {
-        await db.query("ROLLBACK");
-        logger.info("Call already processed", { call_id: call.call_id });
-        return res.json({
-          success: true,
-          message: "Call already processed",
-          call_id: call.call_id,
-        });
-      }
-
-      // Mark call as processed in memory
-      callIdStorage.markAsProcessed(call.call_id);
-
-      // 2. Insert into calls table
+      // 1. Insert into calls table
       const insertCallQuery = `
         INSERT INTO calls (call_id, body)
         VALUES ($1, $2)
       `;
       await db.query(insertCallQuery, [call.call_id, JSON.stringify(req.body)]);
 
-      // 3. Get current agent analytics
+      // 2. Get current agent analytics
       const agentResult = await db.query(
         "SELECT * FROM agents WHERE agent_id = $1",
         [call.agent_id],
@@ -862,9 +984,7 @@ router.post("/call/update", async (req, res, next) => {
         } else {
           // Create DocumentReference
           try {
-            const accessToken =
-              call.retell_llm_dynamic_variables?.access_token ||
-              (await authService.getAccessToken());
+            const accessToken = await AuthService.forTenant(tenant).getAccessToken();
 
             // Ensure the text has proper formatting (normalize newlines)
             const formattedIntakeDetails = patientIntakeDetails
@@ -878,12 +998,9 @@ router.post("/call/update", async (req, res, next) => {
               patient_id: patientId,
               content_type: typeof formattedIntakeDetails,
               content_length: formattedIntakeDetails.length,
-              content_preview: formattedIntakeDetails.substring(0, 100),
+              content_length: formattedIntakeDetails.length,
               has_access_token: !!accessToken,
-              access_token_source: call.retell_llm_dynamic_variables
-                ?.access_token
-                ? "retell_variables"
-                : "auth_service",
+              access_token_source: "auth_service",
               metadata: {
                 callId: call.call_id,
                 agentId: call.agent_id,
@@ -917,6 +1034,7 @@ router.post("/call/update", async (req, res, next) => {
               documentBundle,
               null,
               accessToken,
+              tenant.redox,
             );
 
             const documentResult =
@@ -946,26 +1064,24 @@ router.post("/call/update", async (req, res, next) => {
       const scheduledCallbackTime = call.call_analysis?.custom_analysis_data?.scheduled_callback_time;
       const patientId = call.retell_llm_dynamic_variables?.patient_id;
 
-      console.log("isTransferAttempted", isTransferAttempted);
-      console.log("scheduledCallbackTime", scheduledCallbackTime);
-      console.log("patientId", patientId);
+      logger.debug("Call analysis callback fields", {
+        call_id: call.call_id,
+        isTransferAttempted,
+        scheduledCallbackTime,
+        patientId,
+      });
 
       if (scheduledCallbackTime && patientId) {
-        // Determine agent callback number from call numbers
-        const agentNumbers = ['+16018846979', '+14088728200'];
-        let agentCallbackNumber = null;
-        
-        if (agentNumbers.includes(call.to_number)) {
-          agentCallbackNumber = call.to_number;
-        } else if (agentNumbers.includes(call.from_number)) {
-          agentCallbackNumber = call.from_number;
-        }
+        // Determine the agent route from the call's numbers or agent ID
+        const agentMatch = await agentRouting.resolveForCall(call);
+        const agentCallbackNumber = agentMatch?.agentNumber || null;
 
-        if (!agentCallbackNumber) {
-          logger.warn("Cannot determine agent callback number - skipping callback processing", {
+        if (!agentMatch || !agentCallbackNumber) {
+          logger.warn("Cannot determine agent callback route - skipping callback processing", {
             call_id: call.call_id,
             to_number: call.to_number,
             from_number: call.from_number,
+            agent_id: call.agent_id,
           });
         } else {
           logger.info("Processing callback request", {
@@ -973,15 +1089,15 @@ router.post("/call/update", async (req, res, next) => {
             is_transfer_attempted: isTransferAttempted,
             scheduled_callback_time: scheduledCallbackTime,
             agent_callback_number: agentCallbackNumber,
+            agent_route_id: agentMatch.route.id,
+            call_purpose: agentMatch.route.callPurpose,
             patient_id: patientId,
           });
 
           if (isTransferAttempted === "true" || isTransferAttempted === true) {
             // Create DocumentReference for transfer attempt
             try {
-              const accessToken =
-                call.retell_llm_dynamic_variables?.access_token ||
-                (await authService.getAccessToken());
+              const accessToken = await AuthService.forTenant(tenant).getAccessToken();
 
               const transferMessage = `Patient requested callback from human agent at ${scheduledCallbackTime}`;
 
@@ -1004,6 +1120,7 @@ router.post("/call/update", async (req, res, next) => {
                 documentBundle,
                 null,
                 accessToken,
+                tenant.redox,
               );
 
               const documentResult =
@@ -1031,14 +1148,18 @@ router.post("/call/update", async (req, res, next) => {
                 INSERT INTO scheduled_callbacks (
                   patient_id,
                   agent_callback_number,
+                  agent_route_id,
+                  tenant_id,
                   scheduled_time,
                   status
-                ) VALUES ($1, $2, $3, 'pending')
+                ) VALUES ($1, $2, $3, $4, $5, 'pending')
               `;
 
               await db.query(insertCallbackQuery, [
                 patientId,
                 agentCallbackNumber,
+                agentMatch.route.id,
+                tenant.id,
                 scheduledCallbackTime,
               ]);
 
@@ -1070,14 +1191,30 @@ router.post("/call/update", async (req, res, next) => {
         call_successful: call.call_analysis.call_successful,
       });
 
-      res.json({
+      // Send confirmation email if patient email is available (non-blocking)
+      sendConfirmationEmail(call);
+
+      const responseBody = {
         success: true,
         message: "Call analyzed event processed successfully",
         call_id: call.call_id,
         agent_id: call.agent_id,
-      });
+      };
+
+      await eventDeduplication.complete(event, call.call_id, responseBody);
+
+      res.json(responseBody);
     } catch (dbError) {
       await db.query("ROLLBACK");
+
+      // Release the claim so Retell's redelivery can retry the event
+      await eventDeduplication.release(event, call.call_id).catch((releaseError) => {
+        logger.error("Failed to release event claim", {
+          call_id: call.call_id,
+          error: releaseError.message,
+        });
+      });
+
       logger.error("Database error processing call update", {
         call_id: call.call_id,
         error: dbError.message,
@@ -1147,8 +1284,12 @@ router.post("/call/update", async (req, res, next) => {
  *         description: Patient not found
  *       500:
  *         description: Internal server error
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.post("/trigger-intake-call", authMiddleware, async (req, res, next) => {
+router.post("/trigger-intake-call", authMiddleware, requireScope("calls:write"), async (req, res, next) => {
   try {
     const retellService = require("../services/retellService");
     const { patientId } = req.body;
@@ -1163,8 +1304,10 @@ router.post("/trigger-intake-call", authMiddleware, async (req, res, next) => {
 
     logger.info("Triggering intake call", { patientId });
 
+    const tenant = req.tenant;
+
     // Get access token
-    const accessToken = await authService.getAccessToken();
+    const accessToken = await AuthService.forTenant(tenant).getAccessToken();
 
     // Get patient details from Redox
     logger.info("Fetching patient details from Redox", { patientId });
@@ -1175,6 +1318,7 @@ router.post("/trigger-intake-call", authMiddleware, async (req, res, next) => {
       null,
       null,
       accessToken,
+      tenant.redox,
     );
 
     if (!patientResponse || !patientResponse.id) {
@@ -1212,6 +1356,7 @@ router.post("/trigger-intake-call", authMiddleware, async (req, res, next) => {
         null,
         appointmentSearchParams,
         accessToken,
+        tenant.redox,
       );
       appointments =
         RedoxTransformer.transformAppointmentSearchResponse(
@@ -1231,7 +1376,6 @@ router.post("/trigger-intake-call", authMiddleware, async (req, res, next) => {
     const dynamicVariables = {
       // Call context
       call_type: "intake",
-      access_token: accessToken,
 
       // Patient details
       patient_id: patientId,
@@ -1257,6 +1401,7 @@ router.post("/trigger-intake-call", authMiddleware, async (req, res, next) => {
     const callResponse = await retellService.createIntakeCall(
       patientData.phone,
       dynamicVariables,
+      tenant,
     );
 
     logger.info("Intake call created successfully", {
@@ -1287,32 +1432,57 @@ router.post("/trigger-intake-call", authMiddleware, async (req, res, next) => {
  * @swagger
  * /api/v1/retell/call-storage/stats:
  *   get:
- *     summary: Get call ID storage statistics
+ *     summary: Get call event deduplication statistics
  *     tags: [Retell Call Storage]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Storage statistics
+ *         description: Deduplication statistics per event type
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 processedCallIds:
- *                   type: number
- *                   description: Number of call IDs currently stored
- *                 nextCleanup:
- *                   type: string
- *                   format: date-time
- *                   description: Next scheduled cleanup time (midnight PST)
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ttlHours:
+ *                       type: number
+ *                       description: How long processed events are remembered
+ *                     eventTypes:
+ *                       type: object
+ *                       description: Stats keyed by event type (e.g. call_analyzed)
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           completed:
+ *                             type: number
+ *                           processing:
+ *                             type: number
+ *                           duplicatesSuppressed:
+ *                             type: number
+ *                           lastSeenAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.get("/call-storage/stats", authMiddleware, (req, res) => {
-  const stats = callIdStorage.getStats();
-  res.json({
-    success: true,
-    data: stats,
-  });
+router.get("/call-storage/stats", oauthMiddleware, requireScope("ops:read"), async (req, res, next) => {
+  try {
+    const stats = await eventDeduplication.getStats();
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    logger.error("Error fetching call storage stats", { error: error.message });
+    next(error);
+  }
 });
 
 /**
@@ -1339,17 +1509,61 @@ router.get("/call-storage/stats", authMiddleware, (req, res) => {
  *                     pending:
  *                       type: number
  *                       description: Number of pending callbacks
+ *                     processing:
+ *                       type: number
+ *                       description: Number of callbacks currently claimed by a worker
  *                     completed:
  *                       type: number
  *                       description: Number of completed callbacks
  *                     failed:
  *                       type: number
- *                       description: Number of failed callbacks
+ *                       description: Number of failed callbacks (legacy status)
+ *                     dead_letter:
+ *                       type: number
+ *                       description: Number of callbacks that exhausted their retries or failed permanently
+ *                     cancelled:
+ *                       type: number
+ *                       description: Number of cancelled callbacks
+ *                     retrying:
+ *                       type: number
+ *                       description: Number of pending callbacks waiting for a retry
+ *                     expired:
+ *                       type: number
+ *                       description: Number of callbacks expired by the catch-up policy
+ *                     overdue:
+ *                       type: number
+ *                       description: Number of pending callbacks later than the grace period
+ *                     catchUpPolicy:
+ *                       type: object
+ *                       description: How overdue callbacks are handled
+ *                       properties:
+ *                         latePolicy:
+ *                           type: string
+ *                           enum: [call_late, reschedule, expire]
+ *                         graceMinutes:
+ *                           type: number
+ *                         callingWindow:
+ *                           type: object
+ *                           properties:
+ *                             startHour:
+ *                               type: number
+ *                             endHour:
+ *                               type: number
+ *                             timezone:
+ *                               type: string
+ *                             days:
+ *                               type: array
+ *                               items:
+ *                                 type: number
  *                     upcomingInNext5Minutes:
  *                       type: number
  *                       description: Number of callbacks scheduled in next 5 minutes
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.get("/callbacks/stats", authMiddleware, async (req, res, next) => {
+router.get("/callbacks/stats", oauthMiddleware, requireScope("ops:read"), async (req, res, next) => {
   try {
     const callbackScheduler = require("../services/callbackScheduler");
     const stats = await callbackScheduler.getStats();
@@ -1393,8 +1607,21 @@ router.get("/callbacks/stats", authMiddleware, async (req, res, next) => {
  *                     intervalMinutes:
  *                       type: number
  *                       description: Interval in minutes between processing runs
+ *                     maxAttempts:
+ *                       type: number
+ *                       description: Attempts before a callback is dead-lettered
+ *                     workerId:
+ *                       type: string
+ *                       description: Identifier this instance uses when claiming callbacks
+ *                     leaseSeconds:
+ *                       type: number
+ *                       description: How long a claimed callback is owned before it can be recovered
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.get("/callbacks/scheduler/status", authMiddleware, (req, res) => {
+router.get("/callbacks/scheduler/status", oauthMiddleware, requireScope("ops:read"), (req, res) => {
   const callbackScheduler = require("../services/callbackScheduler");
   const status = callbackScheduler.getStatus();
   res.json({
@@ -1408,6 +1635,7 @@ router.get("/callbacks/scheduler/status", authMiddleware, (req, res) => {
  * /api/v1/retell/callbacks/list:
  *   get:
  *     summary: List scheduled callbacks
+ *     description: Lists only callbacks of the calling client's tenant.
  *     tags: [Retell Callbacks]
  *     security:
  *       - bearerAuth: []
@@ -1416,7 +1644,7 @@ router.get("/callbacks/scheduler/status", authMiddleware, (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, completed, failed]
+ *           enum: [pending, processing, completed, failed, dead_letter, cancelled, expired]
  *         description: Filter by status
  *       - in: query
  *         name: patient_id
@@ -1463,14 +1691,26 @@ router.get("/callbacks/scheduler/status", authMiddleware, (req, res) => {
  *                         format: date-time
  *                       error_message:
  *                         type: string
+ *                       attempts:
+ *                         type: integer
+ *                       next_attempt_at:
+ *                         type: string
+ *                         format: date-time
+ *                       retell_call_id:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.get("/callbacks/list", authMiddleware, async (req, res, next) => {
+router.get("/callbacks/list", oauthMiddleware, requireScope("callbacks:read"), async (req, res, next) => {
   try {
     const { status, patient_id, limit = 100 } = req.query;
     
-    let query = "SELECT * FROM scheduled_callbacks WHERE 1=1";
-    const params = [];
-    let paramCount = 0;
+    // Clients only see their own tenant's callbacks
+    let query = "SELECT * FROM scheduled_callbacks WHERE tenant_id IS NOT DISTINCT FROM $1";
+    const params = [req.oauthClient.tenantId ?? null];
+    let paramCount = 1;
 
     if (status) {
       paramCount++;
@@ -1499,4 +1739,162 @@ router.get("/callbacks/list", authMiddleware, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/retell/callbacks/{id}/requeue:
+ *   post:
+ *     summary: Requeue a dead-lettered, failed, cancelled or expired callback
+ *     description: Resets the attempt counter and returns the callback to pending. Check that the patient was not already reached before requeueing a callback whose dial outcome was unknown.
+ *     tags: [Retell Callbacks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Callback ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scheduledTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional new callback time (defaults to the original time)
+ *                 example: "2025-01-22T14:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Callback requeued
+ *       400:
+ *         description: Invalid callback ID or scheduledTime
+ *       409:
+ *         description: Callback not found or not in a requeueable state
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.post("/callbacks/:id/requeue", oauthMiddleware, requireScope("callbacks:write"), async (req, res, next) => {
+  try {
+    const callbackScheduler = require("../services/callbackScheduler");
+    const id = parseInt(req.params.id);
+    const { scheduledTime } = req.body;
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid callback ID",
+      });
+    }
+
+    if (scheduledTime && isNaN(new Date(scheduledTime).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid scheduledTime",
+      });
+    }
+
+    const callback = await callbackScheduler.requeueCallback(
+      id,
+      req.oauthClient.tenantId ?? null,
+      scheduledTime ? new Date(scheduledTime) : null,
+    );
+
+    if (!callback) {
+      return res.status(409).json({
+        success: false,
+        error: "Callback not found or not in a requeueable state (dead_letter, failed, cancelled, expired)",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: callback,
+    });
+  } catch (error) {
+    logger.error("Error requeueing callback", {
+      callbackId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/retell/callbacks/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending callback
+ *     tags: [Retell Callbacks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Callback ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Optional cancellation reason
+ *                 example: "Patient called in directly"
+ *     responses:
+ *       200:
+ *         description: Callback cancelled
+ *       400:
+ *         description: Invalid callback ID
+ *       409:
+ *         description: Callback not found, not pending, or currently being dialed
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Token lacks the required scope
+ */
+router.post("/callbacks/:id/cancel", oauthMiddleware, requireScope("callbacks:write"), async (req, res, next) => {
+  try {
+    const callbackScheduler = require("../services/callbackScheduler");
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid callback ID",
+      });
+    }
+
+    const callback = await callbackScheduler.cancelCallback(id, req.oauthClient.tenantId ?? null, req.body.reason);
+
+    if (!callback) {
+      return res.status(409).json({
+        success: false,
+        error: "Callback not found, not pending, or currently being dialed",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: callback,
+    });
+  } catch (error) {
+    logger.error("Error cancelling callback", {
+      callbackId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const requireScope = require('../middleware/requireScope');
 const RedoxTransformer = require('../utils/redoxTransformer');
 const RedoxAPIService = require('../services/redoxApiService');
 const logger = require('../utils/logger');
@@ -33,17 +34,15 @@ const logger = require('../utils/logger');
  *                 format: date-time
  *                 description: Optional start time filter
  *                 example: "2025-01-22T14:00:00.000Z"
- *               access_token:
- *                 type: string
- *                 description: Optional access token
- *                 example: ""
  *     responses:
  *       200:
  *         description: Available slots
  *       401:
  *         description: Authentication failed
+ *       403:
+ *         description: Token lacks the required scope
  */
-router.post('/search', authMiddleware, async (req, res, next) => {
+router.post('/search', authMiddleware, requireScope('slot:read'), async (req, res, next) => {
   try {
     const { location, serviceType, startTime } = req.body;
     logger.info('Slot search request', { 
@@ -58,7 +57,8 @@ router.post('/search', authMiddleware, async (req, res, next) => {
       '/Slot/_search',
       null,
       searchParams,
-      req.accessToken
+      req.accessToken,
+      req.tenant.redox
     );
 
     // Transform the response to return simplified slot objects
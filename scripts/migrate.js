@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db/connection');
+const logger = require('../utils/logger');
+
+require('dotenv').config();
+
+/**
+ * Apply pending SQL migrations from db/migrations in filename order.
+ * Applied migrations are recorded in the schema_migrations table.
+ * Run with: npm run migrate
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+async function runMigrations() {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const applied = await client.query('SELECT name FROM schema_migrations');
+    const appliedNames = new Set(applied.rows.map(row => row.name));
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql'))
+      .sort();
+
+    let appliedCount = 0;
+
+    for (const file of files) {
+      if (appliedNames.has(file)) {
+        continue;
+      }
+
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+      logger.info('Applying migration', { migration: file });
+
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${file} failed: ${error.message}`);
+      }
+
+      appliedCount++;
+    }
+
+    logger.info('Migrations complete', { applied: appliedCount, total: files.length });
+  } finally {
+    client.release();
+  }
+}
+
+runMigrations()
+  .then(() => db.pool.end())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error('Migration run failed', { error: error.message });
+    process.exit(1);
+  });
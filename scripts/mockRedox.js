@@ -0,0 +1,29 @@
+const MockRedoxServer = require('../mocks/redoxServer');
+
+require('dotenv').config();
+
+/**
+ * Run the mock Redox server (mocks/redoxServer) for offline development.
+ * Run with: npm run mock-redox
+ * Listens on MOCK_REDOX_PORT (default 4010) and accepts any credentials.
+ */
+
+const port = parseInt(process.env.MOCK_REDOX_PORT) || 4010;
+const server = new MockRedoxServer();
+
+server
+  .start(port)
+  .then(({ baseURL, loginURL }) => {
+    console.log(`Mock Redox server listening on port ${port}`);
+    console.log('Point the app at it with:');
+    console.log(`  REDOX_BASE_URL=${baseURL}`);
+    console.log(`  REDOX_LOGIN_URL=${loginURL}`);
+  })
+  .catch((error) => {
+    console.error('Failed to start mock Redox server:', error.message);
+    process.exit(1);
+  });
+
+const shutdown = () => server.stop().then(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
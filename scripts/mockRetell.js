@@ -0,0 +1,29 @@
+const MockRetellServer = require('../mocks/retellServer');
+
+require('dotenv').config();
+
+/**
+ * Run the mock Retell server (mocks/retellServer) for offline development.
+ * Run with: npm run mock-retell
+ * Listens on MOCK_RETELL_PORT (default 4020) and accepts RETELL_API_KEY, or
+ * any API key if it is not set.
+ */
+
+const port = parseInt(process.env.MOCK_RETELL_PORT) || 4020;
+const server = new MockRetellServer({ apiKey: process.env.RETELL_API_KEY || null });
+
+server
+  .start(port)
+  .then(({ baseURL }) => {
+    console.log(`Mock Retell server listening on port ${port}`);
+    console.log('Point the app at it with:');
+    console.log(`  RETELL_BASE_URL=${baseURL}`);
+  })
+  .catch((error) => {
+    console.error('Failed to start mock Retell server:', error.message);
+    process.exit(1);
+  });
+
+const shutdown = () => server.stop().then(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
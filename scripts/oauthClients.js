@@ -0,0 +1,234 @@
+const fs = require('fs');
+const os = require('os');
+const db = require('../db/connection');
+const oauthClients = require('../services/oauthClientService');
+const signingKeys = require('../services/signingKeyService');
+const OAUTH_SCOPES = require('../config/oauthScopes');
+const OAUTH_CONFIG = require('../config/oauth');
+
+require('dotenv').config();
+
+/**
+ * Manage OAuth clients from the command line. Every change is written to the
+ * client audit log with the local user as the actor.
+ * Run with: npm run oauth-clients -- <command> [options]
+ */
+
+const USAGE = `Usage: npm run oauth-clients -- <command> [options]
+
+Commands:
+  create --name <name> [--description <text>] [--scopes <a,b>] [--tenant-id <id>]
+         [--auth-method client_secret_post|private_key_jwt] [--jwks-file <path>]
+  list [--all]
+  show <clientId>
+  update <clientId> [--name <name>] [--description <text>] [--scopes <a,b>] [--tenant-id <id>]
+         [--jwks-file <path>]
+  rotate-secret <clientId> [--overlap-minutes <n>]
+  deactivate <clientId>
+  activate <clientId>
+  delete <clientId> --yes
+  audit <clientId> [--limit <n>]
+  scopes
+  signing-keys
+  rotate-signing-key
+
+Example (Redox webhook client):
+  npm run oauth-clients -- create --name "Redox Webhook Client" --scopes webhook:scheduling`;
+
+const ACTOR = `cli:${os.userInfo().username}@${os.hostname()}`;
+
+// Parse "<command> [positional] --flag value --switch" into { command, args, options }
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      const key = rest[i].substring(2);
+      const next = rest[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[key] = true;
+      } else {
+        options[key] = next;
+        i++;
+      }
+    } else {
+      args.push(rest[i]);
+    }
+  }
+
+  return { command, args, options };
+}
+
+// Convert CLI options to client fields
+function toClientFields(options) {
+  const data = {};
+  if (options.name !== undefined) data.name = String(options.name);
+  if (options.description !== undefined) data.description = String(options.description);
+  if (options.scopes !== undefined) {
+    data.scopes = String(options.scopes).split(',').map(scope => scope.trim()).filter(Boolean);
+  }
+  if (options['tenant-id'] !== undefined) {
+    data.tenantId = options['tenant-id'] === 'none' ? null : Number(options['tenant-id']);
+  }
+  if (options['auth-method'] !== undefined) data.tokenEndpointAuthMethod = String(options['auth-method']);
+  if (options['jwks-file'] !== undefined) {
+    data.jwks = JSON.parse(fs.readFileSync(String(options['jwks-file']), 'utf8'));
+  }
+  return data;
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function printSecret(client, clientSecret) {
+  if (!clientSecret) {
+    console.log(`Client ID: ${client.clientId}`);
+    console.log('This client authenticates with JWT assertions signed by its registered keys (private_key_jwt).');
+    if (!OAUTH_CONFIG.issuer) {
+      console.log('Warning: OAUTH_ISSUER is not set, so its assertions are rejected until it is.');
+    }
+    return;
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Client ID:     ${client.clientId}`);
+  console.log(`Client Secret: ${clientSecret}`);
+  console.log(`Scopes:        ${client.scopes.join(' ') || '(none)'}`);
+  console.log('='.repeat(60));
+  console.log('The client secret is shown only once and cannot be recovered.');
+  console.log('Store it securely and share it only through a secure channel.');
+}
+
+function requireClientId(args) {
+  if (!args[0]) {
+    throw new Error('A clientId is required');
+  }
+  return args[0];
+}
+
+function requireFound(result, clientId) {
+  if (!result) {
+    throw new Error(`OAuth client not found: ${clientId}`);
+  }
+  return result;
+}
+
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new Error(`Validation failed:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+async function run({ command, args, options }) {
+  switch (command) {
+    case 'create': {
+      const data = toClientFields(options);
+      assertValid(oauthClients.validate(data));
+      const { client, clientSecret } = await oauthClients.create(data, ACTOR);
+      printSecret(client, clientSecret);
+      break;
+    }
+
+    case 'list':
+      printJson(await oauthClients.list(!!options.all));
+      break;
+
+    case 'show': {
+      const clientId = requireClientId(args);
+      printJson(requireFound(await oauthClients.get(clientId), clientId));
+      break;
+    }
+
+    case 'update': {
+      const clientId = requireClientId(args);
+      const existing = requireFound(await oauthClients.get(clientId), clientId);
+      const data = toClientFields(options);
+      assertValid(oauthClients.validate(data, existing));
+      printJson(requireFound(await oauthClients.update(clientId, data, ACTOR), clientId));
+      break;
+    }
+
+    case 'rotate-secret': {
+      const clientId = requireClientId(args);
+      const rotateOptions = {};
+      if (options['overlap-minutes'] !== undefined) {
+        rotateOptions.overlapMinutes = Number(options['overlap-minutes']);
+        if (!Number.isInteger(rotateOptions.overlapMinutes) || rotateOptions.overlapMinutes < 0) {
+          throw new Error('--overlap-minutes must be a non-negative integer');
+        }
+      }
+      const existing = requireFound(await oauthClients.get(clientId), clientId);
+      if (existing.tokenEndpointAuthMethod === 'private_key_jwt') {
+        throw new Error('private_key_jwt clients have no secret; rotate keys with update --jwks-file');
+      }
+      const { client, clientSecret } = requireFound(
+        await oauthClients.rotateSecret(clientId, rotateOptions, ACTOR),
+        clientId
+      );
+      printSecret(client, clientSecret);
+      if (client.previousSecretExpiresAt) {
+        console.log(`The previous secret remains valid until ${new Date(client.previousSecretExpiresAt).toISOString()}.`);
+      } else {
+        console.log('The previous secret no longer works.');
+      }
+      break;
+    }
+
+    case 'deactivate':
+    case 'activate': {
+      const clientId = requireClientId(args);
+      printJson(requireFound(await oauthClients.setActive(clientId, command === 'activate', ACTOR), clientId));
+      break;
+    }
+
+    case 'delete': {
+      const clientId = requireClientId(args);
+      if (!options.yes) {
+        throw new Error('Deleting a client also deletes its tokens; pass --yes to confirm');
+      }
+      requireFound(await oauthClients.delete(clientId, ACTOR), clientId);
+      console.log(`Deleted OAuth client ${clientId}`);
+      break;
+    }
+
+    case 'audit': {
+      const clientId = requireClientId(args);
+      printJson(await oauthClients.getAuditLog(clientId, parseInt(options.limit) || 100));
+      break;
+    }
+
+    case 'scopes':
+      Object.entries(OAUTH_SCOPES).forEach(([scope, description]) => {
+        console.log(`${scope.padEnd(22)} ${description}`);
+      });
+      break;
+
+    case 'signing-keys':
+      printJson(await signingKeys.list());
+      break;
+
+    case 'rotate-signing-key': {
+      const kid = await signingKeys.rotate();
+      console.log(`New JWT access token signing key: ${kid}`);
+      console.log('The previous key stays published until the tokens it signed have expired.');
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      if (command && command !== 'help') {
+        throw new Error(`Unknown command: ${command}`);
+      }
+  }
+}
+
+run(parseArgs(process.argv.slice(2)))
+  .then(() => db.pool.end())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
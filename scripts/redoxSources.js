@@ -0,0 +1,133 @@
+const db = require('../db/connection');
+const redoxVerification = require('../services/redoxWebhookVerificationService');
+
+require('dotenv').config();
+
+/**
+ * Manage the Redox sources allowed to call our webhooks and their
+ * destination verification tokens.
+ * Run with: npm run redox-sources -- <command> [options]
+ */
+
+const USAGE = `Usage: npm run redox-sources -- <command> [options]
+
+Commands:
+  add --source-id <id> --name <name> [--tenant-id <id>]
+  list
+  rotate-token <sourceId>
+  deactivate <sourceId>
+  activate <sourceId>
+  log [--outcome verified|rejected] [--source-id <id>] [--limit <n>]`;
+
+// Parse "<command> [positional] --flag value" into { command, args, options }
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      const key = rest[i].substring(2);
+      const next = rest[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[key] = true;
+      } else {
+        options[key] = next;
+        i++;
+      }
+    } else {
+      args.push(rest[i]);
+    }
+  }
+
+  return { command, args, options };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function printToken(source, verificationToken) {
+  console.log('\n' + '='.repeat(60));
+  console.log(`Source ID:          ${source.sourceId}`);
+  console.log(`Verification token: ${verificationToken}`);
+  console.log('='.repeat(60));
+  console.log('Set this as the verification token of the Redox destination.');
+  console.log('It is shown only once and cannot be recovered.');
+}
+
+function requireSourceId(args) {
+  if (!args[0]) {
+    throw new Error('A sourceId is required');
+  }
+  return args[0];
+}
+
+function requireFound(result, sourceId) {
+  if (!result) {
+    throw new Error(`Redox source not found: ${sourceId}`);
+  }
+  return result;
+}
+
+async function run({ command, args, options }) {
+  switch (command) {
+    case 'add': {
+      if (typeof options['source-id'] !== 'string' || typeof options.name !== 'string') {
+        throw new Error('--source-id and --name are required');
+      }
+      const tenantId = options['tenant-id'] !== undefined ? Number(options['tenant-id']) : null;
+      if (tenantId !== null && !Number.isInteger(tenantId)) {
+        throw new Error('--tenant-id must be an integer');
+      }
+      const { source, verificationToken } = await redoxVerification.addSource({
+        sourceId: options['source-id'],
+        name: options.name,
+        tenantId
+      });
+      printToken(source, verificationToken);
+      break;
+    }
+
+    case 'list':
+      printJson(await redoxVerification.listSources());
+      break;
+
+    case 'rotate-token': {
+      const sourceId = requireSourceId(args);
+      const { source, verificationToken } = requireFound(await redoxVerification.rotateToken(sourceId), sourceId);
+      printToken(source, verificationToken);
+      console.log('The previous token no longer works.');
+      break;
+    }
+
+    case 'deactivate':
+    case 'activate': {
+      const sourceId = requireSourceId(args);
+      printJson(requireFound(await redoxVerification.setActive(sourceId, command === 'activate'), sourceId));
+      break;
+    }
+
+    case 'log':
+      printJson(await redoxVerification.getVerificationLog({
+        outcome: options.outcome,
+        sourceId: options['source-id'],
+        limit: parseInt(options.limit) || 100
+      }));
+      break;
+
+    default:
+      console.log(USAGE);
+      if (command && command !== 'help') {
+        throw new Error(`Unknown command: ${command}`);
+      }
+  }
+}
+
+run(parseArgs(process.argv.slice(2)))
+  .then(() => db.pool.end())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
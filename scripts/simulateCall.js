@@ -0,0 +1,68 @@
+const CallSimulator = require('../mocks/callSimulator');
+const createCallScenarios = require('../mocks/fixtures/callScenarios');
+
+require('dotenv').config();
+
+/**
+ * Replay a scripted Retell call (mocks/fixtures/callScenarios) against a
+ * running app. Requests are signed with RETELL_API_KEY.
+ * Run with: npm run simulate-call -- <scenario> [options]
+ */
+
+const USAGE = `Usage: npm run simulate-call -- <scenario> [options]
+
+Scenarios:
+  ${Object.keys(createCallScenarios()).join('\n  ')}
+
+Options:
+  --target <url>        Retell webhook base URL (default http://localhost:$PORT/api/v1/retell)
+  --agent-id <id>       Retell agent ID of the call
+  --agent-number <n>    Agent phone number being called`;
+
+// Parse "<scenario> --flag value" into { scenario, options }
+function parseArgs(argv) {
+  const [scenario, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i += 2) {
+    if (!rest[i].startsWith('--') || rest[i + 1] === undefined) {
+      throw new Error(`Invalid option: ${rest[i]}`);
+    }
+    options[rest[i].substring(2)] = rest[i + 1];
+  }
+  return { scenario, options };
+}
+
+async function main() {
+  const { scenario, options } = parseArgs(process.argv.slice(2));
+  const scenarios = createCallScenarios({
+    agentId: options['agent-id'],
+    agentNumber: options['agent-number']
+  });
+
+  if (!scenarios[scenario]) {
+    console.log(USAGE);
+    process.exit(scenario ? 1 : 0);
+  }
+  if (!process.env.RETELL_API_KEY) {
+    throw new Error('RETELL_API_KEY is required to sign the requests');
+  }
+
+  const simulator = new CallSimulator({
+    targetURL: options.target || `http://localhost:${process.env.PORT || 3000}/api/v1/retell`
+  });
+  const run = await simulator.run(scenarios[scenario]);
+
+  console.log(`Call ${run.call.call_id} (${run.name})`);
+  for (const step of run.steps) {
+    console.log(`\n${step.step}: HTTP ${step.status}`);
+    console.log(JSON.stringify(step.body, null, 2));
+  }
+  console.log(`\n${run.ok ? 'Completed' : 'Failed'}`);
+  process.exit(run.ok ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error('Call simulation failed:', error.message);
+  process.exit(1);
+});
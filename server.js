@@ -0,0 +1,153 @@
+require("dotenv").config();
+
+const db = require("./db/connection");
+const logger = require("./utils/logger");
+const ServerLifecycle = require("./utils/serverLifecycle");
+const SERVER_CONFIG = require("./config/server");
+const { createApp } = require("./app");
+const callbackScheduler = require("./services/callbackScheduler");
+const eventDeduplication = require("./services/eventDeduplicationService");
+const maintenanceScheduler = require("./services/maintenanceScheduler");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start the API server and its background jobs
+ * @param {object} config - Overrides of config/server: { port, shutdown,
+ *   startJobs }, plus the options of createApp. startJobs (default true)
+ *   starts the callback scheduler, deduplication cleanup and maintenance jobs.
+ * @returns {Promise<object>} - { app, server, lifecycle, shutdown }; see shutdown()
+ */
+async function startServer(config = {}) {
+  const {
+    port = SERVER_CONFIG.port,
+    shutdown: shutdownConfig = SERVER_CONFIG.shutdown,
+    startJobs = true,
+  } = config;
+  const lifecycle = config.lifecycle || new ServerLifecycle();
+  const app = createApp({ ...config, lifecycle });
+
+  const server = await new Promise((resolve, reject) => {
+    const listener = app.listen(port, () => resolve(listener));
+    listener.once("error", reject);
+  });
+
+  const boundPort = server.address().port;
+  logger.info(`Flow AI API running on port ${boundPort}`);
+  logger.info(`API Documentation: http://localhost:${boundPort}/api-docs`);
+  logger.info(`Health Check: http://localhost:${boundPort}/health`);
+
+  if (startJobs) {
+    // Start the callback scheduler
+    callbackScheduler.start();
+    logger.info("Callback scheduler started");
+
+    // Start purging expired webhook deduplication records
+    eventDeduplication.startCleanup();
+
+    // Start housekeeping jobs (expired/revoked OAuth tokens, spent client assertion IDs,
+    // signing key rotation, expired token deny list entries, old Redox webhook
+    // verification log entries)
+    maintenanceScheduler.start();
+  }
+
+  let shutdownPromise = null;
+
+  /**
+   * Shut down gracefully: readiness fails at once, and after the readiness
+   * delay the listener stops accepting connections. In-flight requests
+   * (including Retell function calls) and the scheduler's current callback
+   * and maintenance job may then finish, up to the shutdown timeout, after
+   * which open connections are cut. The pg pool is closed last.
+   * Repeated calls return the same promise.
+   * @param {string} reason - Logged, e.g. the signal received
+   * @returns {Promise<object>} - { timedOut }
+   */
+  const shutdown = (reason = "shutdown requested") => {
+    if (!shutdownPromise) {
+      shutdownPromise = drain(reason);
+    }
+    return shutdownPromise;
+  };
+
+  async function drain(reason) {
+    logger.info("Shutting down: draining in-flight work", {
+      reason,
+      inFlight: lifecycle.getStatus().inFlight,
+    });
+    lifecycle.beginShutdown();
+
+    callbackScheduler.stop();
+    eventDeduplication.stopCleanup();
+    maintenanceScheduler.stop();
+
+    if (shutdownConfig.readinessDelayMs > 0) {
+      await delay(shutdownConfig.readinessDelayMs);
+    }
+
+    // Stop accepting connections. close() only ends the keep-alive
+    // connections idle right now, so the ones busy with a request are closed
+    // as they go idle; requests arriving on them meanwhile are answered with
+    // Connection: close (see app.js).
+    const serverClosed = new Promise((resolve) => server.close(() => resolve()));
+    const idleCloser = setInterval(() => server.closeIdleConnections(), 100);
+
+    const drained = Promise.all([
+      serverClosed,
+      lifecycle.whenIdle(),
+      callbackScheduler.whenIdle(),
+      maintenanceScheduler.whenIdle(),
+    ]).then(() => false);
+
+    let timer;
+    const timedOut = await Promise.race([
+      drained,
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(true), shutdownConfig.timeoutMs);
+      }),
+    ]);
+    clearTimeout(timer);
+    clearInterval(idleCloser);
+
+    if (timedOut) {
+      logger.warn("Shutdown timed out: closing open connections", {
+        timeoutMs: shutdownConfig.timeoutMs,
+        inFlight: lifecycle.getStatus().inFlight,
+        callbackSchedulerProcessing: callbackScheduler.getStatus().processing,
+      });
+      server.closeAllConnections();
+    }
+
+    try {
+      await db.pool.end();
+      logger.info("Database pool closed");
+    } catch (error) {
+      logger.error("Error closing database pool", { error: error.message });
+    }
+
+    lifecycle.markStopped();
+    logger.info("Shutdown complete", { timedOut });
+    return { timedOut };
+  }
+
+  return { app, server, lifecycle, shutdown };
+}
+
+if (require.main === module) {
+  startServer()
+    .then(({ shutdown }) => {
+      // Graceful shutdown
+      const onSignal = (signal) => {
+        logger.info(`${signal} signal received: closing HTTP server`);
+        shutdown(signal).then(({ timedOut }) => process.exit(timedOut ? 1 : 0));
+      };
+      process.on("SIGTERM", () => onSignal("SIGTERM"));
+      process.on("SIGINT", () => onSignal("SIGINT"));
+    })
+    .catch((error) => {
+      logger.error("Failed to start server", { error: error.message });
+      process.exit(1);
+    });
+}
+
+module.exports = { startServer };
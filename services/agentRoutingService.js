@@ -0,0 +1,323 @@
+const db = require("../db/connection");
+const logger = require("../utils/logger");
+
+const CALL_PURPOSES = ["scheduling", "intake"];
+const E164_REGEX = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * Database-backed routing of agent phone numbers and Retell agent IDs to a
+ * call purpose and the Retell configuration used for outbound callbacks.
+ */
+class AgentRoutingService {
+  constructor() {
+    // Active routes are cached briefly; writes through this service invalidate
+    // the cache immediately, other replicas pick changes up within the TTL.
+    this.cacheTtlMs = 60 * 1000;
+    this.cache = null;
+    this.cacheExpiry = 0;
+  }
+
+  /**
+   * Validate route fields
+   * @param {object} data - Route fields (camelCase)
+   * @param {boolean} partial - True for updates, where fields are optional
+   * @returns {string[]} - Validation error messages (empty if valid)
+   */
+  validate(data, partial = false) {
+    const errors = [];
+
+    if (!partial && !data.phoneNumber && !data.agentId) {
+      errors.push("At least one of phoneNumber or agentId is required");
+    }
+
+    if (!partial || data.callPurpose !== undefined) {
+      if (!CALL_PURPOSES.includes(data.callPurpose)) {
+        errors.push(`callPurpose must be one of: ${CALL_PURPOSES.join(", ")}`);
+      }
+    }
+
+    ["phoneNumber", "retellFromNumber"].forEach((field) => {
+      if (data[field] && !E164_REGEX.test(data[field])) {
+        errors.push(`${field} must be an E.164 phone number (e.g. +14155550123)`);
+      }
+    });
+
+    if (
+      data.tenantId !== undefined &&
+      data.tenantId !== null &&
+      !Number.isInteger(data.tenantId)
+    ) {
+      errors.push("tenantId must be an integer or null");
+    }
+
+    if (data.isActive !== undefined && typeof data.isActive !== "boolean") {
+      errors.push("isActive must be a boolean");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Condition limiting a query to one tenant's routes
+   * @param {number|null|undefined} tenantId - Tenant ID (null for the default
+   *   tenant), or undefined for every tenant
+   * @param {Array} params - Query parameters; the tenant ID is appended
+   * @returns {string|null} - SQL condition, or null when not limited
+   */
+  tenantCondition(tenantId, params) {
+    if (tenantId === undefined) {
+      return null;
+    }
+    params.push(tenantId);
+    return `tenant_id IS NOT DISTINCT FROM $${params.length}`;
+  }
+
+  /**
+   * List routes
+   * @param {boolean} includeInactive - Include deactivated routes
+   * @param {number|null} [tenantId] - Only this tenant's routes (all if undefined)
+   * @returns {Promise<object[]>}
+   */
+  async list(includeInactive = false, tenantId = undefined) {
+    const params = [];
+    const conditions = [
+      includeInactive ? null : "is_active = true",
+      this.tenantCondition(tenantId, params),
+    ].filter(Boolean);
+
+    const result = await db.query(
+      `SELECT * FROM agent_routes
+       ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY id ASC`,
+      params
+    );
+    return result.rows.map((row) => this.format(row));
+  }
+
+  /**
+   * Get a route by ID
+   * @param {number} id - Route ID
+   * @param {number|null} [tenantId] - Only if it belongs to this tenant (any if undefined)
+   * @returns {Promise<object|null>}
+   */
+  async get(id, tenantId = undefined) {
+    const params = [id];
+    const tenant = this.tenantCondition(tenantId, params);
+    const result = await db.query(
+      `SELECT * FROM agent_routes WHERE id = $1${tenant ? ` AND ${tenant}` : ""}`,
+      params
+    );
+    return result.rows[0] ? this.format(result.rows[0]) : null;
+  }
+
+  /**
+   * Create a route
+   * @param {object} data - Route fields (camelCase)
+   * @returns {Promise<object>} - The created route
+   */
+  async create(data) {
+    const result = await db.query(
+      `INSERT INTO agent_routes (
+         phone_number, agent_id, call_purpose, retell_agent_id,
+         retell_from_number, description, is_active, tenant_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        data.phoneNumber || null,
+        data.agentId || null,
+        data.callPurpose,
+        data.retellAgentId || null,
+        data.retellFromNumber || null,
+        data.description || null,
+        data.isActive !== undefined ? data.isActive : true,
+        data.tenantId || null,
+      ]
+    );
+
+    this.invalidateCache();
+    logger.info("Agent route created", { routeId: result.rows[0].id });
+    return this.format(result.rows[0]);
+  }
+
+  /**
+   * Update a route (only provided fields are changed)
+   * @param {number} id - Route ID
+   * @param {object} data - Route fields (camelCase)
+   * @param {number|null} [tenantId] - Only if it belongs to this tenant (any if undefined)
+   * @returns {Promise<object|null>} - The updated route, or null if not found
+   */
+  async update(id, data, tenantId = undefined) {
+    const columns = {
+      phoneNumber: "phone_number",
+      agentId: "agent_id",
+      callPurpose: "call_purpose",
+      retellAgentId: "retell_agent_id",
+      retellFromNumber: "retell_from_number",
+      description: "description",
+      isActive: "is_active",
+      tenantId: "tenant_id",
+    };
+
+    const sets = [];
+    const params = [id];
+
+    Object.entries(columns).forEach(([field, column]) => {
+      if (data[field] !== undefined) {
+        params.push(data[field] === "" ? null : data[field]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    });
+
+    if (sets.length === 0) {
+      return this.get(id, tenantId);
+    }
+
+    const tenant = this.tenantCondition(tenantId, params);
+    const result = await db.query(
+      `UPDATE agent_routes
+       SET ${sets.join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1${tenant ? ` AND ${tenant}` : ""}
+       RETURNING *`,
+      params
+    );
+
+    this.invalidateCache();
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    logger.info("Agent route updated", { routeId: id, fields: Object.keys(data) });
+    return this.format(result.rows[0]);
+  }
+
+  /**
+   * Delete a route
+   * @param {number} id - Route ID
+   * @param {number|null} [tenantId] - Only if it belongs to this tenant (any if undefined)
+   * @returns {Promise<boolean>} - True if a route was deleted
+   */
+  async delete(id, tenantId = undefined) {
+    const params = [id];
+    const tenant = this.tenantCondition(tenantId, params);
+    const result = await db.query(
+      `DELETE FROM agent_routes WHERE id = $1${tenant ? ` AND ${tenant}` : ""}`,
+      params
+    );
+    this.invalidateCache();
+
+    if (result.rowCount > 0) {
+      logger.info("Agent route deleted", { routeId: id });
+    }
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find the active route for an agent phone number
+   * @param {string} phoneNumber - E.164 agent number
+   * @returns {Promise<object|null>}
+   */
+  async resolveByNumber(phoneNumber) {
+    if (!phoneNumber) return null;
+    const routes = await this.getActiveRoutes();
+    return routes.find((route) => route.phoneNumber === phoneNumber) || null;
+  }
+
+  /**
+   * Find the active route for a Retell agent ID
+   * @param {string} agentId - Retell agent ID
+   * @returns {Promise<object|null>}
+   */
+  async resolveByAgentId(agentId) {
+    if (!agentId) return null;
+    const routes = await this.getActiveRoutes();
+    return routes.find((route) => route.agentId === agentId) || null;
+  }
+
+  /**
+   * Resolve the route and agent number for a Retell call.
+   * The agent's number may be either side of the call depending on direction;
+   * the agent ID is used when neither number is registered.
+   * @param {object} call - Retell call object
+   * @returns {Promise<object|null>} - { route, agentNumber } or null
+   */
+  async resolveForCall(call) {
+    for (const number of [call.to_number, call.from_number]) {
+      const route = await this.resolveByNumber(number);
+      if (route) {
+        return { route, agentNumber: number };
+      }
+    }
+
+    const route = await this.resolveByAgentId(call.agent_id);
+    if (route) {
+      const agentNumber =
+        route.phoneNumber ||
+        (call.direction === "outbound" ? call.from_number : call.to_number) ||
+        null;
+      return { route, agentNumber };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a route by ID for a scheduled callback, falling back to its agent number
+   * @param {number|null} routeId - agent_route_id stored on the callback
+   * @param {string} agentNumber - agent_callback_number stored on the callback
+   * @returns {Promise<object|null>}
+   */
+  async resolveForCallback(routeId, agentNumber) {
+    if (routeId) {
+      const routes = await this.getActiveRoutes();
+      const route = routes.find((r) => r.id === routeId);
+      if (route) return route;
+    }
+    return this.resolveByNumber(agentNumber);
+  }
+
+  /**
+   * Get active routes, using the cache when fresh
+   * @private
+   */
+  async getActiveRoutes() {
+    if (this.cache && this.cacheExpiry > Date.now()) {
+      return this.cache;
+    }
+
+    this.cache = await this.list(false);
+    this.cacheExpiry = Date.now() + this.cacheTtlMs;
+    return this.cache;
+  }
+
+  /**
+   * Drop the cached routes
+   */
+  invalidateCache() {
+    this.cache = null;
+    this.cacheExpiry = 0;
+  }
+
+  /**
+   * Convert a database row to the API representation
+   * @private
+   */
+  format(row) {
+    return {
+      id: row.id,
+      phoneNumber: row.phone_number,
+      agentId: row.agent_id,
+      callPurpose: row.call_purpose,
+      retellAgentId: row.retell_agent_id,
+      retellFromNumber: row.retell_from_number,
+      description: row.description,
+      isActive: row.is_active,
+      tenantId: row.tenant_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AgentRoutingService();
@@ -1,17 +1,47 @@
+const os = require("os");
+const { v4: uuidv4 } = require("uuid");
 const db = require("../db/connection");
 const logger = require("../utils/logger");
+const requestContext = require("../utils/requestContext");
 const retellService = require("./retellService");
 const RedoxAPIService = require("./redoxApiService");
 const RedoxTransformer = require("../utils/redoxTransformer");
 const AuthService = require("./authService");
+const agentRouting = require("./agentRoutingService");
+const tenantService = require("./tenantService");
+const CALLBACK_CONFIG = require("../config/callbacks");
+const {
+  isWithinCallingWindow,
+  getNextWindowStart,
+} = require("../utils/callingWindow");
 
-const authService = new AuthService();
+const LATE_POLICIES = ["call_late", "reschedule", "expire"];
 
 class CallbackScheduler {
   constructor() {
     this.intervalId = null;
     this.isProcessing = false;
+    // Promise of the run in progress, and whether it should stop claiming
+    this.currentRun = null;
+    this.stopRequested = false;
     this.intervalMs = 5 * 60 * 1000; // 5 minutes
+    this.maxAttempts = CALLBACK_CONFIG.maxAttempts;
+    this.backoffBaseMs = CALLBACK_CONFIG.backoffBaseMs;
+    this.backoffMaxMs = CALLBACK_CONFIG.backoffMaxMs;
+    this.leaseSeconds = CALLBACK_CONFIG.leaseSeconds;
+    this.maxClaimsPerRun = CALLBACK_CONFIG.maxClaimsPerRun;
+    this.lateGraceMs = CALLBACK_CONFIG.lateGraceMinutes * 60 * 1000;
+    this.callingWindow = CALLBACK_CONFIG.callingWindow;
+    this.latePolicy = CALLBACK_CONFIG.latePolicy;
+    if (!LATE_POLICIES.includes(this.latePolicy)) {
+      logger.warn("Unknown callback late policy, falling back to reschedule", {
+        latePolicy: this.latePolicy,
+        allowed: LATE_POLICIES,
+      });
+      this.latePolicy = "reschedule";
+    }
+    // Identifies this process as the owner of claimed callbacks
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().substring(0, 8)}`;
   }
 
   /**
@@ -37,7 +67,8 @@ class CallbackScheduler {
   }
 
   /**
-   * Stop the callback scheduler
+   * Stop the callback scheduler. A run in progress finishes the callback it
+   * is processing and claims no more; see whenIdle().
    */
   stop() {
     if (this.intervalId) {
@@ -45,52 +76,85 @@ class CallbackScheduler {
       this.intervalId = null;
       logger.info("Callback scheduler stopped");
     }
+    if (this.isProcessing) {
+      this.stopRequested = true;
+    }
   }
 
   /**
-   * Process pending callbacks within the next 5-minute window
+   * Resolve once no run is in progress
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    return this.currentRun || Promise.resolve();
+  }
+
+  /**
+   * Process pending callbacks that are due, including ones missed while the
+   * scheduler was down. Callbacks are never dialed before their scheduled
+   * time, so one may be placed up to a run interval after it.
    */
   async processCallbacks() {
-    // Prevent concurrent processing
+    // Prevent overlapping runs within this process; other replicas are
+    // coordinated through row claims and leases
     if (this.isProcessing) {
       logger.info("Callback processing already in progress, skipping");
       return;
     }
 
     this.isProcessing = true;
+    let finishRun;
+    this.currentRun = new Promise((resolve) => {
+      finishRun = resolve;
+    });
 
     try {
       const now = new Date();
-      const windowEnd = new Date(now.getTime() + this.intervalMs);
 
       logger.info("Processing scheduled callbacks", {
-        windowStart: now.toISOString(),
-        windowEnd: windowEnd.toISOString(),
+        dueBy: now.toISOString(),
       });
 
-      // Query for pending callbacks within the time window
-      const query = `
-        SELECT id, patient_id, agent_callback_number, scheduled_time
-        FROM scheduled_callbacks
-        WHERE status = 'pending'
-          AND scheduled_time >= $1
-          AND scheduled_time < $2
-        ORDER BY scheduled_time ASC
-      `;
-
-      const result = await db.query(query, [now, windowEnd]);
+      await this.recoverStaleLeases();
+
+      // Claim callbacks one at a time so work is shared fairly between
+      // replicas and each lease only covers the callback being processed
+      let processedCount = 0;
+
+      while (processedCount < this.maxClaimsPerRun && !this.stopRequested) {
+        const callback = await this.claimNextCallback(now);
+
+        if (!callback) {
+          break;
+        }
+
+        // Each callback gets its own request ID for its logs and its
+        // downstream Redox/Retell requests, and is the actor of its PHI
+        // accesses
+        await requestContext.run(
+          {
+            requestId: uuidv4(),
+            callbackId: callback.id,
+            tenantId: callback.tenant_id ?? null,
+            actor: {
+              type: "system",
+              id: "callback_scheduler",
+              details: { callbackId: callback.id },
+            },
+          },
+          () => this.processSingleCallback(callback),
+        );
+        processedCount++;
+      }
 
-      if (result.rows.length === 0) {
+      if (processedCount === 0) {
         logger.info("No callbacks to process in this window");
         return;
       }
 
-      logger.info(`Found ${result.rows.length} callbacks to process`);
-
-      // Process each callback
-      for (const callback of result.rows) {
-        await this.processSingleCallback(callback);
-      }
+      logger.info(`Processed ${processedCount} callbacks`, {
+        workerId: this.workerId,
+      });
     } catch (error) {
       logger.error("Error processing callbacks", {
         error: error.message,
@@ -98,6 +162,85 @@ class CallbackScheduler {
       });
     } finally {
       this.isProcessing = false;
+      this.stopRequested = false;
+      this.currentRun = null;
+      finishRun();
+    }
+  }
+
+  /**
+   * Atomically claim the next due callback for this worker
+   * @param {Date} now - Callbacks due by this time are claimed
+   * @returns {Promise<Object|null>} - The claimed callback, or null if none is due
+   */
+  async claimNextCallback(now) {
+    // First attempts whose scheduled time has come (including overdue ones,
+    // which the catch-up policy handles), and retries whose backoff has
+    // elapsed. Callbacks still in the future are left for a later run, so no
+    // patient is called before the time they were promised. SKIP LOCKED lets
+    // concurrent replicas claim different rows.
+    const result = await db.query(
+      `UPDATE scheduled_callbacks
+       SET status = 'processing',
+           locked_by = $2,
+           lease_expires_at = CURRENT_TIMESTAMP + $3 * INTERVAL '1 second',
+           attempts = attempts + 1,
+           last_attempt_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id
+         FROM scheduled_callbacks
+         WHERE status = 'pending'
+           AND dial_started_at IS NULL
+           AND COALESCE(next_attempt_at, scheduled_time) <= $1
+         ORDER BY COALESCE(next_attempt_at, scheduled_time) ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id, patient_id, agent_callback_number, agent_route_id,
+                 tenant_id, scheduled_time, next_attempt_at, attempts`,
+      [now, this.workerId, this.leaseSeconds]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Recover callbacks whose worker lease expired (e.g. the worker crashed).
+   * Callbacks that never started dialing go back to pending; callbacks that
+   * may have been dialed are dead-lettered rather than risk a second call.
+   */
+  async recoverStaleLeases() {
+    const requeued = await db.query(
+      `UPDATE scheduled_callbacks
+       SET status = 'pending',
+           locked_by = NULL,
+           lease_expires_at = NULL,
+           next_attempt_at = CURRENT_TIMESTAMP,
+           error_message = 'Worker lease expired before dialing'
+       WHERE status = 'processing'
+         AND lease_expires_at < CURRENT_TIMESTAMP
+         AND dial_started_at IS NULL
+       RETURNING id, locked_by`
+    );
+
+    const deadLettered = await db.query(
+      `UPDATE scheduled_callbacks
+       SET status = 'dead_letter',
+           locked_by = NULL,
+           lease_expires_at = NULL,
+           processed_at = CURRENT_TIMESTAMP,
+           error_message = 'Worker lease expired during dial, outcome unknown'
+       WHERE status = 'processing'
+         AND lease_expires_at < CURRENT_TIMESTAMP
+         AND dial_started_at IS NOT NULL
+       RETURNING id`
+    );
+
+    if (requeued.rowCount > 0 || deadLettered.rowCount > 0) {
+      logger.warn("Recovered callbacks with expired leases", {
+        requeued: requeued.rows.map((row) => row.id),
+        deadLettered: deadLettered.rows.map((row) => row.id),
+      });
     }
   }
 
@@ -106,18 +249,33 @@ class CallbackScheduler {
    * @param {Object} callback - The callback record from database
    */
   async processSingleCallback(callback) {
-    const { id, patient_id, agent_callback_number, scheduled_time } = callback;
+    const { id, patient_id, agent_callback_number, agent_route_id, scheduled_time } =
+      callback;
+
+    const attempt = callback.attempts;
+
+    const shouldDial = await this.applyCatchUpPolicy(callback);
+    if (!shouldDial) {
+      return;
+    }
+    let dialStarted = false;
 
     logger.info("Processing callback", {
       callbackId: id,
       patientId: patient_id,
       agentCallbackNumber: agent_callback_number,
       scheduledTime: scheduled_time,
+      attempt,
+      maxAttempts: this.maxAttempts,
+      workerId: this.workerId,
     });
 
     try {
+      // Resolve the tenant whose Redox and Retell configuration to use
+      const tenant = await tenantService.getById(callback.tenant_id);
+
       // Get access token
-      const accessToken = await authService.getAccessToken();
+      const accessToken = await AuthService.forTenant(tenant).getAccessToken();
 
       // Fetch patient details from Redox
       const patientResponse = await RedoxAPIService.makeRequest(
@@ -125,11 +283,12 @@ class CallbackScheduler {
         `/Patient/${patient_id}`,
         null,
         null,
-        accessToken
+        accessToken,
+        tenant.redox
       );
 
       if (!patientResponse || !patientResponse.id) {
-        throw new Error(`Patient not found: ${patient_id}`);
+        throw this.permanentError(`Patient not found: ${patient_id}`);
       }
 
       // Transform patient data
@@ -138,7 +297,9 @@ class CallbackScheduler {
       })[0];
 
       if (!patientData.phone) {
-        throw new Error(`Patient phone number not found for patient: ${patient_id}`);
+        throw this.permanentError(
+          `Patient phone number not found for patient: ${patient_id}`
+        );
       }
 
       // Search for appointments
@@ -151,7 +312,8 @@ class CallbackScheduler {
           "/Appointment/_search",
           null,
           appointmentSearchParams,
-          accessToken
+          accessToken,
+          tenant.redox
         );
         appointments =
           RedoxTransformer.transformAppointmentSearchResponse(appointmentResponse);
@@ -169,7 +331,6 @@ class CallbackScheduler {
       const dynamicVariables = {
         // Call context
         call_type: "callback",
-        access_token: accessToken,
 
         // Patient details
         patient_id: patient_id,
@@ -191,31 +352,64 @@ class CallbackScheduler {
         appointment_description: appointment?.description || "",
       };
 
-      // Determine which Retell service method to use based on agent number
-      let callResponse;
-      if (agent_callback_number === "+16018846979") {
-        // Scheduling agent
-        callResponse = await retellService.createSchedulingCall(
-          patientData.phone,
-          dynamicVariables
+      // Determine the agent configuration from the routing table
+      const route = await agentRouting.resolveForCallback(
+        agent_route_id,
+        agent_callback_number
+      );
+      if (!route) {
+        throw this.permanentError(
+          `No active agent route for callback number: ${agent_callback_number}`
         );
-      } else if (agent_callback_number === "+14088728200") {
-        // Intake agent
-        callResponse = await retellService.createIntakeCall(
-          patientData.phone,
-          dynamicVariables
+      }
+      if ((route.tenantId ?? null) !== tenant.id) {
+        throw this.permanentError(
+          `Agent route ${route.id} does not belong to the callback's tenant`
         );
-      } else {
-        throw new Error(`Unknown agent callback number: ${agent_callback_number}`);
       }
 
+      // Mark the dial as started before calling Retell. If the outcome of the
+      // dial is unknown (timeout, crash) the callback is never retried
+      // automatically, so the patient is not called twice.
+      const dialClaim = await db.query(
+        `UPDATE scheduled_callbacks
+         SET dial_started_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+           AND status = 'processing'
+           AND locked_by = $2
+           AND lease_expires_at > CURRENT_TIMESTAMP
+         RETURNING id`,
+        [id, this.workerId]
+      );
+
+      if (dialClaim.rowCount === 0) {
+        // The lease was lost (expired and recovered by another worker)
+        logger.warn("Callback lease lost before dialing, skipping", {
+          callbackId: id,
+          workerId: this.workerId,
+        });
+        return;
+      }
+      dialStarted = true;
+
+      const callResponse = await retellService.createCallForRoute(
+        route,
+        patientData.phone,
+        dynamicVariables,
+        tenant
+      );
+
       // Update callback status to completed
       await db.query(
         `UPDATE scheduled_callbacks 
          SET status = 'completed', 
-             processed_at = CURRENT_TIMESTAMP 
+             processed_at = CURRENT_TIMESTAMP,
+             retell_call_id = $2,
+             error_message = NULL,
+             locked_by = NULL,
+             lease_expires_at = NULL
          WHERE id = $1`,
-        [id]
+        [id, callResponse.call_id]
       );
 
       logger.info("Callback processed successfully", {
@@ -228,19 +422,303 @@ class CallbackScheduler {
       logger.error("Error processing callback", {
         callbackId: id,
         patientId: patient_id,
+        attempt,
+        dialStarted,
         error: error.message,
       });
 
-      // Update callback status to failed
+      await this.handleCallbackFailure(id, attempt, error, dialStarted);
+    }
+  }
+
+  /**
+   * Apply the catch-up policy to a callback that is later than the grace period
+   * @param {Object} callback - The claimed callback record
+   * @returns {Promise<boolean>} - True if the callback should be dialed now
+   */
+  async applyCatchUpPolicy(callback) {
+    const { id } = callback;
+    const dueAt = new Date(callback.next_attempt_at || callback.scheduled_time);
+    const now = new Date();
+    const lateMs = now.getTime() - dueAt.getTime();
+
+    if (lateMs < 0) {
+      // Never dial before the scheduled time; hand the callback back for a
+      // later run without counting an attempt
       await db.query(
-        `UPDATE scheduled_callbacks 
-         SET status = 'failed', 
-             processed_at = CURRENT_TIMESTAMP,
-             error_message = $2
-         WHERE id = $1`,
-        [id, error.message]
+        `UPDATE scheduled_callbacks
+         SET status = 'pending',
+             attempts = attempts - 1,
+             locked_by = NULL,
+             lease_expires_at = NULL
+         WHERE id = $1
+           AND locked_by = $2`,
+        [id, this.workerId]
       );
+
+      logger.warn("Claimed callback is not due yet, released", {
+        callbackId: id,
+        dueAt: dueAt.toISOString(),
+      });
+      return false;
+    }
+
+    if (lateMs <= this.lateGraceMs) {
+      return true;
     }
+
+    const lateMinutes = Math.round(lateMs / 60000);
+    const logContext = {
+      callbackId: id,
+      dueAt: dueAt.toISOString(),
+      lateMinutes,
+      latePolicy: this.latePolicy,
+    };
+
+    if (this.latePolicy === "call_late") {
+      logger.warn("Placing late callback", logContext);
+      return true;
+    }
+
+    if (
+      this.latePolicy === "reschedule" &&
+      isWithinCallingWindow(now, this.callingWindow)
+    ) {
+      logger.warn("Placing late callback inside calling window", logContext);
+      return true;
+    }
+
+    const nextWindowStart =
+      this.latePolicy === "reschedule"
+        ? getNextWindowStart(now, this.callingWindow)
+        : null;
+
+    if (nextWindowStart) {
+      // Not a real attempt, so give back the attempt taken by the claim
+      await db.query(
+        `UPDATE scheduled_callbacks
+         SET status = 'pending',
+             attempts = attempts - 1,
+             next_attempt_at = $2,
+             error_message = $3,
+             locked_by = NULL,
+             lease_expires_at = NULL
+         WHERE id = $1
+           AND locked_by = $4`,
+        [
+          id,
+          nextWindowStart,
+          `Missed by ${lateMinutes} minutes, rescheduled to next calling window`,
+          this.workerId,
+        ]
+      );
+
+      logger.warn("Late callback rescheduled to next calling window", {
+        ...logContext,
+        nextAttemptAt: nextWindowStart.toISOString(),
+      });
+      return false;
+    }
+
+    const reason = `Expired by catch-up policy: missed by ${lateMinutes} minutes (grace ${this.lateGraceMs / 60000} minutes)`;
+
+    await db.query(
+      `UPDATE scheduled_callbacks
+       SET status = 'expired',
+           attempts = attempts - 1,
+           processed_at = CURRENT_TIMESTAMP,
+           error_message = $2,
+           locked_by = NULL,
+           lease_expires_at = NULL
+       WHERE id = $1
+         AND locked_by = $3`,
+      [id, reason, this.workerId]
+    );
+
+    logger.warn("Late callback expired", { ...logContext, reason });
+    return false;
+  }
+
+  /**
+   * Reschedule a failed callback with backoff, or move it to the dead-letter state.
+   * Errors with retryable === false (permanentError, and Redox errors such as
+   * an unknown patient) are not retried.
+   * @param {number} id - The callback ID
+   * @param {number} attempt - The attempt number that failed
+   * @param {Error} error - The error raised by the attempt
+   * @param {boolean} dialStarted - Whether the Retell call request had been sent
+   */
+  async handleCallbackFailure(id, attempt, error, dialStarted) {
+    const outcome = dialStarted
+      ? this.classifyDialError(error)
+      : error.retryable === false
+        ? "permanent"
+        : "retry";
+
+    if (outcome === "retry" && attempt < this.maxAttempts) {
+      const delayMs = this.getBackoffDelay(attempt);
+      const nextAttemptAt = new Date(Date.now() + delayMs);
+
+      await db.query(
+        `UPDATE scheduled_callbacks
+         SET status = 'pending',
+             next_attempt_at = $2,
+             dial_started_at = NULL,
+             error_message = $3,
+             locked_by = NULL,
+             lease_expires_at = NULL
+         WHERE id = $1
+           AND locked_by = $4`,
+        [id, nextAttemptAt, error.message, this.workerId]
+      );
+
+      logger.warn("Callback attempt failed, retry scheduled", {
+        callbackId: id,
+        attempt,
+        nextAttemptAt: nextAttemptAt.toISOString(),
+      });
+      return;
+    }
+
+    let reason = error.message;
+    if (outcome === "unknown") {
+      reason = `Dial outcome unknown, not retrying to avoid a duplicate call: ${error.message}`;
+    } else if (outcome === "retry") {
+      reason = `Max attempts (${this.maxAttempts}) exhausted: ${error.message}`;
+    }
+
+    await db.query(
+      `UPDATE scheduled_callbacks 
+       SET status = 'dead_letter', 
+           processed_at = CURRENT_TIMESTAMP,
+           error_message = $2,
+           locked_by = NULL,
+           lease_expires_at = NULL
+       WHERE id = $1
+         AND locked_by = $3`,
+      [id, reason, this.workerId]
+    );
+
+    logger.error("Callback moved to dead letter", {
+      callbackId: id,
+      attempt,
+      outcome,
+      reason,
+    });
+  }
+
+  /**
+   * Classify an error returned while creating the Retell call
+   * @param {Error} error - The error from the Retell request
+   * @returns {string} - 'retry' when Retell rejected the call before placing it,
+   *   'permanent' for other rejections, 'unknown' when the call may have been placed
+   */
+  classifyDialError(error) {
+    const status = error.response?.status;
+
+    if (status) {
+      if (status === 429 || status === 503) {
+        return "retry";
+      }
+      return status < 500 ? "permanent" : "unknown";
+    }
+
+    // No response: if the request was sent we cannot know whether it was placed
+    return error.request ? "unknown" : "permanent";
+  }
+
+  /**
+   * Get the delay before the next attempt (exponential backoff with jitter)
+   * @param {number} attempt - The attempt number that just failed (1-based)
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const exponential = Math.min(
+      this.backoffMaxMs,
+      this.backoffBaseMs * Math.pow(2, attempt - 1)
+    );
+
+    // Equal jitter: keep half the delay, randomize the other half
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  /**
+   * Create an error that should not be retried
+   * @param {string} message - The error message
+   * @returns {Error}
+   */
+  permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+
+  /**
+   * Requeue a dead-lettered, failed, cancelled or expired callback. It is
+   * due at the given time, or right away, so the catch-up policy does not
+   * treat it as missed.
+   * @param {number} id - The callback ID
+   * @param {number|null} tenantId - Tenant the callback must belong to (null for the default tenant)
+   * @param {Date|null} scheduledTime - Optional new time for the callback
+   * @returns {Promise<object|null>} - The updated callback, or null if it cannot be requeued
+   */
+  async requeueCallback(id, tenantId, scheduledTime = null) {
+    const result = await db.query(
+      `UPDATE scheduled_callbacks
+       SET status = 'pending',
+           attempts = 0,
+           scheduled_time = COALESCE($2, scheduled_time),
+           next_attempt_at = COALESCE($2, CURRENT_TIMESTAMP),
+           dial_started_at = NULL,
+           processed_at = NULL,
+           error_message = NULL
+       WHERE id = $1
+         AND tenant_id IS NOT DISTINCT FROM $3
+         AND status IN ('dead_letter', 'failed', 'cancelled', 'expired')
+       RETURNING *`,
+      [id, scheduledTime, tenantId]
+    );
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    logger.info("Callback requeued", {
+      callbackId: id,
+      scheduledTime: result.rows[0].scheduled_time,
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Cancel a pending callback that is not currently being dialed
+   * @param {number} id - The callback ID
+   * @param {number|null} tenantId - Tenant the callback must belong to (null for the default tenant)
+   * @param {string} reason - Optional cancellation reason
+   * @returns {Promise<object|null>} - The updated callback, or null if it cannot be cancelled
+   */
+  async cancelCallback(id, tenantId, reason = null) {
+    const result = await db.query(
+      `UPDATE scheduled_callbacks
+       SET status = 'cancelled',
+           processed_at = CURRENT_TIMESTAMP,
+           error_message = $2
+       WHERE id = $1
+         AND tenant_id IS NOT DISTINCT FROM $3
+         AND status = 'pending'
+         AND dial_started_at IS NULL
+       RETURNING *`,
+      [id, reason || "Cancelled by administrator", tenantId]
+    );
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    logger.info("Callback cancelled", { callbackId: id });
+
+    return result.rows[0];
   }
 
   /**
@@ -251,6 +729,20 @@ class CallbackScheduler {
       running: !!this.intervalId,
       processing: this.isProcessing,
       intervalMinutes: this.intervalMs / 60000,
+      maxAttempts: this.maxAttempts,
+      workerId: this.workerId,
+      leaseSeconds: this.leaseSeconds,
+    };
+  }
+
+  /**
+   * Get the catch-up policy applied to overdue callbacks
+   */
+  getCatchUpPolicy() {
+    return {
+      latePolicy: this.latePolicy,
+      graceMinutes: this.lateGraceMs / 60000,
+      callingWindow: { ...this.callingWindow },
     };
   }
 
@@ -267,6 +759,20 @@ class CallbackScheduler {
         GROUP BY status
       `;
 
+      const retryingQuery = `
+        SELECT COUNT(*) as count
+        FROM scheduled_callbacks
+        WHERE status = 'pending'
+          AND attempts > 0
+      `;
+
+      const overdueQuery = `
+        SELECT COUNT(*) as count
+        FROM scheduled_callbacks
+        WHERE status = 'pending'
+          AND COALESCE(next_attempt_at, scheduled_time) < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond'
+      `;
+
       const upcomingQuery = `
         SELECT COUNT(*) as count
         FROM scheduled_callbacks
@@ -275,22 +781,32 @@ class CallbackScheduler {
           AND scheduled_time <= CURRENT_TIMESTAMP + INTERVAL '5 minutes'
       `;
 
-      const [statsResult, upcomingResult] = await Promise.all([
-        db.query(statsQuery),
-        db.query(upcomingQuery),
-      ]);
+      const [statsResult, retryingResult, overdueResult, upcomingResult] =
+        await Promise.all([
+          db.query(statsQuery),
+          db.query(retryingQuery),
+          db.query(overdueQuery, [this.lateGraceMs]),
+          db.query(upcomingQuery),
+        ]);
 
       const stats = {
         pending: 0,
+        processing: 0,
         completed: 0,
         failed: 0,
+        dead_letter: 0,
+        cancelled: 0,
+        expired: 0,
       };
 
       statsResult.rows.forEach((row) => {
         stats[row.status] = parseInt(row.count);
       });
 
+      stats.retrying = parseInt(retryingResult.rows[0].count);
+      stats.overdue = parseInt(overdueResult.rows[0].count);
       stats.upcomingInNext5Minutes = parseInt(upcomingResult.rows[0].count);
+      stats.catchUpPolicy = this.getCatchUpPolicy();
 
       return stats;
     } catch (error) {
@@ -0,0 +1,190 @@
+const db = require("../db/connection");
+const logger = require("../utils/logger");
+require("dotenv").config();
+
+/**
+ * Postgres-backed idempotency store for inbound webhook events.
+ *
+ * Each event is claimed by inserting a row keyed on (event_type, event_id).
+ * The unique key makes the claim atomic across restarts and replicas, so only
+ * one worker ever processes a given event while its record is live.
+ */
+class EventDeduplicationService {
+  constructor() {
+    this.ttlSeconds =
+      (parseInt(process.env.EVENT_DEDUP_TTL_HOURS) || 72) * 60 * 60;
+    // A claim still "processing" after this long is treated as abandoned
+    // (e.g. the worker crashed) and may be claimed again.
+    this.processingTimeoutSeconds =
+      parseInt(process.env.EVENT_DEDUP_PROCESSING_TIMEOUT_SECONDS) || 600;
+    this.cleanupIntervalMs = 60 * 60 * 1000; // 1 hour
+    this.cleanupIntervalId = null;
+  }
+
+  /**
+   * Attempt to claim an event for processing
+   * @param {string} eventType - The event type (e.g. 'call_analyzed')
+   * @param {string} eventId - The unique event ID (e.g. Retell call_id)
+   * @returns {Promise<object>} - { claimed: true } for the first delivery, otherwise
+   *   { claimed: false, status, result } describing the existing record
+   */
+  async claim(eventType, eventId) {
+    const claimResult = await db.query(
+      `INSERT INTO processed_events (event_type, event_id, status, expires_at)
+       VALUES ($1, $2, 'processing', NOW() + $3 * INTERVAL '1 second')
+       ON CONFLICT (event_type, event_id) DO UPDATE
+         SET status = 'processing',
+             result = NULL,
+             replay_count = 0,
+             first_seen_at = NOW(),
+             completed_at = NULL,
+             expires_at = EXCLUDED.expires_at
+         WHERE processed_events.expires_at <= NOW()
+            OR (processed_events.status = 'processing'
+                AND processed_events.first_seen_at < NOW() - $4 * INTERVAL '1 second')
+       RETURNING event_id`,
+      [eventType, eventId, this.ttlSeconds, this.processingTimeoutSeconds]
+    );
+
+    if (claimResult.rowCount === 1) {
+      logger.info("Event claimed for processing", { eventType, eventId });
+      return { claimed: true };
+    }
+
+    const existing = await db.query(
+      `UPDATE processed_events
+       SET replay_count = replay_count + 1
+       WHERE event_type = $1 AND event_id = $2
+       RETURNING status, result, first_seen_at, completed_at, replay_count`,
+      [eventType, eventId]
+    );
+
+    const record = existing.rows[0];
+
+    logger.info("Duplicate event suppressed", {
+      eventType,
+      eventId,
+      status: record?.status,
+      replayCount: record?.replay_count,
+    });
+
+    return {
+      claimed: false,
+      status: record?.status || "processing",
+      result: record?.result || null,
+      firstSeenAt: record?.first_seen_at,
+      completedAt: record?.completed_at,
+    };
+  }
+
+  /**
+   * Mark a claimed event as completed and store the result returned to the caller
+   * @param {string} eventType - The event type
+   * @param {string} eventId - The unique event ID
+   * @param {object} result - The response body to return on replays
+   */
+  async complete(eventType, eventId, result) {
+    await db.query(
+      `UPDATE processed_events
+       SET status = 'completed',
+           result = $3,
+           completed_at = NOW()
+       WHERE event_type = $1 AND event_id = $2`,
+      [eventType, eventId, JSON.stringify(result)]
+    );
+  }
+
+  /**
+   * Release a claim after a failed attempt so a redelivery can process the event
+   * @param {string} eventType - The event type
+   * @param {string} eventId - The unique event ID
+   */
+  async release(eventType, eventId) {
+    await db.query(
+      `DELETE FROM processed_events
+       WHERE event_type = $1 AND event_id = $2 AND status = 'processing'`,
+      [eventType, eventId]
+    );
+
+    logger.info("Event claim released", { eventType, eventId });
+  }
+
+  /**
+   * Delete records whose TTL has passed
+   * @returns {Promise<number>} - Number of purged records
+   */
+  async purgeExpired() {
+    const result = await db.query(
+      "DELETE FROM processed_events WHERE expires_at <= NOW()"
+    );
+
+    logger.info("Expired processed events purged", {
+      deletedCount: result.rowCount,
+    });
+
+    return result.rowCount;
+  }
+
+  /**
+   * Start the periodic purge of expired records
+   */
+  startCleanup() {
+    if (this.cleanupIntervalId) {
+      return;
+    }
+
+    this.cleanupIntervalId = setInterval(() => {
+      this.purgeExpired().catch((error) => {
+        logger.error("Error purging expired processed events", {
+          error: error.message,
+        });
+      });
+    }, this.cleanupIntervalMs);
+  }
+
+  /**
+   * Stop the periodic purge
+   */
+  stopCleanup() {
+    if (this.cleanupIntervalId) {
+      clearInterval(this.cleanupIntervalId);
+      this.cleanupIntervalId = null;
+    }
+  }
+
+  /**
+   * Get per-event-type deduplication statistics for live records
+   * @returns {Promise<object>} - Statistics keyed by event type
+   */
+  async getStats() {
+    const result = await db.query(
+      `SELECT event_type,
+              COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+              COUNT(*) FILTER (WHERE status = 'processing') AS processing,
+              COALESCE(SUM(replay_count), 0) AS duplicates_suppressed,
+              MAX(first_seen_at) AS last_seen_at
+       FROM processed_events
+       WHERE expires_at > NOW()
+       GROUP BY event_type
+       ORDER BY event_type`
+    );
+
+    const eventTypes = {};
+    result.rows.forEach((row) => {
+      eventTypes[row.event_type] = {
+        completed: parseInt(row.completed),
+        processing: parseInt(row.processing),
+        duplicatesSuppressed: parseInt(row.duplicates_suppressed),
+        lastSeenAt: row.last_seen_at,
+      };
+    });
+
+    return {
+      ttlHours: this.ttlSeconds / 3600,
+      eventTypes,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new EventDeduplicationService();
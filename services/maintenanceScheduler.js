@@ -0,0 +1,165 @@
+const logger = require("../utils/logger");
+const OAuthService = require("./oauthService");
+const signingKeys = require("./signingKeyService");
+const tokenDenyList = require("./tokenDenyList");
+const redoxVerification = require("./redoxWebhookVerificationService");
+require("dotenv").config();
+
+const oauthService = new OAuthService();
+
+/**
+ * Periodic housekeeping jobs. Each job runs on its own interval; a job that is
+ * still running when its next run is due is skipped rather than overlapped.
+ */
+class MaintenanceScheduler {
+  constructor() {
+    this.jobs = [
+      {
+        name: "oauth_token_cleanup",
+        intervalMs:
+          (parseInt(process.env.OAUTH_TOKEN_CLEANUP_INTERVAL_MINUTES) || 60) *
+          60 *
+          1000,
+        run: () => oauthService.cleanupExpiredTokens(),
+      },
+      {
+        name: "client_assertion_jti_cleanup",
+        intervalMs: 60 * 60 * 1000,
+        run: () => oauthService.cleanupExpiredAssertionJtis(),
+      },
+      {
+        name: "signing_key_rotation",
+        intervalMs: 60 * 60 * 1000,
+        run: () => signingKeys.rotateIfDue(),
+      },
+      {
+        name: "token_deny_list_cleanup",
+        intervalMs: 60 * 60 * 1000,
+        run: () => tokenDenyList.cleanup(),
+      },
+      {
+        name: "redox_webhook_verification_log_cleanup",
+        intervalMs: 24 * 60 * 60 * 1000,
+        run: () => redoxVerification.cleanupVerificationLog(),
+      },
+    ];
+
+    this.state = new Map(
+      this.jobs.map((job) => [
+        job.name,
+        {
+          intervalId: null,
+          isRunning: false,
+          currentRun: null,
+          lastRunAt: null,
+          lastResult: null,
+          lastError: null,
+        },
+      ]),
+    );
+  }
+
+  /**
+   * Start all maintenance jobs
+   */
+  start() {
+    this.jobs.forEach((job) => {
+      const state = this.state.get(job.name);
+      if (state.intervalId) {
+        return;
+      }
+
+      state.intervalId = setInterval(() => {
+        this.runJob(job.name);
+      }, job.intervalMs);
+
+      logger.info("Maintenance job scheduled", {
+        job: job.name,
+        intervalMinutes: job.intervalMs / 60000,
+      });
+    });
+  }
+
+  /**
+   * Stop all maintenance jobs
+   */
+  stop() {
+    this.state.forEach((state) => {
+      if (state.intervalId) {
+        clearInterval(state.intervalId);
+        state.intervalId = null;
+      }
+    });
+    logger.info("Maintenance scheduler stopped");
+  }
+
+  /**
+   * Run a job now
+   * @param {string} name - Job name
+   * @returns {Promise<*>} - The job's result, or undefined if it was skipped or failed
+   */
+  async runJob(name) {
+    const job = this.jobs.find((j) => j.name === name);
+    const state = this.state.get(name);
+
+    if (!job) {
+      throw new Error(`Unknown maintenance job: ${name}`);
+    }
+
+    if (state.isRunning) {
+      logger.warn("Maintenance job still running, skipping", { job: name });
+      return undefined;
+    }
+
+    state.isRunning = true;
+    state.lastRunAt = new Date();
+
+    try {
+      state.currentRun = job.run();
+      state.lastResult = await state.currentRun;
+      state.lastError = null;
+      return state.lastResult;
+    } catch (error) {
+      state.lastError = error.message;
+      logger.error("Maintenance job failed", {
+        job: name,
+        error: error.message,
+      });
+      return undefined;
+    } finally {
+      state.isRunning = false;
+      state.currentRun = null;
+    }
+  }
+
+  /**
+   * Resolve once no job is running
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    const runs = [...this.state.values()].map((state) => state.currentRun).filter(Boolean);
+    await Promise.allSettled(runs);
+  }
+
+  /**
+   * Get the state of each job
+   * @returns {object[]}
+   */
+  getStatus() {
+    return this.jobs.map((job) => {
+      const state = this.state.get(job.name);
+      return {
+        name: job.name,
+        intervalMinutes: job.intervalMs / 60000,
+        isScheduled: !!state.intervalId,
+        isRunning: state.isRunning,
+        lastRunAt: state.lastRunAt,
+        lastResult: state.lastResult,
+        lastError: state.lastError,
+      };
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new MaintenanceScheduler();
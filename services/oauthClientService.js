@@ -0,0 +1,511 @@
+const crypto = require("crypto");
+const db = require("../db/connection");
+const logger = require("../utils/logger");
+const requestContext = require("../utils/requestContext");
+const OAuthService = require("./oauthService");
+const tokenDenyList = require("./tokenDenyList");
+const OAUTH_SCOPES = require("../config/oauthScopes");
+const { importPublicJwk } = require("../utils/jwt");
+require("dotenv").config();
+
+const AUTH_METHODS = ["client_secret_post", "private_key_jwt"];
+
+const AUDIT_ACTIONS = [
+  "created",
+  "updated",
+  "secret_rotated",
+  "deactivated",
+  "activated",
+  "deleted",
+];
+
+/**
+ * Lifecycle management of OAuth clients: creation, secret rotation,
+ * (de)activation and deletion. Every change is recorded in
+ * oauth_client_audit_log in the same transaction as the change itself.
+ *
+ * Client secrets are generated here and returned exactly once; only their
+ * hashes are stored.
+ */
+class OAuthClientService {
+  constructor() {
+    // How long the replaced secret keeps working after a rotation by default
+    this.defaultOverlapMinutes =
+      parseInt(process.env.OAUTH_SECRET_ROTATION_OVERLAP_MINUTES) || 24 * 60;
+  }
+
+  /**
+   * Validate client fields
+   * @param {object} data - Client fields (camelCase)
+   * @param {object|null} existing - The client being updated, or null when creating
+   * @returns {string[]} - Validation error messages (empty if valid)
+   */
+  validate(data, existing = null) {
+    const errors = [];
+    const partial = !!existing;
+
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== "string" || data.name.trim() === "") {
+        errors.push("name is required");
+      }
+    }
+
+    if (data.scopes !== undefined) {
+      if (!Array.isArray(data.scopes)) {
+        errors.push("scopes must be an array of strings");
+      } else {
+        const unknown = data.scopes.filter((scope) => !OAUTH_SCOPES[scope]);
+        if (unknown.length > 0) {
+          errors.push(
+            `Unknown scopes: ${unknown.join(", ")}. Allowed: ${Object.keys(OAUTH_SCOPES).join(", ")}`,
+          );
+        }
+      }
+    }
+
+    if (
+      data.tenantId !== undefined &&
+      data.tenantId !== null &&
+      !Number.isInteger(data.tenantId)
+    ) {
+      errors.push("tenantId must be an integer or null");
+    }
+
+    // The authentication method is fixed at creation; private_key_jwt clients
+    // have no secret and secret clients have no JWKS
+    let authMethod = existing?.tokenEndpointAuthMethod;
+    if (partial) {
+      if (data.tokenEndpointAuthMethod !== undefined) {
+        errors.push("tokenEndpointAuthMethod cannot be changed; create a new client instead");
+      }
+    } else {
+      authMethod = data.tokenEndpointAuthMethod || "client_secret_post";
+      if (!AUTH_METHODS.includes(authMethod)) {
+        errors.push(`tokenEndpointAuthMethod must be one of: ${AUTH_METHODS.join(", ")}`);
+      }
+    }
+
+    if (authMethod === "private_key_jwt") {
+      if (!partial || data.jwks !== undefined) {
+        errors.push(...this.validateJwks(data.jwks));
+      }
+    } else if (data.jwks !== undefined) {
+      errors.push("jwks can only be set for private_key_jwt clients");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a JSON Web Key Set of public signing keys
+   * @param {object} jwks - { keys: [...] }
+   * @returns {string[]} - Validation error messages (empty if valid)
+   */
+  validateJwks(jwks) {
+    if (!jwks || !Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+      return ["jwks must be an object with a non-empty keys array"];
+    }
+
+    const errors = [];
+    jwks.keys.forEach((jwk, index) => {
+      try {
+        importPublicJwk(jwk);
+      } catch (error) {
+        errors.push(`jwks.keys[${index}]: ${error.message}`);
+      }
+    });
+
+    if (jwks.keys.length > 1) {
+      const kids = jwks.keys.map((jwk) => jwk?.kid);
+      if (kids.some((kid) => !kid) || new Set(kids).size !== kids.length) {
+        errors.push("Each key needs a unique kid when jwks has more than one key");
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * List clients
+   * @param {boolean} includeInactive - Include deactivated clients
+   * @returns {Promise<object[]>}
+   */
+  async list(includeInactive = false) {
+    const result = await db.query(
+      `SELECT * FROM oauth_clients
+       ${includeInactive ? "" : "WHERE is_active = true"}
+       ORDER BY created_at ASC`,
+    );
+    return result.rows.map((row) => this.format(row));
+  }
+
+  /**
+   * Get a client by client ID
+   * @param {string} clientId - OAuth client ID
+   * @returns {Promise<object|null>}
+   */
+  async get(clientId) {
+    const result = await db.query(
+      "SELECT * FROM oauth_clients WHERE client_id = $1",
+      [clientId],
+    );
+    return result.rows[0] ? this.format(result.rows[0]) : null;
+  }
+
+  /**
+   * Create a client
+   * @param {object} data - { name, description, scopes, tenantId, tokenEndpointAuthMethod, jwks }
+   * @param {string} actor - Who performed the action (for the audit log)
+   * @returns {Promise<object>} - { client, clientSecret }; the secret is not retrievable later
+   *   and is null for private_key_jwt clients
+   */
+  async create(data, actor) {
+    const authMethod = data.tokenEndpointAuthMethod || "client_secret_post";
+    const clientId = `cli_${crypto.randomBytes(16).toString("hex")}`;
+    const clientSecret =
+      authMethod === "private_key_jwt" ? null : this.generateSecret();
+    const clientSecretHash = clientSecret
+      ? await OAuthService.hashSecret(clientSecret)
+      : null;
+
+    const row = await this.withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO oauth_clients (
+           client_id, client_secret_hash, name, description, scopes, tenant_id,
+           token_endpoint_auth_method, jwks, is_active
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true)
+         RETURNING *`,
+        [
+          clientId,
+          clientSecretHash,
+          data.name.trim(),
+          data.description || null,
+          data.scopes || [],
+          data.tenantId || null,
+          authMethod,
+          data.jwks ? JSON.stringify(data.jwks) : null,
+        ],
+      );
+
+      await this.audit(client, clientId, "created", actor, {
+        name: data.name.trim(),
+        scopes: data.scopes || [],
+        tenantId: data.tenantId || null,
+        tokenEndpointAuthMethod: authMethod,
+        jwksKids: this.getKids(data.jwks),
+      });
+
+      return result.rows[0];
+    });
+
+    logger.info("OAuth client created", {
+      clientId: clientId.substring(0, 8) + "...",
+      actor,
+    });
+
+    return { client: this.format(row), clientSecret };
+  }
+
+  /**
+   * Update a client's name, description, scopes, tenant or JWKS (only provided
+   * fields are changed). Scope changes apply to tokens issued afterwards.
+   * @param {string} clientId - OAuth client ID
+   * @param {object} data - Client fields (camelCase)
+   * @param {string} actor - Who performed the action
+   * @returns {Promise<object|null>} - The updated client, or null if not found
+   */
+  async update(clientId, data, actor) {
+    const columns = {
+      name: "name",
+      description: "description",
+      scopes: "scopes",
+      tenantId: "tenant_id",
+      jwks: "jwks",
+    };
+
+    const sets = [];
+    const params = [clientId];
+    const changed = {};
+
+    Object.entries(columns).forEach(([field, column]) => {
+      if (data[field] !== undefined) {
+        const value = data[field] === "" ? null : data[field];
+        params.push(field === "jwks" ? JSON.stringify(value) : value);
+        sets.push(`${column} = $${params.length}`);
+        // Record key IDs rather than key material in the audit log
+        changed[field === "jwks" ? "jwksKids" : field] =
+          field === "jwks" ? this.getKids(value) : value;
+      }
+    });
+
+    if (sets.length === 0) {
+      return this.get(clientId);
+    }
+
+    const row = await this.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE oauth_clients
+         SET ${sets.join(", ")}, updated_at = NOW()
+         WHERE client_id = $1
+         RETURNING *`,
+        params,
+      );
+
+      if (result.rowCount === 0) {
+        return null;
+      }
+
+      await this.audit(client, clientId, "updated", actor, changed);
+      return result.rows[0];
+    });
+
+    return row ? this.format(row) : null;
+  }
+
+  /**
+   * Rotate a client's secret. The previous secret keeps working until the
+   * overlap period ends, so the integration can switch without downtime.
+   * private_key_jwt clients have no secret; rotate their keys through the JWKS.
+   * @param {string} clientId - OAuth client ID
+   * @param {object} options - { overlapMinutes }; 0 invalidates the old secret immediately
+   * @param {string} actor - Who performed the action
+   * @returns {Promise<object|null>} - { client, clientSecret }, or null if no secret client has this ID
+   */
+  async rotateSecret(clientId, options = {}, actor) {
+    const overlapMinutes =
+      options.overlapMinutes !== undefined
+        ? options.overlapMinutes
+        : this.defaultOverlapMinutes;
+    const clientSecret = this.generateSecret();
+    const clientSecretHash = await OAuthService.hashSecret(clientSecret);
+
+    const row = await this.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE oauth_clients
+         SET previous_secret_hash = CASE WHEN $3::int > 0 THEN client_secret_hash END,
+             previous_secret_expires_at = CASE
+               WHEN $3::int > 0 THEN NOW() + $3::int * INTERVAL '1 minute'
+             END,
+             client_secret_hash = $2,
+             secret_rotated_at = NOW(),
+             updated_at = NOW()
+         WHERE client_id = $1 AND token_endpoint_auth_method = 'client_secret_post'
+         RETURNING *`,
+        [clientId, clientSecretHash, overlapMinutes],
+      );
+
+      if (result.rowCount === 0) {
+        return null;
+      }
+
+      await this.audit(client, clientId, "secret_rotated", actor, {
+        overlapMinutes,
+        previousSecretExpiresAt: result.rows[0].previous_secret_expires_at,
+      });
+      return result.rows[0];
+    });
+
+    if (!row) {
+      return null;
+    }
+
+    logger.info("OAuth client secret rotated", {
+      clientId: clientId.substring(0, 8) + "...",
+      overlapMinutes,
+      actor,
+    });
+
+    return { client: this.format(row), clientSecret };
+  }
+
+  /**
+   * Activate or deactivate a client. Tokens of a deactivated client stop
+   * working immediately.
+   * @param {string} clientId - OAuth client ID
+   * @param {boolean} isActive - New state
+   * @param {string} actor - Who performed the action
+   * @returns {Promise<object|null>} - The updated client, or null if not found
+   */
+  async setActive(clientId, isActive, actor) {
+    const row = await this.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE oauth_clients
+         SET is_active = $2, updated_at = NOW()
+         WHERE client_id = $1
+         RETURNING *`,
+        [clientId, isActive],
+      );
+
+      if (result.rowCount === 0) {
+        return null;
+      }
+
+      if (!isActive) {
+        // JWT access tokens are not looked up, so deny the ones already issued
+        await tokenDenyList.denyClient(clientId, client);
+      }
+
+      await this.audit(
+        client,
+        clientId,
+        isActive ? "activated" : "deactivated",
+        actor,
+        {},
+      );
+      return result.rows[0];
+    });
+
+    if (row) {
+      logger.info(`OAuth client ${isActive ? "activated" : "deactivated"}`, {
+        clientId: clientId.substring(0, 8) + "...",
+        actor,
+      });
+    }
+
+    return row ? this.format(row) : null;
+  }
+
+  /**
+   * Delete a client and its tokens. The audit trail is kept.
+   * @param {string} clientId - OAuth client ID
+   * @param {string} actor - Who performed the action
+   * @returns {Promise<boolean>} - True if a client was deleted
+   */
+  async delete(clientId, actor) {
+    const deleted = await this.withTransaction(async (client) => {
+      await client.query("DELETE FROM oauth_tokens WHERE client_id = $1", [
+        clientId,
+      ]);
+      const result = await client.query(
+        "DELETE FROM oauth_clients WHERE client_id = $1 RETURNING name",
+        [clientId],
+      );
+
+      if (result.rowCount === 0) {
+        return false;
+      }
+
+      await tokenDenyList.denyClient(clientId, client);
+      await this.audit(client, clientId, "deleted", actor, {
+        name: result.rows[0].name,
+      });
+      return true;
+    });
+
+    if (deleted) {
+      logger.info("OAuth client deleted", {
+        clientId: clientId.substring(0, 8) + "...",
+        actor,
+      });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Get the audit trail of a client, newest first
+   * @param {string} clientId - OAuth client ID
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<object[]>}
+   */
+  async getAuditLog(clientId, limit = 100) {
+    const result = await db.query(
+      `SELECT * FROM oauth_client_audit_log
+       WHERE client_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [clientId, limit],
+    );
+
+    return result.rows.map((row) => ({
+      id: row.id,
+      clientId: row.client_id,
+      action: row.action,
+      actor: row.actor,
+      details: row.details,
+      createdAt: row.created_at,
+    }));
+  }
+
+  /**
+   * Record an audit entry
+   * @private
+   */
+  async audit(client, clientId, action, actor, details) {
+    if (!AUDIT_ACTIONS.includes(action)) {
+      throw new Error(`Unknown audit action: ${action}`);
+    }
+
+    await client.query(
+      `INSERT INTO oauth_client_audit_log (client_id, action, actor, details, request_id)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        clientId,
+        action,
+        actor || "unknown",
+        JSON.stringify(details),
+        requestContext.getRequestId() || null,
+      ],
+    );
+  }
+
+  /**
+   * Run a function inside a transaction on a dedicated connection
+   * @private
+   */
+  async withTransaction(fn) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      const result = await fn(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Key IDs of a JWKS, for audit entries
+   * @private
+   */
+  getKids(jwks) {
+    return jwks?.keys ? jwks.keys.map((jwk) => jwk.kid || null) : null;
+  }
+
+  /**
+   * Generate a new client secret
+   * @private
+   */
+  generateSecret() {
+    return `sk_live_${crypto.randomBytes(32).toString("hex")}`;
+  }
+
+  /**
+   * Convert a database row to the API representation (never includes secrets)
+   * @private
+   */
+  format(row) {
+    return {
+      clientId: row.client_id,
+      name: row.name,
+      description: row.description,
+      scopes: row.scopes || [],
+      tenantId: row.tenant_id,
+      tokenEndpointAuthMethod: row.token_endpoint_auth_method,
+      jwks: row.jwks,
+      isActive: row.is_active,
+      secretRotatedAt: row.secret_rotated_at,
+      previousSecretExpiresAt: row.previous_secret_expires_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OAuthClientService();
@@ -1,6 +1,20 @@
 const crypto = require('crypto');
 const db = require('../db/connection');
 const logger = require('../utils/logger');
+const secretHash = require('../utils/secretHash');
+const jwt = require('../utils/jwt');
+const OAUTH_CONFIG = require('../config/oauth');
+const signingKeys = require('./signingKeyService');
+const tokenDenyList = require('./tokenDenyList');
+
+// client_assertion_type for JWT client assertions (RFC 7523)
+const JWT_BEARER_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// JWT header typ of access tokens (RFC 9068)
+const JWT_ACCESS_TOKEN_TYPE = 'at+jwt';
+
+// Opaque access tokens are UUIDs generated by PostgreSQL
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 class OAuthService {
   constructor() {
@@ -8,7 +22,19 @@ class OAuthService {
   }
 
   /**
-   * Validate client credentials and return client info
+   * Hash a client secret for storage
+   * @param {string} clientSecret - Plaintext client secret
+   * @returns {Promise<string>} Versioned scrypt hash (see utils/secretHash)
+   */
+  static hashSecret(clientSecret) {
+    return secretHash.hashSecret(clientSecret);
+  }
+
+  /**
+   * Validate client credentials and return client info.
+   * During a rotation overlap the previous secret is accepted as well.
+   * Hashes in an outdated format (legacy SHA-256 or older scrypt parameters)
+   * are upgraded after a successful match.
    * @param {string} clientId - OAuth client ID
    * @param {string} clientSecret - OAuth client secret
    * @returns {Object|null} Client object if valid, null otherwise
@@ -17,21 +43,47 @@ class OAuthService {
     try {
       logger.debug('Validating OAuth client', { clientId: clientId ? clientId.substring(0, 8) + '...' : 'none' });
       
-      // Hash the provided secret to compare with stored hash
-      const clientSecretHash = crypto.createHash('sha256').update(clientSecret).digest('hex');
-      
       const result = await db.query(
-        'SELECT * FROM oauth_clients WHERE client_id = $1 AND client_secret_hash = $2 AND is_active = true',
-        [clientId, clientSecretHash]
+        'SELECT * FROM oauth_clients WHERE client_id = $1 AND is_active = true',
+        [clientId]
       );
       
-      if (result.rows.length === 0) {
+      const client = result.rows[0];
+      
+      if (!client) {
+        // Take as long as a real check so unknown client IDs cannot be told apart
+        await secretHash.simulateVerification(clientSecret);
         logger.warn('OAuth client validation failed', { clientId: clientId ? clientId.substring(0, 8) + '...' : 'none' });
         return null;
       }
       
+      let match = await secretHash.verifySecret(clientSecret, client.client_secret_hash);
+      let hashColumn = 'client_secret_hash';
+      
+      if (!match.valid && client.previous_secret_hash &&
+          new Date(client.previous_secret_expires_at) > new Date()) {
+        match = await secretHash.verifySecret(clientSecret, client.previous_secret_hash);
+        hashColumn = 'previous_secret_hash';
+        
+        if (match.valid) {
+          logger.info('OAuth client authenticated with its previous secret during rotation overlap', {
+            clientId: clientId.substring(0, 8) + '...',
+            previousSecretExpiresAt: client.previous_secret_expires_at
+          });
+        }
+      }
+      
+      if (!match.valid) {
+        logger.warn('OAuth client validation failed', { clientId: clientId.substring(0, 8) + '...' });
+        return null;
+      }
+      
+      if (match.needsRehash) {
+        await this.rehashSecret(client, hashColumn, clientSecret);
+      }
+      
       logger.info('OAuth client validated successfully', { clientId: clientId.substring(0, 8) + '...' });
-      return result.rows[0];
+      return client;
     } catch (error) {
       logger.error('Error validating OAuth client', { error: error.message });
       throw error;
@@ -39,22 +91,175 @@ class OAuthService {
   }
 
   /**
-   * Generate a new access token for the client
+   * Replace an outdated secret hash. Skipped if the hash changed in the
+   * meantime (e.g. a concurrent rotation); failures only delay the upgrade.
+   * @param {Object} client - Client row the secret was verified against
+   * @param {string} hashColumn - 'client_secret_hash' or 'previous_secret_hash'
+   * @param {string} clientSecret - The verified plaintext secret
+   */
+  async rehashSecret(client, hashColumn, clientSecret) {
+    try {
+      const newHash = await OAuthService.hashSecret(clientSecret);
+      const result = await db.query(
+        `UPDATE oauth_clients SET ${hashColumn} = $3
+         WHERE client_id = $1 AND ${hashColumn} = $2`,
+        [client.client_id, client[hashColumn], newHash]
+      );
+      
+      if (result.rowCount > 0) {
+        logger.info('OAuth client secret hash upgraded', {
+          clientId: client.client_id.substring(0, 8) + '...',
+          column: hashColumn
+        });
+      }
+    } catch (error) {
+      logger.error('Error upgrading OAuth client secret hash', { error: error.message });
+    }
+  }
+
+  /**
+   * Validate a JWT client assertion (private_key_jwt) and return client info.
+   * The assertion must be signed by a key in the client's registered JWKS,
+   * name the client as iss and sub and this server's token endpoint as aud,
+   * be short-lived, and carry a jti that has not been used before.
+   * @param {string} assertion - Compact JWT from client_assertion
+   * @param {Object} options - { clientId (optional client_id parameter), audiences (accepted aud values) }
+   * @returns {Object|null} Client object if valid, null otherwise
+   */
+  async validateClientAssertion(assertion, { clientId, audiences }) {
+    const decoded = jwt.decodeJwt(assertion);
+    const fail = (reason) => {
+      logger.warn('OAuth client assertion rejected', {
+        reason,
+        clientId: decoded?.payload?.sub ? String(decoded.payload.sub).substring(0, 8) + '...' : 'none'
+      });
+      return null;
+    };
+
+    if (!decoded) {
+      return fail('malformed assertion');
+    }
+
+    const { header, payload } = decoded;
+
+    if (!jwt.ALGORITHMS[header.alg]) {
+      return fail(`unsupported algorithm ${header.alg}`);
+    }
+    if (!payload.iss || payload.iss !== payload.sub) {
+      return fail('iss and sub must both be the client ID');
+    }
+    if (clientId && clientId !== payload.sub) {
+      return fail('client_id does not match the assertion subject');
+    }
+
+    const result = await db.query(
+      `SELECT * FROM oauth_clients
+       WHERE client_id = $1 AND is_active = true AND token_endpoint_auth_method = 'private_key_jwt'`,
+      [payload.sub]
+    );
+    const client = result.rows[0];
+
+    if (!client) {
+      return fail('unknown, inactive or non-private_key_jwt client');
+    }
+
+    const keys = jwt.findVerificationKeys(client.jwks, header);
+    if (!keys.some(key => jwt.verifyJwtSignature(decoded, key))) {
+      return fail('signature does not match a registered key');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const { maxLifetimeSeconds, clockSkewSeconds } = OAUTH_CONFIG.clientAssertion;
+
+    if (!Number.isInteger(payload.exp) || payload.exp <= now - clockSkewSeconds) {
+      return fail('missing or expired exp');
+    }
+    if (!Number.isInteger(payload.iat) || payload.iat > now + clockSkewSeconds) {
+      return fail('missing iat or issued in the future');
+    }
+    if (payload.exp - payload.iat > maxLifetimeSeconds) {
+      return fail(`lifetime exceeds ${maxLifetimeSeconds} seconds`);
+    }
+    if (payload.nbf !== undefined && (!Number.isInteger(payload.nbf) || payload.nbf > now + clockSkewSeconds)) {
+      return fail('not yet valid (nbf)');
+    }
+
+    const assertionAudiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!assertionAudiences.some(aud => audiences.includes(aud))) {
+      return fail('aud does not name this token endpoint');
+    }
+
+    if (typeof payload.jti !== 'string' || payload.jti === '' || payload.jti.length > 255) {
+      return fail('missing or invalid jti');
+    }
+
+    // Remember the jti until the assertion expires; a second insert is a replay
+    const jtiResult = await db.query(
+      `INSERT INTO oauth_client_assertion_jtis (client_id, jti, expires_at)
+       VALUES ($1, $2, to_timestamp($3))
+       ON CONFLICT (client_id, jti) DO NOTHING`,
+      [client.client_id, payload.jti, payload.exp + clockSkewSeconds]
+    );
+    if (jtiResult.rowCount === 0) {
+      return fail('jti has already been used (replay)');
+    }
+
+    logger.info('OAuth client validated successfully with JWT assertion', {
+      clientId: client.client_id.substring(0, 8) + '...',
+      kid: header.kid
+    });
+    return client;
+  }
+
+  /**
+   * Narrow the scopes requested for a token to those the client is allowed.
+   * Without a requested scope the token gets all of the client's scopes.
+   * @param {string|undefined} requestedScope - Space-delimited `scope` parameter
+   * @param {string[]} allowedScopes - Scopes granted to the client
+   * @returns {string[]|null} Scopes to grant, or null if none of the requested scopes are
+   *   allowed or the parameter is not a string
+   */
+  resolveScopes(requestedScope, allowedScopes = []) {
+    if (requestedScope === undefined || requestedScope === null) {
+      return allowedScopes;
+    }
+    if (typeof requestedScope !== 'string') {
+      return null;
+    }
+    if (requestedScope.trim() === '') {
+      return allowedScopes;
+    }
+
+    const requested = [...new Set(requestedScope.trim().split(/\s+/))];
+    const granted = requested.filter(scope => allowedScopes.includes(scope));
+
+    return granted.length > 0 ? granted : null;
+  }
+
+  /**
+   * Generate a new access token for the client, in the configured format
+   * (OAUTH_ACCESS_TOKEN_FORMAT)
    * @param {string} clientId - OAuth client ID
-   * @returns {Object} Token info with access_token and expires_in
+   * @param {string[]} scopes - Scopes granted to the token
+   * @param {number|null} tenantId - Tenant the client acts for
+   * @returns {Object} Token info with access_token, expires_in and scopes
    */
-  async generateToken(clientId) {
+  async generateToken(clientId, scopes = [], tenantId = null) {
+    if (OAUTH_CONFIG.accessToken.format === 'jwt') {
+      return this.generateJwtToken(clientId, scopes, tenantId);
+    }
+
     try {
       logger.info('Generating new OAuth token', { clientId: clientId.substring(0, 8) + '...' });
       
       // Generate UUID token (PostgreSQL will auto-generate via DEFAULT)
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours from now
-      const expiresIn = 86400; // 24 hours in seconds
+      const expiresIn = OAUTH_CONFIG.accessToken.opaqueLifetimeSeconds;
+      const expiresAt = new Date(Date.now() + expiresIn * 1000);
       
       // Insert new token and get the generated UUID
       const result = await db.query(
-        'INSERT INTO oauth_tokens (client_id, expires_at) VALUES ($1, $2) RETURNING access_token',
-        [clientId, expiresAt]
+        'INSERT INTO oauth_tokens (client_id, expires_at, scopes) VALUES ($1, $2, $3) RETURNING access_token',
+        [clientId, expiresAt, scopes]
       );
       
       const accessToken = result.rows[0].access_token;
@@ -67,7 +272,8 @@ class OAuthService {
       
       return {
         access_token: accessToken,
-        expires_in: expiresIn
+        expires_in: expiresIn,
+        scopes
       };
     } catch (error) {
       logger.error('Error generating OAuth token', { error: error.message });
@@ -76,27 +282,125 @@ class OAuthService {
   }
 
   /**
-   * Validate an access token
+   * Sign a JWT access token (RFC 9068). Nothing is stored; the token is
+   * validated against the published signing keys.
+   * @param {string} clientId - OAuth client ID
+   * @param {string[]} scopes - Scopes granted to the token
+   * @param {number|null} tenantId - Tenant the client acts for
+   * @returns {Object} Token info with access_token, expires_in and scopes
+   */
+  async generateJwtToken(clientId, scopes, tenantId) {
+    const { issuer, audience, jwtLifetimeSeconds } = OAUTH_CONFIG.accessToken;
+    const key = await signingKeys.getSigningKey();
+    const now = Math.floor(Date.now() / 1000);
+
+    const accessToken = jwt.signJwt(
+      { alg: key.algorithm, typ: JWT_ACCESS_TOKEN_TYPE, kid: key.kid },
+      {
+        iss: issuer,
+        sub: clientId,
+        aud: audience,
+        client_id: clientId,
+        tenant_id: tenantId,
+        scope: scopes.join(' '),
+        jti: crypto.randomUUID(),
+        iat: now,
+        exp: now + jwtLifetimeSeconds
+      },
+      key.privateKey
+    );
+
+    logger.info('OAuth JWT access token generated', {
+      clientId: clientId.substring(0, 8) + '...',
+      kid: key.kid,
+      expiresIn: jwtLifetimeSeconds
+    });
+
+    return {
+      access_token: accessToken,
+      expires_in: jwtLifetimeSeconds,
+      scopes
+    };
+  }
+
+  /**
+   * Verify a JWT access token's signature and claims, and check it against
+   * the revocation deny list. Uses cached keys and deny list only.
+   * @param {string} token - JWT access token
+   * @returns {Object|null} The token's claims if valid, null otherwise
+   */
+  async verifyJwtToken(token) {
+    const decoded = jwt.decodeJwt(token);
+    if (!decoded || decoded.header.typ !== JWT_ACCESS_TOKEN_TYPE || typeof decoded.header.kid !== 'string') {
+      return null;
+    }
+
+    const key = await signingKeys.getVerificationKey(decoded.header.kid);
+    if (!key || decoded.header.alg !== key.algorithm || !jwt.verifyJwtSignature(decoded, key.publicJwk)) {
+      return null;
+    }
+
+    const { issuer, audience, clockSkewSeconds } = OAUTH_CONFIG.accessToken;
+    const claims = decoded.payload;
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.iss !== issuer || !audiences.includes(audience) ||
+        !Number.isInteger(claims.exp) || claims.exp <= now - clockSkewSeconds ||
+        !Number.isInteger(claims.iat) || typeof claims.client_id !== 'string' ||
+        typeof claims.jti !== 'string') {
+      return null;
+    }
+
+    await tokenDenyList.ensureFresh();
+    if (tokenDenyList.isDenied(claims)) {
+      return null;
+    }
+
+    return claims;
+  }
+
+  /**
+   * Validate an access token. Opaque tokens are looked up in the database;
+   * JWT access tokens are validated locally.
    * @param {string} token - Access token to validate
    * @returns {Object|null} Token info if valid, null otherwise
+   * @throws {Error} If the tokens, signing keys or deny list cannot be read,
+   *   so callers answer with a temporary failure rather than invalid_token
    */
   async validateToken(token) {
     try {
       logger.debug('Validating OAuth token', { tokenPreview: token ? token.substring(0, 8) + '...' : 'none' });
       
+      if (!UUID_REGEX.test(token) && token.includes('.')) {
+        const claims = await this.verifyJwtToken(token);
+
+        if (!claims) {
+          logger.warn('OAuth JWT access token validation failed', { tokenPreview: token.substring(0, 8) + '...' });
+          return null;
+        }
+
+        return {
+          id: claims.jti,
+          client_id: claims.client_id,
+          tenant_id: claims.tenant_id ?? null,
+          scopes: claims.scope ? claims.scope.split(' ') : []
+        };
+      }
+      
       // Validate UUID format
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      if (!uuidRegex.test(token)) {
+      if (!UUID_REGEX.test(token)) {
         logger.warn('Invalid token format', { tokenPreview: token ? token.substring(0, 8) + '...' : 'none' });
         return null;
       }
       
-      // Check if token exists and is not expired
+      // Check if token exists and is not expired or revoked
       const result = await db.query(
-        `SELECT t.*, c.name as client_name 
+        `SELECT t.*, c.name as client_name, c.tenant_id 
          FROM oauth_tokens t 
          JOIN oauth_clients c ON t.client_id = c.client_id 
-         WHERE t.access_token = $1 AND t.expires_at > NOW()`,
+         WHERE t.access_token = $1 AND t.expires_at > NOW() AND t.revoked_at IS NULL
+           AND c.is_active = true`,
         [token]
       );
       
@@ -118,25 +422,125 @@ class OAuthService {
       
       return result.rows[0];
     } catch (error) {
-      // Database error - fail closed (secure approach)
+      // Storage error - fail closed, but as an outage rather than a bad token
       logger.error('Error validating OAuth token', { error: error.message });
-      return null; // Treat as invalid token on DB error (fail closed)
+      throw error;
     }
   }
 
   /**
-   * Clean up expired tokens (optional maintenance task)
-   * Can be called periodically via cron job
+   * Revoke an access token (RFC 7009). Only the client the token was issued
+   * to can revoke it.
+   * @param {string} token - Access token to revoke
+   * @param {string} clientId - Authenticated client ID
+   * @returns {boolean} True if an active token was revoked
+   */
+  async revokeToken(token, clientId) {
+    if (!UUID_REGEX.test(token)) {
+      const claims = typeof token === 'string' && token.includes('.') ? await this.verifyJwtToken(token) : null;
+
+      if (!claims || claims.client_id !== clientId) {
+        return false;
+      }
+
+      await tokenDenyList.denyToken(claims.jti, clientId, claims.exp);
+      logger.info('OAuth JWT access token revoked', {
+        clientId: clientId.substring(0, 8) + '...',
+        jti: claims.jti
+      });
+      return true;
+    }
+
+    const result = await db.query(
+      `UPDATE oauth_tokens
+       SET revoked_at = NOW()
+       WHERE access_token = $1 AND client_id = $2 AND revoked_at IS NULL`,
+      [token, clientId]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info('OAuth token revoked', {
+        clientId: clientId.substring(0, 8) + '...',
+        tokenPreview: token.substring(0, 8) + '...'
+      });
+    }
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Introspect an access token (RFC 7662)
+   * @param {string} token - Access token to introspect
+   * @returns {Object} Introspection response; { active: false } for unknown, expired or revoked tokens
+   */
+  async introspectToken(token) {
+    if (!UUID_REGEX.test(token)) {
+      const claims = typeof token === 'string' && token.includes('.') ? await this.verifyJwtToken(token) : null;
+
+      return claims
+        ? {
+          active: true,
+          client_id: claims.client_id,
+          scope: claims.scope || '',
+          token_type: 'Bearer',
+          exp: claims.exp,
+          iat: claims.iat,
+          jti: claims.jti
+        }
+        : { active: false };
+    }
+
+    const result = await db.query(
+      `SELECT t.client_id, t.scopes, t.expires_at, t.created_at
+       FROM oauth_tokens t
+       JOIN oauth_clients c ON t.client_id = c.client_id
+       WHERE t.access_token = $1 AND t.expires_at > NOW() AND t.revoked_at IS NULL
+         AND c.is_active = true`,
+      [token]
+    );
+
+    if (result.rows.length === 0) {
+      return { active: false };
+    }
+
+    const row = result.rows[0];
+    return {
+      active: true,
+      client_id: row.client_id,
+      scope: (row.scopes || []).join(' '),
+      token_type: 'Bearer',
+      exp: Math.floor(new Date(row.expires_at).getTime() / 1000),
+      iat: Math.floor(new Date(row.created_at).getTime() / 1000)
+    };
+  }
+
+  /**
+   * Delete remembered client assertion IDs whose assertions have expired.
+   * Run periodically by services/maintenanceScheduler.
+   * @returns {number} Number of deleted records
+   */
+  async cleanupExpiredAssertionJtis() {
+    const result = await db.query(
+      'DELETE FROM oauth_client_assertion_jtis WHERE expires_at < NOW()'
+    );
+
+    logger.info('Expired client assertion IDs cleaned up', { deletedCount: result.rowCount });
+    return result.rowCount;
+  }
+
+  /**
+   * Delete expired and revoked tokens.
+   * Run periodically by services/maintenanceScheduler.
    */
   async cleanupExpiredTokens() {
     try {
-      logger.info('Starting cleanup of expired OAuth tokens');
+      logger.info('Starting cleanup of expired and revoked OAuth tokens');
       
       const result = await db.query(
-        'DELETE FROM oauth_tokens WHERE expires_at < NOW()'
+        'DELETE FROM oauth_tokens WHERE expires_at < NOW() OR revoked_at IS NOT NULL'
       );
       
-      logger.info('Expired OAuth tokens cleaned up', { deletedCount: result.rowCount });
+      logger.info('Expired and revoked OAuth tokens cleaned up', { deletedCount: result.rowCount });
       return result.rowCount;
     } catch (error) {
       logger.error('Error cleaning up expired tokens', { error: error.message });
@@ -145,4 +549,6 @@ class OAuthService {
   }
 }
 
+OAuthService.JWT_BEARER_ASSERTION_TYPE = JWT_BEARER_ASSERTION_TYPE;
+
 module.exports = OAuthService;
\ No newline at end of file
@@ -0,0 +1,390 @@
+const crypto = require("crypto");
+const db = require("../db/connection");
+const logger = require("../utils/logger");
+const requestContext = require("../utils/requestContext");
+
+// FHIR resource types that hold patient data; requests for other resources
+// (e.g. Slot) are not recorded
+const PHI_RESOURCE_TYPES = ["Patient", "Appointment", "DocumentReference"];
+
+const GENESIS_HASH = "0".repeat(64);
+const VERIFY_BATCH_SIZE = 1000;
+const MAX_SCAN_DEPTH = 10;
+
+const PATIENT_REFERENCE_REGEX = /(?:^|\/)Patient\/([^/?#]+)/;
+
+// Copy a JSON value with object keys sorted, so JSONB round trips hash the same
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonical);
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((result, key) => {
+        if (value[key] !== undefined) {
+          result[key] = canonical(value[key]);
+        }
+        return result;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * Append-only, hash-chained audit log of access to patient data in the EHR
+ * (phi_audit_log).
+ *
+ * Every Redox request for a patient-data resource is recorded by
+ * RedoxAPIService with the actor taken from the request context: the OAuth
+ * client (set by oauthMiddleware), the Retell call and agent, or the system
+ * job on whose behalf it ran.
+ *
+ * Each entry's hash covers its fields and the previous entry's hash. Entries
+ * are appended one at a time under an advisory lock so the chain stays
+ * linear across replicas.
+ */
+class PhiAuditService {
+  /**
+   * Work out the resource type, action and resource ID of a Redox FHIR
+   * request
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - FHIR endpoint path (e.g. '/Patient/_search')
+   * @returns {object|null} - { resourceType, action, resourceId }, or null if the resource holds no patient data
+   */
+  describeRequest(method, endpoint) {
+    const [resourceType, operation] = endpoint.replace(/^\//, "").split("/");
+
+    if (!PHI_RESOURCE_TYPES.includes(resourceType)) {
+      return null;
+    }
+    if (operation === "_search") {
+      return { resourceType, action: "search", resourceId: null };
+    }
+    if (operation && operation.startsWith("$")) {
+      return {
+        resourceType,
+        action: operation.endsWith("-create") ? "create" : "update",
+        resourceId: null,
+      };
+    }
+    return {
+      resourceType,
+      action: method === "GET" ? "read" : "update",
+      resourceId: operation || null,
+    };
+  }
+
+  /**
+   * Collect the IDs of the patients a FHIR request or response refers to:
+   * Patient resources and Patient/<id> references (subject, participants,
+   * response locations, ...)
+   * @param {...*} values - Search parameters, request and response bodies
+   * @returns {string[]} - Sorted, unique patient IDs
+   */
+  collectPatientIds(...values) {
+    const ids = new Set();
+
+    const scan = (value, key, depth) => {
+      if (typeof value === "string") {
+        const match = (key === "reference" || key === "location") &&
+          value.match(PATIENT_REFERENCE_REGEX);
+        if (match) {
+          ids.add(match[1]);
+        }
+        return;
+      }
+      if (!value || typeof value !== "object" || depth > MAX_SCAN_DEPTH) {
+        return;
+      }
+      if (Array.isArray(value)) {
+        value.forEach((item) => scan(item, key, depth + 1));
+        return;
+      }
+      if (value.resourceType === "Patient" && typeof value.id === "string") {
+        ids.add(value.id);
+      }
+      Object.keys(value).forEach((childKey) => scan(value[childKey], childKey, depth + 1));
+    };
+
+    values.forEach((value) => scan(value, null, 0));
+    return [...ids].sort();
+  }
+
+  /**
+   * Record a Redox FHIR request, if it is for patient data. The acting
+   * client, call or job comes from the request context.
+   * @param {object} access - { method, endpoint, params, data, responseData, statusCode, success }
+   */
+  async recordRedoxRequest({ method, endpoint, params, data, responseData, statusCode, success }) {
+    const request = this.describeRequest(method, endpoint);
+    if (!request) {
+      return;
+    }
+
+    const context = requestContext.get() || {};
+    const patientIds = new Set(this.collectPatientIds(data, responseData));
+
+    if (params?.patient) {
+      // Either a bare ID or a Patient/<id> reference
+      const patient = String(params.patient);
+      patientIds.add(patient.match(PATIENT_REFERENCE_REGEX)?.[1] || patient);
+    }
+    if (request.resourceType === "Patient") {
+      [request.resourceId, params?._id]
+        .filter(Boolean)
+        .forEach((id) => patientIds.add(String(id)));
+    }
+
+    await this.record({
+      actor: context.actor,
+      action: request.action,
+      resourceType: request.resourceType,
+      resourceId: request.resourceId,
+      patientIds: [...patientIds].sort(),
+      outcome: success ? "success" : "failure",
+      details: {
+        method,
+        endpoint,
+        statusCode: statusCode ?? null,
+        ...(context.functionName && { functionName: context.functionName }),
+      },
+    });
+  }
+
+  /**
+   * Record a Redox request for a resource that holds no patient data (e.g. a
+   * Slot search) made for an identified patient, such as a Retell agent
+   * checking availability for its caller: it still discloses that patient's
+   * interest. The acting client, call or job comes from the request context.
+   * @param {object} access - { method, endpoint, patientId, success }
+   */
+  async recordPatientLookup({ method, endpoint, patientId, success }) {
+    const context = requestContext.get() || {};
+    const [resourceType] = endpoint.replace(/^\//, "").split("/");
+
+    await this.record({
+      actor: context.actor,
+      action: "search",
+      resourceType,
+      resourceId: null,
+      patientIds: [String(patientId)],
+      outcome: success ? "success" : "failure",
+      details: {
+        method,
+        endpoint,
+        ...(context.functionName && { functionName: context.functionName }),
+      },
+    });
+  }
+
+  /**
+   * Append an entry to the audit log. Failures to write are logged, not
+   * thrown: the access has already happened and the caller's response must
+   * not depend on the audit trail.
+   * @param {object} entry - { actor, action, resourceType, resourceId, patientIds, outcome, details }
+   */
+  async record(entry) {
+    const actor = entry.actor || { type: "system", id: "unknown" };
+    const context = requestContext.get() || {};
+    const row = {
+      occurredAt: new Date().toISOString(),
+      actorType: actor.type,
+      actorId: String(actor.id),
+      actorDetails: actor.details || {},
+      action: entry.action,
+      resourceType: entry.resourceType,
+      resourceId: entry.resourceId ?? null,
+      patientIds: entry.patientIds || [],
+      outcome: entry.outcome,
+      tenantId: context.tenantId ?? null,
+      requestId: context.requestId ?? null,
+      details: entry.details || {},
+    };
+
+    let client;
+    try {
+      client = await db.pool.connect();
+      await client.query("BEGIN");
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('phi_audit_log'))");
+
+      const last = await client.query(
+        "SELECT hash FROM phi_audit_log ORDER BY id DESC LIMIT 1",
+      );
+      const prevHash = last.rows[0]?.hash || GENESIS_HASH;
+
+      await client.query(
+        `INSERT INTO phi_audit_log
+           (occurred_at, actor_type, actor_id, actor_details, action, resource_type,
+            resource_id, patient_ids, outcome, tenant_id, request_id, details, prev_hash, hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [
+          row.occurredAt,
+          row.actorType,
+          row.actorId,
+          row.actorDetails,
+          row.action,
+          row.resourceType,
+          row.resourceId,
+          row.patientIds,
+          row.outcome,
+          row.tenantId,
+          row.requestId,
+          row.details,
+          prevHash,
+          this.computeHash(prevHash, row),
+        ],
+      );
+      await client.query("COMMIT");
+    } catch (error) {
+      if (client) {
+        await client.query("ROLLBACK").catch(() => {});
+      }
+      logger.error("Failed to record PHI access", {
+        error: error.message,
+        actorType: row.actorType,
+        action: row.action,
+        resourceType: row.resourceType,
+        outcome: row.outcome,
+      });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Hash of an entry, chained to the previous entry's hash
+   * @param {string} prevHash - Hash of the previous entry
+   * @param {object} row - Entry fields (see record)
+   * @returns {string} - Hex SHA-256 digest
+   */
+  computeHash(prevHash, row) {
+    const payload = JSON.stringify([
+      prevHash,
+      row.occurredAt,
+      row.actorType,
+      row.actorId,
+      canonical(row.actorDetails),
+      row.action,
+      row.resourceType,
+      row.resourceId,
+      row.patientIds,
+      row.outcome,
+      row.tenantId,
+      row.requestId,
+      canonical(row.details),
+    ]);
+
+    return crypto.createHash("sha256").update(payload).digest("hex");
+  }
+
+  /**
+   * Find audit entries, newest first
+   * @param {object} filters - { tenantId, patientId, from, to, actorType, actorId, outcome, limit, offset };
+   *   tenantId is required and null selects the default tenant's entries
+   * @returns {Promise<object[]>}
+   */
+  async query({ tenantId, patientId, from, to, actorType, actorId, outcome, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    const where = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace("?", `$${params.length}`));
+    };
+
+    if (tenantId === undefined) {
+      throw new Error("PHI audit queries must be scoped to a tenant");
+    }
+    where("tenant_id IS NOT DISTINCT FROM ?", tenantId);
+
+    if (patientId) {
+      where("patient_ids @> ARRAY[?]::text[]", patientId);
+    }
+    if (from) {
+      where("occurred_at >= ?", from);
+    }
+    if (to) {
+      where("occurred_at < ?", to);
+    }
+    if (actorType) {
+      where("actor_type = ?", actorType);
+    }
+    if (actorId) {
+      where("actor_id = ?", actorId);
+    }
+    if (outcome) {
+      where("outcome = ?", outcome);
+    }
+    params.push(Math.min(limit, 1000), offset);
+
+    const result = await db.query(
+      `SELECT * FROM phi_audit_log
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params,
+    );
+    return result.rows.map((row) => this.format(row));
+  }
+
+  /**
+   * Recompute the hash chain from the first entry and report the first
+   * entry that was changed, removed or reordered
+   * @returns {Promise<object>} - { valid, checked, brokenAtId }
+   */
+  async verifyChain() {
+    let prevHash = GENESIS_HASH;
+    let lastId = 0;
+    let checked = 0;
+
+    for (;;) {
+      const result = await db.query(
+        "SELECT * FROM phi_audit_log WHERE id > $1 ORDER BY id LIMIT $2",
+        [lastId, VERIFY_BATCH_SIZE],
+      );
+
+      for (const row of result.rows) {
+        const entry = this.format(row);
+        if (row.prev_hash !== prevHash || row.hash !== this.computeHash(prevHash, entry)) {
+          logger.error("PHI audit log hash chain is broken", { id: row.id, checked });
+          return { valid: false, checked, brokenAtId: row.id };
+        }
+        prevHash = row.hash;
+        lastId = row.id;
+        checked++;
+      }
+
+      if (result.rows.length < VERIFY_BATCH_SIZE) {
+        return { valid: true, checked, brokenAtId: null };
+      }
+    }
+  }
+
+  /**
+   * Convert a database row to the API representation
+   * @private
+   */
+  format(row) {
+    return {
+      id: row.id,
+      occurredAt: row.occurred_at.toISOString(),
+      actorType: row.actor_type,
+      actorId: row.actor_id,
+      actorDetails: row.actor_details,
+      action: row.action,
+      resourceType: row.resource_type,
+      resourceId: row.resource_id,
+      patientIds: row.patient_ids,
+      outcome: row.outcome,
+      tenantId: row.tenant_id,
+      requestId: row.request_id,
+      details: row.details,
+      hash: row.hash,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PhiAuditService();
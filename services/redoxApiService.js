@@ -1,41 +1,66 @@
-const axios = require('axios');
 const REDOX_CONFIG = require('../config/redox');
+const tokenManager = require('./redoxTokenManager');
+const redoxHttpClient = require('./redoxHttpClient');
+const phiAudit = require('./phiAuditService');
 const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const { RedoxApiError, createRedoxError } = require('../utils/errors');
 
 class RedoxAPIService {
-  static async makeRequest(method, endpoint, data = null, params = null, accessToken) {
+  /**
+   * Make a request to the Redox FHIR API.
+   * If Redox rejects a token issued by redoxTokenManager with a 401, the token
+   * is invalidated and the request is retried once with a fresh one. Tokens
+   * supplied by API callers are never swapped for our own.
+   * Requests for patient data are recorded in the PHI audit log, whether they
+   * succeed or fail.
+   * Timeouts, retries and the circuit breaker are handled by redoxHttpClient;
+   * failures are thrown as RedoxApiError with the HTTP status and FHIR
+   * OperationOutcome (see utils/errors).
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - FHIR endpoint path (e.g. '/Patient/_search')
+   * @param {object|null} data - JSON body (FHIR bundle)
+   * @param {object|null} params - Search parameters
+   * @param {string} accessToken - Redox access token
+   * @param {object} redoxConfig - Tenant Redox configuration (defaults to config/redox)
+   * @returns {Promise<object>} - Response body
+   */
+  static async makeRequest(method, endpoint, data = null, params = null, accessToken, redoxConfig = REDOX_CONFIG) {
+    data = RedoxAPIService.applyMessageSource(data, redoxConfig);
+
     // Enhanced logging for Redox API calls
     logger.info('=== REDOX API REQUEST START ===', {
       method: method,
       endpoint: endpoint,
-      fullUrl: `${REDOX_CONFIG.baseURL}${endpoint}`,
+      fullUrl: `${redoxConfig.baseURL}${endpoint}`,
       hasData: !!data,
       hasParams: !!params,
-      accessToken: accessToken ? `${accessToken.substring(0, 20)}...` : 'none',
+      hasAccessToken: !!accessToken,
       timestamp: new Date().toISOString()
     });
     
-    // Log request data for debugging
+    // Log request data for debugging (PHI is masked by the logger)
     if (data) {
-      logger.info(`Redox API request body (${method} ${endpoint}):`, {
+      logger.debug(`Redox API request body (${method} ${endpoint}):`, {
         requestBody: typeof data === 'object' ? JSON.stringify(data, null, 2) : data
       });
     }
     
     if (params) {
-      logger.info(`Redox API request params (${method} ${endpoint}):`, {
+      logger.debug(`Redox API request params (${method} ${endpoint}):`, {
         requestParams: params
       });
     }
     
     const headers = {
+      ...requestContext.outboundHeaders(),
       'Authorization': `Bearer ${accessToken}`,
       'Content-Type': method === 'POST' && data ? 'application/fhir+json' : 'application/x-www-form-urlencoded'
     };
 
     const config = {
       method,
-      url: `${REDOX_CONFIG.baseURL}${endpoint}`,
+      url: `${redoxConfig.baseURL}${endpoint}`,
       headers
     };
 
@@ -49,7 +74,7 @@ class RedoxAPIService {
         const formData = new URLSearchParams(params).toString();
         config.data = formData;
         config.headers['Content-Type'] = 'application/x-www-form-urlencoded';
-        logger.info(`Redox API form data (${method} ${endpoint}):`, {
+        logger.debug(`Redox API form data (${method} ${endpoint}):`, {
           formData: formData
         });
       } else {
@@ -66,14 +91,31 @@ class RedoxAPIService {
           ...config.headers,
           'Authorization': config.headers['Authorization'] ? `Bearer ${config.headers['Authorization'].substring(7, 27)}...` : 'none'
         },
-        hasData: !!config.data,
-        dataPreview: config.data ? (typeof config.data === 'string' ? config.data.substring(0, 200) : JSON.stringify(config.data).substring(0, 200)) : null
+        hasData: !!config.data
       },
       timestamp: new Date().toISOString()
     });
 
     try {
-      const response = await axios(config);
+      const target = { baseURL: redoxConfig.baseURL, method, endpoint };
+      let response;
+      try {
+        response = await redoxHttpClient.send(config, target);
+      } catch (error) {
+        if (error.statusCode !== 401 || !tokenManager.isManagedToken(redoxConfig, accessToken)) {
+          throw error;
+        }
+
+        logger.warn('Redox rejected access token, retrying with a fresh token', {
+          method: method,
+          endpoint: endpoint
+        });
+
+        tokenManager.invalidate(redoxConfig, accessToken);
+        const freshToken = await tokenManager.getToken(redoxConfig);
+        config.headers['Authorization'] = `Bearer ${freshToken}`;
+        response = await redoxHttpClient.send(config, target);
+      }
       
       // Enhanced response logging
       logger.info('=== REDOX API RESPONSE SUCCESS ===', {
@@ -86,28 +128,90 @@ class RedoxAPIService {
         timestamp: new Date().toISOString()
       });
 
-      // Log response body for debugging
-      logger.info(`Redox API response body (${method} ${endpoint}):`, {
+      // Log response body for debugging (PHI is masked by the logger)
+      logger.debug(`Redox API response body (${method} ${endpoint}):`, {
         responseBody: JSON.stringify(response.data, null, 2)
       });
 
+      await phiAudit.recordRedoxRequest({
+        method,
+        endpoint,
+        params,
+        data,
+        responseData: response.data,
+        statusCode: response.status,
+        success: true
+      });
+
       return response.data;
     } catch (error) {
       // Enhanced error logging
+      const redoxError = error instanceof RedoxApiError
+        ? error
+        : createRedoxError(`Redox API Error: ${error.message}`, {
+          method,
+          endpoint,
+          statusCode: error.response?.status ?? null,
+          cause: error
+        });
+
       logger.error('=== REDOX API RESPONSE ERROR ===', {
         method: method,
         endpoint: endpoint,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        error: error.response?.data?.message || error.message,
-        errorData: error.response?.data,
-        errorIssues: error.response?.data?.issue ? JSON.stringify(error.response.data.issue, null, 2) : null,
+        errorType: redoxError.name,
+        status: redoxError.statusCode,
+        attempts: redoxError.attempts,
+        error: redoxError.message,
+        errorIssues: redoxError.issues.length ? JSON.stringify(redoxError.issues, null, 2) : null,
         requestUrl: config.url,
         timestamp: new Date().toISOString()
       });
+
+      await phiAudit.recordRedoxRequest({
+        method,
+        endpoint,
+        params,
+        data,
+        statusCode: redoxError.statusCode,
+        success: false
+      });
       
-      throw new Error(`Redox API Error: ${error.response?.data?.message || error.message}`);
+      throw redoxError;
+    }
+  }
+
+  /**
+   * Stamp the tenant's source on a message bundle's MessageHeader.
+   * Bundles are built with the default source by RedoxTransformer.
+   * @param {object|null} data - Request body
+   * @param {object} redoxConfig - Tenant Redox configuration
+   * @returns {object|null} - The body, copied if the source was changed
+   */
+  static applyMessageSource(data, redoxConfig) {
+    if (!data || data.resourceType !== 'Bundle' || !Array.isArray(data.entry)) {
+      return data;
+    }
+
+    const headerIndex = data.entry.findIndex(e => e.resource?.resourceType === 'MessageHeader');
+    if (headerIndex === -1 || !redoxConfig.sourceEndpoint) {
+      return data;
     }
+
+    const header = data.entry[headerIndex];
+    const entry = [...data.entry];
+    entry[headerIndex] = {
+      ...header,
+      resource: {
+        ...header.resource,
+        source: {
+          ...header.resource.source,
+          name: redoxConfig.sourceApp,
+          endpoint: redoxConfig.sourceEndpoint
+        }
+      }
+    };
+
+    return { ...data, entry };
   }
 }
 
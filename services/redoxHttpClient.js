@@ -0,0 +1,266 @@
+const axios = require("axios");
+const REDOX_CLIENT_CONFIG = require("../config/redoxClient");
+const logger = require("../utils/logger");
+const {
+  extractOperationOutcome,
+  createRedoxError,
+  RedoxTimeoutError,
+  RedoxCircuitOpenError,
+} = require("../utils/errors");
+
+// Network errors worth retrying: the request may not have reached Redox, or
+// the connection dropped before the answer
+const RETRYABLE_NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Sends requests to the Redox FHIR API with per-endpoint timeouts, retries
+ * of idempotent requests on 429/5xx and network errors (honoring
+ * Retry-After), and a circuit breaker per Redox environment that fails fast
+ * during outages. Failures are thrown as RedoxApiError (see utils/errors).
+ * Settings are in config/redoxClient.
+ */
+class RedoxHttpClient {
+  constructor(config = REDOX_CLIENT_CONFIG) {
+    this.config = config;
+    // Circuit breaker state per base URL
+    this.circuits = new Map();
+  }
+
+  /**
+   * Send a request
+   * @param {object} request - axios request config (method, url, headers, data, params)
+   * @param {object} options - { baseURL, method, endpoint } of the Redox request
+   * @returns {Promise<object>} - axios response
+   */
+  async send(request, { baseURL, method, endpoint }) {
+    const timeoutMs = this.getTimeout(endpoint);
+    const maxAttempts = this.isIdempotent(method, endpoint)
+      ? this.config.retry.maxRetries + 1
+      : 1;
+    const circuit = this.getCircuit(baseURL);
+
+    for (let attempt = 1; ; attempt++) {
+      this.acquire(circuit, { baseURL, method, endpoint, attempt });
+
+      let error;
+      try {
+        const response = await this.attempt(request, timeoutMs);
+        this.recordResult(circuit, null, baseURL);
+        return response;
+      } catch (caught) {
+        error = this.toRedoxError(caught, { method, endpoint, attempt, timeoutMs });
+        this.recordResult(circuit, error, baseURL);
+      }
+
+      const delayMs = attempt < maxAttempts ? this.getRetryDelay(error, attempt) : null;
+      // Report the failure itself rather than the open circuit it caused
+      if (delayMs === null || circuit.state === "open") {
+        throw error;
+      }
+
+      logger.warn("Retrying Redox request", {
+        method,
+        endpoint,
+        attempt,
+        statusCode: error.statusCode,
+        reason: error.name === "RedoxTimeoutError" ? "timeout" : error.cause?.code,
+        delayMs,
+      });
+      await sleep(delayMs);
+    }
+  }
+
+  /**
+   * Make one attempt, aborting it after timeoutMs
+   * @private
+   */
+  async attempt(request, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      return await axios({ ...request, signal: controller.signal });
+    } catch (error) {
+      error.timedOut = controller.signal.aborted;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Timeout of an endpoint (see config/redoxClient timeouts)
+   * @param {string} endpoint - FHIR endpoint path
+   * @returns {number} - Milliseconds
+   */
+  getTimeout(endpoint) {
+    const key = endpoint
+      .split("?")[0]
+      .replace(/^(\/[A-Za-z]+\/)(?![_$])[^/]+/, "$1:id");
+    return this.config.timeouts.endpoints[key] || this.config.timeouts.defaultMs;
+  }
+
+  /**
+   * Whether a request can be sent again without side effects: reads and
+   * searches. Redox searches are POSTs to _search.
+   * @param {string} method
+   * @param {string} endpoint
+   * @returns {boolean}
+   */
+  isIdempotent(method, endpoint) {
+    return method.toUpperCase() === "GET" || endpoint.split("?")[0].endsWith("/_search");
+  }
+
+  /**
+   * Milliseconds to wait before retrying a failed attempt, or null if the
+   * failure should not be retried
+   * @private
+   */
+  getRetryDelay(error, attempt) {
+    const { statuses, backoffBaseMs, backoffMaxMs, maxRetryAfterMs } = this.config.retry;
+    const retryable =
+      error instanceof RedoxTimeoutError ||
+      statuses.includes(error.statusCode) ||
+      (error.statusCode === null && RETRYABLE_NETWORK_CODES.includes(error.cause?.code));
+
+    if (!retryable || error instanceof RedoxCircuitOpenError) {
+      return null;
+    }
+    if (error.retryAfterMs !== null) {
+      return error.retryAfterMs <= maxRetryAfterMs ? error.retryAfterMs : null;
+    }
+    return Math.round(Math.random() * Math.min(backoffMaxMs, backoffBaseMs * 2 ** (attempt - 1)));
+  }
+
+  /**
+   * Parse a Retry-After header: delay in seconds or an HTTP date
+   * @param {string|undefined} value
+   * @returns {number|null} - Milliseconds, or null if absent or invalid
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+      return parseInt(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  /**
+   * Convert an axios error to the matching RedoxApiError subclass
+   * @private
+   */
+  toRedoxError(error, { method, endpoint, attempt, timeoutMs }) {
+    const details = { method, endpoint, attempts: attempt, cause: error };
+
+    if (error.timedOut) {
+      return new RedoxTimeoutError(
+        `Redox API Error: no response within ${timeoutMs}ms`,
+        details,
+      );
+    }
+
+    const data = error.response?.data;
+    return createRedoxError(`Redox API Error: ${data?.message || error.message}`, {
+      ...details,
+      statusCode: error.response?.status ?? null,
+      operationOutcome: extractOperationOutcome(data),
+      retryAfterMs: this.parseRetryAfter(error.response?.headers?.["retry-after"]),
+    });
+  }
+
+  /**
+   * Get the circuit breaker state of a Redox environment
+   * @private
+   */
+  getCircuit(baseURL) {
+    if (!this.circuits.has(baseURL)) {
+      this.circuits.set(baseURL, {
+        state: "closed",
+        consecutiveFailures: 0,
+        openedAt: null,
+        trialInFlight: false,
+      });
+    }
+    return this.circuits.get(baseURL);
+  }
+
+  /**
+   * Let a request through the circuit breaker, or fail it fast. Once an open
+   * circuit's openMs has passed, one trial request is let through.
+   * @private
+   */
+  acquire(circuit, { baseURL, method, endpoint, attempt }) {
+    if (circuit.state === "open" && Date.now() - circuit.openedAt >= this.config.circuitBreaker.openMs) {
+      circuit.state = "half_open";
+      circuit.trialInFlight = false;
+    }
+    if (circuit.state === "half_open" && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      logger.info("Redox circuit breaker half-open, sending trial request", { baseURL, endpoint });
+      return;
+    }
+    if (circuit.state !== "closed") {
+      throw new RedoxCircuitOpenError(
+        "Redox API Error: Redox is unavailable (circuit breaker open)",
+        { method, endpoint, attempts: attempt },
+      );
+    }
+  }
+
+  /**
+   * Update the circuit breaker with the outcome of an attempt. Only 5xx
+   * answers, timeouts and network errors count as failures: any other answer
+   * shows Redox is up.
+   * @private
+   */
+  recordResult(circuit, error, baseURL) {
+    const failed = error !== null && (error.statusCode === null || error.statusCode >= 500);
+    circuit.trialInFlight = false;
+
+    if (!failed) {
+      if (circuit.state !== "closed") {
+        logger.info("Redox circuit breaker closed", { baseURL });
+      }
+      circuit.state = "closed";
+      circuit.consecutiveFailures = 0;
+      circuit.openedAt = null;
+      return;
+    }
+
+    circuit.consecutiveFailures++;
+    if (
+      circuit.state === "half_open" ||
+      (circuit.state === "closed" &&
+        circuit.consecutiveFailures >= this.config.circuitBreaker.failureThreshold)
+    ) {
+      circuit.state = "open";
+      circuit.openedAt = Date.now();
+      logger.error("Redox circuit breaker opened", {
+        baseURL,
+        consecutiveFailures: circuit.consecutiveFailures,
+        openMs: this.config.circuitBreaker.openMs,
+      });
+    }
+  }
+
+  /**
+   * Circuit breaker state of every Redox environment used so far
+   * @returns {object[]} - [{ baseURL, state, consecutiveFailures, openedAt }]
+   */
+  getCircuitStates() {
+    return [...this.circuits.entries()].map(([baseURL, circuit]) => ({
+      baseURL,
+      state: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new RedoxHttpClient();
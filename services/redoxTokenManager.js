@@ -0,0 +1,258 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+require('dotenv').config();
+
+/**
+ * Process-wide cache of Redox access tokens, one per credential set
+ * (login URL + client ID + secret), shared by every AuthService.
+ *
+ * Concurrent callers that find the token missing or expired wait on a single
+ * in-flight login instead of each logging in. A token close to expiry is
+ * renewed in the background while callers keep using it, so requests are not
+ * held up by the login round trip.
+ */
+class RedoxTokenManager {
+  constructor() {
+    // Start a background renewal once the token is this close to expiry
+    this.renewBeforeMs =
+      (parseInt(process.env.REDOX_TOKEN_RENEW_BEFORE_SECONDS) || 300) * 1000;
+    // Never hand out a token with less validity than this; refresh inline instead
+    this.minValidityMs =
+      (parseInt(process.env.REDOX_TOKEN_MIN_VALIDITY_SECONDS) || 30) * 1000;
+
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a valid access token for a credential set
+   * @param {object} redoxConfig - Redox credentials and URLs
+   * @returns {Promise<string>}
+   */
+  async getToken(redoxConfig) {
+    const entry = this.getEntry(redoxConfig);
+    const remainingMs = entry.expiresAt - Date.now();
+
+    if (entry.accessToken && remainingMs > this.minValidityMs) {
+      entry.metrics.cacheHits++;
+
+      if (remainingMs <= this.renewBeforeMs && !entry.inFlight) {
+        entry.metrics.proactiveRenewals++;
+        this.refresh(redoxConfig).catch(() => {
+          // Already logged and counted; the current token is still valid
+        });
+      }
+
+      return entry.accessToken;
+    }
+
+    return this.refresh(redoxConfig);
+  }
+
+  /**
+   * Log in to Redox, joining the login already in flight for these credentials
+   * @param {object} redoxConfig - Redox credentials and URLs
+   * @returns {Promise<string>}
+   */
+  refresh(redoxConfig) {
+    const entry = this.getEntry(redoxConfig);
+
+    if (entry.inFlight) {
+      entry.metrics.singleFlightJoins++;
+      return entry.inFlight;
+    }
+
+    entry.inFlight = this.login(redoxConfig, entry).finally(() => {
+      entry.inFlight = null;
+    });
+
+    return entry.inFlight;
+  }
+
+  /**
+   * Drop a token Redox rejected. A newer token cached after the rejected one
+   * was issued is kept.
+   * @param {object} redoxConfig - Redox credentials and URLs
+   * @param {string} accessToken - The rejected token
+   * @returns {boolean} - True if the cached token was dropped
+   */
+  invalidate(redoxConfig, accessToken) {
+    const entry = this.getEntry(redoxConfig);
+
+    if (!entry.accessToken || entry.accessToken !== accessToken) {
+      return false;
+    }
+
+    entry.accessToken = null;
+    entry.expiresAt = 0;
+    entry.metrics.invalidations++;
+
+    logger.warn('Redox access token invalidated', { clientId: entry.clientId });
+    return true;
+  }
+
+  /**
+   * Check whether a token was issued by this manager for a credential set,
+   * as opposed to one supplied by an API caller
+   * @param {object} redoxConfig - Redox credentials and URLs
+   * @param {string} accessToken - Token to check
+   * @returns {boolean}
+   */
+  isManagedToken(redoxConfig, accessToken) {
+    const entry = this.entries.get(this.credentialKey(redoxConfig));
+    return !!accessToken && (entry?.accessToken === accessToken || entry?.previousToken === accessToken);
+  }
+
+  /**
+   * Get refresh metrics per credential set and in total
+   * @returns {object}
+   */
+  getMetrics() {
+    const totals = {
+      refreshes: 0,
+      refreshFailures: 0,
+      singleFlightJoins: 0,
+      proactiveRenewals: 0,
+      cacheHits: 0,
+      invalidations: 0
+    };
+
+    const credentials = [];
+    this.entries.forEach((entry) => {
+      Object.keys(totals).forEach((key) => {
+        totals[key] += entry.metrics[key];
+      });
+
+      credentials.push({
+        clientId: entry.clientId,
+        loginURL: entry.loginURL,
+        hasToken: !!entry.accessToken,
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+        refreshInFlight: !!entry.inFlight,
+        ...entry.metrics
+      });
+    });
+
+    return {
+      renewBeforeSeconds: this.renewBeforeMs / 1000,
+      minValiditySeconds: this.minValidityMs / 1000,
+      totals,
+      credentials
+    };
+  }
+
+  /**
+   * Perform the login request and cache the result
+   * @private
+   */
+  async login(redoxConfig, entry) {
+    const startTime = Date.now();
+
+    logger.info('Refreshing Redox access token', {
+      url: redoxConfig.loginURL,
+      clientId: entry.clientId,
+      hasSecret: !!redoxConfig.clientSecret
+    });
+
+    try {
+      const response = await axios.post(redoxConfig.loginURL, {
+        apiKey: redoxConfig.clientId,
+        secret: redoxConfig.clientSecret
+      }, {
+        headers: requestContext.outboundHeaders()
+      });
+
+      let expiresAt;
+      if (response.data.expires) {
+        expiresAt = new Date(response.data.expires).getTime();
+      } else if (response.data.expiresIn) {
+        expiresAt = Date.now() + (response.data.expiresIn * 1000);
+      } else {
+        // Default to 1 hour if no expiry info
+        expiresAt = Date.now() + (3600 * 1000);
+      }
+
+      // Keep recognising the replaced token so a request that was already
+      // using it can still invalidate-and-retry on a 401
+      entry.previousToken = entry.accessToken;
+      entry.accessToken = response.data.accessToken;
+      entry.expiresAt = expiresAt;
+      entry.metrics.refreshes++;
+      entry.metrics.lastRefreshAt = new Date().toISOString();
+
+      logger.info('Redox access token refreshed', {
+        clientId: entry.clientId,
+        expires: response.data.expires,
+        expiresIn: response.data.expiresIn,
+        calculatedExpiry: new Date(expiresAt).toISOString(),
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return entry.accessToken;
+    } catch (error) {
+      entry.metrics.refreshFailures++;
+      entry.metrics.lastFailureAt = new Date().toISOString();
+      entry.metrics.lastError = error.response?.data?.message || error.message;
+
+      logger.error('Redox access token refresh failed', {
+        clientId: entry.clientId,
+        status: error.response?.status,
+        error: entry.metrics.lastError,
+        requestUrl: redoxConfig.loginURL
+      });
+
+      throw new Error(`Authentication failed: ${entry.metrics.lastError}`);
+    }
+  }
+
+  /**
+   * Get or create the cache entry for a credential set
+   * @private
+   */
+  getEntry(redoxConfig) {
+    const key = this.credentialKey(redoxConfig);
+    let entry = this.entries.get(key);
+
+    if (!entry) {
+      entry = {
+        clientId: redoxConfig.clientId ? `${redoxConfig.clientId.substring(0, 8)}...` : 'none',
+        loginURL: redoxConfig.loginURL,
+        accessToken: null,
+        previousToken: null,
+        expiresAt: 0,
+        inFlight: null,
+        metrics: {
+          refreshes: 0,
+          refreshFailures: 0,
+          singleFlightJoins: 0,
+          proactiveRenewals: 0,
+          cacheHits: 0,
+          invalidations: 0,
+          lastRefreshAt: null,
+          lastFailureAt: null,
+          lastError: null
+        }
+      };
+      this.entries.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Cache key for a credential set; the secret is hashed so it is not kept
+   * as a map key
+   * @private
+   */
+  credentialKey(redoxConfig) {
+    const secretHash = crypto
+      .createHash('sha256')
+      .update(redoxConfig.clientSecret || '')
+      .digest('hex');
+    return `${redoxConfig.loginURL}|${redoxConfig.clientId}|${secretHash}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new RedoxTokenManager();
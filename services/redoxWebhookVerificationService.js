@@ -0,0 +1,321 @@
+const crypto = require("crypto");
+const db = require("../db/connection");
+const logger = require("../utils/logger");
+const requestContext = require("../utils/requestContext");
+require("dotenv").config();
+
+/**
+ * Checks Redox destination verification tokens on incoming webhooks, per
+ * Redox source, and records every outcome in redox_webhook_verification_log.
+ *
+ * Sources are registered in redox_webhook_sources with the tenant they may
+ * send events for. REDOX_WEBHOOK_VERIFICATION_TOKEN is the token of any
+ * source that is not registered, and only admits events for the default
+ * tenant.
+ */
+class RedoxWebhookVerificationService {
+  constructor() {
+    this.defaultTokenHash = process.env.REDOX_WEBHOOK_VERIFICATION_TOKEN
+      ? this.hashToken(process.env.REDOX_WEBHOOK_VERIFICATION_TOKEN)
+      : null;
+    this.auditRetentionDays =
+      parseInt(process.env.REDOX_WEBHOOK_AUDIT_RETENTION_DAYS) || 90;
+    this.cacheTtlMs = 60 * 1000;
+    this.cache = new Map();
+    this.maxLogLimit = 1000;
+  }
+
+  /**
+   * Hash a verification token for storage and lookup
+   * @param {string} token
+   * @returns {string} - Hex SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  /**
+   * Compare a presented token with a stored hash in constant time
+   * @private
+   */
+  matchesHash(token, tokenHash) {
+    if (typeof token !== "string" || token === "" || !tokenHash) {
+      return false;
+    }
+    return crypto.timingSafeEqual(
+      Buffer.from(this.hashToken(token), "hex"),
+      Buffer.from(tokenHash, "hex"),
+    );
+  }
+
+  /**
+   * Get an active registered source by its Redox source ID
+   * @param {string} sourceId - Redox source ID (Meta.Source.ID or the
+   *   MessageHeader's source endpoint or name)
+   * @returns {Promise<object|null>}
+   */
+  async getSource(sourceId) {
+    const cached = this.cache.get(sourceId);
+    if (cached && cached.expiry > Date.now()) {
+      return cached.source;
+    }
+
+    const result = await db.query(
+      "SELECT * FROM redox_webhook_sources WHERE source_id = $1 AND is_active = true",
+      [sourceId],
+    );
+    const source = result.rows[0] || null;
+
+    this.cache.set(sourceId, { source, expiry: Date.now() + this.cacheTtlMs });
+    return source;
+  }
+
+  /**
+   * Check the token of a destination verification (challenge) request. The
+   * handshake does not name its source, so any registered source's token or
+   * the default token is accepted.
+   * @param {string} token - verification-token sent by Redox
+   * @returns {Promise<object>} - { verified, reason, sourceId, tenantId }
+   */
+  async verifyHandshake(token) {
+    if (typeof token !== "string" || token === "") {
+      return { verified: false, reason: "missing verification token" };
+    }
+
+    if (this.matchesHash(token, this.defaultTokenHash)) {
+      return { verified: true, sourceId: null, tenantId: null };
+    }
+
+    const result = await db.query(
+      `SELECT source_id, tenant_id FROM redox_webhook_sources
+       WHERE verification_token_hash = $1 AND is_active = true`,
+      [this.hashToken(token)],
+    );
+    const source = result.rows[0];
+
+    return source
+      ? { verified: true, sourceId: source.source_id, tenantId: source.tenant_id }
+      : { verified: false, reason: "unknown verification token" };
+  }
+
+  /**
+   * Check the verification token of a webhook event against its source, and
+   * that the source may send events for the authenticated client's tenant.
+   * An event may name its source in several places; if any of them is a
+   * registered source, its token is required and the default token is never
+   * accepted. Events naming two different registered sources are rejected.
+   * @param {object} params - { sourceIds, token, tenantId }
+   * @returns {Promise<object>} - { verified, reason, sourceId, tenantId }
+   */
+  async verifyEvent({ sourceIds = [], token, tenantId }) {
+    const named = [...new Set(sourceIds.filter((id) => typeof id === "string" && id !== ""))];
+    const registered = (await Promise.all(named.map((id) => this.getSource(id)))).filter(Boolean);
+    const registeredIds = [...new Set(registered.map((source) => source.source_id))];
+
+    if (registeredIds.length > 1) {
+      return {
+        verified: false,
+        reason: "event names more than one registered source",
+        sourceId: registeredIds[0],
+      };
+    }
+
+    const source = registered[0] || null;
+    const sourceId = source ? source.source_id : named[0] || null;
+    const tokenHash = source ? source.verification_token_hash : this.defaultTokenHash;
+    const sourceTenantId = source ? source.tenant_id : null;
+
+    if (!tokenHash) {
+      return {
+        verified: false,
+        reason: "no verification token configured for this source",
+        sourceId,
+      };
+    }
+    if (!this.matchesHash(token, tokenHash)) {
+      return {
+        verified: false,
+        reason: token ? "verification token mismatch" : "missing verification token",
+        sourceId,
+      };
+    }
+    if ((sourceTenantId ?? null) !== (tenantId ?? null)) {
+      return {
+        verified: false,
+        reason: "source is not registered for the client's tenant",
+        sourceId,
+      };
+    }
+
+    return { verified: true, sourceId, tenantId: sourceTenantId };
+  }
+
+  /**
+   * Record a verification outcome. Failures to write are logged, not thrown,
+   * so the audit trail never decides whether a webhook is processed.
+   * @param {object} entry - { kind, verified, reason, sourceId, oauthClientId, tenantId, ip }
+   */
+  async record(entry) {
+    try {
+      await db.query(
+        `INSERT INTO redox_webhook_verification_log
+           (kind, outcome, reason, source_id, oauth_client_id, tenant_id, ip_address, request_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          entry.kind,
+          entry.verified ? "verified" : "rejected",
+          entry.reason || null,
+          entry.sourceId || null,
+          entry.oauthClientId || null,
+          entry.tenantId ?? null,
+          entry.ip || null,
+          requestContext.getRequestId() || null,
+        ],
+      );
+    } catch (error) {
+      logger.error("Failed to record Redox webhook verification", {
+        error: error.message,
+        kind: entry.kind,
+        verified: entry.verified,
+      });
+    }
+  }
+
+  /**
+   * Register a source and generate its verification token
+   * @param {object} data - { sourceId, name, tenantId }
+   * @returns {Promise<object>} - { source, verificationToken }; the token is not stored
+   */
+  async addSource({ sourceId, name, tenantId = null }) {
+    const verificationToken = crypto.randomBytes(32).toString("hex");
+    const result = await db.query(
+      `INSERT INTO redox_webhook_sources (source_id, name, tenant_id, verification_token_hash)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [sourceId, name, tenantId, this.hashToken(verificationToken)],
+    );
+
+    logger.info("Redox webhook source registered", { sourceId, tenantId });
+    return { source: this.format(result.rows[0]), verificationToken };
+  }
+
+  /**
+   * Replace a source's verification token. The old token stops working
+   * immediately, so update the Redox destination at the same time.
+   * @param {string} sourceId - Redox source ID
+   * @returns {Promise<object|null>} - { source, verificationToken }, or null if not found
+   */
+  async rotateToken(sourceId) {
+    const verificationToken = crypto.randomBytes(32).toString("hex");
+    const result = await db.query(
+      `UPDATE redox_webhook_sources
+       SET verification_token_hash = $2, updated_at = NOW()
+       WHERE source_id = $1
+       RETURNING *`,
+      [sourceId, this.hashToken(verificationToken)],
+    );
+    this.cache.delete(sourceId);
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    logger.info("Redox webhook source verification token rotated", { sourceId });
+    return { source: this.format(result.rows[0]), verificationToken };
+  }
+
+  /**
+   * Activate or deactivate a source
+   * @param {string} sourceId - Redox source ID
+   * @param {boolean} isActive
+   * @returns {Promise<object|null>} - The source, or null if not found
+   */
+  async setActive(sourceId, isActive) {
+    const result = await db.query(
+      `UPDATE redox_webhook_sources
+       SET is_active = $2, updated_at = NOW()
+       WHERE source_id = $1
+       RETURNING *`,
+      [sourceId, isActive],
+    );
+    this.cache.delete(sourceId);
+
+    return result.rows[0] ? this.format(result.rows[0]) : null;
+  }
+
+  /**
+   * List registered sources
+   * @returns {Promise<object[]>}
+   */
+  async listSources() {
+    const result = await db.query(
+      "SELECT * FROM redox_webhook_sources ORDER BY created_at",
+    );
+    return result.rows.map((row) => this.format(row));
+  }
+
+  /**
+   * Get recent verification outcomes, newest first
+   * @param {object} filters - { outcome, sourceId, limit }
+   * @returns {Promise<object[]>}
+   */
+  async getVerificationLog({ outcome, sourceId, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (outcome) {
+      params.push(outcome);
+      conditions.push(`outcome = $${params.length}`);
+    }
+    if (sourceId) {
+      params.push(sourceId);
+      conditions.push(`source_id = $${params.length}`);
+    }
+    params.push(Math.min(limit, this.maxLogLimit));
+
+    const result = await db.query(
+      `SELECT * FROM redox_webhook_verification_log
+       ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY created_at DESC
+       LIMIT $${params.length}`,
+      params,
+    );
+    return result.rows;
+  }
+
+  /**
+   * Delete verification log entries older than the retention period.
+   * Run periodically by services/maintenanceScheduler.
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async cleanupVerificationLog() {
+    const result = await db.query(
+      `DELETE FROM redox_webhook_verification_log
+       WHERE created_at < NOW() - $1::int * INTERVAL '1 day'`,
+      [this.auditRetentionDays],
+    );
+
+    logger.info("Old Redox webhook verification log entries cleaned up", {
+      deletedCount: result.rowCount,
+    });
+    return result.rowCount;
+  }
+
+  /**
+   * Convert a database row to the API representation, without the token hash
+   * @private
+   */
+  format(row) {
+    return {
+      sourceId: row.source_id,
+      name: row.name,
+      tenantId: row.tenant_id,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new RedoxWebhookVerificationService();
@@ -1,7 +1,9 @@
 require("dotenv").config();
 const Retell = require("retell-sdk");
 const logger = require("../utils/logger");
+const requestContext = require("../utils/requestContext");
 const db = require("../db/connection");
+const RETELL_CONFIG = require("../config/retell");
 
 class RetellAgentService {
   constructor() {
@@ -11,6 +13,13 @@ class RetellAgentService {
     }
     this.client = new Retell({
       apiKey: this.apiKey,
+      baseURL: RETELL_CONFIG.baseURL,
+      // Carry the request ID of the request being served to Retell
+      fetch: (url, init = {}) =>
+        fetch(url, {
+          ...init,
+          headers: { ...init.headers, ...requestContext.outboundHeaders() },
+        }),
     });
   }
 
@@ -1,11 +1,13 @@
 const axios = require("axios");
 const logger = require("../utils/logger");
+const requestContext = require("../utils/requestContext");
+const RETELL_CONFIG = require("../config/retell");
 require("dotenv").config();
 
 class RetellService {
   constructor() {
     this.apiKey = process.env.RETELL_API_KEY;
-    this.baseUrl = "https://api.retellai.com/v2";
+    this.baseUrl = `${RETELL_CONFIG.baseURL}/v2`;
 
     // Agent configurations
     this.schedulingConfig = {
@@ -30,13 +32,14 @@ class RetellService {
    * Create a scheduling call
    * @param {string} toNumber - The phone number to call
    * @param {object} dynamicVariables - Variables to pass to the call
+   * @param {object} tenant - Optional tenant whose Retell agents to use
    * @returns {Promise<object>} - The call creation response
    */
-  async createSchedulingCall(toNumber, dynamicVariables) {
+  async createSchedulingCall(toNumber, dynamicVariables, tenant = null) {
     return this._createCall(
       toNumber,
       dynamicVariables,
-      this.schedulingConfig,
+      this.getPurposeConfig("scheduling", tenant),
       "scheduling",
     );
   }
@@ -45,17 +48,41 @@ class RetellService {
    * Create an intake call
    * @param {string} toNumber - The phone number to call
    * @param {object} dynamicVariables - Variables to pass to the call
+   * @param {object} tenant - Optional tenant whose Retell agents to use
    * @returns {Promise<object>} - The call creation response
    */
-  async createIntakeCall(toNumber, dynamicVariables) {
+  async createIntakeCall(toNumber, dynamicVariables, tenant = null) {
     return this._createCall(
       toNumber,
       dynamicVariables,
-      this.intakeConfig,
+      this.getPurposeConfig("intake", tenant),
       "intake",
     );
   }
 
+  /**
+   * Create a call using an agent route from the routing table.
+   * Route-specific Retell settings override the defaults for its purpose.
+   * @param {object} route - Agent route (see agentRoutingService)
+   * @param {string} toNumber - The phone number to call
+   * @param {object} dynamicVariables - Variables to pass to the call
+   * @param {object} tenant - Optional tenant whose Retell agents to use
+   * @returns {Promise<object>} - The call creation response
+   */
+  async createCallForRoute(route, toNumber, dynamicVariables, tenant = null) {
+    const purposeConfig = this.getPurposeConfig(route.callPurpose, tenant);
+
+    return this._createCall(
+      toNumber,
+      dynamicVariables,
+      {
+        agentId: route.retellAgentId || purposeConfig.agentId,
+        fromNumber: route.retellFromNumber || purposeConfig.fromNumber,
+      },
+      route.callPurpose,
+    );
+  }
+
   /**
    * Create an outbound phone call via Retell API (legacy method)
    * @param {string} toNumber - The phone number to call
@@ -74,6 +101,19 @@ class RetellService {
     );
   }
 
+  /**
+   * Get the agent configuration for a call purpose.
+   * Tenants use only their own agents; without a tenant the environment
+   * configuration is used.
+   * @private
+   */
+  getPurposeConfig(callPurpose, tenant) {
+    if (tenant) {
+      return tenant.retell[callPurpose] || {};
+    }
+    return callPurpose === "intake" ? this.intakeConfig : this.schedulingConfig;
+  }
+
   /**
    * Internal method to create calls with specific config
    * @private
@@ -118,6 +158,7 @@ class RetellService {
         payload,
         {
           headers: {
+            ...requestContext.outboundHeaders(),
             Authorization: `Bearer ${this.apiKey}`,
             "Content-Type": "application/json",
           },
@@ -148,6 +189,7 @@ class RetellService {
     try {
       const response = await axios.get(`${this.baseUrl}/get-call/${callId}`, {
         headers: {
+          ...requestContext.outboundHeaders(),
           Authorization: `Bearer ${this.apiKey}`,
         },
       });
@@ -174,6 +216,7 @@ class RetellService {
         {},
         {
           headers: {
+            ...requestContext.outboundHeaders(),
             Authorization: `Bearer ${this.apiKey}`,
           },
         },
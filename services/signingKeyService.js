@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const db = require("../db/connection");
+const logger = require("../utils/logger");
+const OAUTH_CONFIG = require("../config/oauth");
+
+/**
+ * Keys that sign JWT access tokens. The newest unretired key signs new
+ * tokens; rotation retires it but keeps it published in the JWKS until the
+ * tokens it signed have expired.
+ *
+ * Keys are cached in memory so tokens are verified without a database round
+ * trip. The cache is reloaded periodically, and early when a token names a
+ * kid this instance has not seen yet (a rotation done by another instance).
+ */
+class SigningKeyService {
+  constructor() {
+    this.keys = new Map();
+    this.loadedAt = 0;
+    this.lastUnknownKidReloadAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Reload the keys from the database, joining a reload already in flight
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.fetchKeys().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async fetchKeys() {
+    const result = await db.query(
+      `SELECT * FROM oauth_signing_keys
+       WHERE expires_at IS NULL OR expires_at > NOW()
+       ORDER BY created_at DESC`,
+    );
+
+    this.keys = new Map(
+      result.rows.map((row) => [
+        row.kid,
+        {
+          kid: row.kid,
+          algorithm: row.algorithm,
+          publicJwk: row.public_jwk,
+          privatePem: row.private_key,
+          createdAt: new Date(row.created_at),
+          retiredAt: row.retired_at ? new Date(row.retired_at) : null,
+        },
+      ]),
+    );
+    this.loadedAt = Date.now();
+
+    logger.debug("OAuth signing keys loaded", { count: this.keys.size });
+  }
+
+  /**
+   * Load the keys if the cache is empty or older than the cache lifetime.
+   * A failed reload keeps the previously loaded keys.
+   */
+  async ensureLoaded() {
+    const ageMs = Date.now() - this.loadedAt;
+    if (this.loadedAt && ageMs < OAUTH_CONFIG.signingKeys.cacheSeconds * 1000) {
+      return;
+    }
+
+    try {
+      await this.load();
+    } catch (error) {
+      if (!this.loadedAt) {
+        throw error;
+      }
+      logger.warn("Failed to reload OAuth signing keys, using cached keys", {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get the key that signs new tokens, creating the first key if none exists
+   * @returns {Promise<object>} - { kid, algorithm, privateKey }
+   */
+  async getSigningKey() {
+    await this.ensureLoaded();
+
+    let key = [...this.keys.values()].find((k) => !k.retiredAt);
+    if (!key) {
+      await this.rotate();
+      key = [...this.keys.values()].find((k) => !k.retiredAt);
+    }
+
+    if (!key.privateKey) {
+      key.privateKey = crypto.createPrivateKey(key.privatePem);
+    }
+
+    return { kid: key.kid, algorithm: key.algorithm, privateKey: key.privateKey };
+  }
+
+  /**
+   * Get the public key with the given kid
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<object|null>} - { kid, algorithm, publicJwk }, or null if unknown
+   */
+  async getVerificationKey(kid) {
+    await this.ensureLoaded();
+
+    const reloadIntervalMs = OAUTH_CONFIG.signingKeys.unknownKidReloadSeconds * 1000;
+    if (!this.keys.has(kid) && Date.now() - this.lastUnknownKidReloadAt >= reloadIntervalMs) {
+      // Rate limited so tokens with made-up kids cannot hammer the database
+      this.lastUnknownKidReloadAt = Date.now();
+      await this.load();
+    }
+
+    const key = this.keys.get(kid);
+    return key
+      ? { kid: key.kid, algorithm: key.algorithm, publicJwk: key.publicJwk }
+      : null;
+  }
+
+  /**
+   * Get the published public keys
+   * @returns {Promise<object>} - JWKS ({ keys: [...] })
+   */
+  async getJwks() {
+    await this.ensureLoaded();
+    return { keys: [...this.keys.values()].map((key) => key.publicJwk) };
+  }
+
+  /**
+   * Create a new signing key and retire the current one
+   * @returns {Promise<string>} - kid of the new key
+   */
+  async rotate() {
+    const { algorithm } = OAUTH_CONFIG.signingKeys;
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", {
+      namedCurve: "P-256",
+    });
+    const kid = `${new Date().toISOString().substring(0, 10)}-${crypto.randomBytes(6).toString("hex")}`;
+    const publicJwk = {
+      ...publicKey.export({ format: "jwk" }),
+      kid,
+      alg: algorithm,
+      use: "sig",
+    };
+    const { jwtLifetimeSeconds, clockSkewSeconds } = OAUTH_CONFIG.accessToken;
+    // Other instances keep signing with the retired key until they reload
+    // their cache, so it must verify for a token lifetime after that
+    const retiredKeyLifetimeSeconds =
+      OAUTH_CONFIG.signingKeys.cacheSeconds + jwtLifetimeSeconds + clockSkewSeconds;
+
+    // Retire the current key and add the new one in a single statement
+    await db.query(
+      `WITH retired AS (
+         UPDATE oauth_signing_keys
+         SET retired_at = NOW(), expires_at = NOW() + $5::int * INTERVAL '1 second'
+         WHERE retired_at IS NULL
+       )
+       INSERT INTO oauth_signing_keys (kid, algorithm, public_jwk, private_key)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        kid,
+        algorithm,
+        JSON.stringify(publicJwk),
+        privateKey.export({ format: "pem", type: "pkcs8" }),
+        retiredKeyLifetimeSeconds,
+      ],
+    );
+
+    logger.info("OAuth signing key rotated", { kid });
+
+    await this.load();
+    return kid;
+  }
+
+  /**
+   * Rotate the signing key once it is older than the rotation interval, and
+   * delete retired keys whose tokens have all expired.
+   * Run periodically by services/maintenanceScheduler.
+   * @returns {Promise<object>} - { rotatedTo, deletedCount }
+   */
+  async rotateIfDue() {
+    const deleted = await db.query(
+      "DELETE FROM oauth_signing_keys WHERE expires_at < NOW()",
+    );
+
+    let rotatedTo = null;
+    if (OAUTH_CONFIG.accessToken.format === "jwt") {
+      const result = await db.query(
+        `SELECT created_at FROM oauth_signing_keys
+         WHERE retired_at IS NULL
+         ORDER BY created_at DESC
+         LIMIT 1`,
+      );
+      const rotationMs = OAUTH_CONFIG.signingKeys.rotationDays * 24 * 60 * 60 * 1000;
+      const current = result.rows[0];
+
+      if (!current || Date.now() - new Date(current.created_at).getTime() >= rotationMs) {
+        rotatedTo = await this.rotate();
+      }
+    }
+
+    return { rotatedTo, deletedCount: deleted.rowCount };
+  }
+
+  /**
+   * List the stored keys without key material
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    const result = await db.query(
+      `SELECT kid, algorithm, created_at, retired_at, expires_at
+       FROM oauth_signing_keys
+       ORDER BY created_at DESC`,
+    );
+
+    return result.rows.map((row) => ({
+      kid: row.kid,
+      algorithm: row.algorithm,
+      createdAt: row.created_at,
+      retiredAt: row.retired_at,
+      expiresAt: row.expires_at,
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new SigningKeyService();
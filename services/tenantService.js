@@ -0,0 +1,156 @@
+const db = require("../db/connection");
+const logger = require("../utils/logger");
+const REDOX_CONFIG = require("../config/redox");
+const agentRouting = require("./agentRoutingService");
+require("dotenv").config();
+
+/**
+ * Resolves the tenant (practice) a request belongs to and its Redox and
+ * Retell configuration.
+ *
+ * Records without a tenant_id belong to the default tenant, which is built
+ * from the REDOX_* / RETELL_* environment variables. A record that points at
+ * a missing or inactive tenant is an error rather than a fallback, so one
+ * practice's traffic can never be sent with another practice's credentials.
+ */
+class TenantService {
+  constructor() {
+    this.cacheTtlMs = 60 * 1000;
+    this.cache = new Map();
+
+    this.defaultTenant = {
+      id: null,
+      slug: "default",
+      name: "Default",
+      redox: REDOX_CONFIG,
+      retell: {
+        scheduling: {
+          agentId:
+            process.env.RETELL_SCHEDULING_AGENT_ID || process.env.RETELL_AGENT_ID,
+          fromNumber:
+            process.env.RETELL_SCHEDULING_FROM_NUMBER ||
+            process.env.RETELL_FROM_NUMBER,
+        },
+        intake: {
+          agentId: process.env.RETELL_INTAKE_AGENT_ID,
+          fromNumber: process.env.RETELL_INTAKE_FROM_NUMBER,
+        },
+      },
+    };
+  }
+
+  /**
+   * Get the default (environment-configured) tenant
+   * @returns {object}
+   */
+  getDefaultTenant() {
+    return this.defaultTenant;
+  }
+
+  /**
+   * Get a tenant by ID; a null ID resolves to the default tenant
+   * @param {number|null} tenantId - Tenant ID
+   * @returns {Promise<object>}
+   * @throws {Error} If the tenant does not exist or is inactive
+   */
+  async getById(tenantId) {
+    if (tenantId === null || tenantId === undefined) {
+      return this.defaultTenant;
+    }
+
+    const cached = this.cache.get(tenantId);
+    if (cached && cached.expiry > Date.now()) {
+      return cached.tenant;
+    }
+
+    const result = await db.query(
+      "SELECT * FROM tenants WHERE id = $1 AND is_active = true",
+      [tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      logger.error("Tenant not found or inactive", { tenantId });
+      throw new Error(`Tenant ${tenantId} not found or inactive`);
+    }
+
+    const tenant = this.format(result.rows[0]);
+    this.cache.set(tenantId, { tenant, expiry: Date.now() + this.cacheTtlMs });
+    return tenant;
+  }
+
+  /**
+   * Resolve the tenant of an OAuth client
+   * @param {string} clientId - OAuth client ID
+   * @returns {Promise<object>}
+   */
+  async resolveForOAuthClient(clientId) {
+    const result = await db.query(
+      "SELECT tenant_id FROM oauth_clients WHERE client_id = $1",
+      [clientId]
+    );
+    return this.getById(result.rows[0]?.tenant_id ?? null);
+  }
+
+  /**
+   * Resolve the tenant owning an agent phone number
+   * @param {string} phoneNumber - E.164 agent number
+   * @returns {Promise<object>}
+   */
+  async resolveByPhoneNumber(phoneNumber) {
+    const route = await agentRouting.resolveByNumber(phoneNumber);
+    return this.getById(route?.tenantId ?? null);
+  }
+
+  /**
+   * Resolve the tenant owning a Retell agent
+   * @param {string} agentId - Retell agent ID
+   * @returns {Promise<object>}
+   */
+  async resolveByAgentId(agentId) {
+    const route = await agentRouting.resolveByAgentId(agentId);
+    return this.getById(route?.tenantId ?? null);
+  }
+
+  /**
+   * Resolve the tenant for a Retell call from its numbers or agent ID
+   * @param {object} call - Retell call object
+   * @returns {Promise<object>}
+   */
+  async resolveForCall(call) {
+    const match = call ? await agentRouting.resolveForCall(call) : null;
+    return this.getById(match?.route.tenantId ?? null);
+  }
+
+  /**
+   * Convert a database row to the tenant representation
+   * @private
+   */
+  format(row) {
+    return {
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      redox: {
+        baseURL: row.redox_base_url,
+        loginURL: row.redox_login_url,
+        clientId: row.redox_client_id,
+        clientSecret: row.redox_client_secret,
+        sourceApp: row.redox_source_app || REDOX_CONFIG.sourceApp,
+        sourceEndpoint: row.redox_source_endpoint || REDOX_CONFIG.sourceEndpoint,
+      },
+      retell: {
+        scheduling: {
+          agentId: row.retell_scheduling_agent_id,
+          fromNumber: row.retell_scheduling_from_number,
+        },
+        intake: {
+          agentId: row.retell_intake_agent_id,
+          fromNumber: row.retell_intake_from_number,
+        },
+      },
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TenantService();
@@ -0,0 +1,154 @@
+const db = require("../db/connection");
+const logger = require("../utils/logger");
+const OAUTH_CONFIG = require("../config/oauth");
+
+/**
+ * In-memory copy of oauth_token_deny_list, so revoked JWT access tokens are
+ * rejected without a database round trip per request. Revocations made on
+ * this instance apply immediately; those made on other instances apply once
+ * the list is next reloaded.
+ */
+class TokenDenyList {
+  constructor() {
+    // jti -> expiry (ms)
+    this.tokens = new Map();
+    // client ID -> tokens issued at or before this time (seconds) are denied
+    this.clients = new Map();
+    this.refreshedAt = 0;
+    this.refreshing = null;
+  }
+
+  /**
+   * Reload the deny list, joining a reload already in flight
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.fetchEntries().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async fetchEntries() {
+    const result = await db.query(
+      `SELECT client_id, jti, issued_before, expires_at
+       FROM oauth_token_deny_list
+       WHERE expires_at > NOW()`,
+    );
+
+    const tokens = new Map();
+    const clients = new Map();
+    result.rows.forEach((row) => {
+      if (row.jti) {
+        tokens.set(row.jti, new Date(row.expires_at).getTime());
+      }
+      if (row.issued_before) {
+        const issuedBefore = Math.floor(new Date(row.issued_before).getTime() / 1000);
+        clients.set(row.client_id, Math.max(clients.get(row.client_id) || 0, issuedBefore));
+      }
+    });
+
+    this.tokens = tokens;
+    this.clients = clients;
+    this.refreshedAt = Date.now();
+  }
+
+  /**
+   * Reload the list if it is older than the refresh interval. A failed reload
+   * keeps the cached list until it becomes too stale to trust.
+   * @throws {Error} If the list is unavailable or too stale
+   */
+  async ensureFresh() {
+    const { refreshSeconds, maxStaleSeconds } = OAUTH_CONFIG.denyList;
+    const ageMs = Date.now() - this.refreshedAt;
+
+    if (this.refreshedAt && ageMs < refreshSeconds * 1000) {
+      return;
+    }
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      if (!this.refreshedAt || ageMs >= maxStaleSeconds * 1000) {
+        throw new Error(`Token deny list unavailable: ${error.message}`);
+      }
+      logger.warn("Failed to reload token deny list, using cached list", {
+        error: error.message,
+        ageSeconds: Math.round(ageMs / 1000),
+      });
+    }
+  }
+
+  /**
+   * Check a verified token's claims against the cached list
+   * @param {object} claims - { jti, client_id, iat }
+   * @returns {boolean}
+   */
+  isDenied({ jti, client_id: clientId, iat }) {
+    const tokenExpiry = this.tokens.get(jti);
+    if (tokenExpiry && tokenExpiry > Date.now()) {
+      return true;
+    }
+
+    const issuedBefore = this.clients.get(clientId);
+    return issuedBefore !== undefined && iat <= issuedBefore;
+  }
+
+  /**
+   * Deny a single token until it expires
+   * @param {string} jti - Token ID
+   * @param {string} clientId - Client the token was issued to
+   * @param {number} exp - Token expiry (seconds since the epoch)
+   */
+  async denyToken(jti, clientId, exp) {
+    await db.query(
+      `INSERT INTO oauth_token_deny_list (client_id, jti, expires_at)
+       VALUES ($1, $2, to_timestamp($3))
+       ON CONFLICT (jti) WHERE jti IS NOT NULL DO NOTHING`,
+      [clientId, jti, exp],
+    );
+
+    this.tokens.set(jti, exp * 1000);
+  }
+
+  /**
+   * Deny every token issued to a client so far, e.g. when it is deactivated
+   * @param {string} clientId - OAuth client ID
+   * @param {object} queryable - Pool or transaction client to write with
+   */
+  async denyClient(clientId, queryable = db) {
+    const { jwtLifetimeSeconds, clockSkewSeconds } = OAUTH_CONFIG.accessToken;
+    const result = await queryable.query(
+      `INSERT INTO oauth_token_deny_list (client_id, issued_before, expires_at)
+       VALUES ($1, NOW(), NOW() + $2::int * INTERVAL '1 second')
+       RETURNING issued_before`,
+      [clientId, jwtLifetimeSeconds + clockSkewSeconds],
+    );
+
+    const issuedBefore = Math.floor(
+      new Date(result.rows[0].issued_before).getTime() / 1000,
+    );
+    this.clients.set(clientId, Math.max(this.clients.get(clientId) || 0, issuedBefore));
+  }
+
+  /**
+   * Delete entries whose tokens have all expired.
+   * Run periodically by services/maintenanceScheduler.
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async cleanup() {
+    const result = await db.query(
+      "DELETE FROM oauth_token_deny_list WHERE expires_at < NOW()",
+    );
+
+    logger.info("Expired token deny list entries cleaned up", {
+      deletedCount: result.rowCount,
+    });
+    return result.rowCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenDenyList();
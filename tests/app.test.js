@@ -0,0 +1,85 @@
+const request = require("supertest");
+const fakeDb = require("./helpers/fakeDb");
+const ServerLifecycle = require("../utils/serverLifecycle");
+const callbackScheduler = require("../services/callbackScheduler");
+const eventDeduplication = require("../services/eventDeduplicationService");
+const maintenanceScheduler = require("../services/maintenanceScheduler");
+
+describe("app", () => {
+  const app = require("../app").createApp();
+
+  it("can be imported without starting the background jobs", () => {
+    expect(callbackScheduler.getStatus().running).toBe(false);
+    expect(eventDeduplication.cleanupIntervalId).toBeFalsy();
+    expect(maintenanceScheduler.getStatus().every((job) => !job.isScheduled)).toBe(true);
+  });
+
+  it("answers the health check", async () => {
+    const response = await request(app).get("/health");
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ status: "OK", version: "1.0.0" });
+  });
+
+  describe("probes", () => {
+    it("reports live and ready", async () => {
+      const [live, ready] = await Promise.all([request(app).get("/health/live"), request(app).get("/health/ready")]);
+
+      expect(live.body).toMatchObject({ status: "alive" });
+      expect(ready.status).toBe(200);
+      expect(ready.body).toEqual({ status: "ready", state: "ready", inFlight: {}, checks: { database: { status: "ok" } } });
+      expect(fakeDb.queries("SELECT 1")).toHaveLength(1);
+    });
+
+    it("reports not ready when the database fails or does not answer in time", async () => {
+      const slowApp = require("../app").createApp({ readinessDbTimeoutMs: 20 });
+      fakeDb.when("SELECT 1", new Error("connect ECONNREFUSED"));
+      const failed = await request(app).get("/health/ready");
+      fakeDb.when("SELECT 1", () => new Promise(() => {}));
+      const hanging = await request(slowApp).get("/health/ready");
+
+      expect(failed.status).toBe(503);
+      expect(failed.body.checks.database).toEqual({ status: "error", error: "connect ECONNREFUSED" });
+      expect(hanging.body.checks.database).toEqual({ status: "error", error: "Database check timed out" });
+    });
+
+    it("reports not ready, but live, while draining", async () => {
+      const lifecycle = new ServerLifecycle();
+      const drainingApp = require("../app").createApp({ lifecycle });
+      lifecycle.beginShutdown();
+
+      const [ready, live] = await Promise.all([
+        request(drainingApp).get("/health/ready"),
+        request(drainingApp).get("/health/live"),
+      ]);
+
+      expect(ready.status).toBe(503);
+      expect(ready.body).toMatchObject({ status: "not_ready", state: "draining", checks: { database: { status: "skipped" } } });
+      expect(ready.headers.connection).toBe("close");
+      expect(live.status).toBe(200);
+    });
+  });
+
+  it("keeps a well-formed request ID and generates one otherwise", async () => {
+    const [kept, generated] = await Promise.all([
+      request(app).get("/health").set("X-Request-Id", "req-123_abc"),
+      request(app).get("/health").set("X-Request-Id", "not a valid id!"),
+    ]);
+
+    expect(kept.headers["x-request-id"]).toBe("req-123_abc");
+    expect(generated.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it("answers unknown endpoints with the 404 envelope", async () => {
+    const response = await request(app).get("/api/v1/nothing-here");
+
+    expect(response.status).toBe(404);
+    expect(response.body).toMatchObject({
+      success: false,
+      error: "Endpoint not found",
+      code: "NOT_FOUND",
+      requestId: response.headers["x-request-id"],
+    });
+    expect(response.body.availableEndpoints).toContain("/health");
+  });
+});
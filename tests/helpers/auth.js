@@ -0,0 +1,58 @@
+const OAuthService = require("../../services/oauthService");
+const AuthService = require("../../services/authService");
+
+const TEST_CLIENT = {
+  id: 1,
+  client_id: "test-client-id",
+  client_name: "Test Client",
+  tenant_id: null,
+};
+
+/**
+ * Accept bearer tokens made by bearer() and tenantBearer() without the
+ * oauth_tokens table: "test:<scope>,<scope>" is a valid token of the default
+ * tenant's test client with those scopes, and "test@<tenantId>:<scope>" one
+ * of that tenant's; anything else is invalid.
+ * Call in beforeEach and restore mocks in afterEach.
+ * @returns {jest.SpyInstance}
+ */
+function mockOAuthTokens() {
+  return jest.spyOn(OAuthService.prototype, "validateToken").mockImplementation(async (token) => {
+    const match = /^test(?:@(\d+))?:(.*)$/.exec(token);
+    if (!match) {
+      return null;
+    }
+    const scopes = match[2].split(",").filter(Boolean);
+    return { ...TEST_CLIENT, tenant_id: match[1] ? Number(match[1]) : null, scopes };
+  });
+}
+
+/**
+ * Skip the Redox login authMiddleware performs, for routes that do not call
+ * Redox (or tests that do not start the mock Redox server)
+ * @returns {jest.SpyInstance}
+ */
+function mockRedoxLogin() {
+  return jest.spyOn(AuthService.prototype, "getAccessToken").mockResolvedValue("redox-test-token");
+}
+
+/**
+ * Authorization header value of a token with the given scopes
+ * @param {...string} scopes
+ * @returns {string}
+ */
+function bearer(...scopes) {
+  return `Bearer test:${scopes.join(",")}`;
+}
+
+/**
+ * Authorization header value of a token of the given tenant's test client
+ * @param {number} tenantId
+ * @param {...string} scopes
+ * @returns {string}
+ */
+function tenantBearer(tenantId, ...scopes) {
+  return `Bearer test@${tenantId}:${scopes.join(",")}`;
+}
+
+module.exports = { TEST_CLIENT, mockOAuthTokens, mockRedoxLogin, bearer, tenantBearer };
@@ -0,0 +1,66 @@
+/**
+ * Stand-in for db/connection (mocked in tests/setup/mocks). Queries are
+ * answered by the handlers registered with when(); a query no handler
+ * matches returns no rows. Transactions on pool.connect() clients go through
+ * the same handlers, and every query is recorded in query.mock.calls.
+ */
+const handlers = [];
+
+const EMPTY = { rows: [], rowCount: 0 };
+
+const query = jest.fn(async (text, params = []) => {
+  const handler = handlers.find(({ pattern }) =>
+    pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern),
+  );
+
+  if (!handler) {
+    return EMPTY;
+  }
+
+  const result = typeof handler.result === "function" ? await handler.result(params, text) : handler.result;
+  if (result instanceof Error) {
+    throw result;
+  }
+  return { rowCount: result.rows ? result.rows.length : 0, ...result };
+});
+
+/**
+ * Answer queries matching pattern with result: { rows, rowCount }, an Error
+ * to throw, or a function of (params, text) returning either. Handlers
+ * registered later take precedence.
+ * @param {string|RegExp} pattern - Substring of, or regex matched against, the SQL
+ * @param {object|Error|Function} result
+ */
+function when(pattern, result) {
+  handlers.unshift({ pattern, result });
+}
+
+/**
+ * The queries run so far whose SQL matches pattern
+ * @param {string|RegExp} pattern
+ * @returns {object[]} - [{ text, params }]
+ */
+function queries(pattern) {
+  return query.mock.calls
+    .filter(([text]) => (pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern)))
+    .map(([text, params]) => ({ text, params }));
+}
+
+/**
+ * Forget handlers, recorded queries and pool calls
+ */
+function reset() {
+  handlers.length = 0;
+  query.mockClear();
+  pool.connect.mockClear();
+  pool.end.mockClear();
+}
+
+const pool = {
+  connect: jest.fn(async () => ({ query, release: jest.fn() })),
+  query,
+  end: jest.fn(async () => {}),
+  on: jest.fn(),
+};
+
+module.exports = { query, pool, when, queries, reset };
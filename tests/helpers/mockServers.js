@@ -0,0 +1,39 @@
+const MockRedoxServer = require("../../mocks/redoxServer");
+const MockRetellServer = require("../../mocks/retellServer");
+
+/**
+ * Start a mock Redox server and point the default tenant's Redox settings
+ * (config/redox) at it. Call before the code under test sends requests; stop
+ * it in afterAll.
+ * @param {object} options - Passed to MockRedoxServer
+ * @returns {Promise<MockRedoxServer>}
+ */
+async function startMockRedox(options = {}) {
+  const server = new MockRedoxServer({ clientId: "mock-client", clientSecret: "mock-secret", ...options });
+  const { baseURL, loginURL } = await server.start();
+
+  process.env.REDOX_BASE_URL = baseURL;
+  process.env.REDOX_LOGIN_URL = loginURL;
+  Object.assign(require("../../config/redox"), { baseURL, loginURL });
+
+  return server;
+}
+
+/**
+ * Start a mock Retell server and point RETELL_BASE_URL at it. The Retell
+ * services read it when first loaded, so call this before requiring them
+ * (or the app).
+ * @param {object} options - Passed to MockRetellServer
+ * @returns {Promise<MockRetellServer>}
+ */
+async function startMockRetell(options = {}) {
+  const server = new MockRetellServer({ apiKey: process.env.RETELL_API_KEY, ...options });
+  const { baseURL } = await server.start();
+
+  process.env.RETELL_BASE_URL = baseURL;
+  Object.assign(require("../../config/retell"), { baseURL });
+
+  return server;
+}
+
+module.exports = { startMockRedox, startMockRetell };
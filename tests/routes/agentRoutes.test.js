@@ -0,0 +1,251 @@
+const request = require("supertest");
+const db = require("../helpers/fakeDb");
+const AuthService = require("../../services/authService");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+
+const ROW = {
+  id: 3,
+  phone_number: "+15555550100",
+  agent_id: "agent_mock_scheduling",
+  call_purpose: "scheduling",
+  retell_agent_id: null,
+  retell_from_number: null,
+  description: "Main line",
+  is_active: true,
+  tenant_id: null,
+  created_at: "2026-01-01T00:00:00.000Z",
+  updated_at: "2026-01-01T00:00:00.000Z",
+};
+
+const databaseError = (code) => Object.assign(new Error(`violation ${code}`), { code });
+
+describe("Agent route admin API", () => {
+  const app = require("../../app").createApp();
+  const read = bearer("agent_routes:read");
+  const write = bearer("agent_routes:write");
+  const admin = bearer("agent_routes:read", "agent_routes:write", "agent_routes:admin");
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("requires agent_routes:read to list and agent_routes:write to change routes", async () => {
+    const list = await request(app).get("/api/v1/agent-routes").set("Authorization", write);
+    const create = await request(app).post("/api/v1/agent-routes").set("Authorization", read).send({});
+    const remove = await request(app).delete("/api/v1/agent-routes/3").set("Authorization", read);
+
+    expect([list.status, create.status, remove.status]).toEqual([403, 403, 403]);
+    expect(create.body.scope).toBe("agent_routes:write");
+  });
+
+  it("does not need a Redox login", async () => {
+    const login = jest.spyOn(AuthService.prototype, "getAccessToken").mockRejectedValue(new Error("Redox down"));
+    db.when("FROM agent_routes", { rows: [ROW] });
+
+    const response = await request(app).get("/api/v1/agent-routes").set("Authorization", read);
+
+    expect(response.status).toBe(200);
+    expect(login).not.toHaveBeenCalled();
+  });
+
+  it("lists active routes, or all with include_inactive", async () => {
+    db.when("FROM agent_routes", { rows: [ROW] });
+
+    const active = await request(app).get("/api/v1/agent-routes").set("Authorization", read);
+    const all = await request(app).get("/api/v1/agent-routes?include_inactive=true").set("Authorization", read);
+
+    expect(active.body).toEqual({
+      success: true,
+      data: [expect.objectContaining({ id: 3, phoneNumber: "+15555550100", callPurpose: "scheduling" })],
+    });
+    const [activeQuery, allQuery] = db.queries("FROM agent_routes");
+    expect(activeQuery.text).toContain("WHERE is_active = true");
+    expect(allQuery.text).not.toContain("WHERE is_active = true");
+    expect(all.status).toBe(200);
+  });
+
+  it("lists only the caller's tenant's routes without agent_routes:admin", async () => {
+    await request(app).get("/api/v1/agent-routes?include_inactive=true").set("Authorization", read);
+    await request(app).get("/api/v1/agent-routes?include_inactive=true").set("Authorization", admin);
+
+    const [tenantQuery, adminQuery] = db.queries("FROM agent_routes");
+    expect(tenantQuery.text).toContain("WHERE tenant_id IS NOT DISTINCT FROM $1");
+    expect(tenantQuery.params).toEqual([null]);
+    expect(adminQuery.text).not.toContain("tenant_id");
+  });
+
+  describe("GET /:id", () => {
+    it("returns the route", async () => {
+      db.when("WHERE id = $1", { rows: [ROW] });
+
+      const response = await request(app).get("/api/v1/agent-routes/3").set("Authorization", read);
+
+      expect(response.body.data).toMatchObject({ id: 3, agentId: "agent_mock_scheduling" });
+      const [query] = db.queries("WHERE id = $1");
+      expect(query.text).toContain("AND tenant_id IS NOT DISTINCT FROM $2");
+      expect(query.params).toEqual([3, null]);
+    });
+
+    it("returns 404 for an unknown route", async () => {
+      const response = await request(app).get("/api/v1/agent-routes/99").set("Authorization", read);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ success: false, error: "Agent route not found" });
+    });
+
+    it("rejects non-numeric IDs before querying", async () => {
+      const response = await request(app).get("/api/v1/agent-routes/abc").set("Authorization", read);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Invalid agent route ID");
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /", () => {
+    const create = (body, authorization = write) =>
+      request(app).post("/api/v1/agent-routes").set("Authorization", authorization).send(body);
+
+    it("validates the route", async () => {
+      const response = await create({ phoneNumber: "555-0100", callPurpose: "billing", tenantId: "1" }, admin);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        success: false,
+        error: "Validation failed",
+        details: [
+          "callPurpose must be one of: scheduling, intake",
+          "phoneNumber must be an E.164 phone number (e.g. +14155550123)",
+          "tenantId must be an integer or null",
+        ],
+      });
+    });
+
+    it("requires a phone number or agent ID", async () => {
+      const response = await create({ callPurpose: "intake" });
+
+      expect(response.body.details).toEqual(["At least one of phoneNumber or agentId is required"]);
+    });
+
+    it("creates the route", async () => {
+      db.when("INSERT INTO agent_routes", { rows: [ROW] });
+
+      const response = await create({ phoneNumber: "+15555550100", agentId: "agent_mock_scheduling", callPurpose: "scheduling" });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ id: 3, isActive: true });
+      expect(db.queries("INSERT INTO agent_routes")[0].params).toEqual([
+        "+15555550100",
+        "agent_mock_scheduling",
+        "scheduling",
+        null,
+        null,
+        null,
+        true,
+        null,
+      ]);
+    });
+
+    it("assigns the caller's tenant unless it has agent_routes:admin", async () => {
+      db.when("INSERT INTO agent_routes", { rows: [ROW] });
+
+      await create({ agentId: "agent_a", callPurpose: "intake", tenantId: 2 });
+      await create({ agentId: "agent_b", callPurpose: "intake", tenantId: 2 }, admin);
+
+      const [own, chosen] = db.queries("INSERT INTO agent_routes");
+      expect(own.params[7]).toBeNull();
+      expect(chosen.params[7]).toBe(2);
+    });
+
+    it("reports a duplicate number or agent as 409", async () => {
+      db.when("INSERT INTO agent_routes", databaseError("23505"));
+
+      const response = await create({ phoneNumber: "+15555550100", callPurpose: "scheduling" });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("An agent route with this phoneNumber or agentId already exists");
+    });
+
+    it("reports other database errors as 500", async () => {
+      db.when("INSERT INTO agent_routes", new Error("connection terminated"));
+
+      const response = await create({ phoneNumber: "+15555550100", callPurpose: "scheduling" });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({ success: false, code: "INTERNAL_ERROR" });
+    });
+  });
+
+  describe("PUT /:id", () => {
+    const update = (id, body) => request(app).put(`/api/v1/agent-routes/${id}`).set("Authorization", write).send(body);
+
+    it("validates only the fields given", async () => {
+      const response = await update(3, { isActive: "no" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(["isActive must be a boolean"]);
+    });
+
+    it("updates the given fields", async () => {
+      db.when("UPDATE agent_routes", { rows: [{ ...ROW, description: "After hours" }] });
+
+      const response = await update(3, { description: "After hours", retellFromNumber: "" });
+
+      expect(response.body.data.description).toBe("After hours");
+      const [query] = db.queries("UPDATE agent_routes");
+      expect(query.text).toContain("retell_from_number = $2, description = $3");
+      expect(query.text).toContain("WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $4");
+      expect(query.params).toEqual([3, null, "After hours", null]);
+    });
+
+    it("moves a route to another tenant only with agent_routes:admin", async () => {
+      db.when("UPDATE agent_routes", { rows: [ROW] });
+
+      await update(3, { description: "Moved", tenantId: 2 });
+      await request(app).put("/api/v1/agent-routes/3").set("Authorization", admin).send({ tenantId: 2 });
+
+      const [own, moved] = db.queries("UPDATE agent_routes");
+      expect(own.text).not.toContain("tenant_id = $");
+      expect(own.params).toEqual([3, "Moved", null]);
+      expect(moved.text).toContain("SET tenant_id = $2");
+      expect(moved.text).not.toContain("IS NOT DISTINCT FROM");
+      expect(moved.params).toEqual([3, 2]);
+    });
+
+    it("returns 404 for an unknown route", async () => {
+      const response = await update(99, { description: "After hours" });
+
+      expect(response.status).toBe(404);
+    });
+
+    it("refuses to clear both the number and the agent ID", async () => {
+      db.when("UPDATE agent_routes", databaseError("23514"));
+
+      const response = await update(3, { phoneNumber: "", agentId: "" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("An agent route must keep at least one of phoneNumber or agentId");
+    });
+  });
+
+  describe("DELETE /:id", () => {
+    it("deletes the route", async () => {
+      db.when("DELETE FROM agent_routes", { rowCount: 1 });
+
+      const response = await request(app).delete("/api/v1/agent-routes/3").set("Authorization", write);
+
+      expect(response.body).toEqual({ success: true, message: "Agent route deleted" });
+      expect(db.queries("DELETE FROM agent_routes")[0].params).toEqual([3, null]);
+    });
+
+    it("returns 404 for an unknown route", async () => {
+      const response = await request(app).delete("/api/v1/agent-routes/99").set("Authorization", write);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const request = require("supertest");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+const { startMockRedox } = require("../helpers/mockServers");
+
+const JANE_ID = "8f2a6c1e-3b4d-4e5f-9a01-1c2d3e4f5a6b";
+const JOHN_ID = "1b7e9d3c-5a2f-4c6e-8b0d-2e3f4a5b6c7d";
+
+describe("Appointment routes", () => {
+  let app;
+  let redox;
+
+  const post = (path, body, authorization) =>
+    request(app).post(`/api/v1/appointment${path}`).set("Authorization", authorization).send(body);
+
+  beforeAll(async () => {
+    redox = await startMockRedox();
+    app = require("../../app").createApp();
+  });
+
+  afterAll(() => redox.stop());
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    redox.reset();
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ["/create", "appointment:write"],
+    ["/update", "appointment:write"],
+    ["/search", "appointment:read"],
+  ])("POST %s requires a token with %s", async (path, scope) => {
+    const unauthenticated = await request(app).post(`/api/v1/appointment${path}`).send({});
+    const wrongScope = await post(path, {}, bearer("patient:read", "patient:write"));
+
+    expect(unauthenticated.status).toBe(401);
+    expect(wrongScope.status).toBe(403);
+    expect(wrongScope.body.scope).toBe(scope);
+  });
+
+  describe("POST /create", () => {
+    const create = (body) => post("/create", body, bearer("appointment:write"));
+
+    it("requires a patient", async () => {
+      const response = await create({ appointmentType: "Consultation" });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: "Missing required field: patientId" });
+    });
+
+    it("books the appointment and returns its ID", async () => {
+      const slot = redox.find("Slot", "slot-2-9");
+
+      const response = await create({
+        patientId: JOHN_ID,
+        appointmentType: "Consultation",
+        startTime: slot.start,
+        endTime: slot.end,
+        status: "booked",
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ success: true, data: { statusCode: 201, appointmentId: expect.any(String) } });
+      expect(redox.find("Appointment", response.body.data.appointmentId)).toMatchObject({
+        status: "booked",
+        start: slot.start,
+        minutesDuration: 30,
+      });
+      expect(redox.find("Slot", "slot-2-9").status).toBe("busy");
+    });
+
+    it("reports a patient Redox does not know as a validation error", async () => {
+      const response = await create({ patientId: "no-such-patient", appointmentType: "Consultation" });
+
+      expect(response.status).toBe(422);
+      expect(response.body).toMatchObject({ success: false, code: "REDOX_VALIDATION_FAILED" });
+      expect(response.body.issues[0].code).toBe("invalid");
+    });
+
+    it("does not retry a failed create", async () => {
+      redox.injectFailure({ path: "/Appointment/$appointment-create", status: 503 });
+
+      const response = await create({ patientId: JANE_ID });
+
+      expect(response.status).toBe(503);
+      expect(redox.requests.filter((req) => req.path.endsWith("$appointment-create"))).toHaveLength(1);
+    });
+  });
+
+  describe("POST /update", () => {
+    const update = (body) => post("/update", body, bearer("appointment:write"));
+    const appointment = {
+      appointmentId: "appt-0001",
+      patientId: JANE_ID,
+      appointmentType: "Follow-up",
+      startTime: "2026-03-05T14:00:00.000Z",
+      endTime: "2026-03-05T14:30:00.000Z",
+    };
+
+    it.each(Object.keys(appointment))("requires %s", async (field) => {
+      const response = await update({ ...appointment, [field]: undefined });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "Missing required fields: appointmentId, patientId, appointmentType, startTime, endTime",
+      );
+    });
+
+    it("updates the appointment", async () => {
+      const response = await update({ ...appointment, status: "cancelled" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, data: { statusCode: 200, appointmentId: "appt-0001" } });
+      expect(redox.find("Appointment", "appt-0001")).toMatchObject({
+        status: "cancelled",
+        start: "2026-03-05T14:00:00.000Z",
+      });
+    });
+
+    it("reports an unknown appointment as 404", async () => {
+      const response = await update({ ...appointment, appointmentId: "appt-missing" });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe("REDOX_NOT_FOUND");
+    });
+  });
+
+  describe("POST /search", () => {
+    const search = (body) => post("/search", body, bearer("appointment:read"));
+
+    it("requires a patient", async () => {
+      const response = await search({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Missing required field: patientId");
+    });
+
+    it("returns the patient's latest appointment", async () => {
+      const response = await search({ patientId: JANE_ID });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ appointmentId: "appt-0001", appointmentType: "FOLLOWUP", status: "booked" }),
+      ]);
+    });
+
+    it("returns nothing for a patient without appointments", async () => {
+      const response = await search({ patientId: JOHN_ID });
+
+      expect(response.body).toEqual({ success: true, data: [] });
+    });
+  });
+});
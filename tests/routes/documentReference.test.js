@@ -0,0 +1,112 @@
+const request = require("supertest");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+const { startMockRedox } = require("../helpers/mockServers");
+
+const JANE_ID = "8f2a6c1e-3b4d-4e5f-9a01-1c2d3e4f5a6b";
+const JOHN_ID = "1b7e9d3c-5a2f-4c6e-8b0d-2e3f4a5b6c7d";
+
+describe("DocumentReference routes", () => {
+  let app;
+  let redox;
+
+  const post = (path, body, authorization) =>
+    request(app).post(`/api/v1/document-reference${path}`).set("Authorization", authorization).send(body);
+
+  beforeAll(async () => {
+    redox = await startMockRedox();
+    app = require("../../app").createApp();
+  });
+
+  afterAll(() => redox.stop());
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    redox.reset();
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ["/search", "document:read"],
+    ["/create", "document:write"],
+  ])("POST %s requires a token with %s", async (path, scope) => {
+    const unauthenticated = await request(app).post(`/api/v1/document-reference${path}`).send({});
+    const wrongScope = await post(path, {}, bearer("patient:read"));
+
+    expect(unauthenticated.status).toBe(401);
+    expect(wrongScope.status).toBe(403);
+    expect(wrongScope.body.scope).toBe(scope);
+  });
+
+  describe("POST /search", () => {
+    const search = (body) => post("/search", body, bearer("document:read"));
+
+    it("requires a patient", async () => {
+      const response = await search({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Missing required field: patientId");
+    });
+
+    it("returns the patient's documents with their content decoded", async () => {
+      const response = await search({ patientId: JANE_ID });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          documentId: "doc-0001",
+          patientId: JANE_ID,
+          category: "Clinical Note",
+          content: "Reason for visit: recurring headaches.",
+        }),
+      ]);
+    });
+
+    it("reports Redox errors through the error envelope", async () => {
+      redox.injectFailure({ path: "/DocumentReference/_search", status: 500 });
+
+      const response = await search({ patientId: JANE_ID });
+
+      expect(response.status).toBe(503);
+      expect(response.body).toMatchObject({ success: false, code: "UPSTREAM_UNAVAILABLE" });
+    });
+  });
+
+  describe("POST /create", () => {
+    const create = (body) => post("/create", body, bearer("document:write", "document:read"));
+
+    it.each([{ patientId: JANE_ID }, { content: "Notes" }])("requires a patient and content (%o)", async (body) => {
+      const response = await create(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Missing required fields: patientId, content");
+    });
+
+    it("stores the document with normalized newlines", async () => {
+      const response = await create({ patientId: JOHN_ID, content: "  Line one\r\nLine two\rLine three \n" });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({
+        success: true,
+        data: { documentId: expect.any(String), message: "DocumentReference created successfully" },
+      });
+
+      const search = await post("/search", { patientId: JOHN_ID }, bearer("document:read"));
+      expect(search.body.data).toEqual([
+        expect.objectContaining({
+          documentId: response.body.data.documentId,
+          content: "Line one\nLine two\nLine three",
+        }),
+      ]);
+    });
+
+    it("reports a patient Redox does not know as a validation error", async () => {
+      const response = await create({ patientId: "no-such-patient", content: "Notes" });
+
+      expect(response.status).toBe(422);
+      expect(response.body).toMatchObject({ success: false, code: "REDOX_VALIDATION_FAILED" });
+    });
+  });
+});
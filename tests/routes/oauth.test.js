@@ -0,0 +1,421 @@
+const crypto = require("crypto");
+const request = require("supertest");
+const db = require("../helpers/fakeDb");
+const { mockRedoxLogin } = require("../helpers/auth");
+const secretHash = require("../../utils/secretHash");
+const jwt = require("../../utils/jwt");
+const OAUTH_CONFIG = require("../../config/oauth");
+const signingKeys = require("../../services/signingKeyService");
+const tokenDenyList = require("../../services/tokenDenyList");
+
+const CLIENT_ID = "client-0123456789abcdef";
+const CLIENT_SECRET = "s3cret-value";
+const ACCESS_TOKEN = "3f1c2b4a-5d6e-4f70-8a9b-0c1d2e3f4a5b";
+
+describe("OAuth endpoints", () => {
+  const app = require("../../app").createApp();
+  let client;
+
+  const token = (body) => request(app).post("/oauth/token").type("form").send(body);
+  const basic = (id, secret) => `Basic ${Buffer.from(`${id}:${secret}`).toString("base64")}`;
+
+  beforeAll(async () => {
+    client = {
+      client_id: CLIENT_ID,
+      client_secret_hash: await secretHash.hashSecret(CLIENT_SECRET),
+      name: "Acme Scheduling",
+      scopes: ["patient:read", "slot:read"],
+      tenant_id: null,
+      is_active: true,
+    };
+  });
+
+  beforeEach(() => {
+    mockRedoxLogin();
+    db.when("FROM oauth_clients WHERE client_id = $1", (params) => ({
+      rows: params[0] === CLIENT_ID ? [client] : [],
+    }));
+    db.when("INSERT INTO oauth_tokens", { rows: [{ access_token: ACCESS_TOKEN }] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("POST /oauth/token", () => {
+    it("requires a grant type", async () => {
+      const response = await token({ client_id: CLIENT_ID, client_secret: CLIENT_SECRET });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: "invalid_request",
+        error_description: "Missing required parameter: grant_type",
+      });
+    });
+
+    it("only supports client credentials", async () => {
+      const response = await token({ grant_type: "password", client_id: CLIENT_ID, client_secret: CLIENT_SECRET });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("unsupported_grant_type");
+    });
+
+    it("requires client credentials", async () => {
+      const response = await token({ grant_type: "client_credentials", client_id: CLIENT_ID });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("invalid_request");
+    });
+
+    it("rejects malformed client assertions", async () => {
+      const response = await token({
+        grant_type: "client_credentials",
+        client_assertion_type: "urn:example:unknown",
+        client_assertion: "abc",
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error_description).toMatch(/^client_assertion_type must be/);
+    });
+
+    it.each([
+      ["an unknown client", "client-unknown", CLIENT_SECRET],
+      ["a wrong secret", CLIENT_ID, "wrong"],
+    ])("rejects %s", async (label, clientId, clientSecret) => {
+      const response = await token({ grant_type: "client_credentials", client_id: clientId, client_secret: clientSecret });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: "invalid_client", error_description: "Client authentication failed" });
+    });
+
+    it("issues a token with the client's scopes", async () => {
+      const response = await token({ grant_type: "client_credentials", client_id: CLIENT_ID, client_secret: CLIENT_SECRET });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        access_token: ACCESS_TOKEN,
+        token_type: "Bearer",
+        expires_in: 24 * 60 * 60,
+        scope: "patient:read slot:read",
+      });
+      expect(db.queries("INSERT INTO oauth_tokens")[0].params).toEqual([CLIENT_ID, expect.any(Date), ["patient:read", "slot:read"]]);
+    });
+
+    it("narrows the token to the requested scopes", async () => {
+      const response = await token({
+        grant_type: "client_credentials",
+        client_id: CLIENT_ID,
+        client_secret: CLIENT_SECRET,
+        scope: "slot:read calls:write",
+      });
+
+      expect(response.body.scope).toBe("slot:read");
+    });
+
+    it("rejects requests for scopes the client does not have", async () => {
+      const response = await token({
+        grant_type: "client_credentials",
+        client_id: CLIENT_ID,
+        client_secret: CLIENT_SECRET,
+        scope: "calls:write",
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("invalid_scope");
+    });
+
+    it("rejects a scope parameter sent more than once", async () => {
+      const response = await request(app)
+        .post("/oauth/token")
+        .type("form")
+        .send(`grant_type=client_credentials&client_id=${CLIENT_ID}&client_secret=${CLIENT_SECRET}&scope=patient:read&scope=slot:read`);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: "invalid_request",
+        error_description: "Parameter scope must be a single string",
+      });
+    });
+
+    it("rejects a JSON array scope", async () => {
+      const response = await request(app)
+        .post("/oauth/token")
+        .send({ grant_type: "client_credentials", client_id: CLIENT_ID, client_secret: CLIENT_SECRET, scope: ["patient:read"] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("invalid_request");
+    });
+
+    it("reports database failures as server errors", async () => {
+      db.when("INSERT INTO oauth_tokens", new Error("connection terminated"));
+
+      const response = await token({ grant_type: "client_credentials", client_id: CLIENT_ID, client_secret: CLIENT_SECRET });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe("server_error");
+    });
+  });
+
+  describe("client assertions", () => {
+    const ISSUER = "https://api.flowai.example";
+    const ASSERTION_TYPE = "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    const jwk = { ...publicKey.export({ format: "jwk" }), kid: "key-1", alg: "ES256", use: "sig" };
+
+    const assertion = (aud) => {
+      const now = Math.floor(Date.now() / 1000);
+      return jwt.signJwt(
+        { alg: "ES256", typ: "JWT", kid: "key-1" },
+        { iss: CLIENT_ID, sub: CLIENT_ID, aud, iat: now, exp: now + 60, jti: crypto.randomUUID() },
+        privateKey,
+      );
+    };
+
+    const tokenWithAssertion = (aud, host) =>
+      request(app)
+        .post("/oauth/token")
+        .set("Host", host)
+        .type("form")
+        .send({ grant_type: "client_credentials", client_assertion_type: ASSERTION_TYPE, client_assertion: assertion(aud) });
+
+    beforeEach(() => {
+      db.when("token_endpoint_auth_method = 'private_key_jwt'", {
+        rows: [{ ...client, token_endpoint_auth_method: "private_key_jwt", jwks: { keys: [jwk] } }],
+      });
+      db.when("INSERT INTO oauth_client_assertion_jtis", { rows: [], rowCount: 1 });
+    });
+
+    afterEach(() => {
+      OAUTH_CONFIG.issuer = null;
+    });
+
+    it("accepts an assertion for this server's token endpoint", async () => {
+      OAUTH_CONFIG.issuer = ISSUER;
+
+      const response = await tokenWithAssertion(`${ISSUER}/oauth/token`, "api.flowai.example");
+
+      expect(response.status).toBe(200);
+      expect(response.body.access_token).toBe(ACCESS_TOKEN);
+    });
+
+    it("rejects an assertion for another server sent with its Host header", async () => {
+      OAUTH_CONFIG.issuer = ISSUER;
+
+      const response = await tokenWithAssertion("https://other.example/oauth/token", "other.example");
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe("invalid_client");
+    });
+
+    it("rejects assertions while OAUTH_ISSUER is not configured", async () => {
+      const response = await tokenWithAssertion("http://forged.example/oauth/token", "forged.example");
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe("invalid_client");
+      expect(db.queries("oauth_client_assertion_jtis")).toHaveLength(0);
+    });
+  });
+
+  describe("access tokens", () => {
+    const tokenRow = (overrides = {}) => ({
+      id: 1,
+      access_token: ACCESS_TOKEN,
+      client_id: CLIENT_ID,
+      client_name: "Acme Scheduling",
+      tenant_id: null,
+      scopes: ["patient:read"],
+      ...overrides,
+    });
+
+    it("authenticate API requests", async () => {
+      db.when("FROM oauth_tokens t", { rows: [tokenRow()] });
+
+      const response = await request(app)
+        .post("/api/v1/patient/search")
+        .set("Authorization", `Bearer ${ACCESS_TOKEN}`)
+        .send({});
+
+      // Past authentication and authorization, stopped by validation
+      expect(response.status).toBe(400);
+      expect(db.queries("SET last_used_at = NOW()")[0].params).toEqual([ACCESS_TOKEN]);
+    });
+
+    it("are rejected when unknown, expired or revoked", async () => {
+      const response = await request(app)
+        .post("/api/v1/patient/search")
+        .set("Authorization", `Bearer ${ACCESS_TOKEN}`)
+        .send({});
+
+      expect(response.status).toBe(401);
+      expect(response.headers["www-authenticate"]).toBe(
+        'Bearer error="invalid_token", error_description="The access token is invalid or has expired"',
+      );
+    });
+
+    it("must use the Bearer scheme", async () => {
+      const response = await request(app)
+        .post("/api/v1/patient/search")
+        .set("Authorization", basic(CLIENT_ID, CLIENT_SECRET))
+        .send({});
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe("invalid_request");
+    });
+
+    it("are only valid for their scopes", async () => {
+      db.when("FROM oauth_tokens t", { rows: [tokenRow()] });
+
+      const response = await request(app).post("/api/v1/slot/search").set("Authorization", `Bearer ${ACCESS_TOKEN}`).send({});
+
+      expect(response.status).toBe(403);
+      expect(response.headers["www-authenticate"]).toContain('error="insufficient_scope"');
+    });
+
+    it("answer 503 rather than invalid_token when the tokens cannot be read", async () => {
+      db.when("FROM oauth_tokens t", new Error("connection terminated"));
+
+      const response = await request(app)
+        .post("/api/v1/patient/search")
+        .set("Authorization", `Bearer ${ACCESS_TOKEN}`)
+        .send({});
+
+      expect(response.status).toBe(503);
+      expect(response.body.error).toBe("temporarily_unavailable");
+    });
+
+    it("answer 503 rather than invalid_token when the deny list cannot be read", async () => {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+      jest.spyOn(signingKeys, "getVerificationKey").mockResolvedValue({
+        algorithm: "ES256",
+        publicJwk: { ...publicKey.export({ format: "jwk" }), kid: "key-1" },
+      });
+      jest.spyOn(tokenDenyList, "ensureFresh").mockRejectedValue(new Error("Token deny list unavailable"));
+
+      const now = Math.floor(Date.now() / 1000);
+      const { issuer, audience } = OAUTH_CONFIG.accessToken;
+      const accessToken = jwt.signJwt(
+        { alg: "ES256", typ: "at+jwt", kid: "key-1" },
+        { iss: issuer, aud: audience, iat: now, exp: now + 900, client_id: CLIENT_ID, jti: "jti-1", scope: "patient:read" },
+        privateKey,
+      );
+
+      const response = await request(app)
+        .post("/api/v1/patient/search")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({});
+
+      expect(response.status).toBe(503);
+      expect(response.body.error).toBe("temporarily_unavailable");
+    });
+  });
+
+  describe("POST /oauth/revoke", () => {
+    it("requires client authentication", async () => {
+      const response = await request(app)
+        .post("/oauth/revoke")
+        .set("Authorization", basic(CLIENT_ID, "wrong"))
+        .send({ token: ACCESS_TOKEN });
+
+      expect(response.status).toBe(401);
+      expect(response.headers["www-authenticate"]).toBe('Basic realm="oauth"');
+    });
+
+    it("requires the token", async () => {
+      const response = await request(app).post("/oauth/revoke").set("Authorization", basic(CLIENT_ID, CLIENT_SECRET)).send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error_description).toBe("Missing required parameter: token");
+    });
+
+    it("rejects a token sent more than once before authenticating the client", async () => {
+      const response = await request(app)
+        .post("/oauth/revoke")
+        .type("form")
+        .send(`client_id=${CLIENT_ID}&client_secret=${CLIENT_SECRET}&token=${ACCESS_TOKEN}&token=other`);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: "invalid_request",
+        error_description: "Parameter token must be a single string",
+      });
+      expect(db.queries("FROM oauth_clients")).toHaveLength(0);
+    });
+
+    it("revokes the client's own token", async () => {
+      const response = await request(app)
+        .post("/oauth/revoke")
+        .set("Authorization", basic(CLIENT_ID, CLIENT_SECRET))
+        .send({ token: ACCESS_TOKEN });
+
+      expect(response.status).toBe(200);
+      expect(db.queries("SET revoked_at = NOW()")[0].params).toEqual([ACCESS_TOKEN, CLIENT_ID]);
+    });
+  });
+
+  describe("POST /oauth/introspect", () => {
+    const introspect = (body) =>
+      request(app).post("/oauth/introspect").set("Authorization", basic(CLIENT_ID, CLIENT_SECRET)).send(body);
+
+    it("describes the client's own active token", async () => {
+      db.when("SELECT t.client_id, t.scopes", {
+        rows: [
+          {
+            client_id: CLIENT_ID,
+            scopes: ["patient:read"],
+            expires_at: "2026-03-11T00:00:00.000Z",
+            created_at: "2026-03-10T00:00:00.000Z",
+          },
+        ],
+      });
+
+      const response = await introspect({ token: ACCESS_TOKEN });
+
+      expect(response.headers["cache-control"]).toBe("no-store");
+      expect(response.body).toEqual({
+        active: true,
+        client_id: CLIENT_ID,
+        scope: "patient:read",
+        token_type: "Bearer",
+        exp: 1773187200,
+        iat: 1773100800,
+      });
+    });
+
+    it("hides other clients' tokens", async () => {
+      db.when("SELECT t.client_id, t.scopes", {
+        rows: [{ client_id: "client-other", scopes: [], expires_at: new Date(), created_at: new Date() }],
+      });
+
+      const response = await introspect({ token: ACCESS_TOKEN });
+
+      expect(response.body).toEqual({ active: false });
+    });
+
+    it.each([
+      ["client_id", { client_id: [CLIENT_ID], token: ACCESS_TOKEN }],
+      ["client_secret", { client_secret: { value: CLIENT_SECRET }, token: ACCESS_TOKEN }],
+      ["token", { token: [ACCESS_TOKEN] }],
+      ["token_type_hint", { token: ACCESS_TOKEN, token_type_hint: ["access_token"] }],
+    ])("rejects a non-string %s", async (name, body) => {
+      const response = await introspect(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: "invalid_request",
+        error_description: `Parameter ${name} must be a single string`,
+      });
+    });
+
+    it("reports unknown tokens as inactive", async () => {
+      const response = await introspect({ token: "not-a-token" });
+
+      expect(response.body).toEqual({ active: false });
+    });
+  });
+
+  it("GET /oauth/health reports healthy", async () => {
+    const response = await request(app).get("/oauth/health");
+
+    expect(response.body).toMatchObject({ status: "healthy", service: "oauth" });
+  });
+});
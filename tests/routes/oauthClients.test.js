@@ -0,0 +1,203 @@
+const request = require("supertest");
+const oauthClients = require("../../services/oauthClientService");
+const { TEST_CLIENT, mockOAuthTokens, bearer } = require("../helpers/auth");
+
+const CLIENT = {
+  clientId: "client-0123456789abcdef",
+  name: "Acme Scheduling",
+  scopes: ["patient:read"],
+  tenantId: null,
+  tokenEndpointAuthMethod: "client_secret_post",
+  isActive: true,
+};
+
+describe("OAuth client admin API", () => {
+  const app = require("../../app").createApp();
+  const admin = bearer("oauth:admin");
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("requires the oauth:admin scope on every endpoint", async () => {
+    const responses = await Promise.all([
+      request(app).get("/api/v1/oauth-clients"),
+      request(app).get("/api/v1/oauth-clients").set("Authorization", bearer("patient:read")),
+      request(app).delete(`/api/v1/oauth-clients/${CLIENT.clientId}`).set("Authorization", bearer("agent_routes:write")),
+    ]);
+
+    expect(responses.map((response) => response.status)).toEqual([401, 403, 403]);
+    expect(responses[1].body.scope).toBe("oauth:admin");
+  });
+
+  it("lists clients", async () => {
+    jest.spyOn(oauthClients, "list").mockResolvedValue([CLIENT]);
+
+    const response = await request(app).get("/api/v1/oauth-clients?include_inactive=true").set("Authorization", admin);
+
+    expect(response.body).toEqual({ success: true, data: [CLIENT] });
+    expect(oauthClients.list).toHaveBeenCalledWith(true);
+  });
+
+  it("returns 404 for an unknown client", async () => {
+    jest.spyOn(oauthClients, "get").mockResolvedValue(null);
+
+    const response = await request(app).get("/api/v1/oauth-clients/client-unknown").set("Authorization", admin);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ success: false, error: "OAuth client not found" });
+  });
+
+  describe("POST /", () => {
+    const create = (body) => request(app).post("/api/v1/oauth-clients").set("Authorization", admin).send(body);
+
+    it("validates the client", async () => {
+      const createClient = jest.spyOn(oauthClients, "create");
+
+      const response = await create({ scopes: ["patient:read", "everything"], tokenEndpointAuthMethod: "none" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Validation failed");
+      expect(response.body.details).toEqual([
+        "name is required",
+        expect.stringMatching(/^Unknown scopes: everything\. Allowed: /),
+        expect.stringMatching(/^tokenEndpointAuthMethod must be one of: /),
+      ]);
+      expect(createClient).not.toHaveBeenCalled();
+    });
+
+    it("creates the client and returns its secret once, uncached", async () => {
+      jest.spyOn(oauthClients, "create").mockResolvedValue({ client: CLIENT, clientSecret: "generated-secret" });
+
+      const response = await create({ name: "Acme Scheduling", scopes: ["patient:read"] });
+
+      expect(response.status).toBe(201);
+      expect(response.headers["cache-control"]).toBe("no-store");
+      expect(response.body).toEqual({ success: true, data: CLIENT, clientSecret: "generated-secret" });
+      expect(oauthClients.create).toHaveBeenCalledWith(
+        { name: "Acme Scheduling", scopes: ["patient:read"] },
+        `client:${TEST_CLIENT.client_id}`,
+      );
+    });
+
+    it("reports service failures through the error envelope", async () => {
+      jest.spyOn(oauthClients, "create").mockRejectedValue(new Error("connection terminated"));
+
+      const response = await create({ name: "Acme Scheduling" });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({ success: false, error: "connection terminated", code: "INTERNAL_ERROR" });
+    });
+  });
+
+  describe("PUT /:clientId", () => {
+    const update = (body) =>
+      request(app).put(`/api/v1/oauth-clients/${CLIENT.clientId}`).set("Authorization", admin).send(body);
+
+    it("returns 404 for an unknown client", async () => {
+      jest.spyOn(oauthClients, "get").mockResolvedValue(null);
+
+      expect((await update({ name: "Renamed" })).status).toBe(404);
+    });
+
+    it("does not allow changing the authentication method", async () => {
+      jest.spyOn(oauthClients, "get").mockResolvedValue(CLIENT);
+
+      const response = await update({ tokenEndpointAuthMethod: "private_key_jwt" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        "tokenEndpointAuthMethod cannot be changed; create a new client instead",
+      ]);
+    });
+
+    it("updates the client", async () => {
+      jest.spyOn(oauthClients, "get").mockResolvedValue(CLIENT);
+      jest.spyOn(oauthClients, "update").mockResolvedValue({ ...CLIENT, name: "Renamed" });
+
+      const response = await update({ name: "Renamed" });
+
+      expect(response.body.data.name).toBe("Renamed");
+    });
+  });
+
+  describe("POST /:clientId/rotate-secret", () => {
+    const rotate = (body) =>
+      request(app).post(`/api/v1/oauth-clients/${CLIENT.clientId}/rotate-secret`).set("Authorization", admin).send(body);
+
+    it("validates the overlap", async () => {
+      const response = await rotate({ overlapMinutes: -5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("overlapMinutes must be a non-negative integer");
+    });
+
+    it("refuses clients that authenticate with keys", async () => {
+      jest.spyOn(oauthClients, "get").mockResolvedValue({ ...CLIENT, tokenEndpointAuthMethod: "private_key_jwt" });
+
+      const response = await rotate({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it("returns the new secret", async () => {
+      jest.spyOn(oauthClients, "get").mockResolvedValue(CLIENT);
+      jest.spyOn(oauthClients, "rotateSecret").mockResolvedValue({ client: CLIENT, clientSecret: "new-secret" });
+
+      const response = await rotate({ overlapMinutes: 60 });
+
+      expect(response.headers["cache-control"]).toBe("no-store");
+      expect(response.body.clientSecret).toBe("new-secret");
+      expect(oauthClients.rotateSecret).toHaveBeenCalledWith(
+        CLIENT.clientId,
+        { overlapMinutes: 60 },
+        `client:${TEST_CLIENT.client_id}`,
+      );
+    });
+  });
+
+  it.each([
+    ["deactivate", false],
+    ["activate", true],
+  ])("POST /:clientId/%s sets the client's state", async (action, isActive) => {
+    jest.spyOn(oauthClients, "setActive").mockResolvedValue({ ...CLIENT, isActive });
+
+    const response = await request(app)
+      .post(`/api/v1/oauth-clients/${CLIENT.clientId}/${action}`)
+      .set("Authorization", admin);
+
+    expect(response.body.data.isActive).toBe(isActive);
+    expect(oauthClients.setActive).toHaveBeenCalledWith(CLIENT.clientId, isActive, `client:${TEST_CLIENT.client_id}`);
+  });
+
+  describe("DELETE /:clientId", () => {
+    it("does not let a client delete itself", async () => {
+      const response = await request(app)
+        .delete(`/api/v1/oauth-clients/${TEST_CLIENT.client_id}`)
+        .set("Authorization", admin);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("A client cannot delete itself");
+    });
+
+    it("deletes another client", async () => {
+      jest.spyOn(oauthClients, "delete").mockResolvedValue(true);
+
+      const response = await request(app).delete(`/api/v1/oauth-clients/${CLIENT.clientId}`).set("Authorization", admin);
+
+      expect(response.body).toEqual({ success: true, message: "OAuth client deleted" });
+    });
+  });
+
+  it("caps the audit log limit", async () => {
+    jest.spyOn(oauthClients, "getAuditLog").mockResolvedValue([]);
+
+    await request(app).get(`/api/v1/oauth-clients/${CLIENT.clientId}/audit?limit=5000`).set("Authorization", admin);
+
+    expect(oauthClients.getAuditLog).toHaveBeenCalledWith(CLIENT.clientId, 1000);
+  });
+});
@@ -0,0 +1,159 @@
+const request = require("supertest");
+const AuthService = require("../../services/authService");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+const { startMockRedox } = require("../helpers/mockServers");
+
+const JANE_ID = "8f2a6c1e-3b4d-4e5f-9a01-1c2d3e4f5a6b";
+
+describe("Patient search routes", () => {
+  let app;
+  let redox;
+
+  beforeAll(async () => {
+    redox = await startMockRedox();
+    app = require("../../app").createApp();
+  });
+
+  afterAll(() => redox.stop());
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    redox.reset();
+    jest.restoreAllMocks();
+  });
+
+  describe.each(["/api/v1/patient/search", "/api/v1/patient/search-by-dob-zip"])("POST %s", (path) => {
+    it("requires a bearer token", async () => {
+      const response = await request(app).post(path).send({});
+
+      expect(response.status).toBe(401);
+      expect(response.headers["www-authenticate"]).toBe("Bearer");
+      expect(response.body.error).toBe("missing_token");
+    });
+
+    it("rejects unknown tokens", async () => {
+      const response = await request(app).post(path).set("Authorization", "Bearer nope").send({});
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe("invalid_token");
+    });
+
+    it("requires the patient:read scope", async () => {
+      const response = await request(app).post(path).set("Authorization", bearer("slot:read")).send({});
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({ error: "insufficient_scope", scope: "patient:read" });
+    });
+  });
+
+  describe("POST /api/v1/patient/search", () => {
+    const search = (body) =>
+      request(app).post("/api/v1/patient/search").set("Authorization", bearer("patient:read")).send(body);
+
+    it("requires a phone number", async () => {
+      const response = await search({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: "Missing required field: phone" });
+    });
+
+    it("finds patients by phone number", async () => {
+      const response = await search({ phone: "(555) 555-0101" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ patientId: JANE_ID, fullName: "Jane Doe", insuranceMemberId: "AET-123456" }),
+      ]);
+      expect(redox.requests.at(-1)).toMatchObject({ method: "POST", path: "/fhir/Patient/_search" });
+    });
+
+    it("returns no patients for an unknown number", async () => {
+      const response = await search({ phone: "+15555550000" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, data: [] });
+    });
+
+    it("reports Redox outages as 503 with the FHIR issues", async () => {
+      redox.injectFailure({ path: "/Patient/_search", status: 503 });
+
+      const response = await search({ phone: "+15555550101" });
+
+      expect(response.status).toBe(503);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: "UPSTREAM_UNAVAILABLE",
+        issues: [{ severity: "error", code: "transient", diagnostics: "Injected 503 failure" }],
+        requestId: response.headers["x-request-id"],
+      });
+    });
+
+    it("logs in again when Redox rejects the cached token", async () => {
+      await search({ phone: "+15555550101" });
+      // Forgets the tokens it issued
+      redox.reset();
+
+      const response = await search({ phone: "+15555550101" });
+
+      expect(response.status).toBe(200);
+      expect(redox.requests.map((req) => req.path)).toEqual([
+        "/fhir/Patient/_search",
+        "/auth/authenticate",
+        "/fhir/Patient/_search",
+      ]);
+    });
+
+    it("reports a failed Redox login as 502", async () => {
+      jest
+        .spyOn(AuthService.prototype, "getAccessToken")
+        .mockRejectedValue(new Error("Authentication failed: Invalid credentials"));
+
+      const response = await search({ phone: "+15555550101" });
+
+      expect(response.status).toBe(502);
+      expect(response.body).toEqual({ success: false, error: "Unable to authenticate with Redox" });
+      expect(redox.requests).toHaveLength(0);
+    });
+  });
+
+  describe("POST /api/v1/patient/search-by-dob-zip", () => {
+    const search = (body) =>
+      request(app).post("/api/v1/patient/search-by-dob-zip").set("Authorization", bearer("patient:read")).send(body);
+
+    it.each([{}, { birth_date: "1985-04-12" }, { zip_code: "33324" }])("requires both fields (%o)", async (body) => {
+      const response = await search(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Missing required fields: birth_date and zip_code are required");
+    });
+
+    it("finds patients by date of birth and zip code", async () => {
+      const response = await search({ birth_date: "1985-04-12", zip_code: "33324" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([{ patientId: JANE_ID, patientName: "Jane Doe" }]);
+    });
+
+    it("reports Redox validation errors as 422", async () => {
+      redox.injectFailure({
+        path: "/Patient/_search",
+        status: 400,
+        body: {
+          resourceType: "OperationOutcome",
+          issue: [{ severity: "error", code: "invalid", diagnostics: "Invalid birthdate", expression: ["birthdate"] }],
+        },
+      });
+
+      const response = await search({ birth_date: "04/12/1985", zip_code: "33324" });
+
+      expect(response.status).toBe(422);
+      expect(response.body).toMatchObject({
+        code: "REDOX_VALIDATION_FAILED",
+        issues: [{ code: "invalid", diagnostics: "Invalid birthdate", expression: ["birthdate"] }],
+      });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const request = require("supertest");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+const { startMockRedox } = require("../helpers/mockServers");
+
+const JOHN_ID = "1b7e9d3c-5a2f-4c6e-8b0d-2e3f4a5b6c7d";
+
+describe("Patient create and update routes", () => {
+  let app;
+  let redox;
+
+  const post = (path, body, authorization = bearer("patient:write")) =>
+    request(app).post(`/api/v1/patient${path}`).set("Authorization", authorization).send(body);
+
+  beforeAll(async () => {
+    redox = await startMockRedox();
+    app = require("../../app").createApp();
+  });
+
+  afterAll(() => redox.stop());
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    redox.reset();
+    jest.restoreAllMocks();
+  });
+
+  it.each(["/create", "/update"])("POST %s requires the patient:write scope", async (path) => {
+    const unauthenticated = await request(app).post(`/api/v1/patient${path}`).send({});
+    const readOnly = await post(path, {}, bearer("patient:read"));
+
+    expect(unauthenticated.status).toBe(401);
+    expect(readOnly.status).toBe(403);
+    expect(readOnly.body.scope).toBe("patient:write");
+  });
+
+  describe("POST /create", () => {
+    it.each([{ firstName: "Alex" }, { lastName: "Rivera" }])("requires a first and last name (%o)", async (body) => {
+      const response = await post("/create", body);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: "Missing required fields: firstName, lastName" });
+    });
+
+    it("creates the patient, who can then be found", async () => {
+      const response = await post("/create", {
+        firstName: "Alex",
+        lastName: "Rivera",
+        phone: "+15555550199",
+        birthDate: "1995-02-14",
+        zipCode: "33324",
+        insuranceName: "Cigna",
+        insuranceMemberId: "CIG-1",
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ success: true, data: { statusCode: 201, patientId: expect.any(String) } });
+
+      const search = await request(app)
+        .post("/api/v1/patient/search")
+        .set("Authorization", bearer("patient:read"))
+        .send({ phone: "+15555550199" });
+      expect(search.body.data).toEqual([
+        expect.objectContaining({
+          patientId: response.body.data.patientId,
+          fullName: "Alex Rivera",
+          insuranceName: "Cigna",
+          insuranceMemberId: "CIG-1",
+        }),
+      ]);
+    });
+
+    it("passes Redox validation issues through", async () => {
+      redox.injectFailure({
+        path: "/Patient/$patient-create",
+        status: 422,
+        body: {
+          resourceType: "OperationOutcome",
+          issue: [
+            { severity: "error", code: "required", details: { text: "birthDate is required" }, expression: ["Patient.birthDate"] },
+          ],
+        },
+      });
+
+      const response = await post("/create", { firstName: "Alex", lastName: "Rivera" });
+
+      expect(response.status).toBe(422);
+      expect(response.body).toMatchObject({
+        code: "REDOX_VALIDATION_FAILED",
+        issues: [{ severity: "error", code: "required", details: "birthDate is required", expression: ["Patient.birthDate"] }],
+      });
+    });
+  });
+
+  describe("POST /update", () => {
+    it("requires a patient ID", async () => {
+      const response = await post("/update", { firstName: "John" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Missing required field: patientId");
+    });
+
+    it("updates the patient", async () => {
+      const response = await post("/update", {
+        patientId: JOHN_ID,
+        firstName: "Johnny",
+        lastName: "Smith",
+        phone: "+15555550112",
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        data: { statusCode: 200, originalPatientId: JOHN_ID, newPatientId: JOHN_ID },
+      });
+      expect(redox.find("Patient", JOHN_ID)).toMatchObject({
+        name: [{ given: ["Johnny"], family: "Smith" }],
+        telecom: [{ value: "+15555550112" }],
+      });
+    });
+
+    it("reports an unknown patient as 404", async () => {
+      const response = await post("/update", { patientId: "no-such-patient", firstName: "Nobody" });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ success: false, code: "REDOX_NOT_FOUND" });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const request = require("supertest");
+const phiAudit = require("../../services/phiAuditService");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+
+describe("PHI audit API", () => {
+  const app = require("../../app").createApp();
+  const auditor = bearer("audit:read");
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("requires the audit:read scope", async () => {
+    const [missing, wrongScope] = await Promise.all([
+      request(app).get("/api/v1/audit/phi"),
+      request(app).get("/api/v1/audit/phi/verify").set("Authorization", bearer("patient:read")),
+    ]);
+
+    expect(missing.status).toBe(401);
+    expect(wrongScope.status).toBe(403);
+    expect(wrongScope.body.error).toBe("insufficient_scope");
+  });
+
+  it("rejects malformed filters", async () => {
+    const query = jest.spyOn(phiAudit, "query");
+
+    const [badDate, badOutcome] = await Promise.all([
+      request(app).get("/api/v1/audit/phi?from=yesterday").set("Authorization", auditor),
+      request(app).get("/api/v1/audit/phi?outcome=maybe").set("Authorization", auditor),
+    ]);
+
+    expect(badDate.status).toBe(400);
+    expect(badDate.body.error).toBe("from and to must be ISO 8601 dates");
+    expect(badOutcome.status).toBe(400);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it("searches with the given filters", async () => {
+    const entry = { id: "42", patientIds: ["patient-jane"], outcome: "success" };
+    jest.spyOn(phiAudit, "query").mockResolvedValue([entry]);
+
+    const response = await request(app)
+      .get("/api/v1/audit/phi")
+      .query({ patientId: "patient-jane", from: "2026-03-01T00:00:00Z", outcome: "success", offset: -10 })
+      .set("Authorization", auditor);
+
+    expect(response.body).toEqual({ success: true, data: [entry] });
+    expect(phiAudit.query).toHaveBeenCalledWith({
+      tenantId: null,
+      patientId: "patient-jane",
+      from: new Date("2026-03-01T00:00:00Z"),
+      to: undefined,
+      actorType: undefined,
+      actorId: undefined,
+      outcome: "success",
+      limit: 100,
+      offset: 0,
+    });
+  });
+
+  it("verifies the hash chain", async () => {
+    jest.spyOn(phiAudit, "verifyChain").mockResolvedValue({ valid: false, checked: 12, brokenAtId: "7" });
+
+    const response = await request(app).get("/api/v1/audit/phi/verify").set("Authorization", auditor);
+
+    expect(response.body.data).toEqual({ valid: false, checked: 12, brokenAtId: "7" });
+  });
+
+  it("reports database errors through the error envelope", async () => {
+    jest.spyOn(phiAudit, "verifyChain").mockRejectedValue(new Error("relation does not exist"));
+
+    const response = await request(app).get("/api/v1/audit/phi/verify").set("Authorization", auditor);
+
+    expect(response.status).toBe(500);
+    expect(response.body).toMatchObject({ success: false, code: "INTERNAL_ERROR" });
+    expect(response.body.requestId).toEqual(expect.any(String));
+  });
+});
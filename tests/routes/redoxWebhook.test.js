@@ -0,0 +1,262 @@
+const request = require("supertest");
+const fakeDb = require("../helpers/fakeDb");
+const { startMockRedox } = require("../helpers/mockServers");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+const createRedoxFixtures = require("../../mocks/fixtures/redox");
+const AuthService = require("../../services/authService");
+const redoxVerification = require("../../services/redoxWebhookVerificationService");
+
+const VERIFICATION_TOKEN = process.env.REDOX_WEBHOOK_VERIFICATION_TOKEN;
+const JANE = createRedoxFixtures().patients[0];
+
+const schedulingEvent = (entries = [{ fullUrl: `https://fhir.redoxengine.com/Patient/${JANE.id}`, resource: JANE }]) => ({
+  resourceType: "Bundle",
+  type: "message",
+  entry: entries,
+  Meta: { DataModel: "FHIR.Event.Order", EventType: "service-request-created" },
+});
+
+describe("Redox webhook routes", () => {
+  let redox;
+  let app;
+
+  beforeAll(async () => {
+    redox = await startMockRedox();
+    app = require("../../app").createApp();
+  });
+
+  afterAll(() => redox.stop());
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    redox.reset();
+    jest.restoreAllMocks();
+  });
+
+  describe("destination verification", () => {
+    it("echoes the challenge of a GET with a known token", async () => {
+      const response = await request(app)
+        .get("/api/v1/redox/webhook/scheduling")
+        .query({ "verification-token": VERIFICATION_TOKEN, challenge: "abc123" });
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe("abc123");
+      expect(fakeDb.queries("INSERT INTO redox_webhook_verification_log")).toHaveLength(1);
+    });
+
+    it("echoes the challenge of a POST, unauthenticated", async () => {
+      const response = await request(app)
+        .post("/api/v1/redox/webhook/scheduling")
+        .set("verification-token", VERIFICATION_TOKEN)
+        .send({ challenge: "xyz789" });
+
+      expect(response.text).toBe("xyz789");
+    });
+
+    it("rejects an unknown token", async () => {
+      const response = await request(app)
+        .get("/api/v1/redox/webhook/scheduling")
+        .query({ "verification-token": "guess", challenge: "abc123" });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: "Destination verification failed" });
+    });
+  });
+
+  describe("POST /webhook/scheduling", () => {
+    const send = (body, { token = VERIFICATION_TOKEN, scope = "webhook:scheduling" } = {}) =>
+      request(app)
+        .post("/api/v1/redox/webhook/scheduling")
+        .set("Authorization", bearer(scope))
+        .set("verification-token", token)
+        .send(body);
+
+    it("requires the webhook:scheduling scope", async () => {
+      expect((await send(schedulingEvent(), { scope: "patient:read" })).status).toBe(403);
+    });
+
+    it("rejects events with a wrong verification token", async () => {
+      const response = await send(schedulingEvent(), { token: "wrong" });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: "Webhook verification failed" });
+      expect(redox.requests).toHaveLength(0);
+    });
+
+    it("rejects payloads that are not bundles", async () => {
+      const response = await send({ resourceType: "Patient", id: JANE.id });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: "Invalid webhook payload" });
+    });
+
+    it("rejects bundles without a patient", async () => {
+      const response = await send(schedulingEvent([{ resource: { resourceType: "ServiceRequest", id: "sr-1" } }]));
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: "Patient resource not found" });
+    });
+
+    it("processes an event, looking up the patient's appointments", async () => {
+      const response = await send(schedulingEvent());
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe("Webhook received successfully");
+      expect(redox.requests.map((req) => req.path)).toContain("/fhir/Appointment/_search");
+    });
+
+    describe("from a registered source named by the MessageHeader", () => {
+      const SOURCE_TOKEN = "source-secret";
+
+      const bundleFrom = (source) => {
+        const { Meta, ...event } = schedulingEvent();
+        return {
+          ...event,
+          entry: [{ resource: { resourceType: "MessageHeader", id: "mh-1", source } }, ...event.entry],
+        };
+      };
+
+      beforeEach(() => {
+        fakeDb.when("FROM redox_webhook_sources WHERE source_id = $1", (params) => ({
+          rows: params[0].startsWith("registered-")
+            ? [{ source_id: params[0], tenant_id: null, verification_token_hash: redoxVerification.hashToken(SOURCE_TOKEN) }]
+            : [],
+        }));
+      });
+
+      it.each([
+        ["endpoint", { endpoint: "registered-endpoint-1" }],
+        ["name", { name: "registered-name-1" }],
+      ])("requires the source's own token when it is the %s", async (label, source) => {
+        const rejected = await send(bundleFrom(source));
+        const accepted = await send(bundleFrom(source), { token: SOURCE_TOKEN });
+
+        expect(rejected.status).toBe(401);
+        expect(accepted.status).toBe(200);
+        const [log] = fakeDb.queries("INSERT INTO redox_webhook_verification_log");
+        expect(log.params).toContain(source.endpoint || source.name);
+      });
+
+      it("does not fall back to the global token when Meta names an unregistered source", async () => {
+        const event = { ...bundleFrom({ endpoint: "registered-endpoint-2" }), Meta: { Source: { ID: "unregistered-1" } } };
+
+        expect((await send(event)).status).toBe(401);
+        expect((await send(event, { token: SOURCE_TOKEN })).status).toBe(200);
+      });
+
+      it("rejects events naming two registered sources", async () => {
+        const event = { ...bundleFrom({ endpoint: "registered-endpoint-3" }), Meta: { Source: { ID: "registered-meta-3" } } };
+
+        expect((await send(event, { token: SOURCE_TOKEN })).status).toBe(401);
+      });
+    });
+
+    it("answers 500 for a patient without a phone number", async () => {
+      const response = await send(schedulingEvent([{ resource: { ...JANE, telecom: [] } }]));
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe("POST /test/trigger-scheduling-call", () => {
+    const trigger = (body) =>
+      request(app)
+        .post("/api/v1/redox/test/trigger-scheduling-call")
+        .set("Authorization", bearer("calls:write"))
+        .send(body);
+
+    it("requires a patient ID", async () => {
+      const response = await trigger({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: "Patient ID is required" });
+    });
+
+    it("triggers an event for a known patient", async () => {
+      const response = await trigger({ patientId: JANE.id });
+
+      expect(response.body).toEqual({
+        success: true,
+        message: "Scheduling event triggered successfully",
+        patientId: JANE.id,
+      });
+    });
+
+    it("passes Redox's 404 through the error envelope", async () => {
+      const response = await trigger({ patientId: "no-such-patient" });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ success: false, code: "REDOX_NOT_FOUND" });
+    });
+  });
+
+  describe("ops endpoints", () => {
+    it("require the ops:read scope", async () => {
+      const responses = await Promise.all(
+        ["/auth/token-metrics", "/client/circuit-breakers", "/webhook/verification-log"].map((path) =>
+          request(app).get(`/api/v1/redox${path}`).set("Authorization", bearer("patient:read")),
+        ),
+      );
+
+      expect(responses.map((response) => response.status)).toEqual([403, 403, 403]);
+    });
+
+    it("report token metrics and circuit states", async () => {
+      const [metrics, circuits] = await Promise.all([
+        request(app).get("/api/v1/redox/auth/token-metrics").set("Authorization", bearer("ops:read")),
+        request(app).get("/api/v1/redox/client/circuit-breakers").set("Authorization", bearer("ops:read")),
+      ]);
+
+      expect(metrics.body.success).toBe(true);
+      expect(metrics.body.data).toEqual(expect.any(Object));
+      expect(circuits.body.data).toEqual(expect.any(Array));
+    });
+
+    it("report token metrics while the Redox login fails", async () => {
+      jest.spyOn(AuthService.prototype, "getAccessToken").mockRejectedValue(new Error("Redox login failed"));
+
+      const response = await request(app).get("/api/v1/redox/auth/token-metrics").set("Authorization", bearer("ops:read"));
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+    });
+
+    it("filter the verification log", async () => {
+      fakeDb.when("FROM redox_webhook_verification_log", { rows: [] });
+
+      const [bad, good] = await Promise.all([
+        request(app).get("/api/v1/redox/webhook/verification-log?outcome=maybe").set("Authorization", bearer("ops:read")),
+        request(app).get("/api/v1/redox/webhook/verification-log?outcome=rejected").set("Authorization", bearer("ops:read")),
+      ]);
+
+      expect(bad.status).toBe(400);
+      expect(good.body).toEqual({ success: true, data: [] });
+    });
+
+    it.each(["-1", "0", "abc", "1.5", "1001"])("reject a verification log limit of %s", async (limit) => {
+      const response = await request(app)
+        .get("/api/v1/redox/webhook/verification-log")
+        .query({ limit })
+        .set("Authorization", bearer("ops:read"));
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: "limit must be an integer between 1 and 1000" });
+      expect(fakeDb.queries("FROM redox_webhook_verification_log")).toHaveLength(0);
+    });
+
+    it("read the verification log with a limit while the Redox login fails", async () => {
+      jest.spyOn(AuthService.prototype, "getAccessToken").mockRejectedValue(new Error("Redox login failed"));
+      fakeDb.when("FROM redox_webhook_verification_log", { rows: [] });
+
+      const response = await request(app)
+        .get("/api/v1/redox/webhook/verification-log?limit=5")
+        .set("Authorization", bearer("ops:read"));
+
+      expect(response.status).toBe(200);
+      expect(fakeDb.queries("FROM redox_webhook_verification_log")[0].params).toEqual([5]);
+    });
+  });
+});
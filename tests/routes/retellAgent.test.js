@@ -0,0 +1,150 @@
+const request = require("supertest");
+const fakeDb = require("../helpers/fakeDb");
+const { startMockRetell } = require("../helpers/mockServers");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+const { SCHEDULING_AGENT_ID } = require("../../mocks/fixtures/retell");
+
+const SCOPES = {
+  "/get": "agents:read",
+  "/update": "agents:write",
+  "/list": "agents:read",
+  "/update-status": "agents:write",
+  "/conversation-flow/get": "agents:read",
+  "/conversation-flow/update": "agents:write",
+  "/conversation-flow/list": "agents:read",
+  "/voice/list": "agents:read",
+  "/create-web-call": "calls:write",
+};
+
+describe("Retell agent routes", () => {
+  let retell;
+  let app;
+
+  beforeAll(async () => {
+    // Before the app: the Retell services read their base URL when loaded
+    retell = await startMockRetell();
+    app = require("../../app").createApp();
+  });
+
+  afterAll(() => retell.stop());
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    retell.reset();
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * POST to an agent route with a token carrying the scope it requires
+   */
+  const post = (path) =>
+    request(app).post(`/api/v1/retell/agent${path}`).set("Authorization", bearer(SCOPES[path]));
+
+  it.each(Object.keys(SCOPES))("POST %s requires a token", async (path) => {
+    const response = await request(app).post(`/api/v1/retell/agent${path}`).send({});
+
+    expect(response.status).toBe(401);
+    expect(retell.requests).toHaveLength(0);
+  });
+
+  it.each(Object.entries(SCOPES))("POST %s requires the %s scope", async (path) => {
+    const response = await request(app)
+      .post(`/api/v1/retell/agent${path}`)
+      .set("Authorization", bearer("patient:read"))
+      .send({});
+
+    expect(response.status).toBe(403);
+    expect(retell.requests).toHaveLength(0);
+  });
+
+  it.each([
+    ["/get", "Missing required field: agent_id"],
+    ["/update", "Missing required field: agent_id"],
+    ["/update-status", "Missing required fields: agent_id and status"],
+    ["/conversation-flow/get", "Missing required field: conversation_flow_id"],
+    ["/conversation-flow/update", "Missing required field: conversation_flow_id"],
+    ["/create-web-call", "Missing required field: agent_id"],
+  ])("POST %s validates its body", async (path, error) => {
+    const response = await post(path).send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error });
+  });
+
+  it("gets an agent with its conversation flow and knowledge bases", async () => {
+    const response = await post("/get").send({ agent_id: SCHEDULING_AGENT_ID });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      voice_id: "11labs-Adrian",
+      language: "en-US",
+      global_prompt: "You schedule appointments for Plantation Clinic.",
+      model: "gpt-4o",
+    });
+    expect(response.body.data.knowledge_bases).toEqual([
+      expect.objectContaining({ knowledge_base_id: "knowledge_base_mock_clinic" }),
+    ]);
+  });
+
+  it("answers 500 for an unknown agent", async () => {
+    const response = await post("/get").send({ agent_id: "agent_unknown" });
+
+    expect(response.status).toBe(500);
+    expect(response.body.success).toBe(false);
+  });
+
+  it("updates the agent and its conversation flow", async () => {
+    const response = await post("/update")
+      .send({ agent_id: SCHEDULING_AGENT_ID, language: "es-ES", global_prompt: "Hola." });
+
+    expect(response.status).toBe(200);
+    expect(retell.requests.filter((req) => req.method === "PATCH").map((req) => req.path)).toEqual([
+      `/update-agent/${SCHEDULING_AGENT_ID}`,
+      "/update-conversation-flow/conversation_flow_mock_scheduling",
+    ]);
+  });
+
+  it("creates a web call", async () => {
+    const response = await post("/create-web-call")
+      .send({ agent_id: SCHEDULING_AGENT_ID, metadata: { source: "test" } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.access_token).toEqual(expect.any(String));
+    expect(retell.getCalls()).toEqual([expect.objectContaining({ call_type: "web_call", metadata: { source: "test" } })]);
+  });
+
+  it("lists voices", async () => {
+    const response = await post("/voice/list").send({});
+
+    expect(response.body.success).toBe(true);
+    expect(JSON.stringify(response.body.data)).toContain("11labs-Adrian");
+  });
+
+  describe("agent status", () => {
+    it("answers 404 for an agent that is not the user's", async () => {
+      const response = await post("/update-status")
+        .send({ agent_id: "agent_unknown", status: "inactive" });
+
+      expect(response.status).toBe(404);
+    });
+
+    it("returns the updated agent list", async () => {
+      const row = { agent_id: SCHEDULING_AGENT_ID, user_id: "xyz", type: "scheduling", status: "inactive" };
+      fakeDb.when("UPDATE agents", { rows: [row] });
+      fakeDb.when("SELECT * FROM agents", { rows: [row] });
+
+      const response = await post("/update-status")
+        .send({ agent_id: SCHEDULING_AGENT_ID, status: "inactive" });
+
+      expect(response.body).toEqual({
+        success: true,
+        message: "Agent status updated successfully",
+        data: { data: [row] },
+      });
+      expect(fakeDb.queries("UPDATE agents")[0].params).toEqual(["inactive", SCHEDULING_AGENT_ID, "xyz"]);
+    });
+  });
+});
@@ -0,0 +1,518 @@
+const axios = require("axios");
+const request = require("supertest");
+const fakeDb = require("../helpers/fakeDb");
+const { startMockRedox, startMockRetell } = require("../helpers/mockServers");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+const CallSimulator = require("../../mocks/callSimulator");
+const createCallScenarios = require("../../mocks/fixtures/callScenarios");
+const createRedoxFixtures = require("../../mocks/fixtures/redox");
+const { SCHEDULING_AGENT_ID } = require("../../mocks/fixtures/retell");
+const redoxTokenManager = require("../../services/redoxTokenManager");
+const AuthService = require("../../services/authService");
+const tenantService = require("../../services/tenantService");
+
+const CEKURA_URL = "https://api.cekura.ai/";
+const AGENT_NUMBER = "+15555550100";
+const JANE = createRedoxFixtures().patients[0];
+const ROUTE_ROW = {
+  id: 7,
+  phone_number: AGENT_NUMBER,
+  agent_id: SCHEDULING_AGENT_ID,
+  call_purpose: "scheduling",
+  is_active: true,
+  tenant_id: null,
+};
+
+// Answer the Cekura observability forwards without leaving the machine;
+// every other axios.post (Redox login, Retell, the call simulator) goes out
+function stubCekura() {
+  const post = axios.post;
+  return jest
+    .spyOn(axios, "post")
+    .mockImplementation((url, ...rest) =>
+      url.startsWith(CEKURA_URL) ? Promise.resolve({ status: 200 }) : post.call(axios, url, ...rest),
+    );
+}
+
+describe("Retell webhook routes", () => {
+  const simulator = new CallSimulator({ targetURL: "http://unused" });
+  let redox;
+  let retell;
+  let app;
+
+  // POST a JSON body to a Retell webhook, signed like Retell does
+  const signed = (path, payload, signature) => {
+    const rawBody = JSON.stringify(payload);
+    return request(app)
+      .post(`/api/v1/retell${path}`)
+      .set("Content-Type", "application/json")
+      .set("x-retell-signature", signature || simulator.sign(rawBody))
+      .send(rawBody);
+  };
+
+  beforeAll(async () => {
+    redox = await startMockRedox();
+    retell = await startMockRetell();
+    app = require("../../app").createApp();
+  });
+
+  afterAll(async () => {
+    await redox.stop();
+    await retell.stop();
+  });
+
+  beforeEach(() => {
+    mockOAuthTokens();
+    stubCekura();
+    fakeDb.when("FROM agent_routes", { rows: [ROUTE_ROW] });
+  });
+
+  afterEach(() => {
+    require("../../services/agentRoutingService").invalidateCache();
+    redox.reset();
+    retell.reset();
+    jest.restoreAllMocks();
+  });
+
+  describe("signature verification", () => {
+    it.each(["/webhook", "/function-call", "/call/update"])("rejects unsigned requests to %s", async (path) => {
+      const response = await request(app).post(`/api/v1/retell${path}`).send({ event: "call_started" });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ success: false, error: "Invalid or missing Retell signature" });
+    });
+
+    it("rejects a signature of another body", async () => {
+      const response = await signed("/call/update", { event: "call_started" }, simulator.sign("{}"));
+
+      expect(response.status).toBe(401);
+    });
+
+    it("rejects a stale signature", async () => {
+      const payload = { event: "call_started" };
+      const response = await signed(
+        "/call/update",
+        payload,
+        simulator.sign(JSON.stringify(payload), Date.now() - 60 * 60 * 1000),
+      );
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("POST /webhook", () => {
+    it("requires the caller's number", async () => {
+      const response = await signed("/webhook", { event: "call_inbound", call_inbound: {} });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Missing call_inbound.from_number in request");
+    });
+
+    it("returns the known caller's details and appointment as dynamic variables", async () => {
+      const response = await signed("/webhook", {
+        event: "call_inbound",
+        call_inbound: { agent_id: SCHEDULING_AGENT_ID, from_number: "+15555550101", to_number: AGENT_NUMBER },
+      });
+
+      const variables = response.body.call_inbound.dynamic_variables;
+      expect(variables).toMatchObject({
+        caller_phone: "+15555550101",
+        patient_found: "true",
+        patient_id: JANE.id,
+        patient_name: "Jane Doe",
+        patient_appointment_id: "appt-0001",
+      });
+      expect(Object.values(variables).every((value) => typeof value === "string")).toBe(true);
+      expect(axios.post).toHaveBeenCalledWith(expect.stringContaining(CEKURA_URL), expect.any(Object), expect.any(Object));
+    });
+
+    it("reports an unknown caller", async () => {
+      const response = await signed("/webhook", {
+        event: "call_inbound",
+        call_inbound: { from_number: "+15555550199", to_number: AGENT_NUMBER },
+      });
+
+      expect(response.body.call_inbound.dynamic_variables).toMatchObject({ patient_found: "false" });
+      expect(response.body.call_inbound.dynamic_variables.patient_id).toBeUndefined();
+    });
+
+    it("answers Redox outages with the error envelope", async () => {
+      redox.injectFailure({ path: "/Patient/_search", status: 503 });
+
+      const response = await signed("/webhook", {
+        event: "call_inbound",
+        call_inbound: { from_number: "+15555550101", to_number: AGENT_NUMBER },
+      });
+
+      expect(response.status).toBe(503);
+      expect(response.body.code).toBe("UPSTREAM_UNAVAILABLE");
+    });
+  });
+
+  describe("POST /function-call", () => {
+    const call = { call_id: "call_fn", agent_id: SCHEDULING_AGENT_ID, to_number: AGENT_NUMBER };
+    const functionCall = (name, args) => signed("/function-call", { call, name, args });
+
+    it.each([
+      [{ name: "find_patient" }, "Missing required fields: name and args"],
+      [{ name: "book_appointment", args: {} }, "Missing required field for appointment booking: patientId"],
+      [
+        { name: "update_appointment", args: { appointmentId: "appt-0001" } },
+        "Missing required fields for appointment update: appointmentId, patientId",
+      ],
+      [{ name: "create_patient", args: { first_name: "Alex" } }, "Missing required fields for patient creation: first_name, last_name"],
+      [{ name: "find_patient", args: { given: "Jane" } }, "Missing required fields: birth_date, given, and family are required"],
+      [{ name: "cancel_everything", args: {} }, "Unsupported function: cancel_everything"],
+    ])("validates %j", async (body, error) => {
+      const response = await signed("/function-call", { call, ...body });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error });
+    });
+
+    it("checks availability", async () => {
+      const response = await functionCall("check_availability", {
+        location: "Plantation",
+        serviceType: "Consultation",
+        startTime: new Date().toISOString(),
+      });
+
+      expect(response.body).toMatchObject({ success: true, function: "check_availability" });
+      expect(response.body.result.length).toBeGreaterThan(0);
+    });
+
+    it("audits availability checks for an identified patient", async () => {
+      const args = { location: "Plantation", serviceType: "Consultation", startTime: new Date().toISOString() };
+
+      await functionCall("check_availability", args);
+      expect(fakeDb.queries("INSERT INTO phi_audit_log")).toHaveLength(0);
+
+      await signed("/function-call", {
+        call: { ...call, retell_llm_dynamic_variables: { patient_id: JANE.id } },
+        name: "check_availability",
+        args,
+      });
+
+      const [entry] = fakeDb.queries("INSERT INTO phi_audit_log");
+      // action, resource type, resource ID, patient IDs, outcome
+      expect(entry.params.slice(4, 9)).toEqual(["search", "Slot", null, [JANE.id], "success"]);
+      expect(entry.params[1]).toBe("retell_call");
+      expect(entry.params[11]).toMatchObject({ endpoint: "/Slot/_search", functionName: "check_availability" });
+    });
+
+    it("finds a patient by date of birth and name", async () => {
+      const response = await functionCall("find_patient", { birth_date: "1985-04-12", given: "Jane", family: "Doe" });
+
+      expect(response.body.result).toMatchObject({ success: true, patient_found: true });
+    });
+
+    it("ignores an access token passed by the agent and uses the tenant's", async () => {
+      const login = jest.spyOn(require("../../services/authService").prototype, "getAccessToken");
+
+      const response = await functionCall("find_patient", {
+        birth_date: "1985-04-12",
+        given: "Jane",
+        family: "Doe",
+        access_token: "agent-token",
+      });
+
+      // The mock Redox server rejects tokens it did not issue
+      expect(login).toHaveBeenCalled();
+      expect(response.body.result).toMatchObject({ success: true, patient_found: true });
+    });
+
+    it("returns Redox failures as the function's result, for the agent to explain", async () => {
+      redox.injectFailure({
+        path: "/Appointment/$appointment-create",
+        status: 422,
+        body: {
+          resourceType: "OperationOutcome",
+          issue: [{ severity: "error", code: "invalid", diagnostics: "Slot is no longer available" }],
+        },
+      });
+
+      const response = await functionCall("book_appointment", { patientId: JANE.id, appointmentType: "Consultation" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: false,
+        function: "book_appointment",
+        error: {
+          code: "REDOX_VALIDATION_FAILED",
+          message: "The clinic's system rejected the request. Confirm the details with the caller and try again.",
+          retryable: false,
+          issues: [expect.objectContaining({ diagnostics: "Slot is no longer available" })],
+        },
+      });
+    });
+  });
+
+  describe("POST /call/update", () => {
+    const analyzedCall = (overrides = {}) => ({
+      call_id: "call_analyzed_1",
+      agent_id: SCHEDULING_AGENT_ID,
+      from_number: "+15555550101",
+      to_number: AGENT_NUMBER,
+      start_timestamp: Date.UTC(2026, 2, 4, 15),
+      retell_llm_dynamic_variables: { patient_id: JANE.id, patient_email: "jane.doe@example.com" },
+      call_analysis: { call_successful: true, user_sentiment: "Positive" },
+      ...overrides,
+    });
+    const claimEvent = () => fakeDb.when("INSERT INTO processed_events", { rows: [{ event_id: "call_analyzed_1" }] });
+
+    it("acknowledges events other than call_analyzed without storing them", async () => {
+      const response = await signed("/call/update", { event: "call_ended", call: analyzedCall() });
+
+      expect(response.body).toEqual({ success: true, message: "Event call_ended acknowledged but not stored" });
+      expect(fakeDb.queries("INSERT INTO calls")).toHaveLength(0);
+    });
+
+    it("requires the call ID", async () => {
+      const response = await signed("/call/update", { event: "call_analyzed", call: {} });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("stores the call, intake notes and requested callback", async () => {
+      claimEvent();
+      const scheduledTime = "2026-03-05T15:00:00.000Z";
+
+      const response = await signed("/call/update", {
+        event: "call_analyzed",
+        call: analyzedCall({
+          call_analysis: {
+            call_successful: true,
+            user_sentiment: "Positive",
+            custom_analysis_data: {
+              patient_intake_details: "Reason for visit: headaches.\r\n",
+              is_transfer_attempted: false,
+              scheduled_callback_time: scheduledTime,
+            },
+          },
+        }),
+      });
+
+      expect(response.body).toMatchObject({ success: true, call_id: "call_analyzed_1" });
+      expect(fakeDb.queries("INSERT INTO calls")).toHaveLength(1);
+      expect(fakeDb.queries("INSERT INTO scheduled_callbacks")[0].params).toEqual([
+        JANE.id,
+        AGENT_NUMBER,
+        ROUTE_ROW.id,
+        null,
+        scheduledTime,
+      ]);
+      expect(fakeDb.queries("ROLLBACK")).toHaveLength(0);
+      expect(redox.requests.map((req) => req.path)).toContain("/fhir/DocumentReference/$documentreference-create");
+      expect(fakeDb.queries("SET status = 'completed'")).toHaveLength(1);
+    });
+
+    it("replays the stored result of a duplicate delivery", async () => {
+      const stored = { success: true, message: "Call analyzed event processed successfully", call_id: "call_analyzed_1" };
+      fakeDb.when("replay_count = replay_count + 1", { rows: [{ status: "completed", result: stored }] });
+
+      const response = await signed("/call/update", { event: "call_analyzed", call: analyzedCall() });
+
+      expect(response.headers["idempotent-replayed"]).toBe("true");
+      expect(response.body).toEqual(stored);
+      expect(fakeDb.queries("INSERT INTO calls")).toHaveLength(0);
+    });
+
+    it("answers 202 while another delivery is being processed", async () => {
+      const response = await signed("/call/update", { event: "call_analyzed", call: analyzedCall() });
+
+      expect(response.status).toBe(202);
+    });
+
+    it("rolls back and releases the claim on a database error", async () => {
+      claimEvent();
+      fakeDb.when("INSERT INTO calls", new Error("duplicate key value"));
+
+      const response = await signed("/call/update", { event: "call_analyzed", call: analyzedCall() });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe("Failed to process call data");
+      expect(fakeDb.queries("ROLLBACK")).toHaveLength(1);
+      expect(fakeDb.queries("DELETE FROM processed_events")).toHaveLength(1);
+    });
+  });
+
+  describe("POST /trigger-intake-call", () => {
+    const trigger = (body) =>
+      request(app).post("/api/v1/retell/trigger-intake-call").set("Authorization", bearer("calls:write")).send(body);
+
+    it("requires the calls:write scope and a patient ID", async () => {
+      const [forbidden, missing] = await Promise.all([
+        request(app).post("/api/v1/retell/trigger-intake-call").set("Authorization", bearer("ops:read")).send({}),
+        trigger({}),
+      ]);
+
+      expect(forbidden.status).toBe(403);
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toBe("Patient ID is required");
+    });
+
+    it("dials the patient with the intake agent", async () => {
+      const response = await trigger({ patientId: JANE.id });
+
+      expect(response.body.data).toMatchObject({ message: "Intake call triggered successfully", patientId: JANE.id });
+      expect(retell.getCalls()).toEqual([
+        expect.objectContaining({
+          agent_id: "agent_mock_intake",
+          to_number: "+15555550101",
+          retell_llm_dynamic_variables: expect.objectContaining({ call_type: "intake", patient_id: JANE.id }),
+        }),
+      ]);
+    });
+
+    it("passes Redox's 404 through the error envelope", async () => {
+      const response = await trigger({ patientId: "no-such-patient" });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe("REDOX_NOT_FOUND");
+      expect(retell.getCalls()).toHaveLength(0);
+    });
+  });
+
+  describe("ops and callback endpoints", () => {
+    const ops = bearer("ops:read");
+
+    it("require their scopes", async () => {
+      const responses = await Promise.all([
+        request(app).get("/api/v1/retell/call-storage/stats").set("Authorization", bearer("callbacks:read")),
+        request(app).get("/api/v1/retell/callbacks/stats").set("Authorization", bearer("callbacks:read")),
+        request(app).get("/api/v1/retell/callbacks/list").set("Authorization", ops),
+        request(app).post("/api/v1/retell/callbacks/1/cancel").set("Authorization", bearer("callbacks:read")),
+      ]);
+
+      expect(responses.map((response) => response.status)).toEqual([403, 403, 403, 403]);
+    });
+
+    it("answer while the Redox login fails", async () => {
+      const login = jest.spyOn(AuthService.prototype, "getAccessToken").mockRejectedValue(new Error("Redox down"));
+      const scheduler = require("../../services/callbackScheduler");
+      jest.spyOn(scheduler, "cancelCallback").mockResolvedValue({ id: 1, status: "cancelled" });
+      fakeDb.when("COUNT(*) as count", { rows: [{ count: "0" }] });
+
+      const responses = await Promise.all([
+        request(app).get("/api/v1/retell/call-storage/stats").set("Authorization", ops),
+        request(app).get("/api/v1/retell/callbacks/stats").set("Authorization", ops),
+        request(app).get("/api/v1/retell/callbacks/scheduler/status").set("Authorization", ops),
+        request(app).get("/api/v1/retell/callbacks/list").set("Authorization", bearer("callbacks:read")),
+        request(app).post("/api/v1/retell/callbacks/1/cancel").set("Authorization", bearer("callbacks:write")),
+      ]);
+
+      expect(responses.map((response) => response.status)).toEqual([200, 200, 200, 200, 200]);
+      expect(login).not.toHaveBeenCalled();
+    });
+
+    it("report the scheduler, which importing the app does not start", async () => {
+      const response = await request(app).get("/api/v1/retell/callbacks/scheduler/status").set("Authorization", ops);
+
+      expect(response.body.data.running).toBe(false);
+    });
+
+    it("report callback and deduplication statistics", async () => {
+      fakeDb.when("COUNT(*) as count", { rows: [{ count: "1" }] });
+      fakeDb.when("GROUP BY status", { rows: [{ status: "pending", count: "3" }] });
+
+      const [callbacks, storage] = await Promise.all([
+        request(app).get("/api/v1/retell/callbacks/stats").set("Authorization", ops),
+        request(app).get("/api/v1/retell/call-storage/stats").set("Authorization", ops),
+      ]);
+
+      expect(callbacks.body.data).toMatchObject({ pending: 3, dead_letter: 0, retrying: 1, overdue: 1 });
+      expect(storage.body.data).toEqual({ ttlHours: 72, eventTypes: {} });
+    });
+
+    it("list the caller's tenant's callbacks with filters", async () => {
+      await request(app)
+        .get("/api/v1/retell/callbacks/list?status=dead_letter&patient_id=p-1&limit=5")
+        .set("Authorization", bearer("callbacks:read"));
+
+      const [listQuery] = fakeDb.queries("FROM scheduled_callbacks WHERE tenant_id IS NOT DISTINCT FROM $1");
+      expect(listQuery.text).toContain("AND status = $2 AND patient_id = $3 ORDER BY scheduled_time DESC LIMIT $4");
+      expect(listQuery.params).toEqual([null, "dead_letter", "p-1", 5]);
+    });
+
+    describe("requeue and cancel", () => {
+      const write = bearer("callbacks:write");
+
+      it("validate the callback ID and time", async () => {
+        const [badId, badTime, badCancelId] = await Promise.all([
+          request(app).post("/api/v1/retell/callbacks/abc/requeue").set("Authorization", write),
+          request(app).post("/api/v1/retell/callbacks/1/requeue").set("Authorization", write).send({ scheduledTime: "soon" }),
+          request(app).post("/api/v1/retell/callbacks/abc/cancel").set("Authorization", write),
+        ]);
+
+        expect(badId.body.error).toBe("Invalid callback ID");
+        expect(badTime.body.error).toBe("Invalid scheduledTime");
+        expect(badCancelId.status).toBe(400);
+      });
+
+      it("answer 409 when the callback is not in a suitable state", async () => {
+        const [requeue, cancel] = await Promise.all([
+          request(app).post("/api/v1/retell/callbacks/1/requeue").set("Authorization", write),
+          request(app).post("/api/v1/retell/callbacks/1/cancel").set("Authorization", write),
+        ]);
+
+        expect(requeue.status).toBe(409);
+        expect(cancel.status).toBe(409);
+      });
+
+      it("return the changed callback", async () => {
+        const scheduler = require("../../services/callbackScheduler");
+        jest.spyOn(scheduler, "cancelCallback").mockResolvedValue({ id: 1, status: "cancelled" });
+
+        const response = await request(app)
+          .post("/api/v1/retell/callbacks/1/cancel")
+          .set("Authorization", write)
+          .send({ reason: "patient asked" });
+
+        expect(response.body).toEqual({ success: true, data: { id: 1, status: "cancelled" } });
+        expect(scheduler.cancelCallback).toHaveBeenCalledWith(1, null, "patient asked");
+      });
+    });
+  });
+
+  describe("scripted calls", () => {
+    let server;
+    let callSimulator;
+
+    beforeAll(async () => {
+      server = await new Promise((resolve) => {
+        const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+      });
+      callSimulator = new CallSimulator({
+        targetURL: `http://127.0.0.1:${server.address().port}/api/v1/retell`,
+        retellServer: retell,
+      });
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    // Drop the Redox token cached by earlier tests, which the reset mock
+    // server no longer accepts: the inbound webhook makes several Redox
+    // requests with the token it was given and only the first would re-login
+    beforeEach(async () => {
+      const { redox: redoxConfig } = tenantService.getDefaultTenant();
+      redoxTokenManager.invalidate(redoxConfig, await redoxTokenManager.getToken(redoxConfig));
+    });
+
+    it("books the first free slot for a known caller", async () => {
+      fakeDb.when("INSERT INTO processed_events", { rows: [{ event_id: "claimed" }] });
+
+      const run = await callSimulator.run(createCallScenarios({ agentNumber: AGENT_NUMBER })["inbound-booking"]);
+
+      expect(run.steps.map((step) => [step.step, step.status])).toEqual([
+        ["inbound", 200],
+        ["call_started", 200],
+        ["function:check_availability", 200],
+        ["function:book_appointment", 200],
+        ["call_ended", 200],
+        ["analyzed", 200],
+      ]);
+      expect(run.results.book_appointment).toMatchObject({ success: true });
+      expect(redox.requests.map((req) => req.path)).toContain("/fhir/DocumentReference/$documentreference-create");
+    });
+  });
+});
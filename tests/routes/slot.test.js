@@ -0,0 +1,96 @@
+const request = require("supertest");
+const { mockOAuthTokens, bearer } = require("../helpers/auth");
+const { startMockRedox } = require("../helpers/mockServers");
+
+describe("POST /api/v1/slot/search", () => {
+  let app;
+  let redox;
+
+  const search = (body, authorization = bearer("slot:read")) =>
+    request(app).post("/api/v1/slot/search").set("Authorization", authorization).send(body);
+
+  beforeAll(async () => {
+    redox = await startMockRedox();
+    app = require("../../app").createApp();
+  });
+
+  afterAll(() => redox.stop());
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    redox.reset();
+    jest.restoreAllMocks();
+  });
+
+  it("requires a bearer token", async () => {
+    const response = await request(app).post("/api/v1/slot/search").send({});
+
+    expect(response.status).toBe(401);
+  });
+
+  it("requires the slot:read scope", async () => {
+    const response = await search({}, bearer("patient:read"));
+
+    expect(response.status).toBe(403);
+    expect(response.body.scope).toBe("slot:read");
+  });
+
+  it("returns the next free slots without filters", async () => {
+    const response = await search({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(10);
+    expect(response.body.data.map((slot) => slot.slotId)).not.toContain("slot-1-10");
+    expect(response.body.data[0]).toEqual({
+      slotId: "slot-1-9",
+      startTime: expect.any(String),
+      endTime: expect.any(String),
+      dayOfWeek: expect.any(String),
+      serviceType: "Consultation",
+      status: "free",
+    });
+  });
+
+  it("filters by location, service type and start", async () => {
+    const secondDay = await search({});
+    const startTime = secondDay.body.data.find((slot) => slot.slotId === "slot-2-9").startTime;
+
+    const response = await search({ location: "Plantation", serviceType: "Follow-up", startTime });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((slot) => slot.slotId)).toEqual([
+      "slot-2-10",
+      "slot-2-14",
+      "slot-3-10",
+      "slot-3-14",
+      "slot-4-10",
+      "slot-4-14",
+      "slot-5-10",
+      "slot-5-14",
+    ]);
+    expect(redox.requests.at(-1).body).toEqual({
+      "location.name": "Plantation",
+      "service-type": JSON.stringify({ text: "Follow-up" }),
+      start: startTime,
+    });
+  });
+
+  it("returns no slots for an unknown location", async () => {
+    const response = await search({ location: "Miami" });
+
+    expect(response.body).toEqual({ success: true, data: [] });
+  });
+
+  it("reports a Redox timeout as 504", async () => {
+    jest.replaceProperty(require("../../config/redoxClient").timeouts, "endpoints", { "/Slot/_search": 100 });
+    redox.injectFailure({ path: "/Slot/_search", status: 200, delayMs: 500 });
+
+    const response = await search({});
+
+    expect(response.status).toBe(504);
+    expect(response.body.code).toBe("UPSTREAM_TIMEOUT");
+  });
+});
@@ -0,0 +1,179 @@
+const request = require("supertest");
+const db = require("../helpers/fakeDb");
+const { mockOAuthTokens, tenantBearer } = require("../helpers/auth");
+
+const TENANT_A = 1;
+const TENANT_B = 2;
+
+const ROUTE_B = {
+  id: 3,
+  phone_number: "+15555550100",
+  agent_id: "agent_tenant_b",
+  call_purpose: "scheduling",
+  retell_agent_id: null,
+  retell_from_number: null,
+  description: "Tenant B main line",
+  is_active: true,
+  tenant_id: TENANT_B,
+  created_at: "2026-01-01T00:00:00.000Z",
+  updated_at: "2026-01-01T00:00:00.000Z",
+};
+
+const CALLBACK_B = {
+  id: 11,
+  patient_id: "patient-b",
+  status: "failed",
+  scheduled_time: "2026-03-10T15:00:00.000Z",
+  tenant_id: TENANT_B,
+};
+
+const AUDIT_ENTRY_B = {
+  id: "42",
+  occurred_at: new Date("2026-03-10T15:00:00.000Z"),
+  actor_type: "oauth_client",
+  actor_id: "client-b",
+  action: "read",
+  resource_type: "Patient",
+  resource_id: "patient-b",
+  patient_ids: ["patient-b"],
+  outcome: "success",
+  tenant_id: TENANT_B,
+};
+
+// Answer a query the way Postgres would apply its id and tenant conditions to rows
+function table(rows) {
+  return (params, text) => {
+    const tenant = /tenant_id IS NOT DISTINCT FROM \$(\d+)/.exec(text);
+    const id = /\bid = \$(\d+)/.exec(text);
+    const matching = rows.filter(
+      (row) =>
+        (!tenant || row.tenant_id === params[tenant[1] - 1]) &&
+        (!id || row.id === params[id[1] - 1]),
+    );
+    return { rows: matching, rowCount: matching.length };
+  };
+}
+
+describe("Tenant isolation", () => {
+  const app = require("../../app").createApp();
+
+  beforeEach(() => {
+    mockOAuthTokens();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("agent routes", () => {
+    const clientA = tenantBearer(TENANT_A, "agent_routes:read", "agent_routes:write");
+    const clientB = tenantBearer(TENANT_B, "agent_routes:read", "agent_routes:write");
+
+    beforeEach(() => {
+      db.when("agent_routes", table([ROUTE_B]));
+    });
+
+    it("hides another tenant's routes", async () => {
+      const [list, get] = await Promise.all([
+        request(app).get("/api/v1/agent-routes?include_inactive=true").set("Authorization", clientA),
+        request(app).get("/api/v1/agent-routes/3").set("Authorization", clientA),
+      ]);
+
+      expect(list.body).toEqual({ success: true, data: [] });
+      expect(get.status).toBe(404);
+    });
+
+    it("refuses to change or delete another tenant's routes", async () => {
+      const update = await request(app)
+        .put("/api/v1/agent-routes/3")
+        .set("Authorization", clientA)
+        .send({ description: "Taken over" });
+      const remove = await request(app).delete("/api/v1/agent-routes/3").set("Authorization", clientA);
+
+      expect([update.status, remove.status]).toEqual([404, 404]);
+    });
+
+    it("creates routes for the caller's tenant whatever tenantId is sent", async () => {
+      db.when("INSERT INTO agent_routes", (params) => ({ rows: [{ ...ROUTE_B, tenant_id: params[7] }] }));
+
+      const response = await request(app)
+        .post("/api/v1/agent-routes")
+        .set("Authorization", clientA)
+        .send({ agentId: "agent_tenant_a", callPurpose: "intake", tenantId: TENANT_B });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.tenantId).toBe(TENANT_A);
+    });
+
+    it("serves the owning tenant", async () => {
+      const get = await request(app).get("/api/v1/agent-routes/3").set("Authorization", clientB);
+
+      expect(get.body.data).toMatchObject({ id: 3, tenantId: TENANT_B });
+    });
+
+    it("lets agent_routes:admin clients read every tenant's routes", async () => {
+      const admin = tenantBearer(TENANT_A, "agent_routes:read", "agent_routes:admin");
+
+      const get = await request(app).get("/api/v1/agent-routes/3").set("Authorization", admin);
+
+      expect(get.body.data).toMatchObject({ id: 3, tenantId: TENANT_B });
+    });
+  });
+
+  describe("callbacks", () => {
+    beforeEach(() => {
+      db.when("scheduled_callbacks", table([CALLBACK_B]));
+    });
+
+    it("hides another tenant's callbacks", async () => {
+      const response = await request(app)
+        .get("/api/v1/retell/callbacks/list")
+        .set("Authorization", tenantBearer(TENANT_A, "callbacks:read"));
+
+      expect(response.body).toEqual({ success: true, data: [] });
+    });
+
+    it("refuses to requeue or cancel another tenant's callbacks", async () => {
+      const clientA = tenantBearer(TENANT_A, "callbacks:write");
+
+      const requeue = await request(app).post("/api/v1/retell/callbacks/11/requeue").set("Authorization", clientA);
+      const cancel = await request(app).post("/api/v1/retell/callbacks/11/cancel").set("Authorization", clientA);
+
+      expect([requeue.status, cancel.status]).toEqual([409, 409]);
+    });
+
+    it("serves the owning tenant", async () => {
+      const [list, requeue] = await Promise.all([
+        request(app).get("/api/v1/retell/callbacks/list").set("Authorization", tenantBearer(TENANT_B, "callbacks:read")),
+        request(app)
+          .post("/api/v1/retell/callbacks/11/requeue")
+          .set("Authorization", tenantBearer(TENANT_B, "callbacks:write")),
+      ]);
+
+      expect(list.body.data).toEqual([CALLBACK_B]);
+      expect(requeue.status).toBe(200);
+    });
+  });
+
+  describe("PHI audit log", () => {
+    beforeEach(() => {
+      db.when("FROM phi_audit_log", table([AUDIT_ENTRY_B]));
+    });
+
+    it("hides another tenant's entries", async () => {
+      const response = await request(app)
+        .get("/api/v1/audit/phi?patientId=patient-b")
+        .set("Authorization", tenantBearer(TENANT_A, "audit:read"));
+
+      expect(response.body).toEqual({ success: true, data: [] });
+    });
+
+    it("serves the owning tenant", async () => {
+      const response = await request(app)
+        .get("/api/v1/audit/phi")
+        .set("Authorization", tenantBearer(TENANT_B, "audit:read"));
+
+      expect(response.body.data).toEqual([expect.objectContaining({ id: "42", tenantId: TENANT_B })]);
+    });
+  });
+});
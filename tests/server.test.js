@@ -0,0 +1,133 @@
+const axios = require("axios");
+const request = require("supertest");
+const fakeDb = require("./helpers/fakeDb");
+const { mockRedoxLogin } = require("./helpers/auth");
+const CallSimulator = require("../mocks/callSimulator");
+const callbackScheduler = require("../services/callbackScheduler");
+const tenantService = require("../services/tenantService");
+const { startServer } = require("../server");
+
+// A promise and the function settling it
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe("server", () => {
+  let handle;
+
+  const start = (shutdown = { readinessDelayMs: 0, timeoutMs: 2000 }) =>
+    startServer({ port: 0, startJobs: false, shutdown });
+
+  afterEach(async () => {
+    await handle?.shutdown("test finished");
+    handle = null;
+    callbackScheduler.stop();
+    jest.restoreAllMocks();
+  });
+
+  it("serves the app and reports ready", async () => {
+    handle = await start();
+
+    const response = await axios.get(`http://127.0.0.1:${handle.server.address().port}/health/ready`);
+
+    expect(response.data).toMatchObject({ status: "ready", state: "ready", checks: { database: { status: "ok" } } });
+  });
+
+  it("finishes in-flight Retell function calls before closing the pg pool", async () => {
+    handle = await start();
+    mockRedoxLogin();
+    const tenantLookup = deferred();
+    jest.spyOn(tenantService, "resolveForCall").mockReturnValue(tenantLookup.promise);
+
+    const simulator = new CallSimulator({
+      targetURL: `http://127.0.0.1:${handle.server.address().port}/api/v1/retell`,
+    });
+    const functionCall = simulator.send("/function-call", {
+      call: { call_id: "call_draining" },
+      name: "check_availability",
+      args: { location: "Plantation" },
+    });
+    await waitFor(() => handle.lifecycle.getInFlight("retellFunctionCall") === 1);
+
+    const shutdown = handle.shutdown("SIGTERM");
+
+    // Draining: readiness fails, liveness does not, and the pool stays open
+    const [ready, live] = await Promise.all([
+      request(handle.app).get("/health/ready"),
+      request(handle.app).get("/health/live"),
+    ]);
+    expect(ready.status).toBe(503);
+    expect(ready.body).toMatchObject({ status: "not_ready", state: "draining", inFlight: { retellFunctionCall: 1 } });
+    expect(ready.headers.connection).toBe("close");
+    expect(live.status).toBe(200);
+    expect(fakeDb.pool.end).not.toHaveBeenCalled();
+
+    tenantLookup.resolve(tenantService.getDefaultTenant());
+
+    // The call is answered (Redox is unreachable here, which the agent is told)
+    expect((await functionCall).body).toMatchObject({ success: false, function: "check_availability" });
+    await expect(shutdown).resolves.toEqual({ timedOut: false });
+    expect(fakeDb.pool.end).toHaveBeenCalledTimes(1);
+    expect(handle.lifecycle.getStatus().state).toBe("stopped");
+    expect(handle.shutdown()).toBe(shutdown);
+  });
+
+  it("lets the scheduler finish its current callback and claim no more", async () => {
+    handle = await start();
+    const dialing = deferred();
+    fakeDb.when("SET status = 'processing'", { rows: [{ id: 1, patient_id: "p-1", attempts: 1 }] });
+    const processed = jest.spyOn(callbackScheduler, "processSingleCallback").mockReturnValue(dialing.promise);
+
+    const run = callbackScheduler.processCallbacks();
+    await waitFor(() => processed.mock.calls.length === 1);
+
+    const shutdown = handle.shutdown("SIGTERM");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(fakeDb.pool.end).not.toHaveBeenCalled();
+
+    dialing.resolve();
+    await run;
+
+    await expect(shutdown).resolves.toEqual({ timedOut: false });
+    expect(processed).toHaveBeenCalledTimes(1);
+    expect(fakeDb.pool.end).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up on work that outlasts the shutdown timeout", async () => {
+    handle = await start({ readinessDelayMs: 0, timeoutMs: 50 });
+    const dialing = deferred();
+    fakeDb.when("SET status = 'processing'", { rows: [{ id: 1, patient_id: "p-1", attempts: 1 }] });
+    const processed = jest.spyOn(callbackScheduler, "processSingleCallback").mockReturnValue(dialing.promise);
+
+    const run = callbackScheduler.processCallbacks();
+    await waitFor(() => processed.mock.calls.length === 1);
+
+    await expect(handle.shutdown("SIGTERM")).resolves.toEqual({ timedOut: true });
+    expect(fakeDb.pool.end).toHaveBeenCalledTimes(1);
+
+    dialing.resolve();
+    await run;
+  });
+
+  it("keeps reporting ready for the readiness delay, then stops listening", async () => {
+    handle = await start({ readinessDelayMs: 50, timeoutMs: 2000 });
+    const port = handle.server.address().port;
+
+    const shutdown = handle.shutdown("SIGTERM");
+    expect(handle.server.listening).toBe(true);
+
+    await shutdown;
+    expect(handle.server.listening).toBe(false);
+    await expect(axios.get(`http://127.0.0.1:${port}/health/live`)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,11 @@
+// Module mocks shared by every test file: no log output, no PostgreSQL
+// (see tests/helpers/fakeDb) and no email.
+jest.mock("../../utils/logger");
+jest.mock("../../db/connection", () => require("../helpers/fakeDb"));
+jest.mock("resend", () => ({
+  Resend: jest.fn(() => ({ emails: { send: jest.fn(async () => ({ id: "email_test" })) } })),
+}));
+
+afterEach(() => {
+  require("../helpers/fakeDb").reset();
+});
@@ -0,0 +1,48 @@
+const VARS = [
+  "CALLBACK_CALLING_HOURS_START",
+  "CALLBACK_CALLING_HOURS_END",
+  "CALLBACK_LATE_GRACE_MINUTES",
+  "CALLBACK_LEASE_SECONDS",
+  "CALLBACK_MAX_ATTEMPTS",
+];
+
+/**
+ * Load config/callbacks with the given environment
+ */
+function loadConfig(env) {
+  let config;
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    config = require("../../../config/callbacks");
+  });
+  return config;
+}
+
+describe("config/callbacks", () => {
+  afterEach(() => {
+    VARS.forEach((name) => delete process.env[name]);
+  });
+
+  it("keeps a configured zero", () => {
+    const config = loadConfig({ CALLBACK_CALLING_HOURS_START: "0", CALLBACK_LATE_GRACE_MINUTES: "0" });
+
+    expect(config.callingWindow.startHour).toBe(0);
+    expect(config.lateGraceMinutes).toBe(0);
+  });
+
+  it("falls back to the defaults for unset or empty values", () => {
+    const config = loadConfig({ CALLBACK_CALLING_HOURS_START: "" });
+
+    expect(config.callingWindow.startHour).toBe(9);
+    expect(config.lateGraceMinutes).toBe(15);
+  });
+
+  it.each([
+    ["CALLBACK_LEASE_SECONDS", "0", 'CALLBACK_LEASE_SECONDS must be an integer of at least 1, got "0"'],
+    ["CALLBACK_MAX_ATTEMPTS", "-1", 'CALLBACK_MAX_ATTEMPTS must be an integer of at least 1, got "-1"'],
+    ["CALLBACK_LATE_GRACE_MINUTES", "-5", 'CALLBACK_LATE_GRACE_MINUTES must be an integer of at least 0, got "-5"'],
+    ["CALLBACK_CALLING_HOURS_END", "6pm", 'CALLBACK_CALLING_HOURS_END must be an integer between 1 and 24, got "6pm"'],
+  ])("refuses %s=%s", (name, value, message) => {
+    expect(() => loadConfig({ [name]: value })).toThrow(message);
+  });
+});
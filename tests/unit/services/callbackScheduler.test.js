@@ -0,0 +1,478 @@
+const db = require("../../helpers/fakeDb");
+const createRedoxFixtures = require("../../../mocks/fixtures/redox");
+const callbackScheduler = require("../../../services/callbackScheduler");
+const retellService = require("../../../services/retellService");
+const RedoxAPIService = require("../../../services/redoxApiService");
+const AuthService = require("../../../services/authService");
+const agentRouting = require("../../../services/agentRoutingService");
+
+// Tuesday 10am PDT, inside the default calling window (Mon-Fri 9-18 Los Angeles)
+const NOW = new Date("2026-03-10T17:00:00.000Z");
+const MINUTE_MS = 60 * 1000;
+
+const CLAIM = "SET status = 'processing'";
+const DIAL_CLAIM = "SET dial_started_at = CURRENT_TIMESTAMP";
+const COMPLETE = "SET status = 'completed'";
+const RETRY = "dial_started_at = NULL,";
+// The dead-lettering of a failed attempt, not of an expired lease
+const DEAD_LETTER = /SET status = 'dead_letter',\s+processed_at = CURRENT_TIMESTAMP,\s+error_message = \$2/;
+
+const ROUTE = {
+  id: 7,
+  tenantId: null,
+  callPurpose: "scheduling",
+  retellAgentId: "agent_mock_scheduling",
+  retellFromNumber: "+15555550100",
+};
+
+const { patients, appointments } = createRedoxFixtures(NOW);
+const JANE = patients[0];
+
+const callback = (overrides = {}) => ({
+  id: 1,
+  patient_id: JANE.id,
+  agent_callback_number: "+15555550100",
+  agent_route_id: ROUTE.id,
+  tenant_id: null,
+  scheduled_time: new Date(NOW.getTime() - MINUTE_MS),
+  next_attempt_at: null,
+  attempts: 1,
+  ...overrides,
+});
+
+/**
+ * Serve callbacks to the claim query one at a time, then none
+ */
+function queueCallbacks(...callbacks) {
+  const queue = [...callbacks];
+  db.when(CLAIM, () => ({ rows: queue.length ? [queue.shift()] : [] }));
+}
+
+const retellError = (status) => Object.assign(new Error(`Retell answered ${status}`), { response: { status } });
+
+describe("CallbackScheduler", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ["nextTick", "setImmediate"] });
+    jest.spyOn(Math, "random").mockReturnValue(0.5);
+    jest.spyOn(AuthService.prototype, "getAccessToken").mockResolvedValue("redox-token");
+    jest.spyOn(RedoxAPIService, "makeRequest").mockImplementation(async (method, endpoint) =>
+      endpoint === "/Appointment/_search"
+        ? { resourceType: "Bundle", entry: [{ resource: appointments[0] }] }
+        : JANE,
+    );
+    jest.spyOn(agentRouting, "resolveForCallback").mockResolvedValue(ROUTE);
+    jest.spyOn(retellService, "createCallForRoute").mockResolvedValue({ call_id: "call_123", status: "registered" });
+    db.when(DIAL_CLAIM, { rows: [{ id: 1 }] });
+  });
+
+  afterEach(() => {
+    callbackScheduler.stop();
+    callbackScheduler.latePolicy = "reschedule";
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe("start and stop", () => {
+    it("runs right away and then every 5 minutes until stopped", async () => {
+      const run = jest.spyOn(callbackScheduler, "processCallbacks").mockResolvedValue();
+
+      callbackScheduler.start();
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(callbackScheduler.getStatus()).toMatchObject({ running: true, intervalMinutes: 5 });
+
+      await jest.advanceTimersByTimeAsync(5 * MINUTE_MS - 1);
+      expect(run).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(run).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(10 * MINUTE_MS);
+      expect(run).toHaveBeenCalledTimes(4);
+
+      callbackScheduler.stop();
+      expect(callbackScheduler.getStatus().running).toBe(false);
+      await jest.advanceTimersByTimeAsync(10 * MINUTE_MS);
+      expect(run).toHaveBeenCalledTimes(4);
+    });
+
+    it("does not start twice", () => {
+      const run = jest.spyOn(callbackScheduler, "processCallbacks").mockResolvedValue();
+
+      callbackScheduler.start();
+      callbackScheduler.start();
+
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(jest.getTimerCount()).toBe(1);
+    });
+
+    it("skips a run while the previous one is still going", async () => {
+      let finishClaim;
+      db.when(CLAIM, () => new Promise((resolve) => (finishClaim = () => resolve({ rows: [] }))));
+
+      const first = callbackScheduler.processCallbacks();
+      await jest.advanceTimersByTimeAsync(0);
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries(CLAIM)).toHaveLength(1);
+      expect(callbackScheduler.getStatus().processing).toBe(true);
+
+      finishClaim();
+      await first;
+      expect(callbackScheduler.getStatus().processing).toBe(false);
+    });
+  });
+
+  describe("claiming", () => {
+    it("claims only callbacks whose time has come", async () => {
+      queueCallbacks();
+
+      await callbackScheduler.processCallbacks();
+
+      const [claim] = db.queries(CLAIM);
+      expect(claim.text).toContain("COALESCE(next_attempt_at, scheduled_time) <= $1");
+      expect(claim.params).toEqual([NOW, callbackScheduler.workerId, 300]);
+    });
+
+    it("releases a claimed callback that is not due yet without dialing", async () => {
+      queueCallbacks(callback({ scheduled_time: new Date(NOW.getTime() + 2 * MINUTE_MS) }));
+
+      await callbackScheduler.processCallbacks();
+
+      const [release] = db.queries("attempts = attempts - 1");
+      expect(release.text).toContain("SET status = 'pending'");
+      expect(release.params).toEqual([1, callbackScheduler.workerId]);
+      expect(retellService.createCallForRoute).not.toHaveBeenCalled();
+    });
+
+    it("recovers expired leases before claiming", async () => {
+      queueCallbacks();
+
+      await callbackScheduler.processCallbacks();
+
+      const texts = db.query.mock.calls.map(([text]) => text);
+      expect(texts[0]).toContain("Worker lease expired before dialing");
+      expect(texts[1]).toContain("Worker lease expired during dial");
+      expect(texts[2]).toContain(CLAIM);
+    });
+
+    it("stops after the maximum number of claims per run", async () => {
+      const maxClaimsPerRun = callbackScheduler.maxClaimsPerRun;
+      callbackScheduler.maxClaimsPerRun = 2;
+      queueCallbacks(callback({ id: 1 }), callback({ id: 2 }), callback({ id: 3 }));
+
+      await callbackScheduler.processCallbacks();
+      callbackScheduler.maxClaimsPerRun = maxClaimsPerRun;
+
+      expect(retellService.createCallForRoute).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("dialing", () => {
+    it("calls the patient with their details and completes the callback", async () => {
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(RedoxAPIService.makeRequest).toHaveBeenCalledWith(
+        "GET",
+        `/Patient/${JANE.id}`,
+        null,
+        null,
+        "redox-token",
+        expect.any(Object),
+      );
+      expect(agentRouting.resolveForCallback).toHaveBeenCalledWith(ROUTE.id, "+15555550100");
+      expect(retellService.createCallForRoute).toHaveBeenCalledWith(
+        ROUTE,
+        "+15555550101",
+        expect.objectContaining({
+          call_type: "callback",
+          patient_id: JANE.id,
+          patient_name: "Jane Doe",
+          patient_insurance_name: "Aetna",
+          patient_appointment_id: "appt-0001",
+          patient_appointment_type: "FOLLOWUP",
+        }),
+        expect.objectContaining({ id: null }),
+      );
+      expect(db.queries(COMPLETE)[0].params).toEqual([1, "call_123"]);
+    });
+
+    it("still calls when the appointment search fails", async () => {
+      RedoxAPIService.makeRequest.mockImplementation(async (method, endpoint) => {
+        if (endpoint === "/Appointment/_search") {
+          throw new Error("Redox unavailable");
+        }
+        return JANE;
+      });
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(retellService.createCallForRoute.mock.calls[0][2]).toMatchObject({ patient_appointment_id: "" });
+      expect(db.queries(COMPLETE)).toHaveLength(1);
+    });
+
+    it("does not dial when the lease was lost", async () => {
+      db.when(DIAL_CLAIM, { rows: [] });
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(retellService.createCallForRoute).not.toHaveBeenCalled();
+      expect(db.queries(COMPLETE)).toHaveLength(0);
+      expect(db.queries(RETRY)).toHaveLength(0);
+    });
+  });
+
+  describe("catch-up policy", () => {
+    // Due 30 minutes ago, past the 15-minute grace period
+    const late = () => callback({ scheduled_time: new Date(NOW.getTime() - 30 * MINUTE_MS) });
+
+    it("dials callbacks within the grace period", async () => {
+      callbackScheduler.latePolicy = "expire";
+      queueCallbacks(callback({ scheduled_time: new Date(NOW.getTime() - 15 * MINUTE_MS) }));
+
+      await callbackScheduler.processCallbacks();
+
+      expect(retellService.createCallForRoute).toHaveBeenCalledTimes(1);
+    });
+
+    it("call_late dials late callbacks anyway", async () => {
+      callbackScheduler.latePolicy = "call_late";
+      jest.setSystemTime(new Date("2026-03-14T20:00:00.000Z")); // Saturday
+      queueCallbacks(callback({ scheduled_time: new Date("2026-03-13T20:00:00.000Z") }));
+
+      await callbackScheduler.processCallbacks();
+
+      expect(retellService.createCallForRoute).toHaveBeenCalledTimes(1);
+    });
+
+    it("reschedule dials late callbacks inside the calling window", async () => {
+      queueCallbacks(late());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(retellService.createCallForRoute).toHaveBeenCalledTimes(1);
+    });
+
+    it("reschedule moves late callbacks outside the window to the next window", async () => {
+      // Friday 7pm PST, before the spring-forward weekend
+      jest.setSystemTime(new Date("2026-03-07T03:00:00.000Z"));
+      queueCallbacks(callback({ scheduled_time: new Date("2026-03-07T01:00:00.000Z") }));
+
+      await callbackScheduler.processCallbacks();
+
+      const [update] = db.queries("attempts = attempts - 1");
+      expect(update.text).toContain("SET status = 'pending'");
+      // Monday 9am PDT
+      expect(update.params.slice(0, 3)).toEqual([
+        1,
+        new Date("2026-03-09T16:00:00.000Z"),
+        "Missed by 120 minutes, rescheduled to next calling window",
+      ]);
+      expect(retellService.createCallForRoute).not.toHaveBeenCalled();
+    });
+
+    it("expire expires late callbacks with the reason", async () => {
+      callbackScheduler.latePolicy = "expire";
+      queueCallbacks(late());
+
+      await callbackScheduler.processCallbacks();
+
+      const [update] = db.queries("SET status = 'expired'");
+      expect(update.params[1]).toBe("Expired by catch-up policy: missed by 30 minutes (grace 15 minutes)");
+      expect(retellService.createCallForRoute).not.toHaveBeenCalled();
+    });
+
+    it("measures lateness of retries from their next attempt", async () => {
+      callbackScheduler.latePolicy = "expire";
+      queueCallbacks(
+        callback({
+          scheduled_time: new Date(NOW.getTime() - 24 * 60 * MINUTE_MS),
+          next_attempt_at: new Date(NOW.getTime() - MINUTE_MS),
+          attempts: 2,
+        }),
+      );
+
+      await callbackScheduler.processCallbacks();
+
+      expect(retellService.createCallForRoute).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("failures", () => {
+    it("retries with exponential backoff and jitter", async () => {
+      RedoxAPIService.makeRequest.mockRejectedValue(new Error("socket hang up"));
+      queueCallbacks(callback({ attempts: 3 }));
+
+      await callbackScheduler.processCallbacks();
+
+      // base 1 minute * 2^(3 - 1) = 4 minutes; equal jitter at 0.5 gives 3 minutes
+      const [retry] = db.queries(RETRY);
+      expect(retry.params).toEqual([
+        1,
+        new Date(NOW.getTime() + 3 * MINUTE_MS),
+        "socket hang up",
+        callbackScheduler.workerId,
+      ]);
+    });
+
+    it("dead-letters the callback after the last attempt", async () => {
+      RedoxAPIService.makeRequest.mockRejectedValue(new Error("socket hang up"));
+      queueCallbacks(callback({ attempts: callbackScheduler.maxAttempts }));
+
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries(RETRY)).toHaveLength(0);
+      expect(db.queries(DEAD_LETTER)[0].params[1]).toBe("Max attempts (5) exhausted: socket hang up");
+    });
+
+    it("does not retry permanent errors", async () => {
+      RedoxAPIService.makeRequest.mockResolvedValue({ ...JANE, telecom: [] });
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries(DEAD_LETTER)[0].params[1]).toBe(`Patient phone number not found for patient: ${JANE.id}`);
+    });
+
+    it("does not retry a patient Redox does not return", async () => {
+      RedoxAPIService.makeRequest.mockResolvedValue({});
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries(RETRY)).toHaveLength(0);
+      expect(db.queries(DEAD_LETTER)[0].params[1]).toBe(`Patient not found: ${JANE.id}`);
+    });
+
+    it("does not retry when no agent route matches", async () => {
+      agentRouting.resolveForCallback.mockResolvedValue(null);
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries(DEAD_LETTER)[0].params[1]).toBe("No active agent route for callback number: +15555550100");
+    });
+
+    it("does not dial through another tenant's route", async () => {
+      agentRouting.resolveForCallback.mockResolvedValue({ ...ROUTE, tenantId: 9 });
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(retellService.createCallForRoute).not.toHaveBeenCalled();
+      expect(db.queries(DEAD_LETTER)).toHaveLength(1);
+    });
+
+    it.each([429, 503])("retries when Retell answers %i before placing the call", async (status) => {
+      retellService.createCallForRoute.mockRejectedValue(retellError(status));
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries(RETRY)).toHaveLength(1);
+    });
+
+    it("does not retry calls Retell rejected", async () => {
+      retellService.createCallForRoute.mockRejectedValue(retellError(400));
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries(DEAD_LETTER)[0].params[1]).toBe("Retell answered 400");
+    });
+
+    it.each([
+      ["a 500", retellError(500)],
+      ["a timeout", Object.assign(new Error("timeout of 30000ms exceeded"), { request: {} })],
+    ])("does not redial after %s, as the call may have been placed", async (label, error) => {
+      retellService.createCallForRoute.mockRejectedValue(error);
+      queueCallbacks(callback());
+
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries(RETRY)).toHaveLength(0);
+      expect(db.queries(DEAD_LETTER)[0].params[1]).toMatch(/^Dial outcome unknown, not retrying/);
+    });
+
+    it("keeps processing later callbacks after a failure", async () => {
+      retellService.createCallForRoute
+        .mockRejectedValueOnce(retellError(400))
+        .mockResolvedValueOnce({ call_id: "call_456" });
+      queueCallbacks(callback({ id: 1 }), callback({ id: 2 }));
+
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries(COMPLETE)[0].params).toEqual([2, "call_456"]);
+    });
+  });
+
+  describe("getBackoffDelay", () => {
+    it("doubles per attempt up to the maximum, keeping at least half", () => {
+      Math.random.mockReturnValue(0);
+      expect(callbackScheduler.getBackoffDelay(1)).toBe(30 * 1000);
+      expect(callbackScheduler.getBackoffDelay(2)).toBe(60 * 1000);
+      expect(callbackScheduler.getBackoffDelay(10)).toBe(30 * MINUTE_MS);
+
+      Math.random.mockReturnValue(0.9999999999);
+      expect(callbackScheduler.getBackoffDelay(1)).toBe(60 * 1000);
+      expect(callbackScheduler.getBackoffDelay(10)).toBe(60 * MINUTE_MS);
+    });
+  });
+
+  describe("requeue and cancel", () => {
+    it("requeues finished callbacks only", async () => {
+      db.when("attempts = 0", { rows: [{ id: 1, status: "pending" }] });
+
+      await expect(callbackScheduler.requeueCallback(1, null, NOW)).resolves.toEqual({ id: 1, status: "pending" });
+      expect(db.queries("attempts = 0")[0].text).toContain("status IN ('dead_letter', 'failed', 'cancelled', 'expired')");
+
+      db.reset();
+      await expect(callbackScheduler.requeueCallback(1, null)).resolves.toBeNull();
+    });
+
+    it("makes a callback requeued without a time due right away", async () => {
+      await callbackScheduler.requeueCallback(1, null);
+
+      const [requeue] = db.queries("attempts = 0");
+      expect(requeue.text).toContain("next_attempt_at = COALESCE($2, CURRENT_TIMESTAMP)");
+      expect(requeue.params).toEqual([1, null, null]);
+    });
+
+    it("dials a requeued callback whose original time is long past, whatever the late policy", async () => {
+      callbackScheduler.latePolicy = "expire";
+      queueCallbacks(
+        callback({
+          scheduled_time: new Date(NOW.getTime() - 3 * 24 * 60 * MINUTE_MS),
+          next_attempt_at: NOW,
+        }),
+      );
+
+      await callbackScheduler.processCallbacks();
+
+      expect(db.queries("SET status = 'expired'")).toHaveLength(0);
+      expect(retellService.createCallForRoute).toHaveBeenCalledTimes(1);
+    });
+
+    it("cancels pending callbacks that are not being dialed", async () => {
+      db.when("SET status = 'cancelled'", (params) => ({ rows: [{ id: params[0], error_message: params[1] }] }));
+
+      await expect(callbackScheduler.cancelCallback(1, null)).resolves.toEqual({
+        id: 1,
+        error_message: "Cancelled by administrator",
+      });
+    });
+
+    it("only requeues and cancels callbacks of the given tenant", async () => {
+      await callbackScheduler.requeueCallback(1, 2);
+      await callbackScheduler.cancelCallback(1, 2);
+
+      const [requeue] = db.queries("attempts = 0");
+      const [cancel] = db.queries("SET status = 'cancelled'");
+      expect(requeue.text).toContain("tenant_id IS NOT DISTINCT FROM $3");
+      expect(requeue.params[2]).toBe(2);
+      expect(cancel.text).toContain("tenant_id IS NOT DISTINCT FROM $3");
+      expect(cancel.params[2]).toBe(2);
+    });
+  });
+});
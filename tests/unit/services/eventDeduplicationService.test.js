@@ -0,0 +1,92 @@
+const db = require("../../helpers/fakeDb");
+const eventDeduplication = require("../../../services/eventDeduplicationService");
+
+describe("EventDeduplicationService", () => {
+  afterEach(() => {
+    eventDeduplication.stopCleanup();
+    jest.useRealTimers();
+  });
+
+  describe("claim", () => {
+    it("claims the first delivery of an event", async () => {
+      db.when("INSERT INTO processed_events", { rows: [{ event_id: "call_1" }] });
+
+      await expect(eventDeduplication.claim("call_analyzed", "call_1")).resolves.toEqual({ claimed: true });
+      expect(db.queries("INSERT INTO processed_events")[0].params).toEqual(["call_analyzed", "call_1", 72 * 3600, 600]);
+      expect(db.queries("replay_count = replay_count + 1")).toHaveLength(0);
+    });
+
+    it("reports a duplicate with the stored result and counts the replay", async () => {
+      db.when("replay_count = replay_count + 1", {
+        rows: [
+          {
+            status: "completed",
+            result: { success: true },
+            first_seen_at: "2026-03-09T16:00:00.000Z",
+            completed_at: "2026-03-09T16:00:01.000Z",
+            replay_count: 2,
+          },
+        ],
+      });
+
+      await expect(eventDeduplication.claim("call_analyzed", "call_1")).resolves.toEqual({
+        claimed: false,
+        status: "completed",
+        result: { success: true },
+        firstSeenAt: "2026-03-09T16:00:00.000Z",
+        completedAt: "2026-03-09T16:00:01.000Z",
+      });
+    });
+
+    it("treats a duplicate whose record vanished as still processing", async () => {
+      await expect(eventDeduplication.claim("call_analyzed", "call_1")).resolves.toMatchObject({
+        claimed: false,
+        status: "processing",
+        result: null,
+      });
+    });
+  });
+
+  it("stores the result on completion", async () => {
+    await eventDeduplication.complete("call_analyzed", "call_1", { success: true });
+
+    expect(db.queries("SET status = 'completed'")[0].params).toEqual(["call_analyzed", "call_1", '{"success":true}']);
+  });
+
+  it("releases only unfinished claims", async () => {
+    await eventDeduplication.release("call_analyzed", "call_1");
+
+    expect(db.queries("DELETE FROM processed_events")[0].text).toContain("status = 'processing'");
+  });
+
+  it("purges expired records every hour once started", async () => {
+    jest.useFakeTimers();
+    db.when("DELETE FROM processed_events WHERE expires_at <= NOW()", { rowCount: 3 });
+
+    eventDeduplication.startCleanup();
+    eventDeduplication.startCleanup();
+    expect(db.query).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(db.query).toHaveBeenCalledTimes(1);
+
+    eventDeduplication.stopCleanup();
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("summarises live records per event type", async () => {
+    db.when("FROM processed_events", {
+      rows: [
+        { event_type: "call_analyzed", completed: "4", processing: "1", duplicates_suppressed: "7", last_seen_at: null },
+      ],
+    });
+
+    await expect(eventDeduplication.getStats()).resolves.toEqual({
+      ttlHours: 72,
+      eventTypes: {
+        call_analyzed: { completed: 4, processing: 1, duplicatesSuppressed: 7, lastSeenAt: null },
+      },
+    });
+  });
+});
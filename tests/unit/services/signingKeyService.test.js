@@ -0,0 +1,17 @@
+const db = require("../../helpers/fakeDb");
+const signingKeys = require("../../../services/signingKeyService");
+const OAUTH_CONFIG = require("../../../config/oauth");
+
+describe("SigningKeyService", () => {
+  describe("rotate", () => {
+    it("keeps the retired key valid until tokens signed from other instances' caches expire", async () => {
+      await signingKeys.rotate();
+
+      const [rotation] = db.queries("UPDATE oauth_signing_keys");
+      const { cacheSeconds } = OAUTH_CONFIG.signingKeys;
+      const { jwtLifetimeSeconds, clockSkewSeconds } = OAUTH_CONFIG.accessToken;
+      expect(rotation.text).toContain("expires_at = NOW() + $5::int * INTERVAL '1 second'");
+      expect(rotation.params[4]).toBe(cacheSeconds + jwtLifetimeSeconds + clockSkewSeconds);
+    });
+  });
+});
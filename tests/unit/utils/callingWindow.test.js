@@ -0,0 +1,116 @@
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  isWithinCallingWindow,
+  getNextWindowStart,
+} = require("../../../utils/callingWindow");
+
+// US daylight saving time in 2026: starts Sunday March 8, ends Sunday November 1
+const WINDOW = {
+  startHour: 9,
+  endHour: 18,
+  timezone: "America/Los_Angeles",
+  days: [1, 2, 3, 4, 5],
+};
+
+const utc = (iso) => new Date(iso);
+
+describe("callingWindow", () => {
+  describe("getZonedParts", () => {
+    it("returns the wall-clock time in the timezone", () => {
+      expect(getZonedParts(utc("2026-03-09T16:30:15Z"), "America/Los_Angeles")).toEqual({
+        year: 2026,
+        month: 3,
+        day: 9,
+        hour: 9,
+        minute: 30,
+        second: 15,
+        weekday: 1,
+      });
+    });
+
+    it("rolls back the date for instants after midnight UTC", () => {
+      expect(getZonedParts(utc("2026-01-01T03:00:00Z"), "America/Los_Angeles")).toMatchObject({
+        year: 2025,
+        month: 12,
+        day: 31,
+        hour: 19,
+        weekday: 3,
+      });
+    });
+
+    it("uses hour 0 for midnight", () => {
+      expect(getZonedParts(utc("2026-06-01T07:00:00Z"), "America/Los_Angeles").hour).toBe(0);
+    });
+  });
+
+  describe("zonedTimeToUtc", () => {
+    it.each([
+      ["the Saturday before spring forward (PST)", [2026, 3, 7, 9], "2026-03-07T17:00:00.000Z"],
+      ["the Monday after spring forward (PDT)", [2026, 3, 9, 9], "2026-03-09T16:00:00.000Z"],
+      ["the Saturday before fall back (PDT)", [2026, 10, 31, 9], "2026-10-31T16:00:00.000Z"],
+      ["the Monday after fall back (PST)", [2026, 11, 2, 9], "2026-11-02T17:00:00.000Z"],
+    ])("converts 9am on %s", (label, [year, month, day, hour], expected) => {
+      expect(zonedTimeToUtc(year, month, day, hour, "America/Los_Angeles").toISOString()).toBe(expected);
+    });
+
+    it("converts times on the day of the change itself", () => {
+      // 1am is still PST, 3am already PDT (2am does not exist)
+      expect(zonedTimeToUtc(2026, 3, 8, 1, "America/Los_Angeles").toISOString()).toBe("2026-03-08T09:00:00.000Z");
+      expect(zonedTimeToUtc(2026, 3, 8, 3, "America/Los_Angeles").toISOString()).toBe("2026-03-08T10:00:00.000Z");
+      // Noon on the fall-back day is PST
+      expect(zonedTimeToUtc(2026, 11, 1, 12, "America/Los_Angeles").toISOString()).toBe("2026-11-01T20:00:00.000Z");
+    });
+
+    it("handles timezones without DST and UTC", () => {
+      expect(zonedTimeToUtc(2026, 7, 1, 9, "America/Phoenix").toISOString()).toBe("2026-07-01T16:00:00.000Z");
+      expect(zonedTimeToUtc(2026, 7, 1, 9, "UTC").toISOString()).toBe("2026-07-01T09:00:00.000Z");
+    });
+  });
+
+  describe("isWithinCallingWindow", () => {
+    it("follows the local opening hours across the DST change", () => {
+      // 16:30Z is 8:30am PST on Friday but 9:30am PDT on Monday
+      expect(isWithinCallingWindow(utc("2026-03-06T16:30:00Z"), WINDOW)).toBe(false);
+      expect(isWithinCallingWindow(utc("2026-03-09T16:30:00Z"), WINDOW)).toBe(true);
+      // 01:30Z is 5:30pm PST one Monday evening but 6:30pm PDT the next
+      expect(isWithinCallingWindow(utc("2026-03-03T01:30:00Z"), WINDOW)).toBe(true);
+      expect(isWithinCallingWindow(utc("2026-03-10T01:30:00Z"), WINDOW)).toBe(false);
+    });
+
+    it("closes at the end hour", () => {
+      expect(isWithinCallingWindow(utc("2026-03-10T00:59:59Z"), WINDOW)).toBe(true);
+      expect(isWithinCallingWindow(utc("2026-03-10T01:00:00Z"), WINDOW)).toBe(false);
+    });
+
+    it("is closed on days outside the window", () => {
+      // Saturday noon PST
+      expect(isWithinCallingWindow(utc("2026-03-07T20:00:00Z"), WINDOW)).toBe(false);
+    });
+  });
+
+  describe("getNextWindowStart", () => {
+    it("returns today's opening before it", () => {
+      expect(getNextWindowStart(utc("2026-03-10T14:00:00Z"), WINDOW).toISOString()).toBe("2026-03-10T16:00:00.000Z");
+    });
+
+    it("skips the spring-forward weekend to Monday 9am PDT", () => {
+      // Friday 7pm PST
+      expect(getNextWindowStart(utc("2026-03-07T03:00:00Z"), WINDOW).toISOString()).toBe("2026-03-09T16:00:00.000Z");
+    });
+
+    it("skips the fall-back weekend to Monday 9am PST", () => {
+      // Friday 7pm PDT
+      expect(getNextWindowStart(utc("2026-10-31T02:00:00Z"), WINDOW).toISOString()).toBe("2026-11-02T17:00:00.000Z");
+    });
+
+    it("returns tomorrow's opening once today's has passed", () => {
+      // Tuesday 10am PDT
+      expect(getNextWindowStart(utc("2026-03-10T17:00:00Z"), WINDOW).toISOString()).toBe("2026-03-11T16:00:00.000Z");
+    });
+
+    it("returns null without calling days", () => {
+      expect(getNextWindowStart(utc("2026-03-10T14:00:00Z"), { ...WINDOW, days: [] })).toBeNull();
+    });
+  });
+});
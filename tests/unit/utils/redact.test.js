@@ -0,0 +1,46 @@
+const { REDACTED, redact } = require("../../../utils/redact");
+
+describe("redact", () => {
+  it("masks the names of FHIR Patient resources, including their text", () => {
+    const patient = {
+      resourceType: "Patient",
+      id: "p-1",
+      name: [{ use: "official", text: "Jane Doe", given: ["Jane"], family: "Doe" }],
+      contact: [{ name: { text: "John Doe" }, relationship: [{ text: "Spouse" }] }],
+    };
+
+    expect(redact(patient)).toEqual({
+      resourceType: "Patient",
+      id: "p-1",
+      name: REDACTED,
+      contact: [{ name: REDACTED, relationship: [{ text: "Spouse" }] }],
+    });
+  });
+
+  it("masks names under a patient key", () => {
+    expect(redact({ patient: { name: "Jane Doe", id: "p-1" } })).toEqual({ patient: { name: REDACTED, id: "p-1" } });
+  });
+
+  it("masks given and family names wherever they appear", () => {
+    expect(redact({ args: { given: "Jane", family: "Doe", birth_date: "1985-04-12" } })).toEqual({
+      args: { given: REDACTED, family: REDACTED, birth_date: REDACTED },
+    });
+  });
+
+  it("keeps function, client and agent names readable", () => {
+    const entry = {
+      name: "find_patient",
+      oauthClient: { name: "Acme Scheduling" },
+      agent: { name: "Scheduling agent" },
+      Meta: { Source: { ID: "source-1", Name: "Redox Dev Tools" } },
+    };
+
+    expect(redact(entry)).toEqual(entry);
+  });
+
+  it("applies the path rules to JSON strings", () => {
+    const body = JSON.stringify({ name: "book_appointment", args: { patient: { name: "Jane Doe" } } });
+
+    expect(JSON.parse(redact(body))).toEqual({ name: "book_appointment", args: { patient: { name: REDACTED } } });
+  });
+});
@@ -0,0 +1,504 @@
+const RedoxTransformer = require("../../../utils/redoxTransformer");
+const REDOX_CONFIG = require("../../../config/redox");
+const createRedoxFixtures = require("../../../mocks/fixtures/redox");
+
+// Wednesday; the fixture slots fall on the next five weekdays (Mar 5 - 11)
+const NOW = new Date("2026-03-04T12:00:00.000Z");
+const JANE_ID = "8f2a6c1e-3b4d-4e5f-9a01-1c2d3e4f5a6b";
+
+const bundle = (...resources) => ({
+  resourceType: "Bundle",
+  type: "searchset",
+  entry: resources.map((resource) => ({ resource })),
+});
+
+const resourceOf = (messageBundle, type) =>
+  messageBundle.entry.find((entry) => entry.resource.resourceType === type).resource;
+
+describe("RedoxTransformer", () => {
+  let fixtures;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ["nextTick", "setImmediate"] });
+    fixtures = createRedoxFixtures(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe("createMessageHeader", () => {
+    it("builds a MessageHeader entry from our Redox source", () => {
+      const header = RedoxTransformer.createMessageHeader("urn:event", "urn:uuid:focus");
+
+      expect(header.fullUrl).toBe(`urn:uuid:${header.resource.id}`);
+      expect(header.resource).toEqual({
+        resourceType: "MessageHeader",
+        id: expect.any(String),
+        eventUri: "urn:event",
+        source: { name: REDOX_CONFIG.sourceApp, endpoint: REDOX_CONFIG.sourceEndpoint },
+        focus: [{ reference: "urn:uuid:focus" }],
+      });
+    });
+
+    it("gives every header its own ID", () => {
+      const first = RedoxTransformer.createMessageHeader("urn:event", "a");
+      const second = RedoxTransformer.createMessageHeader("urn:event", "a");
+
+      expect(first.resource.id).not.toBe(second.resource.id);
+    });
+  });
+
+  describe("search parameters", () => {
+    it("searches patients by phone", () => {
+      expect(RedoxTransformer.createPatientSearchParams("+15555550101")).toEqual({ phone: "+15555550101" });
+    });
+
+    it("searches patients by date of birth and zip code, leaving out missing values", () => {
+      expect(RedoxTransformer.createPatientSearchByDobZipParams("1985-04-12", "33324")).toEqual({
+        birthdate: "1985-04-12",
+        "address-postalcode": "33324",
+      });
+      expect(RedoxTransformer.createPatientSearchByDobZipParams("1985-04-12")).toEqual({ birthdate: "1985-04-12" });
+      expect(RedoxTransformer.createPatientSearchByDobZipParams()).toEqual({});
+    });
+
+    it("searches patients by date of birth and name, leaving out missing values", () => {
+      expect(RedoxTransformer.createPatientSearchByDobNameParams("1985-04-12", "Jane", "Doe")).toEqual({
+        birthdate: "1985-04-12",
+        given: "Jane",
+        family: "Doe",
+      });
+      expect(RedoxTransformer.createPatientSearchByDobNameParams("1985-04-12", null, "Doe")).toEqual({
+        birthdate: "1985-04-12",
+        family: "Doe",
+      });
+    });
+
+    it("searches slots by location, service type (as a FHIR text token) and start", () => {
+      expect(
+        RedoxTransformer.createSlotSearchParams("Plantation", "Consultation", "2026-03-05T00:00:00.000Z"),
+      ).toEqual({
+        "location.name": "Plantation",
+        "service-type": JSON.stringify({ text: "Consultation" }),
+        start: "2026-03-05T00:00:00.000Z",
+      });
+      expect(RedoxTransformer.createSlotSearchParams()).toEqual({});
+    });
+
+    it("searches appointments by patient", () => {
+      expect(RedoxTransformer.createAppointmentSearchParams(JANE_ID)).toEqual({ patient: JANE_ID });
+      expect(RedoxTransformer.createAppointmentSearchParams()).toEqual({});
+    });
+
+    it("searches documents by patient, date range and category", () => {
+      expect(
+        RedoxTransformer.createDocumentReferenceSearchParams(JANE_ID, "2026-01-01", "2026-02-01", "clinical-note"),
+      ).toEqual({
+        patient: `Patient/${JANE_ID}`,
+        date: "ge2026-01-01&date=le2026-02-01",
+        category: "clinical-note",
+      });
+      expect(RedoxTransformer.createDocumentReferenceSearchParams(JANE_ID, "2026-01-01")).toEqual({
+        patient: `Patient/${JANE_ID}`,
+        date: "ge2026-01-01",
+      });
+      expect(RedoxTransformer.createDocumentReferenceSearchParams(JANE_ID, null, "2026-02-01")).toEqual({
+        patient: `Patient/${JANE_ID}`,
+        date: "le2026-02-01",
+      });
+    });
+  });
+
+  describe("transformSlotSearchResponse", () => {
+    it("returns the first ten free future slots in start order", () => {
+      const slots = RedoxTransformer.transformSlotSearchResponse(bundle(...[...fixtures.slots].reverse()));
+
+      expect(slots).toHaveLength(10);
+      expect(slots[0]).toEqual({
+        slotId: "slot-1-9",
+        startTime: "2026-03-05T09:00:00.000Z",
+        endTime: "2026-03-05T09:30:00.000Z",
+        dayOfWeek: "Thursday",
+        serviceType: "Consultation",
+        status: "free",
+      });
+      expect(slots.map((slot) => slot.slotId)).not.toContain("slot-1-10");
+      expect(slots.map((slot) => slot.startTime)).toEqual(slots.map((slot) => slot.startTime).sort());
+    });
+
+    it("drops past slots and other resources", () => {
+      const past = { ...fixtures.slots[0], id: "past", start: "2026-03-01T09:00:00.000Z" };
+      const slots = RedoxTransformer.transformSlotSearchResponse(bundle(past, fixtures.patients[0], fixtures.slots[2]));
+
+      expect(slots.map((slot) => slot.slotId)).toEqual(["slot-1-11"]);
+    });
+
+    it("returns no slots for an empty or missing bundle", () => {
+      expect(RedoxTransformer.transformSlotSearchResponse({ resourceType: "Bundle" })).toEqual([]);
+      expect(RedoxTransformer.transformSlotSearchResponse(null)).toEqual([]);
+    });
+  });
+
+  describe("transformPatientSearchResponse", () => {
+    it("flattens patients with their contact details and insurance", () => {
+      const [jane, maria] = RedoxTransformer.transformPatientSearchResponse(
+        bundle(fixtures.patients[0], fixtures.patients[2]),
+      );
+
+      expect(jane).toEqual({
+        patientId: JANE_ID,
+        fullName: "Jane Doe",
+        phone: "+15555550101",
+        email: "jane.doe@example.com",
+        dateOfBirth: "1985-04-12",
+        zipCode: "33324",
+        address: "100 Main St, Plantation, FL 33324",
+        insuranceName: "Aetna",
+        insuranceType: "PPO",
+        insuranceMemberId: "AET-123456",
+      });
+      expect(maria).toMatchObject({ fullName: "Maria Garcia", insuranceName: "Flores-Rivera", insuranceMemberId: null });
+    });
+
+    it("fills in what a sparse patient lacks", () => {
+      const [patient] = RedoxTransformer.transformPatientSearchResponse(bundle({ resourceType: "Patient", id: "p1" }));
+
+      expect(patient).toMatchObject({
+        patientId: "p1",
+        fullName: "Unknown",
+        phone: null,
+        email: null,
+        dateOfBirth: null,
+        zipCode: null,
+        address: null,
+      });
+    });
+
+    it("returns no patients without entries", () => {
+      expect(RedoxTransformer.transformPatientSearchResponse({})).toEqual([]);
+    });
+  });
+
+  describe("transformPatientSearchByDobZipResponse", () => {
+    it("returns only patient IDs and names", () => {
+      expect(
+        RedoxTransformer.transformPatientSearchByDobZipResponse(bundle(fixtures.patients[0], fixtures.patients[2])),
+      ).toEqual([
+        { patientId: JANE_ID, patientName: "Jane Doe" },
+        { patientId: "c4d5e6f7-0a1b-4c2d-9e3f-4a5b6c7d8e9f", patientName: "Maria Garcia" },
+      ]);
+      expect(RedoxTransformer.transformPatientSearchByDobZipResponse(null)).toEqual([]);
+    });
+  });
+
+  describe("transformAppointmentSearchResponse", () => {
+    it("returns the most recently updated appointment only", () => {
+      const older = { ...fixtures.appointments[0], id: "appt-old", meta: { lastUpdated: "2025-01-01T00:00:00.000Z" } };
+
+      expect(RedoxTransformer.transformAppointmentSearchResponse(bundle(older, fixtures.appointments[0]))).toEqual([
+        {
+          appointmentId: "appt-0001",
+          appointmentType: "FOLLOWUP",
+          startTime: "2026-03-05T10:00:00.000Z",
+          status: "booked",
+          description: "Follow-up appointment to discuss MRI brain results",
+          lastUpdated: "2026-02-25T12:00:00.000Z",
+        },
+      ]);
+    });
+
+    it("returns no appointments for an empty bundle", () => {
+      expect(RedoxTransformer.transformAppointmentSearchResponse(bundle())).toEqual([]);
+    });
+  });
+
+  describe("transformPatientWithAppointmentDetails", () => {
+    it("combines the first patient with their appointment", () => {
+      expect(
+        RedoxTransformer.transformPatientWithAppointmentDetails(
+          bundle(fixtures.patients[0]),
+          bundle(fixtures.appointments[0]),
+        ),
+      ).toEqual({
+        patient_id: JANE_ID,
+        patient_name: "Jane Doe",
+        patient_insurance_member_id: "AET-123456",
+        patient_insurance_name: "Aetna",
+        patient_appointment_type: "FOLLOWUP",
+        patient_appointment_status: "booked",
+        provider_location: "Plantation, Florida",
+        alternate_location: "",
+      });
+    });
+
+    it("leaves the appointment fields empty without appointments", () => {
+      expect(
+        RedoxTransformer.transformPatientWithAppointmentDetails(bundle(fixtures.patients[2]), bundle()),
+      ).toMatchObject({ patient_insurance_member_id: "", patient_appointment_type: "", patient_appointment_status: "" });
+    });
+
+    it("returns null when no patient was found", () => {
+      expect(RedoxTransformer.transformPatientWithAppointmentDetails(bundle(), null)).toBeNull();
+      expect(RedoxTransformer.transformPatientWithAppointmentDetails(bundle(fixtures.slots[0]), null)).toBeNull();
+    });
+  });
+
+  describe("transformAppointmentCreateResponse", () => {
+    it("reads the status and generated ID of a message response", () => {
+      expect(
+        RedoxTransformer.transformAppointmentCreateResponse({
+          resourceType: "Bundle",
+          entry: [
+            {
+              response: {
+                status: "201 Created",
+                location: "https://fhir.redoxengine.com/fhir-sandbox/Appointment/appt-42/_history/1",
+              },
+            },
+          ],
+        }),
+      ).toEqual({
+        statusCode: 201,
+        success: true,
+        location: "https://fhir.redoxengine.com/fhir-sandbox/Appointment/appt-42/_history/1",
+        generatedId: "appt-42",
+      });
+    });
+
+    it("reports an OperationOutcome as a failure", () => {
+      expect(
+        RedoxTransformer.transformAppointmentCreateResponse({
+          resourceType: "OperationOutcome",
+          issue: [{ severity: "error", code: "invalid", details: { text: "Slot is not free" } }],
+        }),
+      ).toEqual({ statusCode: 400, error: "Slot is not free", success: false });
+    });
+
+    it("assumes success for other responses", () => {
+      expect(RedoxTransformer.transformAppointmentCreateResponse({})).toEqual({ statusCode: 200, success: true });
+    });
+  });
+
+  describe("createAppointmentBundle", () => {
+    it("builds an AppointmentCreate message", () => {
+      const message = RedoxTransformer.createAppointmentBundle(
+        JANE_ID,
+        "Follow-up",
+        "2026-03-05T09:00:00.000Z",
+        "2026-03-05T09:30:00.000Z",
+        "booked",
+      );
+      const header = resourceOf(message, "MessageHeader");
+      const appointment = resourceOf(message, "Appointment");
+
+      expect(message).toMatchObject({ resourceType: "Bundle", type: "message", timestamp: NOW.toISOString() });
+      expect(header.eventUri).toBe("https://fhir.redoxengine.com/EventDefinition/AppointmentCreate");
+      expect(header.focus[0].reference).toBe(message.entry[1].fullUrl);
+      expect(appointment).toMatchObject({
+        status: "booked",
+        start: "2026-03-05T09:00:00.000Z",
+        end: "2026-03-05T09:30:00.000Z",
+        minutesDuration: 30,
+        appointmentType: { coding: [{ code: "FOLLOWUP", display: "Follow-up" }] },
+        participant: [{ actor: { reference: `Patient/${JANE_ID}`, display: "Patient 8f2a6c1e" } }],
+      });
+      expect(appointment.identifier[0].value).toMatch(/^appt-2026-03-04-\d{3}$/);
+    });
+
+    it("defaults to a proposed appointment and leaves out missing fields", () => {
+      const appointment = resourceOf(RedoxTransformer.createAppointmentBundle(JANE_ID, null, null, null, "bogus"), "Appointment");
+
+      expect(appointment.status).toBe("proposed");
+      expect(appointment).not.toHaveProperty("appointmentType");
+      expect(appointment).not.toHaveProperty("start");
+      expect(appointment).not.toHaveProperty("minutesDuration");
+    });
+  });
+
+  describe("createAppointmentUpdateBundle", () => {
+    it("builds an AppointmentUpdate message for the appointment", () => {
+      const message = RedoxTransformer.createAppointmentUpdateBundle(
+        "appt-0001",
+        JANE_ID,
+        "Consultation",
+        "2026-03-06T14:00:00.000Z",
+        "2026-03-06T15:00:00.000Z",
+        "cancelled",
+      );
+
+      expect(resourceOf(message, "MessageHeader").eventUri).toBe(
+        "https://fhir.redoxengine.com/EventDefinition/AppointmentUpdate",
+      );
+      expect(resourceOf(message, "Appointment")).toMatchObject({
+        id: "appt-0001",
+        status: "cancelled",
+        minutesDuration: 60,
+        appointmentType: { coding: [{ code: "CONSULTATION", display: "Consultation" }] },
+      });
+    });
+
+    it("falls back to booked for an invalid status", () => {
+      const message = RedoxTransformer.createAppointmentUpdateBundle("appt-0001", JANE_ID, null, null, null, "bogus");
+
+      expect(resourceOf(message, "Appointment").status).toBe("booked");
+    });
+  });
+
+  describe("createPatientBundle", () => {
+    const patientData = {
+      firstName: "Alex",
+      lastName: "Rivera",
+      gender: "male",
+      birthDate: "1995-02-14",
+      phone: "+15555550199",
+      email: "alex@example.com",
+      address: "9 Pine Rd",
+      city: "Plantation",
+      state: "FL",
+      zipCode: "33324",
+      insuranceName: "Cigna",
+      insuranceMemberId: "CIG-1",
+      medicalRecordNumber: "MR-9",
+    };
+
+    it("builds a PatientCreate message with demographics and insurance", () => {
+      const message = RedoxTransformer.createPatientBundle(patientData);
+      const patient = resourceOf(message, "Patient");
+
+      expect(resourceOf(message, "MessageHeader").eventUri).toBe(
+        "https://fhir.redoxengine.com/EventDefinition/PatientCreate",
+      );
+      expect(patient).toMatchObject({
+        name: [{ use: "official", family: "Rivera", given: ["Alex"] }],
+        gender: "male",
+        birthDate: "1995-02-14",
+        telecom: [
+          { system: "phone", use: "home", value: "+15555550199" },
+          { system: "email", value: "alex@example.com" },
+        ],
+        address: [{ line: ["9 Pine Rd"], city: "Plantation", state: "FL", postalCode: "33324", country: "US" }],
+        contact: [{ name: { text: "Cigna" } }],
+      });
+      expect(patient.identifier).toEqual([
+        { system: "urn:redox:flow-ai:MR", use: "official", value: "MR-9" },
+        expect.objectContaining({ system: "urn:redox:flow-ai:insurance", value: "CIG-1" }),
+      ]);
+    });
+
+    it("round-trips through the patient search transform", () => {
+      const patient = { ...resourceOf(RedoxTransformer.createPatientBundle(patientData), "Patient"), id: "p-alex" };
+
+      expect(RedoxTransformer.transformPatientSearchResponse(bundle(patient))[0]).toMatchObject({
+        fullName: "Alex Rivera",
+        insuranceName: "Cigna",
+        insuranceMemberId: "CIG-1",
+        address: "9 Pine Rd, Plantation, FL 33324",
+      });
+    });
+
+    it("fills in defaults for a minimal patient", () => {
+      const patient = resourceOf(RedoxTransformer.createPatientBundle({}), "Patient");
+
+      expect(patient).toMatchObject({
+        name: [{ family: "Unknown", given: ["Unknown"] }],
+        gender: "unknown",
+        birthDate: null,
+        telecom: [],
+        address: [],
+      });
+      expect(patient.identifier[0].value).toMatch(/^MR-/);
+      expect(patient).not.toHaveProperty("contact");
+    });
+  });
+
+  describe("createPatientUpdateBundle", () => {
+    it("builds a PatientUpdate message focused on the patient", () => {
+      const message = RedoxTransformer.createPatientUpdateBundle({
+        patientId: JANE_ID,
+        firstName: "Jane",
+        lastName: "Doe",
+        phone: "+15555550111",
+        insuranceMemberId: "AET-999",
+      });
+      const header = resourceOf(message, "MessageHeader");
+      const patient = resourceOf(message, "Patient");
+
+      expect(header.eventUri).toBe("https://fhir.redoxengine.com/EventDefinition/PatientUpdate");
+      expect(header.focus).toEqual([{ reference: `Patient/${JANE_ID}` }]);
+      expect(patient).toMatchObject({
+        id: JANE_ID,
+        name: [{ family: "Doe", given: ["Jane"] }],
+        telecom: [{ system: "phone", value: "+15555550111" }],
+        address: [],
+      });
+      expect(patient.identifier[1]).toMatchObject({ value: "AET-999", type: { coding: [{ code: "MB" }] } });
+      expect(patient).not.toHaveProperty("contact");
+    });
+
+    it("leaves the name out when none is given", () => {
+      const patient = resourceOf(RedoxTransformer.createPatientUpdateBundle({ patientId: JANE_ID, zipCode: "33301" }), "Patient");
+
+      expect(patient.name).toEqual([]);
+      expect(patient.address).toEqual([expect.objectContaining({ line: [], postalCode: "33301" })]);
+    });
+  });
+
+  describe("createDocumentReferenceBundle", () => {
+    it("builds a DocumentReferenceCreate message with the content base64-encoded", () => {
+      const message = RedoxTransformer.createDocumentReferenceBundle(JANE_ID, "Reason for visit: headaches.", {
+        callId: "call_1",
+      });
+      const document = resourceOf(message, "DocumentReference");
+
+      expect(resourceOf(message, "MessageHeader").eventUri).toBe(
+        "https://fhir.redoxengine.com/EventDefinition/DocumentReferenceCreate",
+      );
+      expect(document).toMatchObject({
+        status: "current",
+        subject: { reference: `Patient/${JANE_ID}` },
+        date: NOW.toISOString(),
+        category: [{ coding: [{ code: "clinical-note" }] }],
+      });
+      expect(Buffer.from(document.content[0].attachment.data, "base64").toString()).toBe("Reason for visit: headaches.");
+    });
+  });
+
+  describe("transformDocumentReferenceSearchResponse", () => {
+    it("decodes documents and resolves their patient", () => {
+      expect(RedoxTransformer.transformDocumentReferenceSearchResponse(bundle(fixtures.documentReferences[0]))).toEqual([
+        {
+          documentId: "doc-0001",
+          status: "current",
+          type: "History and Physical",
+          category: "Clinical Note",
+          patientId: JANE_ID,
+          date: "2026-02-02T12:00:00.000Z",
+          author: "Flow AI System",
+          description: "Patient intake information collected during call",
+          content: "Reason for visit: recurring headaches.",
+          contentType: "text/plain",
+          title: "Patient Intake Details",
+        },
+      ]);
+    });
+
+    it("fills in defaults for a sparse document", () => {
+      expect(
+        RedoxTransformer.transformDocumentReferenceSearchResponse(bundle({ resourceType: "DocumentReference", id: "d" })),
+      ).toEqual([
+        expect.objectContaining({
+          documentId: "d",
+          type: "Unknown",
+          category: "Unknown",
+          patientId: null,
+          author: "Unknown",
+          content: null,
+          contentType: "text/plain",
+          title: "Untitled",
+        }),
+      ]);
+      expect(RedoxTransformer.transformDocumentReferenceSearchResponse(null)).toEqual([]);
+    });
+  });
+});
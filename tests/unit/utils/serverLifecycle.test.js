@@ -0,0 +1,57 @@
+const { EventEmitter } = require("events");
+const ServerLifecycle = require("../../../utils/serverLifecycle");
+
+// Run a request through the middleware of lifecycle.track(kind)
+function trackRequest(lifecycle, kind) {
+  const res = new EventEmitter();
+  lifecycle.track(kind)({}, res, () => {});
+  return res;
+}
+
+describe("ServerLifecycle", () => {
+  it("is ready until shutdown begins", () => {
+    const lifecycle = new ServerLifecycle();
+
+    expect(lifecycle.isReady()).toBe(true);
+    lifecycle.beginShutdown();
+    expect(lifecycle.isReady()).toBe(false);
+    expect(lifecycle.isShuttingDown()).toBe(true);
+    lifecycle.markStopped();
+    lifecycle.beginShutdown();
+    expect(lifecycle.getStatus().state).toBe("stopped");
+  });
+
+  it("counts tracked requests until their response finishes or the connection closes", () => {
+    const lifecycle = new ServerLifecycle();
+
+    const finished = trackRequest(lifecycle, "retellFunctionCall");
+    const aborted = trackRequest(lifecycle, "retellFunctionCall");
+    trackRequest(lifecycle, "other");
+    expect(lifecycle.getStatus().inFlight).toEqual({ retellFunctionCall: 2, other: 1 });
+
+    finished.emit("finish");
+    finished.emit("close");
+    aborted.emit("close");
+
+    expect(lifecycle.getInFlight("retellFunctionCall")).toBe(0);
+    expect(lifecycle.getInFlight()).toBe(1);
+  });
+
+  it("resolves whenIdle once nothing is in flight", async () => {
+    const lifecycle = new ServerLifecycle();
+    await expect(lifecycle.whenIdle()).resolves.toBeUndefined();
+
+    const first = trackRequest(lifecycle, "retellFunctionCall");
+    const second = trackRequest(lifecycle, "retellFunctionCall");
+    const idle = jest.fn();
+    lifecycle.whenIdle().then(idle);
+
+    first.emit("finish");
+    await Promise.resolve();
+    expect(idle).not.toHaveBeenCalled();
+
+    second.emit("finish");
+    await Promise.resolve();
+    expect(idle).toHaveBeenCalled();
+  });
+});
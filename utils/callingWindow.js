@@ -0,0 +1,123 @@
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Get the wall-clock date parts of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timezone - IANA timezone (e.g. 'America/Los_Angeles')
+ * @returns {object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "short",
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant (DST aware)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour (0-23)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(year, month, day, hour, timezone) {
+  const wallClockMs = Date.UTC(year, month - 1, day, hour);
+  let utcMs = wallClockMs;
+
+  // Two passes settle the offset when the target time is across a DST change
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(utcMs), timezone);
+    const zonedMs = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+    utcMs += wallClockMs - zonedMs;
+  }
+
+  return new Date(utcMs);
+}
+
+/**
+ * Check whether an instant falls inside the calling window
+ * @param {Date} date - The instant to check
+ * @param {object} window - { startHour, endHour, timezone, days }
+ * @returns {boolean}
+ */
+function isWithinCallingWindow(date, window) {
+  const parts = getZonedParts(date, window.timezone);
+
+  return (
+    window.days.includes(parts.weekday) &&
+    parts.hour >= window.startHour &&
+    parts.hour < window.endHour
+  );
+}
+
+/**
+ * Get the start of the next calling window after an instant
+ * @param {Date} date - The reference instant
+ * @param {object} window - { startHour, endHour, timezone, days }
+ * @returns {Date|null} - Start of the next window, or null if no calling days are configured
+ */
+function getNextWindowStart(date, window) {
+  const parts = getZonedParts(date, window.timezone);
+
+  // Walk forward day by day (in the window's timezone) from today
+  for (let offset = 0; offset <= 7; offset++) {
+    const calendarDay = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offset));
+    const weekday = calendarDay.getUTCDay();
+
+    if (!window.days.includes(weekday)) {
+      continue;
+    }
+
+    const windowStart = zonedTimeToUtc(
+      calendarDay.getUTCFullYear(),
+      calendarDay.getUTCMonth() + 1,
+      calendarDay.getUTCDate(),
+      window.startHour,
+      window.timezone
+    );
+
+    if (windowStart > date) {
+      return windowStart;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getZonedParts,
+  zonedTimeToUtc,
+  isWithinCallingWindow,
+  getNextWindowStart,
+};
@@ -0,0 +1,237 @@
+/**
+ * Find the FHIR OperationOutcome in a Redox response body: either the body
+ * itself or the outcome of a Bundle entry
+ * @param {*} data - Response body
+ * @returns {object|null}
+ */
+function extractOperationOutcome(data) {
+  if (!data || typeof data !== "object") {
+    return null;
+  }
+  if (data.resourceType === "OperationOutcome") {
+    return data;
+  }
+  if (data.resourceType === "Bundle" && Array.isArray(data.entry)) {
+    for (const entry of data.entry) {
+      if (entry?.resource?.resourceType === "OperationOutcome") {
+        return entry.resource;
+      }
+      if (entry?.response?.outcome?.resourceType === "OperationOutcome") {
+        return entry.response.outcome;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Stable error codes of the API error envelope (see middleware/errorHandler)
+ * and of Retell function-call error results. Clients may rely on them; do
+ * not rename.
+ */
+const ERROR_CODES = {
+  BAD_REQUEST: "BAD_REQUEST",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+  REDOX_ERROR: "REDOX_ERROR",
+  REDOX_NOT_FOUND: "REDOX_NOT_FOUND",
+  REDOX_VALIDATION_FAILED: "REDOX_VALIDATION_FAILED",
+  REDOX_AUTH_FAILED: "REDOX_AUTH_FAILED",
+  UPSTREAM_UNAVAILABLE: "UPSTREAM_UNAVAILABLE",
+  UPSTREAM_TIMEOUT: "UPSTREAM_TIMEOUT",
+};
+
+/**
+ * Base class of errors that know how they are reported to API clients:
+ * status is the HTTP status of the response and code its stable error code.
+ * retryable tells callers whether trying again later may succeed.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} options - { status, code, retryable, cause }
+   */
+  constructor(message, { status = 500, code = ERROR_CODES.INTERNAL_ERROR, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "AppError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * A failed Redox FHIR API request. statusCode is the HTTP status Redox
+ * answered with (null if no response was received), operationOutcome the
+ * FHIR OperationOutcome it returned, if any, and cause the underlying axios
+ * or network error.
+ * Use createRedoxError to get the subclass matching the Redox status; this
+ * class itself covers answers without a more specific meaning (502).
+ */
+class RedoxApiError extends AppError {
+  /**
+   * @param {string} message
+   * @param {object} details - { statusCode, operationOutcome, retryAfterMs, method, endpoint, attempts, cause }
+   */
+  constructor(
+    message,
+    {
+      statusCode = null,
+      operationOutcome = null,
+      retryAfterMs = null,
+      method,
+      endpoint,
+      attempts = 1,
+      cause,
+    } = {},
+  ) {
+    super(message, { status: 502, code: ERROR_CODES.REDOX_ERROR, cause });
+    this.name = "RedoxApiError";
+    this.statusCode = statusCode;
+    this.operationOutcome = operationOutcome;
+    this.retryAfterMs = retryAfterMs;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.attempts = attempts;
+  }
+
+  /**
+   * The issues of the OperationOutcome
+   * @returns {object[]}
+   */
+  get issues() {
+    return this.operationOutcome?.issue || [];
+  }
+}
+
+/**
+ * Redox has no such resource (404, 410), e.g. an unknown patient ID
+ */
+class RedoxNotFoundError extends RedoxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "RedoxNotFoundError";
+    this.status = 404;
+    this.code = ERROR_CODES.REDOX_NOT_FOUND;
+  }
+}
+
+/**
+ * Redox rejected the request's content (400, 422); issues says why
+ */
+class RedoxValidationError extends RedoxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "RedoxValidationError";
+    this.status = 422;
+    this.code = ERROR_CODES.REDOX_VALIDATION_FAILED;
+  }
+}
+
+/**
+ * Redox rejected our credentials (401, 403). This is our configuration
+ * problem, not the API client's, so it is reported as a 502; it may succeed
+ * once the credentials are fixed.
+ */
+class RedoxAuthError extends RedoxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "RedoxAuthError";
+    this.code = ERROR_CODES.REDOX_AUTH_FAILED;
+    this.retryable = true;
+  }
+}
+
+/**
+ * Redox is down, overloaded or unreachable (5xx, 429, network errors); the
+ * request may succeed later. retryAfterMs is Redox's Retry-After, if known.
+ */
+class UpstreamUnavailableError extends RedoxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "UpstreamUnavailableError";
+    this.status = 503;
+    this.code = ERROR_CODES.UPSTREAM_UNAVAILABLE;
+    this.retryable = true;
+  }
+}
+
+/**
+ * Redox did not answer within the endpoint's timeout
+ */
+class RedoxTimeoutError extends UpstreamUnavailableError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "RedoxTimeoutError";
+    this.status = 504;
+    this.code = ERROR_CODES.UPSTREAM_TIMEOUT;
+  }
+}
+
+/**
+ * The request was not sent because the circuit breaker for the Redox
+ * environment is open after repeated failures
+ */
+class RedoxCircuitOpenError extends UpstreamUnavailableError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "RedoxCircuitOpenError";
+  }
+}
+
+/**
+ * Create the RedoxApiError subclass matching the status Redox answered with
+ * @param {string} message
+ * @param {object} details - See RedoxApiError; statusCode is null if Redox did not answer
+ * @returns {RedoxApiError}
+ */
+function createRedoxError(message, details = {}) {
+  const { statusCode = null } = details;
+
+  if (statusCode === 404 || statusCode === 410) {
+    return new RedoxNotFoundError(message, details);
+  }
+  if (statusCode === 400 || statusCode === 422) {
+    return new RedoxValidationError(message, details);
+  }
+  if (statusCode === 401 || statusCode === 403) {
+    return new RedoxAuthError(message, details);
+  }
+  if (statusCode === null || statusCode === 429 || statusCode >= 500) {
+    return new UpstreamUnavailableError(message, details);
+  }
+  return new RedoxApiError(message, details);
+}
+
+/**
+ * The FHIR issues of an error in the form reported to clients
+ * @param {Error} error
+ * @returns {object[]} - [{ severity, code, diagnostics, expression }]
+ */
+function formatIssues(error) {
+  return (error.issues || []).map((issue) => ({
+    severity: issue.severity,
+    code: issue.code,
+    ...(issue.diagnostics && { diagnostics: issue.diagnostics }),
+    ...(issue.details?.text && { details: issue.details.text }),
+    ...(issue.expression && { expression: issue.expression }),
+  }));
+}
+
+module.exports = {
+  ERROR_CODES,
+  extractOperationOutcome,
+  createRedoxError,
+  formatIssues,
+  AppError,
+  RedoxApiError,
+  RedoxNotFoundError,
+  RedoxValidationError,
+  RedoxAuthError,
+  UpstreamUnavailableError,
+  RedoxTimeoutError,
+  RedoxCircuitOpenError,
+};
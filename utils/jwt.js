@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+
+// Supported asymmetric JWS algorithms. Symmetric (HS*) and "none" are never
+// accepted: a JWT must be verifiable with a registered public key.
+const ALGORITHMS = {
+  RS256: { hash: "sha256", kty: "RSA" },
+  RS384: { hash: "sha384", kty: "RSA" },
+  RS512: { hash: "sha512", kty: "RSA" },
+  PS256: { hash: "sha256", kty: "RSA", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: "sha384", kty: "RSA", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: "sha512", kty: "RSA", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: "sha256", kty: "EC", crv: "P-256" },
+  ES384: { hash: "sha384", kty: "EC", crv: "P-384" },
+  ES512: { hash: "sha512", kty: "EC", crv: "P-521" },
+};
+
+/**
+ * Base64url-encode a buffer or string
+ * @param {Buffer|string} input
+ * @returns {string}
+ */
+function base64UrlEncode(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+/**
+ * Split and decode a compact JWS without verifying it
+ * @param {string} token - Compact JWT
+ * @returns {object|null} - { header, payload, signingInput, signature } or null if malformed
+ */
+function decodeJwt(token) {
+  if (typeof token !== "string") {
+    return null;
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+    const payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+
+    if (!header || typeof header !== "object" || !payload || typeof payload !== "object") {
+      return null;
+    }
+
+    return {
+      header,
+      payload,
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], "base64url"),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Import a public JWK, rejecting private keys and keys unusable for signatures
+ * @param {object} jwk - JSON Web Key
+ * @returns {crypto.KeyObject}
+ * @throws {Error} If the key is invalid
+ */
+function importPublicJwk(jwk) {
+  if (!jwk || typeof jwk !== "object") {
+    throw new Error("JWK must be an object");
+  }
+  if (jwk.d !== undefined) {
+    throw new Error("JWK must be a public key (contains private key material)");
+  }
+  if (!["RSA", "EC"].includes(jwk.kty)) {
+    throw new Error(`Unsupported JWK key type: ${jwk.kty}`);
+  }
+  if (jwk.use !== undefined && jwk.use !== "sig") {
+    throw new Error(`JWK use must be "sig", got "${jwk.use}"`);
+  }
+  if (jwk.alg !== undefined && !ALGORITHMS[jwk.alg]) {
+    throw new Error(`Unsupported JWK algorithm: ${jwk.alg}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/**
+ * Find the keys in a JWKS that may have signed a JWT with the given header
+ * @param {object} jwks - { keys: [...] }
+ * @param {object} header - Decoded JWT header
+ * @returns {object[]} - Candidate JWKs
+ */
+function findVerificationKeys(jwks, header) {
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm || !Array.isArray(jwks?.keys)) {
+    return [];
+  }
+
+  return jwks.keys.filter((jwk) => {
+    if (header.kid !== undefined && jwk.kid !== header.kid) return false;
+    if (jwk.kty !== algorithm.kty) return false;
+    if (algorithm.crv && jwk.crv !== algorithm.crv) return false;
+    if (jwk.alg !== undefined && jwk.alg !== header.alg) return false;
+    return true;
+  });
+}
+
+/**
+ * Verify the signature of a decoded JWT against a public JWK
+ * @param {object} decoded - Result of decodeJwt
+ * @param {object} jwk - Public JSON Web Key
+ * @returns {boolean}
+ */
+function verifyJwtSignature(decoded, jwk) {
+  const algorithm = ALGORITHMS[decoded.header.alg];
+  if (!algorithm) {
+    return false;
+  }
+
+  try {
+    const key = importPublicJwk(jwk);
+    return crypto.verify(
+      algorithm.hash,
+      Buffer.from(decoded.signingInput),
+      {
+        key,
+        padding: algorithm.padding,
+        dsaEncoding: algorithm.kty === "EC" ? "ieee-p1363" : undefined,
+      },
+      decoded.signature,
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Sign a JWT with a private key
+ * @param {object} header - JWT header; header.alg selects the algorithm
+ * @param {object} payload - JWT claims
+ * @param {crypto.KeyObject} privateKey
+ * @returns {string} - Compact JWT
+ */
+function signJwt(header, payload, privateKey) {
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported JWT algorithm: ${header.alg}`);
+  }
+
+  const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+  const signature = crypto.sign(algorithm.hash, Buffer.from(signingInput), {
+    key: privateKey,
+    padding: algorithm.padding,
+    dsaEncoding: algorithm.kty === "EC" ? "ieee-p1363" : undefined,
+  });
+
+  return `${signingInput}.${base64UrlEncode(signature)}`;
+}
+
+module.exports = {
+  ALGORITHMS,
+  base64UrlEncode,
+  decodeJwt,
+  signJwt,
+  importPublicJwk,
+  findVerificationKeys,
+  verifyJwtSignature,
+};
@@ -1,19 +1,82 @@
 require("dotenv").config();
-const logger = {
-  info: (message, data = {}) => {
-    console.log(`[INFO] ${new Date().toISOString()} - ${message}`, data);
-  },
-  error: (message, error = {}) => {
-    console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, error);
-  },
-  warn: (message, data = {}) => {
-    console.warn(`[WARN] ${new Date().toISOString()} - ${message}`, data);
-  },
-  debug: (message, data = {}) => {
-    if (process.env.NODE_ENV === "development") {
-      console.log(`[DEBUG] ${new Date().toISOString()} - ${message}`, data);
+const LOGGING_CONFIG = require("../config/logging");
+const requestContext = require("./requestContext");
+const { redact } = require("./redact");
+
+const LEVEL_RANK = LOGGING_CONFIG.LEVELS.reduce(
+  (ranks, level, index) => ({ ...ranks, [level]: index }),
+  {},
+);
+const RESERVED_FIELDS = ["timestamp", "level", "message", "requestId"];
+
+/**
+ * Build the fields of a log line: the request context plus the given data,
+ * redacted. Data that is not a plain object (an Error, a string) is logged
+ * under "error" or "data".
+ */
+function buildFields(data) {
+  let fields;
+  if (data instanceof Error) {
+    fields = { error: data };
+  } else if (data && typeof data === "object" && !Array.isArray(data)) {
+    fields = data;
+  } else if (data !== undefined) {
+    fields = { data };
+  } else {
+    fields = {};
+  }
+
+  const redacted = redact(fields);
+  RESERVED_FIELDS.forEach((key) => {
+    if (key in redacted) {
+      redacted[`data_${key}`] = redacted[key];
+      delete redacted[key];
     }
-  },
+  });
+
+  return redacted;
+}
+
+function write(level, message, data) {
+  if (LEVEL_RANK[level] > LEVEL_RANK[LOGGING_CONFIG.level]) {
+    return;
+  }
+
+  const timestamp = new Date().toISOString();
+  // The actor is kept for the PHI audit log, not repeated on every line
+  const { requestId, actor, ...context } = requestContext.get() || {};
+  const fields = { ...context, ...buildFields(data) };
+  const stream = level === "error" || level === "warn" ? process.stderr : process.stdout;
+
+  if (LOGGING_CONFIG.format === "pretty") {
+    const suffix = Object.keys(fields).length ? ` ${JSON.stringify(fields, null, 2)}` : "";
+    stream.write(
+      `[${level.toUpperCase()}] ${timestamp}${requestId ? ` [${requestId}]` : ""} - ${redact(String(message))}${suffix}\n`,
+    );
+    return;
+  }
+
+  stream.write(
+    `${JSON.stringify({
+      timestamp,
+      level,
+      message: redact(String(message)),
+      ...(requestId && { requestId }),
+      ...fields,
+    })}\n`,
+  );
+}
+
+/**
+ * Structured logger. Each call writes one line (JSON by default, see
+ * config/logging) with the current request ID, and masks PHI and secrets in
+ * the message and data (see utils/redact).
+ */
+const logger = {
+  info: (message, data = {}) => write("info", message, data),
+  error: (message, error = {}) => write("error", message, error),
+  warn: (message, data = {}) => write("warn", message, data),
+  debug: (message, data = {}) => write("debug", message, data),
 };
 
 module.exports = logger;
@@ -0,0 +1,153 @@
+const LOGGING_CONFIG = require("../config/logging");
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 12;
+// Strings that look like JSON are parsed and redacted up to this size
+const MAX_JSON_STRING_LENGTH = 1024 * 1024;
+
+const STRING_PATTERNS = [
+  // Authorization header values
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi, `$1 ${REDACTED}`],
+  // JWTs anywhere in a string
+  [/\beyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, REDACTED],
+  // Secrets in form-encoded bodies and query strings
+  [
+    /\b(client_secret|client_assertion|access_token|refresh_token|password|api_key|verification-token)=[^&\s"]+/gi,
+    `$1=${REDACTED}`,
+  ],
+];
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[-_]/g, "");
+
+/**
+ * Check whether the value under a key must be masked
+ * @param {string} key
+ * @param {string} [parent] - FHIR resourceType of the object holding the key,
+ *   or else the key the object is under, for the path rules
+ * @returns {boolean}
+ */
+function isSensitiveKey(key, parent) {
+  const { keys, suffixes, paths, allowKeys } = LOGGING_CONFIG.redaction;
+  const normalized = normalizeKey(key);
+
+  if (allowKeys.includes(normalized)) {
+    return false;
+  }
+  return (
+    keys.includes(normalized) ||
+    suffixes.some((suffix) => normalized.endsWith(suffix)) ||
+    (typeof parent === "string" && paths.includes(`${normalizeKey(parent)}.${normalized}`))
+  );
+}
+
+function redactString(value) {
+  if (!LOGGING_CONFIG.redaction.enabled) {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if (
+    (trimmed.startsWith("{") || trimmed.startsWith("[")) &&
+    trimmed.length <= MAX_JSON_STRING_LENGTH
+  ) {
+    try {
+      return JSON.stringify(redactValue(JSON.parse(trimmed), 0, new WeakSet()));
+    } catch (error) {
+      // Not JSON; fall through to the string patterns
+    }
+  }
+
+  return STRING_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    value,
+  );
+}
+
+function serializeError(error, depth, seen) {
+  return {
+    name: error.name,
+    ...redactValue(
+      {
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.status !== undefined && { status: error.status }),
+        ...(error.response?.status !== undefined && { responseStatus: error.response.status }),
+        stack: error.stack,
+      },
+      depth,
+      seen,
+    ),
+  };
+}
+
+function redactValue(value, depth, seen, parentKey) {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Truncated]";
+  }
+  if (value instanceof Error) {
+    // Only the basics: errors such as axios errors carry request headers
+    return serializeError(value, depth + 1, seen);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  seen.add(value);
+  let result;
+
+  if (Array.isArray(value)) {
+    // Items are under the array's key, e.g. each of a Patient's contacts
+    result = value.map((item) => redactValue(item, depth + 1, seen, parentKey));
+  } else {
+    // FHIR Attachment: { contentType, data } where data is the base64 document
+    const isAttachment = "contentType" in value && "data" in value;
+    const parent = typeof value.resourceType === "string" ? value.resourceType : parentKey;
+
+    result = {};
+    Object.keys(value).forEach((key) => {
+      const item = value[key];
+      const mask =
+        LOGGING_CONFIG.redaction.enabled &&
+        ((isAttachment && key === "data") ||
+          (isSensitiveKey(key, parent) && item !== null && item !== undefined && typeof item !== "boolean"));
+
+      result[key] = mask ? REDACTED : redactValue(item, depth + 1, seen, key);
+    });
+  }
+
+  seen.delete(value);
+  return result;
+}
+
+/**
+ * Return a JSON-safe copy of a value with PHI and secrets masked (see
+ * config/logging). Values under sensitive keys are replaced at any depth,
+ * and under keys such as "name" only where they name a person (e.g. in a
+ * Patient resource or under a "patient" key). FHIR attachment data is
+ * dropped, JSON strings are redacted as JSON, and tokens embedded in other
+ * strings are masked. Errors are reduced to their name, message, code,
+ * status and stack.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value) {
+  return redactValue(value, 0, new WeakSet());
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  isSensitiveKey,
+};
@@ -0,0 +1,74 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { v4: uuidv4 } = require("uuid");
+
+const storage = new AsyncLocalStorage();
+
+// Incoming X-Request-Id values are used only if they look like an ID, so
+// they cannot inject anything into logs or downstream headers
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Per-request context (request ID, Retell call ID, ...) available to
+ * everything that runs on behalf of the request, including log lines,
+ * outbound Redox/Retell requests and audit rows, without passing it around.
+ */
+const requestContext = {
+  /**
+   * Run a function with its own context
+   * @param {object} context - Initial values
+   * @param {Function} fn
+   */
+  run(context, fn) {
+    return storage.run({ ...context }, fn);
+  },
+
+  /**
+   * Get the current context
+   * @returns {object|undefined} - undefined outside a request
+   */
+  get() {
+    return storage.getStore();
+  },
+
+  /**
+   * Add a value to the current context, if there is one
+   * @param {string} key
+   * @param {*} value
+   */
+  set(key, value) {
+    const store = storage.getStore();
+    if (store) {
+      store[key] = value;
+    }
+  },
+
+  /**
+   * Get the current request ID
+   * @returns {string|undefined}
+   */
+  getRequestId() {
+    return storage.getStore()?.requestId;
+  },
+
+  /**
+   * Use the caller's request ID if it is well-formed, otherwise generate one
+   * @param {string|undefined} incoming - X-Request-Id header value
+   * @returns {string}
+   */
+  resolveRequestId(incoming) {
+    return typeof incoming === "string" && REQUEST_ID_REGEX.test(incoming)
+      ? incoming
+      : uuidv4();
+  },
+
+  /**
+   * Headers that carry the current request ID to a downstream service
+   * @returns {object}
+   */
+  outboundHeaders() {
+    const requestId = storage.getStore()?.requestId;
+    return requestId ? { "X-Request-Id": requestId } : {};
+  },
+};
+
+module.exports = requestContext;
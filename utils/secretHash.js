@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Current parameters. Hashes record their own parameters, so these can be
+// raised later; older hashes are upgraded on the next successful verification.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+// Format: scrypt$v1$N=16384,r=8,p=1$<base64 salt>$<base64 key>
+const SCRYPT_PREFIX = "scrypt$v1$";
+const LEGACY_SHA256_REGEX = /^[0-9a-f]{64}$/i;
+
+/**
+ * Hash a secret for storage with scrypt and a random salt
+ * @param {string} secret - Plaintext secret
+ * @returns {Promise<string>} - Versioned hash string
+ */
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(secret, salt, KEY_BYTES, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+
+  return `${SCRYPT_PREFIX}N=${N},r=${r},p=${p}$${salt.toString("base64")}$${key.toString("base64")}`;
+}
+
+/**
+ * Verify a secret against a stored hash in constant time.
+ * Accepts scrypt hashes and legacy unsalted SHA-256 hex digests.
+ * @param {string} secret - Plaintext secret
+ * @param {string|null} storedHash - Hash from the database
+ * @returns {Promise<object>} - { valid, needsRehash } where needsRehash means the
+ *   hash should be replaced with hashSecret(secret)
+ */
+async function verifySecret(secret, storedHash) {
+  if (typeof secret !== "string" || !storedHash) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (LEGACY_SHA256_REGEX.test(storedHash)) {
+    const candidate = crypto.createHash("sha256").update(secret).digest();
+    const valid = crypto.timingSafeEqual(candidate, Buffer.from(storedHash, "hex"));
+    return { valid, needsRehash: valid };
+  }
+
+  const parsed = parseScryptHash(storedHash);
+  if (!parsed) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const candidate = await scrypt(secret, parsed.salt, parsed.key.length, {
+    ...parsed.params,
+    // Allow hashes made with larger parameters than the 32 MB default permits
+    maxmem: 256 * parsed.params.N * parsed.params.r,
+  });
+  const valid = crypto.timingSafeEqual(candidate, parsed.key);
+  const outdated =
+    parsed.params.N !== SCRYPT_PARAMS.N ||
+    parsed.params.r !== SCRYPT_PARAMS.r ||
+    parsed.params.p !== SCRYPT_PARAMS.p;
+
+  return { valid, needsRehash: valid && outdated };
+}
+
+/**
+ * Spend roughly the time of a real verification, for lookups that found no
+ * hash to verify against, so response times do not reveal whether it exists
+ * @param {string} secret - Plaintext secret
+ * @returns {Promise<void>}
+ */
+async function simulateVerification(secret) {
+  await scrypt(String(secret || ""), crypto.randomBytes(SALT_BYTES), KEY_BYTES, SCRYPT_PARAMS);
+}
+
+/**
+ * Parse a versioned scrypt hash string
+ * @param {string} storedHash - Hash string
+ * @returns {object|null} - { params, salt, key } or null if malformed
+ */
+function parseScryptHash(storedHash) {
+  if (!storedHash.startsWith(SCRYPT_PREFIX)) {
+    return null;
+  }
+
+  const [paramString, saltB64, keyB64] = storedHash.substring(SCRYPT_PREFIX.length).split("$");
+  if (!paramString || !saltB64 || !keyB64) {
+    return null;
+  }
+
+  const params = {};
+  paramString.split(",").forEach((pair) => {
+    const [name, value] = pair.split("=");
+    params[name] = parseInt(value);
+  });
+
+  if (!Number.isInteger(params.N) || !Number.isInteger(params.r) || !Number.isInteger(params.p)) {
+    return null;
+  }
+
+  return {
+    params: { N: params.N, r: params.r, p: params.p },
+    salt: Buffer.from(saltB64, "base64"),
+    key: Buffer.from(keyB64, "base64"),
+  };
+}
+
+module.exports = {
+  hashSecret,
+  verifySecret,
+  simulateVerification,
+};
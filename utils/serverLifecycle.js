@@ -0,0 +1,118 @@
+/**
+ * State of a running app for the readiness probe and graceful shutdown:
+ * "ready" while serving, "draining" once shutdown began (in-flight work
+ * finishes, nothing new should be routed here) and "stopped" when done.
+ * Also counts in-flight requests per kind, e.g. Retell function calls, so
+ * shutdown can wait for them.
+ */
+class ServerLifecycle {
+  constructor() {
+    this.state = "ready";
+    this.inFlight = new Map();
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Middleware counting the requests it sees as in flight until their
+   * response is finished or the connection closes
+   * @param {string} kind - e.g. 'retellFunctionCall'
+   * @returns {Function} - Express middleware
+   */
+  track(kind) {
+    return (req, res, next) => {
+      this.inFlight.set(kind, (this.inFlight.get(kind) || 0) + 1);
+
+      let done = false;
+      const finish = () => {
+        if (done) {
+          return;
+        }
+        done = true;
+        this.inFlight.set(kind, this.inFlight.get(kind) - 1);
+        this.notifyIfIdle();
+      };
+      res.on("finish", finish);
+      res.on("close", finish);
+
+      next();
+    };
+  }
+
+  /**
+   * Whether the app should receive new requests
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.state === "ready";
+  }
+
+  /**
+   * Whether shutdown began
+   * @returns {boolean}
+   */
+  isShuttingDown() {
+    return this.state !== "ready";
+  }
+
+  /**
+   * Start draining: readiness fails from now on
+   */
+  beginShutdown() {
+    if (this.state === "ready") {
+      this.state = "draining";
+    }
+  }
+
+  /**
+   * Mark shutdown as complete
+   */
+  markStopped() {
+    this.state = "stopped";
+  }
+
+  /**
+   * Number of tracked requests in flight
+   * @param {string} kind - Only this kind; all kinds if omitted
+   * @returns {number}
+   */
+  getInFlight(kind) {
+    if (kind) {
+      return this.inFlight.get(kind) || 0;
+    }
+    return [...this.inFlight.values()].reduce((total, count) => total + count, 0);
+  }
+
+  /**
+   * Resolve once no tracked request is in flight
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    if (this.getInFlight() === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * State and in-flight counts per kind
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      inFlight: Object.fromEntries(this.inFlight),
+    };
+  }
+
+  /**
+   * Resolve the whenIdle() promises if nothing is in flight
+   * @private
+   */
+  notifyIfIdle() {
+    if (this.getInFlight() === 0) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+}
+
+module.exports = ServerLifecycle;